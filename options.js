@@ -1,11 +1,51 @@
+import {
+  formatDateTimeInZones,
+  isValidTimeZone,
+  resolveTimeFormat,
+  LOCAL_TIME_ZONE
+} from './scripts/time-format.js';
+import { DEFAULT_AGE_THRESHOLDS } from './scripts/age-highlight.js';
+import { DEFAULT_TIME_SELECTORS, isValidSelector } from './scripts/time-elements.js';
+import { EDITORS } from './scripts/editors.js';
+import { DEFAULT_LANGUAGE_IDES, formatLanguageTable, parseLanguageTable } from './scripts/ide-detection.js';
+import { DEFAULT_REFERENCE_PATTERNS, isValidReferencePattern } from './scripts/code-references.js';
+import { DEFAULT_LAUNCH_INTERVAL, DEFAULT_SKIPPED_FILE_PATTERNS } from './scripts/open-all-files.js';
+import {
+  DEFAULT_SHORTCUTS,
+  SHORTCUT_ACTIONS,
+  eventToShortcut,
+  validateShortcut
+} from './scripts/keyboard-shortcuts.js';
+
 // Constants
 const STATUS_MESSAGE_DURATION = 2000; // milliseconds
 
 // Default settings
 const defaultSettings = {
   enableAbsoluteTime: true,
+  timeFormat: 'default',
+  customTimeFormat: '',
+  timeZones: [LOCAL_TIME_ZONE],
+  timeDisplayMode: 'below',
+  enableAgeHighlight: false,
+  ageThresholds: DEFAULT_AGE_THRESHOLDS,
+  timeSelectors: DEFAULT_TIME_SELECTORS,
+  enablePRLifecycle: true,
   enableIDEDeepLink: true,
+  warnOnFailedLaunch: true,
   ideType: 'idea',
+  checkoutRoots: {},
+  defaultCheckoutRoot: '',
+  projectMappings: [],
+  languageIDEs: DEFAULT_LANGUAGE_IDES,
+  enableCodeReferences: true,
+  codeReferencePatterns: DEFAULT_REFERENCE_PATTERNS,
+  jvmSourceRoot: '',
+  openAllSkipPatterns: DEFAULT_SKIPPED_FILE_PATTERNS,
+  openAllLaunchInterval: DEFAULT_LAUNCH_INTERVAL,
+  keyboardShortcuts: DEFAULT_SHORTCUTS,
+  performanceMode: false,
+  showPerformanceOverlay: false,
   customDomains: []
 };
 
@@ -25,9 +65,58 @@ async function loadSettings() {
     // Update checkbox states
     document.getElementById('enableAbsoluteTime').checked = result.enableAbsoluteTime;
     document.getElementById('enableIDEDeepLink').checked = result.enableIDEDeepLink;
+    document.getElementById('warnOnFailedLaunch').checked = result.warnOnFailedLaunch;
+
+    // Update display mode selection
+    document.getElementById('timeDisplayMode').value = result.timeDisplayMode || 'below';
+
+    // Update time format selection
+    document.getElementById('timeFormat').value = result.timeFormat || 'default';
+    document.getElementById('customTimeFormat').value = result.customTimeFormat || '';
+    renderTimeZoneList(result.timeZones || [LOCAL_TIME_ZONE]);
+    updateTimeFormatPreview();
+
+    // Update age highlight settings
+    document.getElementById('enableAgeHighlight').checked = result.enableAgeHighlight;
+    const thresholds = { ...DEFAULT_AGE_THRESHOLDS, ...result.ageThresholds };
+    document.getElementById('ageThresholdFresh').value = thresholds.fresh;
+    document.getElementById('ageThresholdStale').value = thresholds.stale;
+    document.getElementById('ageThresholdOld').value = thresholds.old;
+
+    // Update time element selectors
+    document.getElementById('timeSelectors').value = (result.timeSelectors || DEFAULT_TIME_SELECTORS).join('\n');
+
+    // Update PR lifecycle toggle
+    document.getElementById('enablePRLifecycle').checked = result.enablePRLifecycle;
+
+    // Update performance toggles
+    document.getElementById('performanceMode').checked = result.performanceMode;
+    document.getElementById('showPerformanceOverlay').checked = result.showPerformanceOverlay;
 
     // Update IDE type selection
     document.getElementById('ideType').value = result.ideType || 'idea';
+    document.getElementById('languageIDEs').value = formatLanguageTable(result.languageIDEs);
+
+    // Update local checkout roots
+    document.getElementById('defaultCheckoutRoot').value = result.defaultCheckoutRoot || '';
+    renderCheckoutRootList(result.checkoutRoots || {});
+
+    // Load project mappings
+    renderProjectMappingList(result.projectMappings || []);
+
+    // Update code reference settings
+    document.getElementById('enableCodeReferences').checked = result.enableCodeReferences;
+    document.getElementById('codeReferencePatterns').value =
+      (result.codeReferencePatterns || DEFAULT_REFERENCE_PATTERNS).join('\n');
+    document.getElementById('jvmSourceRoot').value = result.jvmSourceRoot || '';
+
+    // Update files skipped by "Open all"
+    document.getElementById('openAllSkipPatterns').value =
+      (result.openAllSkipPatterns || DEFAULT_SKIPPED_FILE_PATTERNS).join('\n');
+    document.getElementById('openAllLaunchInterval').value = result.openAllLaunchInterval;
+
+    // Load keyboard shortcuts
+    renderShortcutList({ ...DEFAULT_SHORTCUTS, ...result.keyboardShortcuts });
 
     // Load custom domains
     renderDomainList(result.customDomains || []);
@@ -65,6 +154,500 @@ async function getSettings() {
   }
 }
 
+// Zones shown in the preview, kept in sync with the rendered list
+let previewTimeZones = [LOCAL_TIME_ZONE];
+
+/**
+ * Shows the custom pattern input when needed and renders a preview of the current time.
+ */
+function updateTimeFormatPreview() {
+  const preset = document.getElementById('timeFormat').value;
+  const customPattern = document.getElementById('customTimeFormat').value;
+  const isCustom = preset === 'custom';
+
+  document.getElementById('customTimeFormatGroup').hidden = !isCustom;
+  document.getElementById('customTimeFormat-desc').hidden = !isCustom;
+
+  const pattern = resolveTimeFormat(preset, customPattern);
+  document.getElementById('timeFormatPreview').textContent =
+    formatDateTimeInZones(new Date().toISOString(), pattern, previewTimeZones);
+}
+
+/**
+ * Fills the time zone suggestions with the zones the browser knows.
+ */
+function populateTimeZoneOptions() {
+  const datalist = document.getElementById('timeZoneOptions');
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+  [LOCAL_TIME_ZONE, 'UTC', ...zones].forEach(zone => {
+    const option = document.createElement('option');
+    option.value = zone;
+    datalist.appendChild(option);
+  });
+}
+
+/**
+ * Renders the list of selected time zones.
+ */
+function renderTimeZoneList(timeZones) {
+  const list = document.getElementById('timeZonesList');
+  list.innerHTML = '';
+  previewTimeZones = timeZones;
+
+  const now = new Date().toISOString();
+  timeZones.forEach((zone, index) => {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item';
+    listItem.setAttribute('role', 'listitem');
+
+    const zoneSpan = document.createElement('span');
+    zoneSpan.className = 'domain-name';
+    zoneSpan.textContent = `${zone} (${formatDateTimeInZones(now, 'HH:mm', [zone])})`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-remove';
+    removeBtn.textContent = 'Remove';
+    removeBtn.setAttribute('aria-label', `Remove time zone ${zone}`);
+    // At least one zone must stay selected
+    removeBtn.disabled = timeZones.length === 1;
+    removeBtn.addEventListener('click', () => removeTimeZone(index));
+
+    listItem.appendChild(zoneSpan);
+    listItem.appendChild(removeBtn);
+    list.appendChild(listItem);
+  });
+}
+
+/**
+ * Adds a time zone to the display list.
+ */
+async function addTimeZone() {
+  const input = document.getElementById('timeZoneInput');
+  const zone = input.value.trim();
+
+  if (!zone) {
+    showStatus('Please enter a time zone', 'error');
+    return;
+  }
+
+  if (zone !== LOCAL_TIME_ZONE && !isValidTimeZone(zone)) {
+    showStatus('Unknown time zone', 'error');
+    return;
+  }
+
+  try {
+    const settings = await getSettings();
+    const timeZones = settings.timeZones || [LOCAL_TIME_ZONE];
+
+    if (timeZones.includes(zone)) {
+      showStatus('Time zone already added', 'error');
+      return;
+    }
+
+    timeZones.push(zone);
+    await saveSettings({ timeZones });
+    renderTimeZoneList(timeZones);
+    updateTimeFormatPreview();
+    input.value = '';
+  } catch (error) {
+    console.error('Error adding time zone:', error);
+    showStatus('Failed to add time zone', 'error');
+  }
+}
+
+/**
+ * Removes a time zone by index.
+ */
+async function removeTimeZone(index) {
+  try {
+    const settings = await getSettings();
+    const timeZones = settings.timeZones || [LOCAL_TIME_ZONE];
+
+    timeZones.splice(index, 1);
+
+    await saveSettings({ timeZones });
+    renderTimeZoneList(timeZones);
+    updateTimeFormatPreview();
+  } catch (error) {
+    console.error('Error removing time zone:', error);
+    showStatus('Failed to remove time zone', 'error');
+  }
+}
+
+/**
+ * Saves the age thresholds if they are valid and ordered.
+ */
+async function saveAgeThresholds() {
+  const thresholds = {
+    fresh: Number(document.getElementById('ageThresholdFresh').value),
+    stale: Number(document.getElementById('ageThresholdStale').value),
+    old: Number(document.getElementById('ageThresholdOld').value)
+  };
+
+  const values = Object.values(thresholds);
+  if (values.some(value => !Number.isFinite(value) || value < 0)) {
+    showStatus('Thresholds must be zero or more days', 'error');
+    return;
+  }
+
+  if (thresholds.fresh > thresholds.stale || thresholds.stale > thresholds.old) {
+    showStatus('Thresholds must increase from green to red', 'error');
+    return;
+  }
+
+  await saveSettings({ ageThresholds: thresholds });
+}
+
+/**
+ * Saves the time element selectors, one per line, rejecting invalid ones.
+ */
+async function saveTimeSelectors() {
+  const textarea = document.getElementById('timeSelectors');
+  const selectors = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const invalid = selectors.filter(selector => !isValidSelector(selector));
+  if (invalid.length > 0) {
+    showStatus(`Invalid selector: ${invalid[0]}`, 'error');
+    return;
+  }
+
+  const timeSelectors = selectors.length > 0 ? selectors : DEFAULT_TIME_SELECTORS;
+  textarea.value = timeSelectors.join('\n');
+  await saveSettings({ timeSelectors });
+}
+
+/**
+ * Saves the language to IDE table, rejecting unreadable lines.
+ */
+async function saveLanguageIDEs() {
+  const textarea = document.getElementById('languageIDEs');
+  const { table, invalid } = parseLanguageTable(textarea.value);
+
+  if (invalid.length > 0) {
+    showStatus(`Invalid entry: ${invalid[0]}`, 'error');
+    return;
+  }
+
+  textarea.value = formatLanguageTable(table);
+  await saveSettings({ languageIDEs: table });
+}
+
+/**
+ * Renders the per-repository checkout roots.
+ */
+function renderCheckoutRootList(checkoutRoots) {
+  const list = document.getElementById('checkoutRootsList');
+  list.innerHTML = '';
+
+  Object.entries(checkoutRoots).forEach(([repo, root]) => {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item';
+    listItem.setAttribute('role', 'listitem');
+
+    const rootSpan = document.createElement('span');
+    rootSpan.className = 'domain-name';
+    rootSpan.textContent = `${repo} → ${root}`;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-remove';
+    removeBtn.textContent = 'Remove';
+    removeBtn.setAttribute('aria-label', `Remove checkout root of ${repo}`);
+    removeBtn.addEventListener('click', () => removeCheckoutRoot(repo));
+
+    listItem.appendChild(rootSpan);
+    listItem.appendChild(removeBtn);
+    list.appendChild(listItem);
+  });
+}
+
+/**
+ * Adds or replaces the checkout root of a repository.
+ */
+async function addCheckoutRoot() {
+  const repoInput = document.getElementById('checkoutRepoInput');
+  const pathInput = document.getElementById('checkoutPathInput');
+  const repo = repoInput.value.trim().toLowerCase();
+  const root = pathInput.value.trim();
+
+  if (!/^[\w.-]+\/[\w.-]+$/.test(repo)) {
+    showStatus('Repository must look like owner/repo', 'error');
+    return;
+  }
+
+  if (!root) {
+    showStatus('Please enter a local path', 'error');
+    return;
+  }
+
+  try {
+    const settings = await getSettings();
+    const checkoutRoots = { ...settings.checkoutRoots, [repo]: root };
+
+    await saveSettings({ checkoutRoots });
+    renderCheckoutRootList(checkoutRoots);
+    repoInput.value = '';
+    pathInput.value = '';
+  } catch (error) {
+    console.error('Error adding checkout root:', error);
+    showStatus('Failed to add checkout root', 'error');
+  }
+}
+
+/**
+ * Removes the checkout root of a repository.
+ */
+async function removeCheckoutRoot(repo) {
+  try {
+    const settings = await getSettings();
+    const checkoutRoots = { ...settings.checkoutRoots };
+
+    delete checkoutRoots[repo];
+
+    await saveSettings({ checkoutRoots });
+    renderCheckoutRootList(checkoutRoots);
+  } catch (error) {
+    console.error('Error removing checkout root:', error);
+    showStatus('Failed to remove checkout root', 'error');
+  }
+}
+
+/**
+ * Fills the IDE choices of the project mapping form.
+ */
+function populateMappingIdeTypes() {
+  const select = document.getElementById('mappingIdeType');
+
+  Object.entries(EDITORS).forEach(([ideType, editor]) => {
+    const option = document.createElement('option');
+    option.value = ideType;
+    option.textContent = editor.name;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Describes a project mapping rule in one line.
+ */
+function describeProjectMapping(mapping) {
+  const details = [];
+  if (mapping.project) {
+    details.push(`project ${mapping.project}`);
+  }
+  if (mapping.stripPrefix) {
+    details.push(`strip ${mapping.stripPrefix}`);
+  }
+  if (mapping.addPrefix) {
+    details.push(`add ${mapping.addPrefix}`);
+  }
+  if (EDITORS[mapping.ideType]) {
+    details.push(EDITORS[mapping.ideType].name);
+  }
+  return `${mapping.repo} → ${details.join(', ')}`;
+}
+
+/**
+ * Renders the list of project mappings.
+ */
+function renderProjectMappingList(mappings) {
+  const list = document.getElementById('projectMappingsList');
+  list.innerHTML = '';
+
+  mappings.forEach((mapping, index) => {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item';
+    listItem.setAttribute('role', 'listitem');
+
+    const mappingSpan = document.createElement('span');
+    mappingSpan.className = 'domain-name';
+    mappingSpan.textContent = describeProjectMapping(mapping);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-remove';
+    removeBtn.textContent = 'Remove';
+    removeBtn.setAttribute('aria-label', `Remove project mapping for ${mapping.repo}`);
+    removeBtn.addEventListener('click', () => removeProjectMapping(index));
+
+    listItem.appendChild(mappingSpan);
+    listItem.appendChild(removeBtn);
+    list.appendChild(listItem);
+  });
+}
+
+/**
+ * Adds a project mapping rule from the form.
+ */
+async function addProjectMapping() {
+  const inputs = {
+    repo: document.getElementById('mappingRepoInput'),
+    project: document.getElementById('mappingProjectInput'),
+    stripPrefix: document.getElementById('mappingStripPrefixInput'),
+    addPrefix: document.getElementById('mappingAddPrefixInput'),
+    ideType: document.getElementById('mappingIdeType')
+  };
+  const mapping = Object.fromEntries(
+    Object.entries(inputs).map(([key, input]) => [key, input.value.trim()])
+  );
+
+  if (!/^[\w.*-]+\/[\w.*-]+$/.test(mapping.repo)) {
+    showStatus('Repository must look like owner/repo, with * as wildcard', 'error');
+    return;
+  }
+
+  if (!mapping.project && !mapping.stripPrefix && !mapping.addPrefix && !mapping.ideType) {
+    showStatus('Please enter a project, prefix or IDE', 'error');
+    return;
+  }
+
+  try {
+    const settings = await getSettings();
+    const projectMappings = settings.projectMappings || [];
+
+    projectMappings.push(mapping);
+    await saveSettings({ projectMappings });
+    renderProjectMappingList(projectMappings);
+    Object.values(inputs).forEach(input => {
+      input.value = '';
+    });
+  } catch (error) {
+    console.error('Error adding project mapping:', error);
+    showStatus('Failed to add project mapping', 'error');
+  }
+}
+
+/**
+ * Removes a project mapping rule by index.
+ */
+async function removeProjectMapping(index) {
+  try {
+    const settings = await getSettings();
+    const projectMappings = settings.projectMappings || [];
+
+    projectMappings.splice(index, 1);
+
+    await saveSettings({ projectMappings });
+    renderProjectMappingList(projectMappings);
+  } catch (error) {
+    console.error('Error removing project mapping:', error);
+    showStatus('Failed to remove project mapping', 'error');
+  }
+}
+
+/**
+ * Saves the code reference patterns, one per line, rejecting invalid ones.
+ */
+async function saveCodeReferencePatterns() {
+  const textarea = document.getElementById('codeReferencePatterns');
+  const patterns = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const invalid = patterns.filter(pattern => !isValidReferencePattern(pattern));
+  if (invalid.length > 0) {
+    showStatus(`Invalid pattern: ${invalid[0]}`, 'error');
+    return;
+  }
+
+  const codeReferencePatterns = patterns.length > 0 ? patterns : DEFAULT_REFERENCE_PATTERNS;
+  textarea.value = codeReferencePatterns.join('\n');
+  await saveSettings({ codeReferencePatterns });
+}
+
+/**
+ * Saves the globs of files "Open all" deselects, one per line.
+ */
+async function saveOpenAllSkipPatterns() {
+  const textarea = document.getElementById('openAllSkipPatterns');
+  const patterns = textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const openAllSkipPatterns = patterns.length > 0 ? patterns : DEFAULT_SKIPPED_FILE_PATTERNS;
+  textarea.value = openAllSkipPatterns.join('\n');
+  await saveSettings({ openAllSkipPatterns });
+}
+
+/**
+ * Saves the delay between the files "Open all" launches if it is valid.
+ */
+async function saveOpenAllLaunchInterval() {
+  const openAllLaunchInterval = Number(document.getElementById('openAllLaunchInterval').value);
+  if (!Number.isFinite(openAllLaunchInterval) || openAllLaunchInterval < 0) {
+    showStatus('The delay must be zero or more milliseconds', 'error');
+    return;
+  }
+
+  await saveSettings({ openAllLaunchInterval });
+}
+
+/**
+ * Renders one shortcut field per action.
+ */
+function renderShortcutList(shortcuts) {
+  const list = document.getElementById('shortcutList');
+  list.innerHTML = '';
+
+  Object.entries(SHORTCUT_ACTIONS).forEach(([action, { label }]) => {
+    const row = document.createElement('div');
+    row.className = 'option-row';
+
+    const inputId = `shortcut-${action}`;
+    const rowLabel = document.createElement('label');
+    rowLabel.htmlFor = inputId;
+    rowLabel.textContent = label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = inputId;
+    input.className = 'text-input';
+    input.readOnly = true;
+    input.placeholder = 'None';
+    input.value = shortcuts[action] || '';
+    input.addEventListener('keydown', (e) => recordShortcut(e, action));
+
+    row.appendChild(rowLabel);
+    row.appendChild(input);
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Records the keys pressed in a shortcut field, rejecting shortcuts that clash.
+ */
+async function recordShortcut(event, action) {
+  if (event.key === 'Tab' || event.key === 'Escape') {
+    return;
+  }
+  event.preventDefault();
+
+  const clearing = (event.key === 'Backspace' || event.key === 'Delete') &&
+    !event.altKey && !event.ctrlKey && !event.metaKey;
+  const shortcut = clearing ? '' : eventToShortcut(event);
+  if (!shortcut && !clearing) {
+    return;
+  }
+
+  const problem = validateShortcut(shortcut);
+  if (problem) {
+    showStatus(problem, 'error');
+    return;
+  }
+
+  try {
+    const settings = await getSettings();
+    const shortcuts = { ...DEFAULT_SHORTCUTS, ...settings.keyboardShortcuts };
+    const other = Object.keys(shortcuts).find(name => name !== action && shortcut && shortcuts[name] === shortcut);
+    if (other) {
+      showStatus(`${shortcut} is already used to ${SHORTCUT_ACTIONS[other].label.toLowerCase()}`, 'error');
+      return;
+    }
+
+    shortcuts[action] = shortcut;
+    await saveSettings({ keyboardShortcuts: shortcuts });
+    renderShortcutList(shortcuts);
+    document.getElementById(`shortcut-${action}`).focus();
+  } catch (error) {
+    console.error('Error saving keyboard shortcut:', error);
+    showStatus('Failed to save keyboard shortcut', 'error');
+  }
+}
+
 /**
  * Renders the list of custom domains.
  */
@@ -205,6 +788,126 @@ function setupEventListeners() {
     }
   });
 
+  const warnOnFailedLaunchToggle = document.getElementById('warnOnFailedLaunch');
+  warnOnFailedLaunchToggle.addEventListener('change', async () => {
+    try {
+      await saveSettings({ warnOnFailedLaunch: warnOnFailedLaunchToggle.checked });
+    } catch (error) {
+      console.error('Error saving toggle:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const performanceModeToggle = document.getElementById('performanceMode');
+  performanceModeToggle.addEventListener('change', async () => {
+    try {
+      await saveSettings({ performanceMode: performanceModeToggle.checked });
+    } catch (error) {
+      console.error('Error saving toggle:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const performanceOverlayToggle = document.getElementById('showPerformanceOverlay');
+  performanceOverlayToggle.addEventListener('change', async () => {
+    try {
+      await saveSettings({ showPerformanceOverlay: performanceOverlayToggle.checked });
+    } catch (error) {
+      console.error('Error saving toggle:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  // Display mode selection
+  const timeDisplayModeSelect = document.getElementById('timeDisplayMode');
+  timeDisplayModeSelect.addEventListener('change', async () => {
+    try {
+      await saveSettings({ timeDisplayMode: timeDisplayModeSelect.value });
+    } catch (error) {
+      console.error('Error saving display mode:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  // Time format selection
+  const timeFormatSelect = document.getElementById('timeFormat');
+  timeFormatSelect.addEventListener('change', async () => {
+    updateTimeFormatPreview();
+    try {
+      await saveSettings({ timeFormat: timeFormatSelect.value });
+    } catch (error) {
+      console.error('Error saving time format:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const customTimeFormatInput = document.getElementById('customTimeFormat');
+  customTimeFormatInput.addEventListener('input', updateTimeFormatPreview);
+  customTimeFormatInput.addEventListener('change', async () => {
+    try {
+      await saveSettings({ customTimeFormat: customTimeFormatInput.value.trim() });
+    } catch (error) {
+      console.error('Error saving time format:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  // Time zone management
+  populateTimeZoneOptions();
+
+  const addTimeZoneBtn = document.getElementById('addTimeZoneBtn');
+  addTimeZoneBtn.addEventListener('click', addTimeZone);
+
+  const timeZoneInput = document.getElementById('timeZoneInput');
+  timeZoneInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      addTimeZone();
+    }
+  });
+
+  // Age highlight
+  const ageHighlightToggle = document.getElementById('enableAgeHighlight');
+  ageHighlightToggle.addEventListener('change', async () => {
+    try {
+      await saveSettings({ enableAgeHighlight: ageHighlightToggle.checked });
+    } catch (error) {
+      console.error('Error saving toggle:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  ['ageThresholdFresh', 'ageThresholdStale', 'ageThresholdOld'].forEach(id => {
+    document.getElementById(id).addEventListener('change', async () => {
+      try {
+        await saveAgeThresholds();
+      } catch (error) {
+        console.error('Error saving age thresholds:', error);
+        showStatus('Failed to save settings', 'error');
+      }
+    });
+  });
+
+  // Time element selectors
+  const timeSelectorsInput = document.getElementById('timeSelectors');
+  timeSelectorsInput.addEventListener('change', async () => {
+    try {
+      await saveTimeSelectors();
+    } catch (error) {
+      console.error('Error saving time selectors:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const prLifecycleToggle = document.getElementById('enablePRLifecycle');
+  prLifecycleToggle.addEventListener('change', async () => {
+    try {
+      await saveSettings({ enablePRLifecycle: prLifecycleToggle.checked });
+    } catch (error) {
+      console.error('Error saving toggle:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
   // IDE type selection
   const ideTypeSelect = document.getElementById('ideType');
   ideTypeSelect.addEventListener('change', async () => {
@@ -216,6 +919,102 @@ function setupEventListeners() {
     }
   });
 
+  // Language to IDE table
+  const languageIDEsInput = document.getElementById('languageIDEs');
+  languageIDEsInput.addEventListener('change', async () => {
+    try {
+      await saveLanguageIDEs();
+    } catch (error) {
+      console.error('Error saving language IDEs:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  // Local checkout roots
+  const defaultCheckoutRootInput = document.getElementById('defaultCheckoutRoot');
+  defaultCheckoutRootInput.addEventListener('change', async () => {
+    try {
+      await saveSettings({ defaultCheckoutRoot: defaultCheckoutRootInput.value.trim() });
+    } catch (error) {
+      console.error('Error saving checkout root:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const addCheckoutRootBtn = document.getElementById('addCheckoutRootBtn');
+  addCheckoutRootBtn.addEventListener('click', addCheckoutRoot);
+
+  const checkoutPathInput = document.getElementById('checkoutPathInput');
+  checkoutPathInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      addCheckoutRoot();
+    }
+  });
+
+  // Project mappings
+  populateMappingIdeTypes();
+
+  const addProjectMappingBtn = document.getElementById('addProjectMappingBtn');
+  addProjectMappingBtn.addEventListener('click', addProjectMapping);
+
+  // Code references
+  const codeReferencesToggle = document.getElementById('enableCodeReferences');
+  codeReferencesToggle.addEventListener('change', async () => {
+    try {
+      await saveSettings({ enableCodeReferences: codeReferencesToggle.checked });
+    } catch (error) {
+      console.error('Error saving toggle:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const codeReferencePatternsInput = document.getElementById('codeReferencePatterns');
+  codeReferencePatternsInput.addEventListener('change', async () => {
+    try {
+      await saveCodeReferencePatterns();
+    } catch (error) {
+      console.error('Error saving code reference patterns:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const jvmSourceRootInput = document.getElementById('jvmSourceRoot');
+  jvmSourceRootInput.addEventListener('change', async () => {
+    try {
+      await saveSettings({ jvmSourceRoot: jvmSourceRootInput.value.trim() });
+    } catch (error) {
+      console.error('Error saving source root:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  // Browser shortcuts are changed on Chrome's own page
+  const openBrowserShortcutsBtn = document.getElementById('openBrowserShortcutsBtn');
+  openBrowserShortcutsBtn.addEventListener('click', () => {
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  // Open all changed files
+  const openAllSkipPatternsInput = document.getElementById('openAllSkipPatterns');
+  openAllSkipPatternsInput.addEventListener('change', async () => {
+    try {
+      await saveOpenAllSkipPatterns();
+    } catch (error) {
+      console.error('Error saving skipped files:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
+  const openAllLaunchIntervalInput = document.getElementById('openAllLaunchInterval');
+  openAllLaunchIntervalInput.addEventListener('change', async () => {
+    try {
+      await saveOpenAllLaunchInterval();
+    } catch (error) {
+      console.error('Error saving launch delay:', error);
+      showStatus('Failed to save settings', 'error');
+    }
+  });
+
   // Domain management
   const addDomainBtn = document.getElementById('addDomainBtn');
   addDomainBtn.addEventListener('click', addDomain);
@@ -1,36 +1,72 @@
 // GitHub Hyper - Absolute Time Display
-// Converts GitHub's relative time to absolute datetime format
-//
-// NOTE: This content script is injected based on the "matches" pattern in manifest.json.
-// While custom domains can be added in settings and permissions requested,
-// the script will only auto-inject on those domains after a browser/extension reload
-// or when the user refreshes tabs on those domains.
+// Converts GitHub's relative time (and other time elements) to absolute datetime format
+
+import {
+  formatDateTime,
+  formatDateTimeInZones,
+  resolveTimeFormat,
+  DEFAULT_TIME_FORMAT,
+  LOCAL_TIME_ZONE
+} from './time-format.js';
+import {
+  applyAgeHighlight,
+  injectAgeStyles,
+  isAgeHighlightPage,
+  AGE_ATTR,
+  DEFAULT_AGE_THRESHOLDS
+} from './age-highlight.js';
+import {
+  buildTimeSelector,
+  getTimeElementFormat,
+  DEFAULT_TIME_SELECTORS
+} from './time-elements.js';
+import { closeCopyMenu, showCopyMenu } from './copy-menu.js';
+
+export { formatDateTime };
 
 const PROCESSED_ATTR = 'data-gh-hyper-processed';
 
-/**
- * Formats ISO datetime string to localized format with UTC offset: yyyy-MM-dd HH:mm:ss (UTC format is hidden)
- * @param {string} isoString - ISO 8601 datetime string
- * @returns {string} Formatted datetime string with timezone indicator
- */
-export function formatDateTime(isoString) {
-    const date = new Date(isoString);
+const HIDDEN_ATTR = 'data-gh-hyper-hidden';
+const HOVERCARD_ID = 'gh-hyper-hovercard';
 
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    const seconds = String(date.getSeconds()).padStart(2, '0');
+// Span injected for each processed element, so it can be re-rendered or removed later
+const injectedSpans = new WeakMap();
+// Source element of each injected span, for the copy menu
+const spanSources = new WeakMap();
 
-    return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
+// Verbs GitHub puts before timestamps, e.g. "octocat commented <time>"
+const TIMESTAMP_ACTION_REGEX = /\b(commented|opened|closed|reopened|merged|reviewed|approved|committed|pushed|released|published|edited|updated|created|deployed|requested)\b/g;
+
+export const DISPLAY_MODES = ['below', 'replace', 'tooltip'];
+
+const DEFAULT_TIME_SELECTOR = DEFAULT_TIME_SELECTORS.join(', ');
+
+/**
+ * Formats the datetime of a time element with the current display options
+ * @param {string} datetime - ISO 8601 datetime string
+ * @param {Object} options - Display options
+ * @param {string} [pattern] - Pattern overriding options.format
+ * @returns {string} Formatted datetime string
+ */
+function formatForDisplay(datetime, options, pattern = options.format) {
+    return formatDateTimeInZones(
+      datetime,
+      pattern || DEFAULT_TIME_FORMAT,
+      options.timeZones
+    );
   }
 
 /**
- * Processes a relative-time element to add absolute time display
- * @param {HTMLElement} relativeTimeElement - The <relative-time> element
+ * Processes a time element (<relative-time>, <local-time>, ...) to add absolute time display
+ * @param {HTMLElement} relativeTimeElement - The time element
+ * @param {Object} options - Display options
+ * @param {string} options.format - Format pattern (see time-format.js)
+ * @param {Array<string>} options.timeZones - IANA zones to show, 'local' for the browser's zone
+ * @param {string} options.mode - One of DISPLAY_MODES, defaults to 'below'
+ * @param {Object} [options.ageThresholds] - Age highlight thresholds in days, or null to disable
+ * @param {string} [options.selector] - Combined time element selector, defaults to all known elements
  */
-export function processRelativeTime(relativeTimeElement) {
+export function processRelativeTime(relativeTimeElement, options = {}) {
     // Skip if already processed
     if (relativeTimeElement.hasAttribute(PROCESSED_ATTR)) {
       return;
@@ -42,14 +78,58 @@ export function processRelativeTime(relativeTimeElement) {
       return;
     }
 
+    // Skip elements that already show what we would add (see time-elements.js)
+    const pattern = getTimeElementFormat(
+      relativeTimeElement,
+      options.format || DEFAULT_TIME_FORMAT,
+      options.selector || DEFAULT_TIME_SELECTOR
+    );
+    if (!pattern) {
+      return;
+    }
+
     try {
+      // Tooltip mode leaves the page alone; the hover card formats on demand
+      if (options.mode === 'tooltip') {
+        if (options.ageThresholds) {
+          applyAgeHighlight([relativeTimeElement], datetime, options.ageThresholds);
+        }
+        relativeTimeElement.setAttribute(PROCESSED_ATTR, 'true');
+        return;
+      }
+
       // Format the datetime
-      const formattedTime = formatDateTime(datetime);
+      const formattedTime = formatForDisplay(datetime, options, pattern);
 
       // Create span element for absolute time
       const absoluteTimeSpan = document.createElement('span');
       absoluteTimeSpan.className = 'gh-hyper-absolute-time';
       absoluteTimeSpan.textContent = `${formattedTime}`;
+      absoluteTimeSpan.title = 'Click to copy';
+      absoluteTimeSpan.tabIndex = 0;
+      absoluteTimeSpan.setAttribute('role', 'button');
+      absoluteTimeSpan.style.cursor = 'pointer';
+      spanSources.set(absoluteTimeSpan, relativeTimeElement);
+
+      if (options.ageThresholds) {
+        applyAgeHighlight([relativeTimeElement, absoluteTimeSpan], datetime, options.ageThresholds);
+      }
+
+      if (options.mode === 'replace') {
+        // Show the absolute time in place of the relative text
+        const parent = relativeTimeElement.parentNode;
+        if (!parent) {
+          console.warn('GitHub Hyper: Could not find parent for relative-time element');
+          return;
+        }
+        parent.insertBefore(absoluteTimeSpan, relativeTimeElement.nextSibling);
+        injectedSpans.set(relativeTimeElement, absoluteTimeSpan);
+        relativeTimeElement.style.display = 'none';
+        relativeTimeElement.setAttribute(HIDDEN_ATTR, 'true');
+        relativeTimeElement.setAttribute(PROCESSED_ATTR, 'true');
+        return;
+      }
+
       absoluteTimeSpan.style.display = 'block';
       absoluteTimeSpan.style.fontSize = '10px';
       absoluteTimeSpan.style.color = '#656d76';
@@ -62,6 +142,7 @@ export function processRelativeTime(relativeTimeElement) {
           absoluteTimeSpan,
           parent.nextSibling
         );
+        injectedSpans.set(relativeTimeElement, absoluteTimeSpan);
         // Mark as processed only if insertion succeeded
         relativeTimeElement.setAttribute(PROCESSED_ATTR, 'true');
       } else {
@@ -73,65 +154,331 @@ export function processRelativeTime(relativeTimeElement) {
   }
 
 /**
- * Processes all relative-time elements on the page
+ * Removes the absolute time injected for an element and clears its processed state
+ * @param {HTMLElement} relativeTimeElement - The <relative-time> element
  */
-export function processAllRelativeTimes() {
-    const relativeTimeElements = document.querySelectorAll('relative-time');
-    relativeTimeElements.forEach(processRelativeTime);
+export function releaseRelativeTime(relativeTimeElement) {
+    const span = injectedSpans.get(relativeTimeElement);
+    if (span) {
+      span.remove();
+      injectedSpans.delete(relativeTimeElement);
+    }
+
+    if (relativeTimeElement.hasAttribute(HIDDEN_ATTR)) {
+      relativeTimeElement.style.display = '';
+      relativeTimeElement.removeAttribute(HIDDEN_ATTR);
+    }
+
+    relativeTimeElement.removeAttribute(AGE_ATTR);
+    relativeTimeElement.removeAttribute(PROCESSED_ATTR);
   }
 
 /**
- * Initializes the MutationObserver to watch for dynamically added elements
+ * Re-renders the absolute time of an element, e.g. after its datetime attribute changed
+ * @param {HTMLElement} relativeTimeElement - The <relative-time> element
+ * @param {Object} options - Display options passed to processRelativeTime
  */
-export function initObserver() {
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check if the added node is a relative-time element
-            if (node.tagName === 'RELATIVE-TIME') {
-              processRelativeTime(node);
-            }
-            // Check if the added node contains relative-time elements
-            const relativeTimeElements = node.querySelectorAll('relative-time');
-            relativeTimeElements.forEach(processRelativeTime);
-          }
-        });
-      });
-    });
+export function refreshRelativeTime(relativeTimeElement, options = {}) {
+    releaseRelativeTime(relativeTimeElement);
+    processRelativeTime(relativeTimeElement, options);
+  }
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+/**
+ * Removes every injected absolute time and restores replaced elements,
+ * so the page can be processed again with different options
+ */
+export function resetAbsoluteTimes() {
+    document.querySelectorAll(`[${PROCESSED_ATTR}]`).forEach(releaseRelativeTime);
+
+    // Spans whose source element was replaced without us noticing
+    document.querySelectorAll('.gh-hyper-absolute-time').forEach(span => span.remove());
+
+    hideHoverCard();
+  }
+
+/**
+ * Gets the shared hover card, creating it on first use
+ * @returns {HTMLElement} Hover card element
+ */
+function getHoverCard() {
+    let card = document.getElementById(HOVERCARD_ID);
+    if (!card) {
+      card = document.createElement('div');
+      card.id = HOVERCARD_ID;
+      card.setAttribute('role', 'tooltip');
+      card.style.cssText = `
+        position: fixed;
+        z-index: 100;
+        padding: 4px 8px;
+        font-size: 12px;
+        color: var(--fgColor-default, #1f2328);
+        background: var(--overlay-bgColor, #ffffff);
+        border: 1px solid var(--borderColor-default, #d0d7de);
+        border-radius: 6px;
+        box-shadow: var(--shadow-floating-small, 0 1px 3px rgba(31, 35, 40, 0.12));
+        pointer-events: none;
+        white-space: nowrap;
+      `;
+      document.body.appendChild(card);
+    }
+    return card;
   }
 
 /**
- * Initializes the absolute time feature if enabled in settings
+ * Shows the hover card with the absolute time of an element
+ * @param {HTMLElement} element - Processed relative-time element
+ * @param {Object} options - Display options
  */
-export async function init() {
+export function showHoverCard(element, options) {
+    const datetime = element.getAttribute('datetime');
+    if (!datetime) {
+      return;
+    }
+
     try {
-      // Check if feature is enabled
-      const settings = await chrome.storage.sync.get({ enableAbsoluteTime: true });
+      const card = getHoverCard();
+      card.textContent = formatForDisplay(datetime, options);
+
+      const rect = element.getBoundingClientRect();
+      card.style.top = `${rect.bottom + 4}px`;
+      card.style.left = `${rect.left}px`;
+      card.hidden = false;
+    } catch (error) {
+      console.error('GitHub Hyper: Error showing absolute time', error);
+    }
+  }
+
+/**
+ * Hides the hover card if it exists
+ */
+export function hideHoverCard() {
+    const card = document.getElementById(HOVERCARD_ID);
+    if (card) {
+      card.hidden = true;
+    }
+  }
 
-      if (!settings.enableAbsoluteTime) {
-        console.log('GitHub Hyper: Absolute time feature is disabled');
+/**
+ * Listens for hovers and focus on processed elements to show the hover card in tooltip mode.
+ * Listeners are delegated from the document so switching modes needs no rebinding.
+ * @param {Object} options - Display options, read on every event
+ * @returns {Function} Removes the listeners
+ */
+export function initHoverCard(options) {
+    const findTarget = (event) => {
+      if (options.mode !== 'tooltip' || !event.target || !event.target.closest) {
+        return null;
+      }
+      return event.target.closest(`[${PROCESSED_ATTR}]`);
+    };
+
+    const show = (event) => {
+      const element = findTarget(event);
+      if (element) {
+        showHoverCard(element, options);
+      }
+    };
+
+    const hide = (event) => {
+      if (findTarget(event)) {
+        hideHoverCard();
+      }
+    };
+
+    document.addEventListener('mouseover', show);
+    document.addEventListener('focusin', show);
+    document.addEventListener('mouseout', hide);
+    document.addEventListener('focusout', hide);
+
+    return () => {
+      document.removeEventListener('mouseover', show);
+      document.removeEventListener('focusin', show);
+      document.removeEventListener('mouseout', hide);
+      document.removeEventListener('focusout', hide);
+    };
+  }
+
+/**
+ * Finds the action GitHub shows before a timestamp, e.g. "commented" in "octocat commented 5 days ago"
+ * @param {HTMLElement} element - Time element
+ * @returns {string} Action verb or empty string
+ */
+export function getTimestampAction(element) {
+    const container = element.closest('.TimelineItem-body, .timeline-comment-header, h2, h3, p, li') ||
+      element.parentElement;
+    if (!container) {
+      return '';
+    }
+
+    const range = document.createRange();
+    range.setStart(container, 0);
+    range.setEndBefore(element);
+    const matches = range.toString().match(TIMESTAMP_ACTION_REGEX);
+    return matches ? matches[matches.length - 1] : '';
+  }
+
+/**
+ * Builds the copy menu entries for a time element
+ * @param {HTMLElement} element - Time element
+ * @param {string} displayText - Text shown in the injected span
+ * @param {Object} options - Display options
+ * @returns {Array<{label: string, text: string}>} Menu entries
+ */
+export function getCopyFormats(element, displayText, options) {
+    const datetime = element.getAttribute('datetime');
+    const date = new Date(datetime);
+
+    // The Markdown line reads best with a single zone: "commented at 2026-10-18 10:30 KST"
+    const zones = options.timeZones && options.timeZones.length > 0 ? options.timeZones : [LOCAL_TIME_ZONE];
+    const timestamp = formatDateTimeInZones(datetime, options.format || DEFAULT_TIME_FORMAT, [zones[0]]);
+    const action = getTimestampAction(element);
+    const line = action ? `${action} at ${timestamp}` : timestamp;
+    const link = element.closest('a[href]');
+
+    return [
+      { label: 'ISO 8601 (UTC)', text: date.toISOString().replace(/\.\d{3}Z$/, 'Z') },
+      { label: 'Unix timestamp', text: String(Math.floor(date.getTime() / 1000)) },
+      { label: 'As displayed', text: displayText },
+      { label: 'Markdown', text: link ? `[${line}](${link.href})` : line }
+    ];
+  }
+
+/**
+ * Opens the copy menu when an injected span is clicked or activated with the keyboard.
+ * Listeners are delegated from the document and run in the capture phase so a
+ * surrounding link does not navigate.
+ * @param {Object} options - Display options, read on every event
+ * @returns {Function} Removes the listeners
+ */
+export function initCopyMenu(options) {
+    const open = (event) => {
+      const span = event.target && event.target.closest ? event.target.closest('.gh-hyper-absolute-time') : null;
+      const source = span && spanSources.get(span);
+      if (!source) {
         return;
       }
 
-      // Feature is enabled, proceed with initialization
-      processAllRelativeTimes();
-      initObserver();
-    } catch (error) {
-      console.error('GitHub Hyper: Error initializing:', error);
+      event.preventDefault();
+      event.stopPropagation();
+      showCopyMenu(span, getCopyFormats(source, span.textContent, options));
+    };
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        open(event);
+      }
+    };
+
+    document.addEventListener('click', open, true);
+    document.addEventListener('keydown', onKeyDown, true);
+
+    return () => {
+      document.removeEventListener('click', open, true);
+      document.removeEventListener('keydown', onKeyDown, true);
+    };
+  }
+
+/**
+ * Processes all time elements on the page
+ * @param {Object} options - Display options passed to processRelativeTime
+ */
+export function processAllRelativeTimes(options = {}) {
+    const relativeTimeElements = document.querySelectorAll(options.selector || DEFAULT_TIME_SELECTOR);
+    relativeTimeElements.forEach(element => processRelativeTime(element, options));
+  }
+
+/**
+ * Handles dynamically added and removed elements and datetime changes on reused elements
+ * @param {Array<MutationRecord>} mutations - Batch of DOM changes
+ * @param {Object} options - Display options passed to processRelativeTime
+ */
+export function handleMutations(mutations, options = {}) {
+    const selector = options.selector || DEFAULT_TIME_SELECTOR;
+    mutations.forEach((mutation) => {
+      // GitHub reuses time elements and only swaps the datetime
+      if (mutation.type === 'attributes') {
+        if (mutation.attributeName === 'datetime' && mutation.target.matches(selector)) {
+          refreshRelativeTime(mutation.target, options);
+        }
+        return;
+      }
+
+      mutation.removedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          // Drop the spans of removed elements so they don't linger as orphans
+          if (node.hasAttribute(PROCESSED_ATTR)) {
+            releaseRelativeTime(node);
+          }
+          node.querySelectorAll(`[${PROCESSED_ATTR}]`).forEach(releaseRelativeTime);
+        }
+      });
+
+      mutation.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          // Check if the added node is a time element
+          if (node.matches(selector)) {
+            processRelativeTime(node, options);
+          }
+          // Check if the added node contains time elements
+          const relativeTimeElements = node.querySelectorAll(selector);
+          relativeTimeElements.forEach(element => processRelativeTime(element, options));
+        }
+      });
+    });
+  }
+
+/**
+ * Renders absolute times on the page
+ * @param {Object} settings - Settings read by the runtime
+ * @param {Object} page - Context of the page, see getPageContext
+ * @returns {{options: Object, cleanups: Array<Function>}} Display options and listener cleanups
+ */
+function setup(settings, page) {
+    const options = {
+      format: resolveTimeFormat(settings.timeFormat, settings.customTimeFormat),
+      timeZones: settings.timeZones,
+      mode: DISPLAY_MODES.includes(settings.timeDisplayMode) ? settings.timeDisplayMode : 'below',
+      ageThresholds: null,
+      selector: buildTimeSelector(settings.timeSelectors)
+    };
+
+    // Age highlighting only applies to issue/PR lists and PR timelines
+    if (settings.enableAgeHighlight && isAgeHighlightPage(page.pathname)) {
+      options.ageThresholds = settings.ageThresholds;
+      injectAgeStyles();
     }
+
+    processAllRelativeTimes(options);
+    const cleanups = [initHoverCard(options), initCopyMenu(options)];
+    return { options, cleanups };
   }
 
-// Initialize when DOM is ready (skip in test environment)
-if (typeof process === 'undefined' || process.env.NODE_ENV !== 'test') {
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+/**
+ * Removes the listeners and restores the time elements, e.g. when the feature is turned off
+ * or set up again with changed settings
+ * @param {{cleanups: Array<Function>}} state - State returned by setup
+ */
+function teardown({ cleanups }) {
+    cleanups.forEach(cleanup => cleanup());
+    closeCopyMenu();
+    resetAbsoluteTimes();
   }
-}
+
+export const absoluteTimeFeature = {
+  name: 'Absolute time',
+  enabledSetting: 'enableAbsoluteTime',
+  settings: {
+    enableAbsoluteTime: true,
+    timeFormat: 'default',
+    customTimeFormat: '',
+    timeZones: [LOCAL_TIME_ZONE],
+    timeDisplayMode: 'below',
+    enableAgeHighlight: false,
+    ageThresholds: DEFAULT_AGE_THRESHOLDS,
+    timeSelectors: DEFAULT_TIME_SELECTORS
+  },
+  observedAttributes: ['datetime'],
+  setup,
+  onMutations: (mutations, state) => handleMutations(mutations, state.options),
+  teardown
+};
@@ -3,9 +3,26 @@ import {
   formatDateTime,
   processRelativeTime,
   processAllRelativeTimes,
-  initObserver,
-  init
+  releaseRelativeTime,
+  refreshRelativeTime,
+  resetAbsoluteTimes,
+  showHoverCard,
+  hideHoverCard,
+  initHoverCard,
+  getTimestampAction,
+  getCopyFormats,
+  initCopyMenu,
+  handleMutations,
+  absoluteTimeFeature
 } from './absolute-time.js';
+import { RUNTIME_SETTINGS, createRuntime } from './runtime.js';
+
+async function startFeature() {
+  const runtime = createRuntime();
+  runtime.register(absoluteTimeFeature);
+  await runtime.start();
+  return runtime;
+}
 
 describe('formatDateTime', () => {
   it('should format ISO datetime string correctly with timezone', () => {
@@ -157,6 +174,15 @@ describe('processRelativeTime', () => {
     document.createElement = originalCreateElement;
   });
 
+  it('should show every configured time zone with a label', () => {
+    mockElement.getAttribute.mockReturnValue('2024-03-15T10:30:45Z');
+
+    processRelativeTime(mockElement, { timeZones: ['UTC', 'Asia/Seoul'] });
+
+    const insertedSpan = mockGrandParent.insertBefore.mock.calls[0][0];
+    expect(insertedSpan.textContent).toBe('2024-03-15 10:30:45 UTC · 2024-03-15 19:30:45 GMT+9');
+  });
+
   it('should insert span after parent nextSibling', () => {
     const mockNextSibling = {};
     mockParent.nextSibling = mockNextSibling;
@@ -171,6 +197,365 @@ describe('processRelativeTime', () => {
   });
 });
 
+describe('display modes', () => {
+  let timeline;
+  let relativeTime;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="timeline">
+        <a class="Link--secondary"><relative-time datetime="2024-03-15T10:30:45Z">5 days ago</relative-time></a>
+      </div>
+    `;
+    timeline = document.querySelector('.timeline');
+    relativeTime = document.querySelector('relative-time');
+    global.console.warn = jest.fn();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  it('should replace the relative text in place in replace mode', () => {
+    processRelativeTime(relativeTime, { mode: 'replace', timeZones: ['UTC'] });
+
+    const span = relativeTime.nextSibling;
+    expect(span.className).toBe('gh-hyper-absolute-time');
+    expect(span.textContent).toBe('2024-03-15 10:30:45 UTC');
+    expect(span.style.display).toBe('');
+    expect(span.parentNode).toBe(relativeTime.parentNode);
+    expect(relativeTime.style.display).toBe('none');
+    expect(relativeTime.hasAttribute('data-gh-hyper-processed')).toBe(true);
+  });
+
+  it('should warn when the element has no parent in replace mode', () => {
+    const detached = document.createElement('relative-time');
+    detached.setAttribute('datetime', '2024-03-15T10:30:45Z');
+
+    processRelativeTime(detached, { mode: 'replace' });
+
+    expect(console.warn).toHaveBeenCalledWith(
+      'GitHub Hyper: Could not find parent for relative-time element'
+    );
+    expect(detached.hasAttribute('data-gh-hyper-processed')).toBe(false);
+  });
+
+  it('should leave the page untouched in tooltip mode', () => {
+    processRelativeTime(relativeTime, { mode: 'tooltip' });
+
+    expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+    expect(relativeTime.hasAttribute('data-gh-hyper-processed')).toBe(true);
+  });
+
+  it('should highlight the relative time by age in tooltip mode', () => {
+    processRelativeTime(relativeTime, { mode: 'tooltip', ageThresholds: { fresh: 1, stale: 7, old: 30 } });
+
+    expect(relativeTime.getAttribute('data-gh-hyper-age')).toBe('old');
+  });
+
+  it('should highlight the injected span by age', () => {
+    processRelativeTime(relativeTime, { mode: 'replace', ageThresholds: { fresh: 1, stale: 7, old: 30 } });
+
+    expect(relativeTime.nextSibling.getAttribute('data-gh-hyper-age')).toBe('old');
+  });
+
+  it('should clear the age highlight on reset', () => {
+    processRelativeTime(relativeTime, { mode: 'tooltip', ageThresholds: { fresh: 1, stale: 7, old: 30 } });
+
+    resetAbsoluteTimes();
+
+    expect(relativeTime.hasAttribute('data-gh-hyper-age')).toBe(false);
+  });
+
+  it('should remove injected spans and restore replaced elements on reset', () => {
+    processRelativeTime(relativeTime, { mode: 'replace' });
+
+    resetAbsoluteTimes();
+
+    expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+    expect(relativeTime.style.display).toBe('');
+    expect(relativeTime.hasAttribute('data-gh-hyper-hidden')).toBe(false);
+    expect(relativeTime.hasAttribute('data-gh-hyper-processed')).toBe(false);
+    expect(timeline.textContent).toContain('5 days ago');
+  });
+
+  it('should remove orphaned spans on reset', () => {
+    const orphan = document.createElement('span');
+    orphan.className = 'gh-hyper-absolute-time';
+    timeline.appendChild(orphan);
+
+    resetAbsoluteTimes();
+
+    expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+  });
+});
+
+describe('hover card', () => {
+  let relativeTime;
+  let options;
+  let removeListeners;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<p><relative-time datetime="2024-03-15T10:30:45Z">5 days ago</relative-time></p>';
+    relativeTime = document.querySelector('relative-time');
+    options = { mode: 'tooltip', timeZones: ['UTC'] };
+    global.console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    if (removeListeners) {
+      removeListeners();
+      removeListeners = null;
+    }
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  it('should show the absolute time below the element', () => {
+    jest.spyOn(relativeTime, 'getBoundingClientRect').mockReturnValue({ bottom: 20, left: 30 });
+
+    showHoverCard(relativeTime, options);
+
+    const card = document.getElementById('gh-hyper-hovercard');
+    expect(card.textContent).toBe('2024-03-15 10:30:45 UTC');
+    expect(card.getAttribute('role')).toBe('tooltip');
+    expect(card.style.top).toBe('24px');
+    expect(card.style.left).toBe('30px');
+    expect(card.hidden).toBe(false);
+  });
+
+  it('should reuse a single card', () => {
+    showHoverCard(relativeTime, options);
+    showHoverCard(relativeTime, options);
+
+    expect(document.querySelectorAll('#gh-hyper-hovercard')).toHaveLength(1);
+  });
+
+  it('should ignore elements without datetime', () => {
+    showHoverCard(document.createElement('relative-time'), options);
+
+    expect(document.getElementById('gh-hyper-hovercard')).toBeNull();
+  });
+
+  it('should log errors for unparseable datetimes', () => {
+    relativeTime.setAttribute('datetime', 'not a date');
+
+    showHoverCard(relativeTime, options);
+
+    expect(console.error).toHaveBeenCalledWith(
+      'GitHub Hyper: Error showing absolute time',
+      expect.any(Error)
+    );
+  });
+
+  it('should hide the card', () => {
+    showHoverCard(relativeTime, options);
+    hideHoverCard();
+
+    expect(document.getElementById('gh-hyper-hovercard').hidden).toBe(true);
+  });
+
+  it('should do nothing when hiding before any card exists', () => {
+    expect(() => hideHoverCard()).not.toThrow();
+  });
+
+  it('should show and hide on hover and focus of processed elements in tooltip mode', () => {
+    removeListeners = initHoverCard(options);
+    processRelativeTime(relativeTime, options);
+
+    relativeTime.dispatchEvent(new Event('mouseover', { bubbles: true }));
+    const card = document.getElementById('gh-hyper-hovercard');
+    expect(card.hidden).toBe(false);
+
+    relativeTime.dispatchEvent(new Event('mouseout', { bubbles: true }));
+    expect(card.hidden).toBe(true);
+
+    relativeTime.dispatchEvent(new Event('focusin', { bubbles: true }));
+    expect(card.hidden).toBe(false);
+
+    relativeTime.dispatchEvent(new Event('focusout', { bubbles: true }));
+    expect(card.hidden).toBe(true);
+  });
+
+  it('should ignore hovers outside processed elements', () => {
+    removeListeners = initHoverCard(options);
+
+    relativeTime.dispatchEvent(new Event('mouseover', { bubbles: true }));
+    document.body.dispatchEvent(new Event('mouseout', { bubbles: true }));
+
+    expect(document.getElementById('gh-hyper-hovercard')).toBeNull();
+  });
+
+  it('should not show the card in other modes', () => {
+    options.mode = 'below';
+    removeListeners = initHoverCard(options);
+    relativeTime.setAttribute('data-gh-hyper-processed', 'true');
+
+    relativeTime.dispatchEvent(new Event('mouseover', { bubbles: true }));
+
+    expect(document.getElementById('gh-hyper-hovercard')).toBeNull();
+  });
+});
+
+describe('copy menu', () => {
+  let relativeTime;
+  let removeListeners;
+  const options = { timeZones: ['UTC', 'Asia/Seoul'], format: 'YYYY-MM-DD HH:mm' };
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="timeline-comment-header">
+        <strong><a href="/octocat">octocat</a></strong> commented
+        <a class="Link--secondary" href="https://github.com/owner/repo/pull/1#issuecomment-42"><relative-time datetime="2024-03-15T10:30:45Z">5 days ago</relative-time></a>
+      </div>
+    `;
+    relativeTime = document.querySelector('relative-time');
+  });
+
+  afterEach(() => {
+    if (removeListeners) {
+      removeListeners();
+      removeListeners = null;
+    }
+    document.body.innerHTML = '';
+    jest.restoreAllMocks();
+  });
+
+  it('should find the action before a timestamp', () => {
+    expect(getTimestampAction(relativeTime)).toBe('commented');
+  });
+
+  it('should return no action when none precedes the timestamp', () => {
+    document.body.innerHTML = '<p>Last touched <relative-time datetime="2024-03-15T10:30:45Z"></relative-time> ago, merged later</p>';
+    expect(getTimestampAction(document.querySelector('relative-time'))).toBe('');
+  });
+
+  it('should use the last action before the timestamp', () => {
+    document.body.innerHTML = '<li>opened and merged <relative-time datetime="2024-03-15T10:30:45Z"></relative-time></li>';
+    expect(getTimestampAction(document.querySelector('relative-time'))).toBe('merged');
+  });
+
+  it('should return no action for detached elements', () => {
+    expect(getTimestampAction(document.createElement('relative-time'))).toBe('');
+  });
+
+  it('should build ISO, epoch, display and Markdown formats', () => {
+    expect(getCopyFormats(relativeTime, 'displayed text', options)).toEqual([
+      { label: 'ISO 8601 (UTC)', text: '2024-03-15T10:30:45Z' },
+      { label: 'Unix timestamp', text: '1710498645' },
+      { label: 'As displayed', text: 'displayed text' },
+      { label: 'Markdown', text: '[commented at 2024-03-15 10:30 UTC](https://github.com/owner/repo/pull/1#issuecomment-42)' }
+    ]);
+  });
+
+  it('should build a plain Markdown line without a link or action', () => {
+    document.body.innerHTML = '<div><relative-time datetime="2024-03-15T10:30:45Z"></relative-time></div>';
+    const formats = getCopyFormats(document.querySelector('relative-time'), '', { timeZones: [] });
+
+    expect(formats[3].text).toMatch(/^2024-03-1[56] \d{2}:\d{2}:\d{2}$/);
+  });
+
+  it('should open the menu when an injected span is clicked', () => {
+    removeListeners = initCopyMenu(options);
+    processRelativeTime(relativeTime, options);
+    const span = document.querySelector('.gh-hyper-absolute-time');
+
+    const event = new MouseEvent('click', { bubbles: true, cancelable: true });
+    span.dispatchEvent(event);
+
+    expect(event.defaultPrevented).toBe(true);
+    const menu = document.getElementById('gh-hyper-copy-menu');
+    expect(menu.querySelectorAll('button')).toHaveLength(4);
+    expect(menu.querySelectorAll('button')[2].title).toBe(span.textContent);
+  });
+
+  it('should open the menu with Enter or Space on a span', () => {
+    removeListeners = initCopyMenu(options);
+    processRelativeTime(relativeTime, { ...options, mode: 'replace' });
+    const span = document.querySelector('.gh-hyper-absolute-time');
+
+    span.dispatchEvent(new KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+    expect(document.getElementById('gh-hyper-copy-menu')).toBeNull();
+
+    span.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    expect(document.getElementById('gh-hyper-copy-menu')).not.toBeNull();
+  });
+
+  it('should ignore clicks elsewhere', () => {
+    removeListeners = initCopyMenu(options);
+    const stray = document.createElement('span');
+    stray.className = 'gh-hyper-absolute-time';
+    document.body.appendChild(stray);
+
+    relativeTime.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    stray.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(document.getElementById('gh-hyper-copy-menu')).toBeNull();
+  });
+
+  it('should mark injected spans as clickable', () => {
+    processRelativeTime(relativeTime, options);
+    const span = document.querySelector('.gh-hyper-absolute-time');
+
+    expect(span.title).toBe('Click to copy');
+    expect(span.getAttribute('role')).toBe('button');
+    expect(span.tabIndex).toBe(0);
+    expect(span.style.cursor).toBe('pointer');
+  });
+});
+
+describe('time element quirks', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should add absolute time to time-ago and time elements', () => {
+    document.body.innerHTML = `
+      <div><span><time-ago datetime="2024-03-15T10:30:45Z">5 days ago</time-ago></span></div>
+      <div><span><time datetime="2024-03-16T10:30:45Z">yesterday</time></span></div>
+    `;
+
+    processAllRelativeTimes({ timeZones: ['UTC'] });
+
+    const spans = [...document.querySelectorAll('.gh-hyper-absolute-time')].map(span => span.textContent);
+    expect(spans).toEqual(['2024-03-15 10:30:45 UTC', '2024-03-16 10:30:45 UTC']);
+  });
+
+  it('should add only the time of day to local-time elements showing a date', () => {
+    document.body.innerHTML = `
+      <div><span><local-time datetime="2024-03-15T10:30:45Z" year="numeric" month="short" day="numeric">Mar 15, 2024</local-time></span></div>
+    `;
+
+    processAllRelativeTimes({ timeZones: ['UTC'] });
+
+    expect(document.querySelector('.gh-hyper-absolute-time').textContent).toBe('10:30:45 UTC');
+  });
+
+  it('should skip nested time elements so output is not duplicated', () => {
+    document.body.innerHTML = `
+      <div><span><relative-time datetime="2024-03-15T10:30:45Z"><time datetime="2024-03-15T10:30:45Z">Mar 15</time></relative-time></span></div>
+    `;
+
+    processAllRelativeTimes({ timeZones: ['UTC'] });
+
+    expect(document.querySelectorAll('.gh-hyper-absolute-time')).toHaveLength(1);
+    expect(document.querySelector('time').hasAttribute('data-gh-hyper-processed')).toBe(false);
+  });
+
+  it('should only query the configured selector', () => {
+    document.body.innerHTML = `
+      <div><span><relative-time datetime="2024-03-15T10:30:45Z">5 days ago</relative-time></span></div>
+      <div><span><time-ago datetime="2024-03-15T10:30:45Z">5 days ago</time-ago></span></div>
+    `;
+
+    processAllRelativeTimes({ selector: 'time-ago' });
+
+    expect(document.querySelectorAll('.gh-hyper-absolute-time')).toHaveLength(1);
+    expect(document.querySelector('time-ago').hasAttribute('data-gh-hyper-processed')).toBe(true);
+  });
+});
+
 describe('processAllRelativeTimes', () => {
   let mockElements;
   let querySelectorAllSpy;
@@ -211,7 +596,7 @@ describe('processAllRelativeTimes', () => {
   it('should process all relative-time elements', () => {
     processAllRelativeTimes();
 
-    expect(querySelectorAllSpy).toHaveBeenCalledWith('relative-time');
+    expect(querySelectorAllSpy).toHaveBeenCalledWith('relative-time, time-ago, local-time, time[datetime]');
     expect(mockElements[0].setAttribute).toHaveBeenCalledWith('data-gh-hyper-processed', 'true');
     expect(mockElements[1].setAttribute).toHaveBeenCalledWith('data-gh-hyper-processed', 'true');
   });
@@ -223,21 +608,101 @@ describe('processAllRelativeTimes', () => {
   });
 });
 
-describe('initObserver', () => {
-  let mockObserver;
-  let observerCallback;
+describe('injected span tracking', () => {
+  let relativeTime;
+  const options = { timeZones: ['UTC'] };
 
   beforeEach(() => {
-    mockObserver = {
-      observe: jest.fn(),
-      disconnect: jest.fn()
-    };
+    global.Node = { ELEMENT_NODE: 1 };
 
-    global.MutationObserver = jest.fn().mockImplementation((callback) => {
-      observerCallback = callback;
-      return mockObserver;
-    });
+    document.body.innerHTML = '<div class="item"><a><relative-time datetime="2024-03-15T10:30:45Z">5 days ago</relative-time></a></div>';
+    relativeTime = document.querySelector('relative-time');
+    processRelativeTime(relativeTime, options);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should remove the span and processed state on release', () => {
+    releaseRelativeTime(relativeTime);
+
+    expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+    expect(relativeTime.hasAttribute('data-gh-hyper-processed')).toBe(false);
+  });
+
+  it('should tolerate releasing an element that was never processed', () => {
+    const other = document.createElement('relative-time');
+    expect(() => releaseRelativeTime(other)).not.toThrow();
+  });
+
+  it('should re-render with the new datetime on refresh', () => {
+    relativeTime.setAttribute('datetime', '2024-04-01T00:00:00Z');
+
+    refreshRelativeTime(relativeTime, options);
+
+    const spans = document.querySelectorAll('.gh-hyper-absolute-time');
+    expect(spans).toHaveLength(1);
+    expect(spans[0].textContent).toBe('2024-04-01 00:00:00 UTC');
+  });
+
+  it('should re-render when the observer sees a datetime change', () => {
+    relativeTime.setAttribute('datetime', '2024-04-01T00:00:00Z');
+
+    handleMutations([{ type: 'attributes', target: relativeTime, attributeName: 'datetime' }], options);
+
+    const spans = document.querySelectorAll('.gh-hyper-absolute-time');
+    expect(spans).toHaveLength(1);
+    expect(spans[0].textContent).toBe('2024-04-01 00:00:00 UTC');
+  });
+
+  it('should ignore datetime changes on other elements', () => {
+    const time = document.createElement('div');
+    time.setAttribute('datetime', '2024-04-01T00:00:00Z');
+    document.body.appendChild(time);
+
+    handleMutations([{ type: 'attributes', target: time, attributeName: 'datetime' }], options);
+
+    expect(time.hasAttribute('data-gh-hyper-processed')).toBe(false);
+  });
+
+  it('should remove the span of a removed element', () => {
+    const link = relativeTime.parentNode;
+    link.remove();
+
+    handleMutations([{ type: 'childList', addedNodes: [], removedNodes: [relativeTime] }], options);
+
+    expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+    expect(relativeTime.hasAttribute('data-gh-hyper-processed')).toBe(false);
+  });
+
+  it('should remove the spans of elements inside a removed subtree', () => {
+    const link = relativeTime.parentNode;
+    link.remove();
+
+    handleMutations([{ type: 'childList', addedNodes: [], removedNodes: [link] }], options);
+
+    expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+  });
 
+  it('should render again when a removed element is re-added', () => {
+    const item = document.querySelector('.item');
+    const link = relativeTime.parentNode;
+    link.remove();
+    item.appendChild(link);
+
+    handleMutations([
+      { type: 'childList', addedNodes: [], removedNodes: [link] },
+      { type: 'childList', addedNodes: [link], removedNodes: [] }
+    ], options);
+
+    expect(document.querySelectorAll('.gh-hyper-absolute-time')).toHaveLength(1);
+    expect(relativeTime.hasAttribute('data-gh-hyper-processed')).toBe(true);
+  });
+});
+
+describe('handleMutations', () => {
+  beforeEach(() => {
     global.document = {
       body: {},
       querySelectorAll: jest.fn().mockReturnValue([])
@@ -254,22 +719,11 @@ describe('initObserver', () => {
     jest.restoreAllMocks();
   });
 
-  it('should initialize MutationObserver', () => {
-    initObserver();
-
-    expect(MutationObserver).toHaveBeenCalledTimes(1);
-    expect(mockObserver.observe).toHaveBeenCalledWith(document.body, {
-      childList: true,
-      subtree: true
-    });
-  });
-
   it('should process added RELATIVE-TIME elements', () => {
-    initObserver();
-
     const mockRelativeTimeNode = {
       nodeType: 1, // ELEMENT_NODE
       tagName: 'RELATIVE-TIME',
+      matches: jest.fn().mockReturnValue(true),
       hasAttribute: jest.fn().mockReturnValue(false),
       getAttribute: jest.fn().mockReturnValue('2024-03-15T10:30:45Z'),
       setAttribute: jest.fn(),
@@ -283,17 +737,17 @@ describe('initObserver', () => {
     };
 
     const mutations = [{
-      addedNodes: [mockRelativeTimeNode]
+      type: 'childList',
+      addedNodes: [mockRelativeTimeNode],
+      removedNodes: []
     }];
 
-    observerCallback(mutations);
+    handleMutations(mutations);
 
     expect(mockRelativeTimeNode.setAttribute).toHaveBeenCalledWith('data-gh-hyper-processed', 'true');
   });
 
   it('should process relative-time elements within added nodes', () => {
-    initObserver();
-
     const mockChildRelativeTime = {
       hasAttribute: jest.fn().mockReturnValue(false),
       getAttribute: jest.fn().mockReturnValue('2024-03-15T10:30:45Z'),
@@ -309,39 +763,41 @@ describe('initObserver', () => {
     const mockContainerNode = {
       nodeType: 1, // ELEMENT_NODE
       tagName: 'DIV',
+      matches: jest.fn().mockReturnValue(false),
       querySelectorAll: jest.fn().mockReturnValue([mockChildRelativeTime])
     };
 
     const mutations = [{
-      addedNodes: [mockContainerNode]
+      type: 'childList',
+      addedNodes: [mockContainerNode],
+      removedNodes: []
     }];
 
-    observerCallback(mutations);
+    handleMutations(mutations);
 
-    expect(mockContainerNode.querySelectorAll).toHaveBeenCalledWith('relative-time');
+    expect(mockContainerNode.querySelectorAll).toHaveBeenCalledWith('relative-time, time-ago, local-time, time[datetime]');
     expect(mockChildRelativeTime.setAttribute).toHaveBeenCalledWith('data-gh-hyper-processed', 'true');
   });
 
   it('should skip non-element nodes', () => {
-    initObserver();
-
     const mockTextNode = {
       nodeType: 3 // TEXT_NODE
     };
 
     const mutations = [{
-      addedNodes: [mockTextNode]
+      type: 'childList',
+      addedNodes: [mockTextNode],
+      removedNodes: [mockTextNode]
     }];
 
-    expect(() => observerCallback(mutations)).not.toThrow();
+    expect(() => handleMutations(mutations)).not.toThrow();
   });
 
   it('should handle multiple mutations', () => {
-    initObserver();
-
     const mockNode1 = {
       nodeType: 1,
       tagName: 'RELATIVE-TIME',
+      matches: jest.fn().mockReturnValue(true),
       hasAttribute: jest.fn().mockReturnValue(false),
       getAttribute: jest.fn().mockReturnValue('2024-03-15T10:30:45Z'),
       setAttribute: jest.fn(),
@@ -355,6 +811,7 @@ describe('initObserver', () => {
     const mockNode2 = {
       nodeType: 1,
       tagName: 'RELATIVE-TIME',
+      matches: jest.fn().mockReturnValue(true),
       hasAttribute: jest.fn().mockReturnValue(false),
       getAttribute: jest.fn().mockReturnValue('2024-03-16T10:30:45Z'),
       setAttribute: jest.fn(),
@@ -366,18 +823,18 @@ describe('initObserver', () => {
     };
 
     const mutations = [
-      { addedNodes: [mockNode1] },
-      { addedNodes: [mockNode2] }
+      { type: 'childList', addedNodes: [mockNode1], removedNodes: [] },
+      { type: 'childList', addedNodes: [mockNode2], removedNodes: [] }
     ];
 
-    observerCallback(mutations);
+    handleMutations(mutations);
 
     expect(mockNode1.setAttribute).toHaveBeenCalledWith('data-gh-hyper-processed', 'true');
     expect(mockNode2.setAttribute).toHaveBeenCalledWith('data-gh-hyper-processed', 'true');
   });
 });
 
-describe('init', () => {
+describe('absoluteTimeFeature', () => {
   let querySelectorAllSpy;
   let MutationObserverMock;
 
@@ -386,6 +843,10 @@ describe('init', () => {
       storage: {
         sync: {
           get: jest.fn()
+        },
+        onChanged: {
+          addListener: jest.fn(),
+          removeListener: jest.fn()
         }
       }
     };
@@ -414,19 +875,39 @@ describe('init', () => {
   it('should initialize when feature is enabled', async () => {
     chrome.storage.sync.get.mockResolvedValue({ enableAbsoluteTime: true });
 
-    await init();
-
-    expect(chrome.storage.sync.get).toHaveBeenCalledWith({ enableAbsoluteTime: true });
-    expect(querySelectorAllSpy).toHaveBeenCalledWith('relative-time');
+    await startFeature();
+
+    expect(chrome.storage.sync.get).toHaveBeenCalledWith({
+      ...RUNTIME_SETTINGS,
+      enableAbsoluteTime: true,
+      timeFormat: 'default',
+      customTimeFormat: '',
+      timeZones: ['local'],
+      timeDisplayMode: 'below',
+      enableAgeHighlight: false,
+      ageThresholds: { fresh: 1, stale: 7, old: 30 },
+      timeSelectors: ['relative-time', 'time-ago', 'local-time', 'time[datetime]']
+    });
+    expect(querySelectorAllSpy).toHaveBeenCalledWith('relative-time, time-ago, local-time, time[datetime]');
     expect(MutationObserverMock).toHaveBeenCalled();
   });
 
   it('should not initialize when feature is disabled', async () => {
     chrome.storage.sync.get.mockResolvedValue({ enableAbsoluteTime: false });
 
-    await init();
-
-    expect(chrome.storage.sync.get).toHaveBeenCalledWith({ enableAbsoluteTime: true });
+    await startFeature();
+
+    expect(chrome.storage.sync.get).toHaveBeenCalledWith({
+      ...RUNTIME_SETTINGS,
+      enableAbsoluteTime: true,
+      timeFormat: 'default',
+      customTimeFormat: '',
+      timeZones: ['local'],
+      timeDisplayMode: 'below',
+      enableAgeHighlight: false,
+      ageThresholds: { fresh: 1, stale: 7, old: 30 },
+      timeSelectors: ['relative-time', 'time-ago', 'local-time', 'time[datetime]']
+    });
     expect(console.log).toHaveBeenCalledWith('GitHub Hyper: Absolute time feature is disabled');
     expect(querySelectorAllSpy).not.toHaveBeenCalled();
     expect(MutationObserverMock).not.toHaveBeenCalled();
@@ -436,20 +917,193 @@ describe('init', () => {
     const error = new Error('Storage error');
     chrome.storage.sync.get.mockRejectedValue(error);
 
-    await init();
+    await startFeature();
 
-    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error initializing:', error);
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error reading settings:', error);
     expect(querySelectorAllSpy).not.toHaveBeenCalled();
   });
 
+  it('should query the saved time element selectors', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableAbsoluteTime: true,
+      timeSelectors: ['relative-time', ' time-ago ', '']
+    });
+
+    await startFeature();
+
+    expect(querySelectorAllSpy).toHaveBeenCalledWith('relative-time, time-ago');
+  });
+
+  it('should format with the saved time format', async () => {
+    const element = {
+      hasAttribute: jest.fn().mockReturnValue(false),
+      getAttribute: jest.fn().mockReturnValue('2024-03-15T10:30:45Z'),
+      setAttribute: jest.fn(),
+      parentNode: {
+        parentNode: { insertBefore: jest.fn() },
+        nextSibling: null
+      }
+    };
+    querySelectorAllSpy.mockReturnValue([element]);
+    chrome.storage.sync.get.mockResolvedValue({
+      enableAbsoluteTime: true,
+      timeFormat: 'custom',
+      customTimeFormat: '[on] YYYY',
+      timeZones: ['Asia/Seoul']
+    });
+
+    await startFeature();
+
+    const insertedSpan = element.parentNode.parentNode.insertBefore.mock.calls[0][0];
+    expect(insertedSpan.textContent).toBe('on 2024 GMT+9');
+  });
+
+  it('should highlight by age on issue and PR list pages when enabled', async () => {
+    const element = {
+      hasAttribute: jest.fn().mockReturnValue(false),
+      getAttribute: jest.fn().mockReturnValue('2000-01-01T00:00:00Z'),
+      setAttribute: jest.fn(),
+      parentNode: {
+        parentNode: { insertBefore: jest.fn() },
+        nextSibling: null
+      }
+    };
+    querySelectorAllSpy.mockReturnValue([element]);
+    window.history.pushState({}, '', '/owner/repo/issues');
+    chrome.storage.sync.get.mockResolvedValue({
+      enableAbsoluteTime: true,
+      enableAgeHighlight: true,
+      ageThresholds: { fresh: 1, stale: 7, old: 30 }
+    });
+
+    await startFeature();
+
+    expect(element.setAttribute).toHaveBeenCalledWith('data-gh-hyper-age', 'old');
+    expect(document.getElementById('gh-hyper-age-styles')).not.toBeNull();
+    window.history.pushState({}, '', '/');
+  });
+
+  it('should not highlight by age on other pages', async () => {
+    const element = {
+      hasAttribute: jest.fn().mockReturnValue(false),
+      getAttribute: jest.fn().mockReturnValue('2000-01-01T00:00:00Z'),
+      setAttribute: jest.fn(),
+      parentNode: {
+        parentNode: { insertBefore: jest.fn() },
+        nextSibling: null
+      }
+    };
+    querySelectorAllSpy.mockReturnValue([element]);
+    window.history.pushState({}, '', '/owner/repo');
+    chrome.storage.sync.get.mockResolvedValue({
+      enableAbsoluteTime: true,
+      enableAgeHighlight: true,
+      ageThresholds: { fresh: 1, stale: 7, old: 30 }
+    });
+
+    await startFeature();
+
+    expect(element.setAttribute).not.toHaveBeenCalledWith('data-gh-hyper-age', expect.anything());
+    window.history.pushState({}, '', '/');
+  });
+
+  it('should watch datetime changes', async () => {
+    chrome.storage.sync.get.mockResolvedValue({ enableAbsoluteTime: true });
+
+    await startFeature();
+
+    const observer = MutationObserverMock.mock.results[0].value;
+    expect(observer.observe).toHaveBeenCalledWith(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['datetime']
+    });
+  });
+
+  describe('setting changes', () => {
+    let relativeTime;
+
+    beforeEach(() => {
+      querySelectorAllSpy.mockRestore();
+      document.body.innerHTML = '<div><p><relative-time datetime="2024-03-15T10:30:45Z">5 days ago</relative-time></p></div>';
+      relativeTime = document.querySelector('relative-time');
+      chrome.storage.sync.get.mockResolvedValue({
+        enableAbsoluteTime: true,
+        timeFormat: 'default',
+        timeZones: ['UTC'],
+        timeDisplayMode: 'below',
+        timeSelectors: ['relative-time']
+      });
+    });
+
+    afterEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    it('should re-render existing elements when the display mode changes', async () => {
+      const runtime = await startFeature();
+      expect(relativeTime.parentNode.nextSibling.className).toBe('gh-hyper-absolute-time');
+
+      await runtime.update({ timeDisplayMode: { oldValue: 'below', newValue: 'replace' } });
+
+      expect(document.querySelectorAll('.gh-hyper-absolute-time')).toHaveLength(1);
+      expect(relativeTime.nextSibling.className).toBe('gh-hyper-absolute-time');
+      expect(relativeTime.style.display).toBe('none');
+    });
+
+    it('should fall back to below for unknown display modes', async () => {
+      const runtime = await startFeature();
+
+      await runtime.update({ timeDisplayMode: { newValue: 'sideways' } });
+
+      expect(relativeTime.parentNode.nextSibling.className).toBe('gh-hyper-absolute-time');
+      expect(relativeTime.style.display).toBe('');
+    });
+
+    it('should re-render with a changed time zone', async () => {
+      const runtime = await startFeature();
+
+      await runtime.update({ timeZones: { newValue: ['Asia/Seoul'] } });
+
+      expect(document.querySelector('.gh-hyper-absolute-time').textContent).toBe('2024-03-15 19:30:45 GMT+9');
+    });
+
+    it('should remove its spans and listeners when turned off', async () => {
+      const runtime = await startFeature();
+      const observer = MutationObserverMock.mock.results[0].value;
+
+      await runtime.update({ enableAbsoluteTime: { oldValue: true, newValue: false } });
+
+      expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+      expect(relativeTime.hasAttribute('data-gh-hyper-processed')).toBe(false);
+      expect(observer.disconnect).toHaveBeenCalled();
+
+      await runtime.update({ enableAbsoluteTime: { oldValue: false, newValue: true } });
+
+      expect(document.querySelectorAll('.gh-hyper-absolute-time')).toHaveLength(1);
+    });
+
+    it('should restore the page when stopped', async () => {
+      const runtime = await startFeature();
+
+      runtime.stop();
+
+      expect(document.querySelector('.gh-hyper-absolute-time')).toBeNull();
+      expect(chrome.storage.onChanged.removeListener).toHaveBeenCalledWith(
+        chrome.storage.onChanged.addListener.mock.calls[0][0]
+      );
+    });
+  });
+
   it('should default to enabled when no setting exists', async () => {
     // When chrome.storage.sync.get is called with a default value,
     // it returns the default if no value is stored
     chrome.storage.sync.get.mockResolvedValue({ enableAbsoluteTime: true });
 
-    await init();
+    await startFeature();
 
-    expect(querySelectorAllSpy).toHaveBeenCalledWith('relative-time');
+    expect(querySelectorAllSpy).toHaveBeenCalledWith('relative-time, time-ago, local-time, time[datetime]');
     expect(MutationObserverMock).toHaveBeenCalled();
   });
 });
@@ -0,0 +1,92 @@
+// GitHub Hyper - Age Highlight
+// Color codes timestamps by age so stale issues and PRs stand out during triage
+
+export const AGE_ATTR = 'data-gh-hyper-age';
+
+const STYLE_ID = 'gh-hyper-age-styles';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_AGE_THRESHOLDS = {
+  fresh: 1,
+  stale: 7,
+  old: 30
+};
+
+/**
+ * Checks whether age highlighting applies to a page: issue and PR lists and PR timelines
+ * @param {string} pathname - URL pathname
+ * @returns {boolean} True if timestamps on the page should be highlighted
+ */
+export function isAgeHighlightPage(pathname) {
+  // Global dashboards: /issues, /pulls
+  if (/^\/(issues|pulls)\/?$/.test(pathname)) {
+    return true;
+  }
+  // Repository lists and PR timelines: /owner/repo/issues, /owner/repo/pulls, /owner/repo/pull/123
+  return /^\/[^/]+\/[^/]+\/(issues|pulls)\/?$/.test(pathname) ||
+    /^\/[^/]+\/[^/]+\/pull\/\d+\/?$/.test(pathname);
+}
+
+/**
+ * Gets the age level of a datetime from user-defined thresholds in days
+ * @param {string} isoString - ISO 8601 datetime string
+ * @param {Object} thresholds - { fresh, stale, old } in days
+ * @param {number} now - Reference time in milliseconds, defaults to the current time
+ * @returns {string} 'fresh', 'stale', 'old' or '' when no level applies
+ */
+export function getAgeLevel(isoString, thresholds, now = Date.now()) {
+  const time = new Date(isoString).getTime();
+  if (isNaN(time)) {
+    return '';
+  }
+
+  const { fresh, stale, old } = { ...DEFAULT_AGE_THRESHOLDS, ...thresholds };
+  const ageDays = (now - time) / DAY_MS;
+
+  if (ageDays > old) {
+    return 'old';
+  }
+  if (ageDays > stale) {
+    return 'stale';
+  }
+  if (ageDays < fresh) {
+    return 'fresh';
+  }
+  return '';
+}
+
+/**
+ * Marks elements with the age level of a datetime
+ * @param {Array<HTMLElement>} elements - Elements to color, e.g. the time element and its injected span
+ * @param {string} isoString - ISO 8601 datetime string
+ * @param {Object} thresholds - { fresh, stale, old } in days
+ */
+export function applyAgeHighlight(elements, isoString, thresholds) {
+  const level = getAgeLevel(isoString, thresholds);
+  elements.forEach(element => {
+    if (level) {
+      element.setAttribute(AGE_ATTR, level);
+    } else {
+      element.removeAttribute(AGE_ATTR);
+    }
+  });
+}
+
+/**
+ * Injects the highlight styles once. Colors use GitHub's Primer variables so they
+ * follow the light and dark themes, with light theme values as fallbacks.
+ */
+export function injectAgeStyles() {
+  if (document.getElementById(STYLE_ID)) {
+    return;
+  }
+
+  const style = document.createElement('style');
+  style.id = STYLE_ID;
+  style.textContent = `
+    [${AGE_ATTR}="fresh"] { color: var(--fgColor-success, #1a7f37) !important; }
+    [${AGE_ATTR}="stale"] { color: var(--fgColor-attention, #9a6700) !important; }
+    [${AGE_ATTR}="old"] { color: var(--fgColor-danger, #d1242f) !important; font-weight: 600; }
+  `;
+  document.head.appendChild(style);
+}
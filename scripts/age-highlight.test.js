@@ -0,0 +1,108 @@
+import {
+  AGE_ATTR,
+  DEFAULT_AGE_THRESHOLDS,
+  isAgeHighlightPage,
+  getAgeLevel,
+  applyAgeHighlight,
+  injectAgeStyles
+} from './age-highlight.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2024-03-31T00:00:00Z');
+const daysAgo = (days) => new Date(now - days * DAY_MS).toISOString();
+
+describe('isAgeHighlightPage', () => {
+  it('should match repository issue and PR lists', () => {
+    expect(isAgeHighlightPage('/owner/repo/issues')).toBe(true);
+    expect(isAgeHighlightPage('/owner/repo/pulls/')).toBe(true);
+  });
+
+  it('should match global issue and PR dashboards', () => {
+    expect(isAgeHighlightPage('/issues')).toBe(true);
+    expect(isAgeHighlightPage('/pulls')).toBe(true);
+  });
+
+  it('should match PR timelines', () => {
+    expect(isAgeHighlightPage('/owner/repo/pull/123')).toBe(true);
+  });
+
+  it('should not match other pages', () => {
+    expect(isAgeHighlightPage('/owner/repo')).toBe(false);
+    expect(isAgeHighlightPage('/owner/repo/pull/123/files')).toBe(false);
+    expect(isAgeHighlightPage('/owner/repo/issues/45')).toBe(false);
+    expect(isAgeHighlightPage('/owner/repo/commits/main')).toBe(false);
+  });
+});
+
+describe('getAgeLevel', () => {
+  it('should mark datetimes younger than the fresh threshold as fresh', () => {
+    expect(getAgeLevel(daysAgo(0.5), DEFAULT_AGE_THRESHOLDS, now)).toBe('fresh');
+  });
+
+  it('should not mark datetimes between the fresh and stale thresholds', () => {
+    expect(getAgeLevel(daysAgo(3), DEFAULT_AGE_THRESHOLDS, now)).toBe('');
+  });
+
+  it('should mark datetimes older than the stale threshold as stale', () => {
+    expect(getAgeLevel(daysAgo(8), DEFAULT_AGE_THRESHOLDS, now)).toBe('stale');
+  });
+
+  it('should mark datetimes older than the old threshold as old', () => {
+    expect(getAgeLevel(daysAgo(31), DEFAULT_AGE_THRESHOLDS, now)).toBe('old');
+  });
+
+  it('should use user-defined thresholds', () => {
+    const thresholds = { fresh: 3, stale: 14, old: 90 };
+    expect(getAgeLevel(daysAgo(2), thresholds, now)).toBe('fresh');
+    expect(getAgeLevel(daysAgo(31), thresholds, now)).toBe('stale');
+    expect(getAgeLevel(daysAgo(91), thresholds, now)).toBe('old');
+  });
+
+  it('should fill missing thresholds with defaults', () => {
+    expect(getAgeLevel(daysAgo(31), { fresh: 2 }, now)).toBe('old');
+  });
+
+  it('should default to the current time', () => {
+    expect(getAgeLevel(new Date().toISOString(), DEFAULT_AGE_THRESHOLDS)).toBe('fresh');
+  });
+
+  it('should return an empty level for invalid datetimes', () => {
+    expect(getAgeLevel('not a date', DEFAULT_AGE_THRESHOLDS, now)).toBe('');
+  });
+});
+
+describe('applyAgeHighlight', () => {
+  it('should set the age level on every element', () => {
+    const elements = [document.createElement('relative-time'), document.createElement('span')];
+
+    applyAgeHighlight(elements, '2000-01-01T00:00:00Z', DEFAULT_AGE_THRESHOLDS);
+
+    elements.forEach(element => expect(element.getAttribute(AGE_ATTR)).toBe('old'));
+  });
+
+  it('should clear a previous level when none applies', () => {
+    const element = document.createElement('relative-time');
+    element.setAttribute(AGE_ATTR, 'old');
+
+    applyAgeHighlight([element], new Date(Date.now() - 3 * DAY_MS).toISOString(), DEFAULT_AGE_THRESHOLDS);
+
+    expect(element.hasAttribute(AGE_ATTR)).toBe(false);
+  });
+});
+
+describe('injectAgeStyles', () => {
+  afterEach(() => {
+    document.head.innerHTML = '';
+  });
+
+  it('should add theme-aware styles once', () => {
+    injectAgeStyles();
+    injectAgeStyles();
+
+    const styles = document.head.querySelectorAll('#gh-hyper-age-styles');
+    expect(styles).toHaveLength(1);
+    expect(styles[0].textContent).toContain('var(--fgColor-success');
+    expect(styles[0].textContent).toContain('var(--fgColor-attention');
+    expect(styles[0].textContent).toContain('var(--fgColor-danger');
+  });
+});
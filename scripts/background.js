@@ -0,0 +1,64 @@
+// GitHub Hyper - Background Service Worker
+// Forwards the keyboard commands of the manifest to the content scripts of the tab they were pressed in,
+// and keeps the content script registered on the custom domains of the options
+
+import { COMMAND_MESSAGE_TYPE } from './keyboard-shortcuts.js';
+import { syncContentScripts } from './custom-domains.js';
+
+// Syncs run one after another, so overlapping events never register a domain twice
+let pendingSync = Promise.resolve();
+
+/**
+ * Forwards a browser command to a tab
+ * @param {string} command - Command name from the manifest
+ * @param {chrome.tabs.Tab} tab - Tab the command was pressed in
+ * @returns {Promise<void>}
+ */
+export async function forwardCommand(command, tab) {
+  if (!tab || tab.id === undefined) {
+    return;
+  }
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, { type: COMMAND_MESSAGE_TYPE, command });
+  } catch {
+    // Tabs without the content script, e.g. pages outside GitHub, have no receiver
+  }
+}
+
+/**
+ * Brings the content scripts of custom domains in line with the saved domains and granted permissions
+ * @returns {Promise<void>} Resolves once this and earlier syncs are done
+ */
+export function scheduleContentScriptSync() {
+  pendingSync = pendingSync.then(async () => {
+    try {
+      await syncContentScripts();
+    } catch (error) {
+      console.error('GitHub Hyper: Error registering content scripts for custom domains:', error);
+    }
+  });
+  return pendingSync;
+}
+
+/**
+ * Syncs the content scripts when the custom domain list changes
+ * @param {Object} changes - Changed settings
+ * @param {string} areaName - Storage area
+ */
+export function onStorageChanged(changes, areaName) {
+  if (areaName === 'sync' && changes.customDomains) {
+    scheduleContentScriptSync();
+  }
+}
+
+// Register listeners (skip in test environment)
+if (typeof process === 'undefined' || process.env.NODE_ENV !== 'test') {
+  chrome.commands.onCommand.addListener(forwardCommand);
+
+  chrome.runtime.onInstalled.addListener(scheduleContentScriptSync);
+  chrome.runtime.onStartup.addListener(scheduleContentScriptSync);
+  chrome.storage.onChanged.addListener(onStorageChanged);
+  chrome.permissions.onAdded.addListener(scheduleContentScriptSync);
+  chrome.permissions.onRemoved.addListener(scheduleContentScriptSync);
+}
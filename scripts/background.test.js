@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+import { forwardCommand, scheduleContentScriptSync, onStorageChanged } from './background.js';
+
+describe('forwardCommand', () => {
+  beforeEach(() => {
+    global.chrome = {
+      tabs: {
+        sendMessage: jest.fn().mockResolvedValue(undefined)
+      }
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  it('should send the command to the tab', async () => {
+    await forwardCommand('open-in-ide', { id: 4 });
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(4, { type: 'gh-hyper-command', command: 'open-in-ide' });
+  });
+
+  it('should ignore tabs without a content script', async () => {
+    chrome.tabs.sendMessage.mockRejectedValue(new Error('Receiving end does not exist.'));
+
+    await expect(forwardCommand('open-in-ide', { id: 4 })).resolves.toBeUndefined();
+  });
+
+  it('should ignore commands without a tab', async () => {
+    await forwardCommand('open-in-ide', undefined);
+    await forwardCommand('open-in-ide', {});
+
+    expect(chrome.tabs.sendMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('scheduleContentScriptSync', () => {
+  beforeEach(() => {
+    global.chrome = {
+      runtime: {
+        getManifest: jest.fn(() => ({ content_scripts: [{ js: ['content_scripts/content-0.js'] }] }))
+      },
+      storage: {
+        sync: {
+          get: jest.fn().mockResolvedValue({ customDomains: ['git.corp.example'] })
+        }
+      },
+      permissions: {
+        contains: jest.fn().mockResolvedValue(true)
+      },
+      scripting: {
+        getRegisteredContentScripts: jest.fn().mockResolvedValue([]),
+        registerContentScripts: jest.fn().mockResolvedValue(undefined),
+        unregisterContentScripts: jest.fn().mockResolvedValue(undefined),
+        executeScript: jest.fn().mockResolvedValue([])
+      },
+      tabs: {
+        query: jest.fn().mockResolvedValue([])
+      }
+    };
+    global.console.error = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  it('should register the content script of custom domains', async () => {
+    await scheduleContentScriptSync();
+
+    expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([
+      expect.objectContaining({ id: 'custom-domain:git.corp.example' })
+    ]);
+  });
+
+  it('should run syncs one after another', async () => {
+    let registered = [];
+    chrome.scripting.getRegisteredContentScripts.mockImplementation(async () => registered);
+    chrome.scripting.registerContentScripts.mockImplementation(async (scripts) => {
+      registered = scripts;
+    });
+
+    await Promise.all([scheduleContentScriptSync(), scheduleContentScriptSync()]);
+
+    expect(chrome.scripting.registerContentScripts).toHaveBeenCalledTimes(1);
+  });
+
+  it('should log errors and keep later syncs running', async () => {
+    const error = new Error('Duplicate script ID');
+    chrome.scripting.registerContentScripts.mockRejectedValueOnce(error);
+
+    await scheduleContentScriptSync();
+    await scheduleContentScriptSync();
+
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error registering content scripts for custom domains:', error);
+    expect(chrome.scripting.registerContentScripts).toHaveBeenCalledTimes(2);
+  });
+
+  it('should sync when the custom domains change', async () => {
+    onStorageChanged({ customDomains: { newValue: ['git.corp.example'] } }, 'sync');
+    await scheduleContentScriptSync();
+
+    expect(chrome.storage.sync.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('should ignore other setting changes', async () => {
+    onStorageChanged({ ideType: { newValue: 'goland' } }, 'sync');
+    onStorageChanged({ customDomains: { newValue: [] } }, 'local');
+
+    expect(chrome.storage.sync.get).not.toHaveBeenCalled();
+  });
+});
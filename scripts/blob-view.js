@@ -0,0 +1,104 @@
+// GitHub Hyper - Blob View
+// Reads the file and highlighted lines of a file page: /owner/repo/blob/<ref>/<path>#L10-L25
+
+// File name at the end of the breadcrumbs, in the React and the classic file view
+export const BLOB_FILE_NAME_SELECTOR = '[data-testid="breadcrumbs-filename"], .final-path';
+
+// Line number elements the user clicks to highlight lines
+export const BLOB_LINE_NUMBER_SELECTOR = '.react-line-number, td.blob-num, [data-line-number]';
+
+// Data the React file view embeds, including payload.refInfo.name
+const EMBEDDED_DATA_SELECTOR = 'script[data-target="react-app.embeddedData"]';
+// Ref name in the branch picker of the classic file view
+const REF_NAME_SELECTOR = '#branch-select-menu [data-menu-button], .branch-select-menu .css-truncate-target';
+const FULL_SHA_REGEX = /^[0-9a-f]{40}$/i;
+
+/**
+ * Parses the ref and file path of a file page.
+ * Branch names may contain slashes, so /blob/feature/cart/src/a.js could be the file src/a.js on
+ * feature/cart or cart/src/a.js on feature. Without the ref the page renders, only URLs that can be
+ * read one way are parsed: a full commit SHA, or a file at the root of a ref.
+ * @param {string} pathname - URL pathname
+ * @param {string} [ref] - Ref the page shows, e.g. 'feature/cart'
+ * @returns {{ref: string, filePath: string}|null} Ref and repository-relative path; null when the
+ *   URL does not start with the given ref or is ambiguous
+ */
+export function parseBlobPath(pathname, ref = '') {
+  const match = pathname.match(/^\/[^/]+\/[^/]+\/blob\/(.+?)\/?$/);
+  if (!match) {
+    return null;
+  }
+
+  let segments;
+  try {
+    segments = match[1].split('/').map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+
+  if (ref) {
+    const refSegments = ref.split('/');
+    if (segments.length <= refSegments.length || refSegments.some((segment, index) => segments[index] !== segment)) {
+      return null;
+    }
+    return { ref, filePath: segments.slice(refSegments.length).join('/') };
+  }
+
+  if (segments.length === 2 || FULL_SHA_REGEX.test(segments[0])) {
+    return { ref: segments[0], filePath: segments.slice(1).join('/') };
+  }
+  return null;
+}
+
+/**
+ * Reads the ref the file page renders: the embedded data of the React view, or the branch picker
+ * @param {Document} [root] - Document to read
+ * @returns {string} Ref name, or empty string when the page does not show one
+ */
+export function findRenderedRef(root = document) {
+  const embedded = root.querySelector(EMBEDDED_DATA_SELECTOR);
+  if (embedded) {
+    try {
+      const { payload } = JSON.parse(embedded.textContent);
+      if (payload && payload.refInfo && payload.refInfo.name) {
+        return payload.refInfo.name;
+      }
+    } catch {
+      // Fall back to the branch picker
+    }
+  }
+
+  const picker = root.querySelector(REF_NAME_SELECTOR);
+  return picker ? picker.textContent.trim() : '';
+}
+
+/**
+ * Resolves the ref and file path of the file page shown
+ * @param {string} pathname - URL pathname
+ * @param {Document} [root] - Document to read the rendered ref from
+ * @returns {{ref: string, filePath: string}|null} Ref and repository-relative path; null when the
+ *   path cannot be told apart from the ref, so no wrong file is opened
+ */
+export function resolveBlobPath(pathname, root = document) {
+  const ref = findRenderedRef(root);
+  return (ref && parseBlobPath(pathname, ref)) || parseBlobPath(pathname);
+}
+
+/**
+ * Parses a line fragment such as #L10, #L10-L25 or #L10C5-L12C3
+ * @param {string} hash - URL hash
+ * @returns {{line: number, column: number, endLine: number}|null} 1-based start line and column, and end line
+ */
+export function parseLineFragment(hash) {
+  const match = (hash || '').match(/^#L(\d+)(?:C(\d+))?(?:-L(\d+)(?:C\d+)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const line = parseInt(match[1], 10);
+  return {
+    line,
+    column: match[2] ? parseInt(match[2], 10) : 1,
+    endLine: match[3] ? parseInt(match[3], 10) : line
+  };
+}
@@ -0,0 +1,106 @@
+import { parseBlobPath, findRenderedRef, resolveBlobPath, parseLineFragment } from './blob-view.js';
+
+describe('parseBlobPath', () => {
+  it('should parse files at the root of a ref', () => {
+    expect(parseBlobPath('/owner/repo/blob/main/README.md')).toEqual({ ref: 'main', filePath: 'README.md' });
+  });
+
+  it('should parse commit refs', () => {
+    const sha = '0123456789abcdef0123456789abcdef01234567';
+    expect(parseBlobPath(`/owner/repo/blob/${sha}/src/index.js`)).toEqual({ ref: sha, filePath: 'src/index.js' });
+  });
+
+  it('should split off the given ref', () => {
+    expect(parseBlobPath('/owner/repo/blob/main/src/index.js', 'main')).toEqual({ ref: 'main', filePath: 'src/index.js' });
+    expect(parseBlobPath('/owner/repo/blob/feature/cart/src/a.js', 'feature/cart'))
+      .toEqual({ ref: 'feature/cart', filePath: 'src/a.js' });
+  });
+
+  it('should return null when the ref and the path cannot be told apart', () => {
+    expect(parseBlobPath('/owner/repo/blob/feature/cart/src/a.js')).toBeNull();
+  });
+
+  it('should return null when the URL does not start with the given ref', () => {
+    expect(parseBlobPath('/owner/repo/blob/main/src/a.js', 'develop')).toBeNull();
+    expect(parseBlobPath('/owner/repo/blob/feature/cart', 'feature/cart')).toBeNull();
+  });
+
+  it('should decode escaped characters', () => {
+    expect(parseBlobPath('/owner/repo/blob/main/docs/my%20file.md', 'main')).toEqual({ ref: 'main', filePath: 'docs/my file.md' });
+  });
+
+  it('should return null for malformed escapes', () => {
+    expect(parseBlobPath('/owner/repo/blob/main/bad%E0%A4%A.md')).toBeNull();
+  });
+
+  it('should return null for other pages', () => {
+    expect(parseBlobPath('/owner/repo/pull/1/files')).toBeNull();
+  });
+});
+
+describe('findRenderedRef', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should read the ref embedded by the React file view', () => {
+    document.body.innerHTML =
+      '<script type="application/json" data-target="react-app.embeddedData">{"payload":{"refInfo":{"name":"feature/cart"}}}</script>';
+    expect(findRenderedRef()).toBe('feature/cart');
+  });
+
+  it('should fall back to the branch picker', () => {
+    document.body.innerHTML = `
+      <script type="application/json" data-target="react-app.embeddedData">not json</script>
+      <details id="branch-select-menu"><summary><span data-menu-button> feature/cart </span></summary></details>
+    `;
+    expect(findRenderedRef()).toBe('feature/cart');
+  });
+
+  it('should return an empty string without a rendered ref', () => {
+    document.body.innerHTML =
+      '<script type="application/json" data-target="react-app.embeddedData">{"payload":{}}</script>';
+    expect(findRenderedRef()).toBe('');
+  });
+});
+
+describe('resolveBlobPath', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should use the rendered ref', () => {
+    document.body.innerHTML = '<div class="branch-select-menu"><span class="css-truncate-target">feature/cart</span></div>';
+    expect(resolveBlobPath('/owner/repo/blob/feature/cart/src/a.js')).toEqual({ ref: 'feature/cart', filePath: 'src/a.js' });
+  });
+
+  it('should fall back to URLs read one way when the rendered ref does not match', () => {
+    document.body.innerHTML = '<div class="branch-select-menu"><span class="css-truncate-target">main</span></div>';
+    const sha = '0123456789abcdef0123456789abcdef01234567';
+    expect(resolveBlobPath(`/owner/repo/blob/${sha}/src/a.js`)).toEqual({ ref: sha, filePath: 'src/a.js' });
+  });
+
+  it('should return null for ambiguous URLs without a rendered ref', () => {
+    expect(resolveBlobPath('/owner/repo/blob/feature/cart/src/a.js')).toBeNull();
+  });
+});
+
+describe('parseLineFragment', () => {
+  it('should parse a single line', () => {
+    expect(parseLineFragment('#L10')).toEqual({ line: 10, column: 1, endLine: 10 });
+  });
+
+  it('should parse a range', () => {
+    expect(parseLineFragment('#L10-L25')).toEqual({ line: 10, column: 1, endLine: 25 });
+  });
+
+  it('should parse columns', () => {
+    expect(parseLineFragment('#L10C5-L12C3')).toEqual({ line: 10, column: 5, endLine: 12 });
+  });
+
+  it('should return null for other fragments', () => {
+    expect(parseLineFragment('#readme')).toBeNull();
+    expect(parseLineFragment('')).toBeNull();
+    expect(parseLineFragment(undefined)).toBeNull();
+  });
+});
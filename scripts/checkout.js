@@ -0,0 +1,100 @@
+// GitHub Hyper - Checkout in IDE
+// Adds "Checkout in IDE" buttons that clone a repository, or the head branch of a pull request, in the IDE
+//
+// Clone URLs use the origin of the page, so enterprise and custom GitHub domains clone from themselves.
+// The head branch is read from the PR header (see page-context.js).
+
+import { buildCheckoutUrl } from './editors.js';
+import { findPullRequestHeadRef } from './page-context.js';
+
+export const REPO_CHECKOUT_BUTTON_ID = 'gh-hyper-repo-checkout-btn';
+export const PR_CHECKOUT_BUTTON_ID = 'gh-hyper-pr-checkout-btn';
+
+// Watch / Fork / Star buttons of repository pages
+const REPO_ACTIONS_SELECTOR = 'ul.pagehead-actions';
+// Edit / Code buttons next to the PR title, in the classic and the React header
+const PR_HEADER_ACTIONS_SELECTOR = '.gh-header-actions, [data-component="PH_Actions"]';
+
+/**
+ * Builds the HTTPS clone URL of a repository
+ * @param {string} origin - Site origin, e.g. 'https://github.com' or an enterprise host
+ * @param {string} repoSlug - 'owner/repo'
+ * @returns {string} Clone URL
+ */
+export function buildCloneUrl(origin, repoSlug) {
+  return `${origin}/${repoSlug}.git`;
+}
+
+/**
+ * Creates a checkout button
+ * @param {string} id - Element id
+ * @param {string} url - Checkout URL
+ * @param {string} title - Tooltip
+ * @param {Function} openUrl - Opens the URL
+ * @returns {HTMLElement} Button element
+ */
+function createCheckoutButton(id, url, title, openUrl) {
+  const button = document.createElement('button');
+  button.id = id;
+  button.type = 'button';
+  button.className = 'btn btn-sm';
+  button.textContent = '🚀 Checkout in IDE';
+  button.title = title;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    openUrl(url);
+  });
+  return button;
+}
+
+/**
+ * Adds the checkout buttons to the repository header and the pull request header, once each.
+ * Pull request pages show the repository header too, so the repository button is left to repository pages.
+ * @param {Object} options - Button options
+ * @param {string} options.ideType - IDE type the buttons clone in
+ * @param {string} options.ideName - IDE name for tooltips
+ * @param {string} options.origin - Site origin
+ * @param {string} options.repoSlug - 'owner/repo' of the page
+ * @param {string} options.pageType - Page type, see getPageContext
+ * @param {Function} options.openUrl - Opens a checkout URL
+ */
+export function injectCheckoutButtons({ ideType, ideName, origin, repoSlug, pageType, openUrl }) {
+  const repoActions = pageType === 'repository' && document.querySelector(REPO_ACTIONS_SELECTOR);
+  if (repoActions && !document.getElementById(REPO_CHECKOUT_BUTTON_ID)) {
+    const url = buildCheckoutUrl({ ideType, cloneUrl: buildCloneUrl(origin, repoSlug) });
+    if (url) {
+      const item = document.createElement('li');
+      item.appendChild(createCheckoutButton(REPO_CHECKOUT_BUTTON_ID, url, `Clone ${repoSlug} in ${ideName}`, openUrl));
+      repoActions.insertBefore(item, repoActions.firstChild);
+    }
+  }
+
+  const prActions = document.querySelector(PR_HEADER_ACTIONS_SELECTOR);
+  const headRef = prActions && !document.getElementById(PR_CHECKOUT_BUTTON_ID) && findPullRequestHeadRef(repoSlug);
+  if (headRef) {
+    const url = buildCheckoutUrl({
+      ideType,
+      cloneUrl: buildCloneUrl(origin, headRef.repoSlug),
+      branch: headRef.branch
+    });
+    if (url) {
+      const title = `Clone ${headRef.repoSlug} and check out ${headRef.branch} in ${ideName}`;
+      prActions.insertBefore(createCheckoutButton(PR_CHECKOUT_BUTTON_ID, url, title, openUrl), prActions.firstChild);
+    }
+  }
+}
+
+/**
+ * Removes the checkout buttons
+ */
+export function removeCheckoutButtons() {
+  const repoButton = document.getElementById(REPO_CHECKOUT_BUTTON_ID);
+  if (repoButton) {
+    repoButton.closest('li').remove();
+  }
+
+  const prButton = document.getElementById(PR_CHECKOUT_BUTTON_ID);
+  if (prButton) {
+    prButton.remove();
+  }
+}
@@ -0,0 +1,140 @@
+import { jest } from '@jest/globals';
+import {
+  REPO_CHECKOUT_BUTTON_ID,
+  PR_CHECKOUT_BUTTON_ID,
+  buildCloneUrl,
+  injectCheckoutButtons,
+  removeCheckoutButtons
+} from './checkout.js';
+
+const repoHeader = '<ul class="pagehead-actions"><li>Watch</li><li>Star</li></ul>';
+const prHeader = `
+  <div class="gh-header-actions"><button>Edit</button></div>
+  <span class="commit-ref head-ref" title="acme/shop:feature/cart"><a><span>feature/cart</span></a></span>
+`;
+
+function createOptions(overrides = {}) {
+  return {
+    ideType: 'idea',
+    ideName: 'IntelliJ IDEA',
+    origin: 'https://github.com',
+    repoSlug: 'acme/shop',
+    pageType: 'repository',
+    openUrl: jest.fn(),
+    ...overrides
+  };
+}
+
+describe('buildCloneUrl', () => {
+  it('should build the HTTPS clone URL on the page origin', () => {
+    expect(buildCloneUrl('https://github.com', 'acme/shop')).toBe('https://github.com/acme/shop.git');
+    expect(buildCloneUrl('https://git.corp.example', 'acme/shop')).toBe('https://git.corp.example/acme/shop.git');
+  });
+});
+
+describe('injectCheckoutButtons', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should add a button cloning the repository to the repository header', () => {
+    document.body.innerHTML = repoHeader;
+    const options = createOptions();
+
+    injectCheckoutButtons(options);
+
+    const button = document.getElementById(REPO_CHECKOUT_BUTTON_ID);
+    expect(button.closest('li').parentElement.firstElementChild).toBe(button.parentElement);
+    expect(button.textContent).toBe('🚀 Checkout in IDE');
+    expect(button.title).toBe('Clone acme/shop in IntelliJ IDEA');
+
+    button.click();
+    expect(options.openUrl).toHaveBeenCalledWith(
+      'jetbrains://idea/checkout/git?checkout.repo=https%3A%2F%2Fgithub.com%2Facme%2Fshop.git&idea.required.plugins.id=Git4Idea'
+    );
+  });
+
+  it('should add a button checking out the head branch to the pull request header', () => {
+    document.body.innerHTML = prHeader;
+    const options = createOptions({
+      ideType: 'vscode',
+      ideName: 'VS Code',
+      origin: 'https://git.corp.example',
+      pageType: 'pull-conversation'
+    });
+
+    injectCheckoutButtons(options);
+
+    const button = document.getElementById(PR_CHECKOUT_BUTTON_ID);
+    expect(button.parentElement.className).toBe('gh-header-actions');
+    expect(button.title).toBe('Clone acme/shop and check out feature/cart in VS Code');
+
+    button.click();
+    expect(options.openUrl).toHaveBeenCalledWith(
+      'vscode://vscode.git/clone?url=https%3A%2F%2Fgit.corp.example%2Facme%2Fshop.git&ref=feature%2Fcart'
+    );
+  });
+
+  it('should only add the pull request button on pull request pages', () => {
+    document.body.innerHTML = repoHeader + prHeader;
+
+    injectCheckoutButtons(createOptions({ pageType: 'pull-files' }));
+
+    expect(document.getElementById(REPO_CHECKOUT_BUTTON_ID)).toBeNull();
+    expect(document.querySelectorAll('[id$="-checkout-btn"]')).toHaveLength(1);
+    expect(document.getElementById(PR_CHECKOUT_BUTTON_ID)).not.toBeNull();
+  });
+
+  it('should not add the repository button on other pages', () => {
+    document.body.innerHTML = repoHeader;
+
+    injectCheckoutButtons(createOptions({ pageType: 'blob' }));
+
+    expect(document.getElementById(REPO_CHECKOUT_BUTTON_ID)).toBeNull();
+  });
+
+  it('should add each button once', () => {
+    document.body.innerHTML = repoHeader + prHeader;
+
+    injectCheckoutButtons(createOptions());
+    injectCheckoutButtons(createOptions());
+
+    expect(document.querySelectorAll(`#${REPO_CHECKOUT_BUTTON_ID}`)).toHaveLength(1);
+    expect(document.querySelectorAll(`#${PR_CHECKOUT_BUTTON_ID}`)).toHaveLength(1);
+  });
+
+  it('should not add buttons for editors that cannot clone', () => {
+    document.body.innerHTML = repoHeader + prHeader;
+
+    injectCheckoutButtons(createOptions({ ideType: 'zed', ideName: 'Zed' }));
+
+    expect(document.getElementById(REPO_CHECKOUT_BUTTON_ID)).toBeNull();
+    expect(document.getElementById(PR_CHECKOUT_BUTTON_ID)).toBeNull();
+  });
+
+  it('should not add the pull request button without a head ref', () => {
+    document.body.innerHTML = '<div class="gh-header-actions"></div>';
+
+    injectCheckoutButtons(createOptions());
+
+    expect(document.getElementById(PR_CHECKOUT_BUTTON_ID)).toBeNull();
+  });
+});
+
+describe('removeCheckoutButtons', () => {
+  it('should remove both buttons and the list item of the repository button', () => {
+    document.body.innerHTML = repoHeader + prHeader;
+    injectCheckoutButtons(createOptions());
+
+    removeCheckoutButtons();
+
+    expect(document.getElementById(REPO_CHECKOUT_BUTTON_ID)).toBeNull();
+    expect(document.getElementById(PR_CHECKOUT_BUTTON_ID)).toBeNull();
+    expect(document.querySelectorAll('ul.pagehead-actions li')).toHaveLength(2);
+  });
+
+  it('should do nothing without buttons', () => {
+    document.body.innerHTML = repoHeader;
+    expect(() => removeCheckoutButtons()).not.toThrow();
+  });
+});
@@ -0,0 +1,139 @@
+// GitHub Hyper - Code References
+// Finds file:line references such as "src/app/user.ts:142" or stack frames in comment text
+//
+// Recognizers are regular expressions with named groups:
+//   path      file path (required)
+//   line      1-based line number (required)
+//   column    1-based column number
+//   package   dotted Java/Kotlin package, turned into the directories in front of path
+//   class     class name of a Java/Kotlin stack frame, together with package the class JetBrains IDEs open
+//
+// Stack frames of the JVM name the package, not the source root holding it, so their paths are relative
+// to a source root such as src/main/java rather than to the repository.
+
+import { normalizePrefix } from './project-mappings.js';
+
+// Extensions of bare file names, without a directory, that are taken as references
+const SOURCE_FILE_EXTENSIONS = [
+  '[cm]?jsx?', '[cm]?tsx?', 'vue', 'svelte', 'py', 'rb', 'go', 'rs', 'java', 'kts?', 'scala', 'groovy',
+  'swift', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'php', 'exs?', 'erl', 'hs', 'lua', 'dart', 'sh', 'sql',
+  'ya?ml', 'json', 'toml', 'xml', 'html', 's?css', 'md', 'proto', 'tf'
+].join('|');
+
+export const DEFAULT_REFERENCE_PATTERNS = [
+  // JavaScript / TypeScript: "at handler (src/app.js:10:5)" or "at /srv/app/src/app.js:10:5"
+  String.raw`at (?:[^\s()]+ \()?(?<path>[^\s()]+?\.(?:[cm]?jsx?|tsx?|vue|svelte)):(?<line>\d+):(?<column>\d+)\)?`,
+  // Python: File "src/app/user.py", line 42
+  String.raw`File "(?<path>[^"]+\.py)", line (?<line>\d+)`,
+  // Java / Kotlin: at com.foo.Bar.method(Bar.java:88), also after a module or class loader as in java.base/ or app//
+  String.raw`at (?:[\w.$@-]*/)*(?<package>[a-z_$][\w$]*(?:\.[a-z_$][\w$]*)*)\.(?<class>[A-Z][\w$]*)(?:\.[\w$<>]+)+\((?<path>[\w$]+\.(?:java|kt|scala|groovy)):(?<line>\d+)\)`,
+  // Go: /home/ci/src/github.com/acme/svc/internal/x.go:42 +0x1d
+  String.raw`(?<path>[^\s:"'()]+\.go):(?<line>\d+)`,
+  // Any relative path with an extension: src/app/user.ts:142 or src/app/user.ts:142:7. A bare file name
+  // needs a source file extension, so host:port pairs such as redis.local:6379 are not references
+  String.raw`(?<![\w/.:@-])(?<path>(?:[\w.-]+/)+[\w-]+\.[A-Za-z]\w*|[\w-][\w.-]*\.(?:${SOURCE_FILE_EXTENSIONS})):(?<line>\d+)(?::(?<column>\d+))?`
+];
+
+/**
+ * Checks whether a pattern compiles and has the required named groups
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean} True if the pattern can be used as a recognizer
+ */
+export function isValidReferencePattern(pattern) {
+  if (!pattern || !pattern.includes('(?<path>') || !pattern.includes('(?<line>')) {
+    return false;
+  }
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compiles recognizer patterns, dropping invalid ones
+ * @param {Array<string>} patterns - Regular expression sources
+ * @returns {Array<RegExp>} Global regular expressions with match indices
+ */
+export function compileReferencePatterns(patterns) {
+  return (patterns || [])
+    .filter(isValidReferencePattern)
+    .map(pattern => new RegExp(pattern, 'gd'));
+}
+
+/**
+ * Finds code references in a text. When recognizers overlap, the earlier and then the longer
+ * match wins, and the earlier recognizer breaks ties.
+ * @param {string} text - Text to scan
+ * @param {Array<RegExp>} recognizers - Compiled recognizers
+ * @returns {Array<{start: number, end: number, path: string, line: number, column: number, className: string}>}
+ *   Ranges to link, from the path to the line or column, in text order. Stack frames with a package have the
+ *   fully qualified top-level class, and a path relative to the source root; className is empty otherwise.
+ */
+export function findCodeReferences(text, recognizers) {
+  const matches = [];
+
+  recognizers.forEach(recognizer => {
+    for (const match of text.matchAll(recognizer)) {
+      const { groups, indices } = match;
+      const line = parseInt(groups.line, 10);
+      if (!(line > 0)) {
+        continue;
+      }
+
+      const directories = groups.package ? `${groups.package.replace(/\./g, '/')}/` : '';
+      matches.push({
+        start: indices.groups.path[0],
+        end: Math.max(indices.groups.line[1], indices.groups.column ? indices.groups.column[1] : 0),
+        path: directories + groups.path,
+        line,
+        column: groups.column ? parseInt(groups.column, 10) : 1,
+        // Nested and anonymous classes (Bar$Inner, Bar$1) live in the file of their top-level class
+        className: groups.package && groups.class ? `${groups.package}.${groups.class.split('$')[0]}` : ''
+      });
+    }
+  });
+
+  matches.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const references = [];
+  matches.forEach(match => {
+    const previous = references[references.length - 1];
+    if (!previous || match.start >= previous.end) {
+      references.push(match);
+    }
+  });
+  return references;
+}
+
+/**
+ * Turns a referenced path into a repository-relative path.
+ * Absolute paths are cut after the last directory named like the repository.
+ * @param {string} path - Path as written in the reference
+ * @param {string} repoName - Repository name
+ * @returns {string} Repository-relative path, or empty string for absolute paths outside the repository
+ */
+export function toRepoRelativePath(path, repoName) {
+  const normalized = path.replace(/^file:\/\//, '').replace(/\\/g, '/');
+
+  const isAbsolute = /^(\/|[A-Za-z]:\/)/.test(normalized);
+  if (!isAbsolute) {
+    return normalized.replace(/^(\.\/)+/, '');
+  }
+
+  const marker = `/${repoName}/`;
+  const index = normalized.lastIndexOf(marker);
+  return repoName && index !== -1 ? normalized.slice(index + marker.length) : '';
+}
+
+/**
+ * Turns the path of a JVM stack frame, relative to its source root, into a repository-relative path
+ * @param {string} path - Package directories and file, e.g. 'com/acme/shop/Cart.java'
+ * @param {string} sourceRoot - Source root of the repository, e.g. 'src/main/java' or 'app/src/main/kotlin'
+ * @returns {string} Repository-relative path, or empty string without a source root
+ */
+export function toSourceRootPath(path, sourceRoot) {
+  const root = normalizePrefix(sourceRoot);
+  return root ? root + path : '';
+}
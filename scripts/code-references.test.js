@@ -0,0 +1,136 @@
+import {
+  DEFAULT_REFERENCE_PATTERNS,
+  isValidReferencePattern,
+  compileReferencePatterns,
+  findCodeReferences,
+  toRepoRelativePath,
+  toSourceRootPath
+} from './code-references.js';
+
+const recognizers = compileReferencePatterns(DEFAULT_REFERENCE_PATTERNS);
+const find = text => findCodeReferences(text, recognizers)
+  .map(({ start, end, path, line, column }) => ({ text: text.slice(start, end), path, line, column }));
+
+describe('isValidReferencePattern', () => {
+  it('should accept the built-in patterns', () => {
+    expect(DEFAULT_REFERENCE_PATTERNS.every(isValidReferencePattern)).toBe(true);
+  });
+
+  it('should require path and line groups', () => {
+    expect(isValidReferencePattern('(?<path>\\S+)')).toBe(false);
+    expect(isValidReferencePattern('(?<line>\\d+)')).toBe(false);
+    expect(isValidReferencePattern('')).toBe(false);
+  });
+
+  it('should reject patterns that do not compile', () => {
+    expect(isValidReferencePattern('(?<path>[a-z):(?<line>\\d+)')).toBe(false);
+  });
+});
+
+describe('compileReferencePatterns', () => {
+  it('should drop invalid patterns', () => {
+    expect(compileReferencePatterns(['(?<path>\\S+):(?<line>\\d+)', 'oops']).length).toBe(1);
+    expect(compileReferencePatterns(undefined)).toEqual([]);
+  });
+});
+
+describe('findCodeReferences', () => {
+  it('should find relative paths with line and column', () => {
+    expect(find('see src/app/user.ts:142 and ./lib/a.js:3:9')).toEqual([
+      { text: 'src/app/user.ts:142', path: 'src/app/user.ts', line: 142, column: 1 },
+      { text: './lib/a.js:3:9', path: './lib/a.js', line: 3, column: 9 }
+    ]);
+  });
+
+  it('should find JavaScript stack frames', () => {
+    expect(find('    at Object.handler (/srv/app/src/server.js:40:12)')).toEqual([
+      { text: '/srv/app/src/server.js:40:12', path: '/srv/app/src/server.js', line: 40, column: 12 }
+    ]);
+  });
+
+  it('should find Python stack frames', () => {
+    expect(find('  File "app/views.py", line 12, in index')).toEqual([
+      { text: 'app/views.py", line 12', path: 'app/views.py', line: 12, column: 1 }
+    ]);
+  });
+
+  it('should find Java stack frames with their package and class', () => {
+    expect(findCodeReferences('\tat com.foo.Bar$Inner.run(Bar.java:88)', recognizers)).toEqual([
+      { start: 26, end: 37, path: 'com/foo/Bar.java', line: 88, column: 1, className: 'com.foo.Bar' }
+    ]);
+  });
+
+  it('should find the frames of a Gradle build log', () => {
+    const log = [
+      'java.lang.IllegalStateException: Cart is empty',
+      '\tat com.acme.shop.cart.CartService.checkout(CartService.kt:57)',
+      '\tat com.acme.shop.api.CartController.lambda$post$0(CartController.java:31)',
+      '\tat java.base/java.lang.Thread.run(Thread.java:833)'
+    ].join('\n');
+
+    expect(findCodeReferences(log, recognizers).map(({ path, className }) => ({ path, className }))).toEqual([
+      { path: 'com/acme/shop/cart/CartService.kt', className: 'com.acme.shop.cart.CartService' },
+      { path: 'com/acme/shop/api/CartController.java', className: 'com.acme.shop.api.CartController' },
+      { path: 'java/lang/Thread.java', className: 'java.lang.Thread' }
+    ]);
+  });
+
+  it('should find Go stack frames', () => {
+    expect(find('\t/home/ci/go/src/github.com/acme/svc/internal/x.go:42 +0x1d')).toEqual([
+      { text: '/home/ci/go/src/github.com/acme/svc/internal/x.go:42', path: '/home/ci/go/src/github.com/acme/svc/internal/x.go', line: 42, column: 1 }
+    ]);
+  });
+
+  it('should not treat hosts and ports as references', () => {
+    expect(find('https://github.com:443/acme and user@example.com:22')).toEqual([]);
+    expect(find('connect to db.internal:5432, redis.local:6379 or example.com:8080')).toEqual([]);
+  });
+
+  it('should find bare file names with a source file extension', () => {
+    expect(find('fails in user.test.ts:12:4 and main.go:7')).toEqual([
+      { text: 'user.test.ts:12:4', path: 'user.test.ts', line: 12, column: 4 },
+      { text: 'main.go:7', path: 'main.go', line: 7, column: 1 }
+    ]);
+  });
+
+  it('should skip line 0', () => {
+    expect(find('src/a.ts:0')).toEqual([]);
+  });
+
+  it('should use custom recognizers', () => {
+    const custom = compileReferencePatterns([String.raw`(?<path>\w+\.rs) line (?<line>\d+)`]);
+    expect(findCodeReferences('panic in main.rs line 7', custom)).toEqual([
+      { start: 9, end: 23, path: 'main.rs', line: 7, column: 1, className: '' }
+    ]);
+  });
+});
+
+describe('toRepoRelativePath', () => {
+  it('should keep relative paths without leading ./', () => {
+    expect(toRepoRelativePath('./src/a.ts', 'shop')).toBe('src/a.ts');
+    expect(toRepoRelativePath('src/a.ts', 'shop')).toBe('src/a.ts');
+  });
+
+  it('should cut absolute paths after the repository directory', () => {
+    expect(toRepoRelativePath('/home/ci/shop/src/a.ts', 'shop')).toBe('src/a.ts');
+    expect(toRepoRelativePath('file:///srv/shop/shop/a.ts', 'shop')).toBe('a.ts');
+    expect(toRepoRelativePath('C:\\work\\shop\\src\\a.ts', 'shop')).toBe('src/a.ts');
+  });
+
+  it('should return empty string for absolute paths outside the repository', () => {
+    expect(toRepoRelativePath('/usr/lib/node/internal.js', 'shop')).toBe('');
+    expect(toRepoRelativePath('/usr/lib/a.js', '')).toBe('');
+  });
+});
+
+describe('toSourceRootPath', () => {
+  it('should put the package path below the source root', () => {
+    expect(toSourceRootPath('com/acme/shop/Cart.java', 'src/main/java')).toBe('src/main/java/com/acme/shop/Cart.java');
+    expect(toSourceRootPath('com/acme/shop/Cart.kt', '/app/src/main/kotlin/')).toBe('app/src/main/kotlin/com/acme/shop/Cart.kt');
+  });
+
+  it('should return empty string without a source root', () => {
+    expect(toSourceRootPath('com/acme/shop/Cart.java', '')).toBe('');
+    expect(toSourceRootPath('com/acme/shop/Cart.java', undefined)).toBe('');
+  });
+});
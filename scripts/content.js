@@ -0,0 +1,25 @@
+// GitHub Hyper - Content Script
+// Registers every feature with the shared runtime and starts it on GitHub pages
+//
+// The manifest injects this script on github.com; the background worker registers it on custom domains
+// and injects it into their open tabs (see custom-domains.js).
+
+import { createRuntime } from './runtime.js';
+import { absoluteTimeFeature } from './absolute-time.js';
+import { ideDeepLinkFeature } from './ide-deep-link.js';
+import { prLifecycleFeature } from './pr-lifecycle.js';
+
+export const FEATURES = [absoluteTimeFeature, ideDeepLinkFeature, prLifecycleFeature];
+
+// Initialize when DOM is ready (skip in test environment, and in tabs the script was already injected into)
+if ((typeof process === 'undefined' || process.env.NODE_ENV !== 'test') && !window.ghHyperStarted) {
+  window.ghHyperStarted = true;
+  const runtime = createRuntime();
+  FEATURES.forEach(feature => runtime.register(feature));
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', runtime.start);
+  } else {
+    runtime.start();
+  }
+}
@@ -0,0 +1,27 @@
+import { FEATURES } from './content.js';
+
+describe('FEATURES', () => {
+  it('should register each feature once', () => {
+    const names = FEATURES.map(feature => feature.name);
+    expect(names).toEqual(['Absolute time', 'IDE deep link', 'PR lifecycle']);
+  });
+
+  it('should give settings shared by features the same default', () => {
+    const defaults = {};
+    FEATURES.forEach(feature => {
+      Object.entries(feature.settings).forEach(([key, value]) => {
+        if (key in defaults) {
+          expect(value).toEqual(defaults[key]);
+        }
+        defaults[key] = value;
+      });
+    });
+  });
+
+  it('should declare a setup hook and the switch among the settings', () => {
+    FEATURES.forEach(feature => {
+      expect(typeof feature.setup).toBe('function');
+      expect(feature.settings).toHaveProperty(feature.enabledSetting);
+    });
+  });
+});
@@ -0,0 +1,142 @@
+// GitHub Hyper - Copy Menu
+// Small popup menu that copies one of several text values to the clipboard
+
+const MENU_ID = 'gh-hyper-copy-menu';
+const COPIED_FEEDBACK_DURATION = 1000; // milliseconds
+
+// Listeners that close the open menu, removed again on close
+let closeListeners = null;
+
+/**
+ * Copies text to the clipboard
+ * @param {string} text - Text to copy
+ * @returns {Promise<boolean>} True if the text was copied
+ */
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    console.error('GitHub Hyper: Could not copy to clipboard', error);
+    return false;
+  }
+}
+
+/**
+ * Closes the open copy menu, if any
+ */
+export function closeCopyMenu() {
+  const menu = document.getElementById(MENU_ID);
+  if (menu) {
+    menu.remove();
+  }
+
+  if (closeListeners) {
+    document.removeEventListener('mousedown', closeListeners.onMouseDown, true);
+    document.removeEventListener('keydown', closeListeners.onKeyDown, true);
+    closeListeners = null;
+  }
+}
+
+/**
+ * Creates a menu item button
+ * @param {{label: string, text: string}} item - Label and text to copy
+ * @returns {HTMLElement} Button element
+ */
+function createMenuItem(item) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.setAttribute('role', 'menuitem');
+  button.textContent = item.label;
+  button.title = item.text;
+  button.style.cssText = `
+    display: block;
+    width: 100%;
+    padding: 6px 12px;
+    border: none;
+    background: transparent;
+    color: inherit;
+    font-size: 12px;
+    text-align: left;
+    cursor: pointer;
+  `;
+
+  button.addEventListener('mouseenter', () => {
+    button.style.background = 'var(--bgColor-muted, #f6f8fa)';
+  });
+
+  button.addEventListener('mouseleave', () => {
+    button.style.background = 'transparent';
+  });
+
+  button.addEventListener('click', async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const menu = button.closest(`#${MENU_ID}`);
+    const copied = await copyText(item.text);
+    button.textContent = copied ? 'Copied!' : 'Copy failed';
+    setTimeout(() => {
+      // Leave a menu opened since the copy alone
+      if (menu.isConnected) {
+        closeCopyMenu();
+      }
+    }, COPIED_FEEDBACK_DURATION);
+  });
+
+  return button;
+}
+
+/**
+ * Opens a copy menu below an element, replacing any open menu
+ * @param {HTMLElement} anchorElement - Element the menu is attached to
+ * @param {Array<{label: string, text: string}>} items - Menu entries
+ * @returns {HTMLElement} Menu element
+ */
+export function showCopyMenu(anchorElement, items) {
+  closeCopyMenu();
+
+  const menu = document.createElement('div');
+  menu.id = MENU_ID;
+  menu.setAttribute('role', 'menu');
+  menu.style.cssText = `
+    position: fixed;
+    z-index: 100;
+    min-width: 160px;
+    padding: 4px 0;
+    color: var(--fgColor-default, #1f2328);
+    background: var(--overlay-bgColor, #ffffff);
+    border: 1px solid var(--borderColor-default, #d0d7de);
+    border-radius: 6px;
+    box-shadow: var(--shadow-floating-small, 0 1px 3px rgba(31, 35, 40, 0.12));
+  `;
+
+  items.forEach(item => menu.appendChild(createMenuItem(item)));
+
+  const rect = anchorElement.getBoundingClientRect();
+  menu.style.top = `${rect.bottom + 4}px`;
+  menu.style.left = `${rect.left}px`;
+  document.body.appendChild(menu);
+
+  closeListeners = {
+    onMouseDown: (e) => {
+      if (!menu.contains(e.target)) {
+        closeCopyMenu();
+      }
+    },
+    onKeyDown: (e) => {
+      if (e.key === 'Escape') {
+        closeCopyMenu();
+      }
+    }
+  };
+  document.addEventListener('mousedown', closeListeners.onMouseDown, true);
+  document.addEventListener('keydown', closeListeners.onKeyDown, true);
+
+  const firstItem = menu.querySelector('button');
+  if (firstItem) {
+    firstItem.focus();
+  }
+
+  return menu;
+}
@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import { copyText, showCopyMenu, closeCopyMenu } from './copy-menu.js';
+
+const ITEMS = [
+  { label: 'ISO 8601 (UTC)', text: '2024-03-15T10:30:45Z' },
+  { label: 'Unix timestamp', text: '1710498645' }
+];
+
+describe('copyText', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete navigator.clipboard;
+  });
+
+  it('should write text to the clipboard', async () => {
+    const writeText = jest.fn().mockResolvedValue(undefined);
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+    await expect(copyText('hello')).resolves.toBe(true);
+    expect(writeText).toHaveBeenCalledWith('hello');
+  });
+
+  it('should report failures', async () => {
+    const error = new Error('denied');
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText: jest.fn().mockRejectedValue(error) }, configurable: true });
+    global.console.error = jest.fn();
+
+    await expect(copyText('hello')).resolves.toBe(false);
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Could not copy to clipboard', error);
+  });
+});
+
+describe('showCopyMenu', () => {
+  let anchor;
+  let writeText;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    anchor = document.createElement('span');
+    document.body.appendChild(anchor);
+    jest.spyOn(anchor, 'getBoundingClientRect').mockReturnValue({ bottom: 10, left: 20 });
+    writeText = jest.fn().mockResolvedValue(undefined);
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  });
+
+  afterEach(() => {
+    closeCopyMenu();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    delete navigator.clipboard;
+    document.body.innerHTML = '';
+  });
+
+  it('should render one item per entry below the anchor', () => {
+    const menu = showCopyMenu(anchor, ITEMS);
+
+    expect(menu.getAttribute('role')).toBe('menu');
+    expect(menu.style.top).toBe('14px');
+    expect(menu.style.left).toBe('20px');
+    const buttons = menu.querySelectorAll('button');
+    expect(Array.from(buttons).map(button => button.textContent)).toEqual(['ISO 8601 (UTC)', 'Unix timestamp']);
+    expect(buttons[1].title).toBe('1710498645');
+    expect(document.activeElement).toBe(buttons[0]);
+  });
+
+  it('should replace an open menu', () => {
+    showCopyMenu(anchor, ITEMS);
+    showCopyMenu(anchor, ITEMS);
+
+    expect(document.querySelectorAll('#gh-hyper-copy-menu')).toHaveLength(1);
+  });
+
+  it('should copy the item text and close after feedback', async () => {
+    const menu = showCopyMenu(anchor, ITEMS);
+    const button = menu.querySelectorAll('button')[1];
+
+    button.click();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(writeText).toHaveBeenCalledWith('1710498645');
+    expect(button.textContent).toBe('Copied!');
+
+    jest.advanceTimersByTime(1000);
+    expect(document.getElementById('gh-hyper-copy-menu')).toBeNull();
+  });
+
+  it('should not close a menu opened after the copy', async () => {
+    const button = showCopyMenu(anchor, ITEMS).querySelector('button');
+
+    button.click();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    const nextMenu = showCopyMenu(anchor, ITEMS);
+    jest.advanceTimersByTime(1000);
+
+    expect(document.getElementById('gh-hyper-copy-menu')).toBe(nextMenu);
+  });
+
+  it('should show a failure message when copying fails', async () => {
+    writeText.mockRejectedValue(new Error('denied'));
+    global.console.error = jest.fn();
+    const button = showCopyMenu(anchor, ITEMS).querySelector('button');
+
+    button.click();
+    await Promise.resolve();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(button.textContent).toBe('Copy failed');
+  });
+
+  it('should reset the item background after hover', () => {
+    const button = showCopyMenu(anchor, ITEMS).querySelector('button');
+
+    button.dispatchEvent(new Event('mouseenter'));
+    button.dispatchEvent(new Event('mouseleave'));
+    expect(button.style.background).toBe('transparent');
+  });
+
+  it('should close on outside clicks but not inside clicks', () => {
+    const menu = showCopyMenu(anchor, ITEMS);
+
+    menu.querySelector('button').dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    expect(document.getElementById('gh-hyper-copy-menu')).not.toBeNull();
+
+    document.body.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    expect(document.getElementById('gh-hyper-copy-menu')).toBeNull();
+  });
+
+  it('should close on Escape only', () => {
+    showCopyMenu(anchor, ITEMS);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+    expect(document.getElementById('gh-hyper-copy-menu')).not.toBeNull();
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(document.getElementById('gh-hyper-copy-menu')).toBeNull();
+  });
+
+  it('should render an empty menu without items', () => {
+    const menu = showCopyMenu(anchor, []);
+
+    expect(menu.children).toHaveLength(0);
+  });
+});
+
+describe('closeCopyMenu', () => {
+  it('should do nothing when no menu is open', () => {
+    expect(() => closeCopyMenu()).not.toThrow();
+  });
+});
@@ -0,0 +1,110 @@
+// GitHub Hyper - Custom Domains
+// Registers the content script on the custom domains saved in the options, once their host permission is granted
+//
+// The manifest only matches github.com and *.github.com. For every other saved domain with a granted
+// permission the background worker registers the content script with chrome.scripting, and injects it
+// into tabs of that domain that were already open.
+
+// Registered content scripts of custom domains have ids like 'custom-domain:github.company.com'
+const SCRIPT_ID_PREFIX = 'custom-domain:';
+
+/**
+ * Gets the files of the manifest's content script. extension.js bundles scripts/content.js and its ES
+ * imports, which a classic content script cannot run, and points the emitted manifest at the bundle,
+ * so the running extension's manifest names the file to inject (tools/check-build.js checks it exists).
+ * @returns {Array<string>} Script files, e.g. ['content_scripts/content-0.js']
+ */
+export function getContentScriptFiles() {
+  return chrome.runtime.getManifest().content_scripts[0].js;
+}
+
+/**
+ * Builds the match pattern of a domain
+ * @param {string} domain - Host name, e.g. 'github.company.com'
+ * @returns {string} Match pattern, e.g. 'https://github.company.com/*'
+ */
+export function toOriginPattern(domain) {
+  return `https://${domain}/*`;
+}
+
+/**
+ * Checks whether the manifest already injects the content script on a domain
+ * @param {string} domain - Host name
+ * @returns {boolean} True for github.com and its subdomains
+ */
+export function isManifestDomain(domain) {
+  return domain === 'github.com' || domain.endsWith('.github.com');
+}
+
+/**
+ * Builds the content script registration of a domain
+ * @param {string} domain - Host name
+ * @returns {chrome.scripting.RegisteredContentScript} Registration
+ */
+export function buildContentScript(domain) {
+  return {
+    id: `${SCRIPT_ID_PREFIX}${domain}`,
+    matches: [toOriginPattern(domain)],
+    js: getContentScriptFiles(),
+    runAt: 'document_end',
+    persistAcrossSessions: true
+  };
+}
+
+/**
+ * Finds the saved domains whose host permission is granted
+ * @param {Array<string>} domains - Saved custom domains
+ * @returns {Promise<Array<string>>} Domains to register, without the ones the manifest covers
+ */
+export async function findGrantedDomains(domains) {
+  const candidates = Array.from(new Set(domains)).filter(domain => !isManifestDomain(domain));
+  const granted = await Promise.all(candidates.map(domain =>
+    chrome.permissions.contains({ origins: [toOriginPattern(domain)] })
+  ));
+  return candidates.filter((domain, index) => granted[index]);
+}
+
+/**
+ * Injects the content script into the open tabs of a domain
+ * @param {string} domain - Host name
+ * @returns {Promise<void>}
+ */
+export async function injectIntoOpenTabs(domain) {
+  const tabs = await chrome.tabs.query({ url: toOriginPattern(domain) });
+  await Promise.all(tabs.map(async (tab) => {
+    try {
+      await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: getContentScriptFiles() });
+    } catch {
+      // Tabs showing an error page or still loading cannot be scripted; they get the script on their next load
+    }
+  }));
+}
+
+/**
+ * Registers the content script for granted custom domains and unregisters it for removed or revoked ones
+ * @returns {Promise<{registered: Array<string>, unregistered: Array<string>}>} Domains changed
+ */
+export async function syncContentScripts() {
+  const { customDomains } = await chrome.storage.sync.get({ customDomains: [] });
+  const wanted = await findGrantedDomains(customDomains || []);
+
+  const registeredIds = (await chrome.scripting.getRegisteredContentScripts())
+    .map(script => script.id)
+    .filter(id => id.startsWith(SCRIPT_ID_PREFIX));
+  const current = registeredIds.map(id => id.slice(SCRIPT_ID_PREFIX.length));
+
+  const unregistered = current.filter(domain => !wanted.includes(domain));
+  const registered = wanted.filter(domain => !current.includes(domain));
+
+  if (unregistered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: unregistered.map(domain => `${SCRIPT_ID_PREFIX}${domain}`)
+    });
+  }
+  if (registered.length > 0) {
+    await chrome.scripting.registerContentScripts(registered.map(buildContentScript));
+    await Promise.all(registered.map(injectIntoOpenTabs));
+  }
+
+  return { registered, unregistered };
+}
@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import {
+  getContentScriptFiles,
+  toOriginPattern,
+  isManifestDomain,
+  buildContentScript,
+  findGrantedDomains,
+  injectIntoOpenTabs,
+  syncContentScripts
+} from './custom-domains.js';
+
+const BUNDLE_FILES = ['content_scripts/content-0.js'];
+
+function mockChrome({ customDomains = [], granted = [], registered = [], tabs = [] } = {}) {
+  global.chrome = {
+    runtime: {
+      getManifest: jest.fn(() => ({ content_scripts: [{ matches: ['https://github.com/*'], js: BUNDLE_FILES }] }))
+    },
+    storage: {
+      sync: {
+        get: jest.fn().mockResolvedValue({ customDomains })
+      }
+    },
+    permissions: {
+      contains: jest.fn(async ({ origins }) => granted.some(domain => origins[0] === `https://${domain}/*`))
+    },
+    scripting: {
+      getRegisteredContentScripts: jest.fn().mockResolvedValue(registered.map(id => ({ id }))),
+      registerContentScripts: jest.fn().mockResolvedValue(undefined),
+      unregisterContentScripts: jest.fn().mockResolvedValue(undefined),
+      executeScript: jest.fn().mockResolvedValue([])
+    },
+    tabs: {
+      query: jest.fn(async ({ url }) => tabs.filter(tab => url === `https://${tab.domain}/*`))
+    }
+  };
+}
+
+afterEach(() => {
+  delete global.chrome;
+});
+
+describe('getContentScriptFiles', () => {
+  it('should name the content script of the running manifest', () => {
+    mockChrome();
+    expect(getContentScriptFiles()).toEqual(BUNDLE_FILES);
+  });
+});
+
+describe('toOriginPattern', () => {
+  it('should match every HTTPS page of the domain', () => {
+    expect(toOriginPattern('github.company.com')).toBe('https://github.company.com/*');
+  });
+});
+
+describe('isManifestDomain', () => {
+  it('should detect domains the manifest matches', () => {
+    expect(isManifestDomain('github.com')).toBe(true);
+    expect(isManifestDomain('gist.github.com')).toBe(true);
+  });
+
+  it('should not match other domains', () => {
+    expect(isManifestDomain('github.company.com')).toBe(false);
+    expect(isManifestDomain('notgithub.com')).toBe(false);
+  });
+});
+
+describe('buildContentScript', () => {
+  it('should register the content script on the domain', () => {
+    mockChrome();
+    expect(buildContentScript('git.corp.example')).toEqual({
+      id: 'custom-domain:git.corp.example',
+      matches: ['https://git.corp.example/*'],
+      js: BUNDLE_FILES,
+      runAt: 'document_end',
+      persistAcrossSessions: true
+    });
+  });
+});
+
+describe('findGrantedDomains', () => {
+  it('should keep the domains with a granted permission, once each', async () => {
+    mockChrome({ granted: ['git.corp.example'] });
+
+    const domains = await findGrantedDomains(['git.corp.example', 'other.example', 'git.corp.example']);
+
+    expect(domains).toEqual(['git.corp.example']);
+    expect(chrome.permissions.contains).toHaveBeenCalledTimes(2);
+  });
+
+  it('should leave out domains the manifest covers', async () => {
+    mockChrome({ granted: ['enterprise.github.com'] });
+
+    expect(await findGrantedDomains(['enterprise.github.com'])).toEqual([]);
+    expect(chrome.permissions.contains).not.toHaveBeenCalled();
+  });
+});
+
+describe('injectIntoOpenTabs', () => {
+  it('should inject the content script into each open tab of the domain', async () => {
+    mockChrome({ tabs: [{ id: 3, domain: 'git.corp.example' }, { id: 5, domain: 'git.corp.example' }] });
+
+    await injectIntoOpenTabs('git.corp.example');
+
+    expect(chrome.tabs.query).toHaveBeenCalledWith({ url: 'https://git.corp.example/*' });
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 3 }, files: BUNDLE_FILES });
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 5 }, files: BUNDLE_FILES });
+  });
+
+  it('should skip tabs that cannot be scripted', async () => {
+    mockChrome({ tabs: [{ id: 3, domain: 'git.corp.example' }, { id: 5, domain: 'git.corp.example' }] });
+    chrome.scripting.executeScript.mockRejectedValueOnce(new Error('Frame with ID 0 is showing error page'));
+
+    await expect(injectIntoOpenTabs('git.corp.example')).resolves.toBeUndefined();
+    expect(chrome.scripting.executeScript).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('syncContentScripts', () => {
+  it('should register granted domains and inject into their open tabs', async () => {
+    mockChrome({
+      customDomains: ['git.corp.example', 'pending.example'],
+      granted: ['git.corp.example'],
+      tabs: [{ id: 8, domain: 'git.corp.example' }]
+    });
+
+    const result = await syncContentScripts();
+
+    expect(result).toEqual({ registered: ['git.corp.example'], unregistered: [] });
+    expect(chrome.scripting.registerContentScripts).toHaveBeenCalledWith([buildContentScript('git.corp.example')]);
+    expect(chrome.scripting.executeScript).toHaveBeenCalledWith({ target: { tabId: 8 }, files: BUNDLE_FILES });
+    expect(chrome.scripting.unregisterContentScripts).not.toHaveBeenCalled();
+  });
+
+  it('should unregister removed and revoked domains', async () => {
+    mockChrome({
+      customDomains: ['revoked.example'],
+      granted: [],
+      registered: ['custom-domain:removed.example', 'custom-domain:revoked.example', 'other-script']
+    });
+
+    const result = await syncContentScripts();
+
+    expect(result).toEqual({ registered: [], unregistered: ['removed.example', 'revoked.example'] });
+    expect(chrome.scripting.unregisterContentScripts).toHaveBeenCalledWith({
+      ids: ['custom-domain:removed.example', 'custom-domain:revoked.example']
+    });
+    expect(chrome.scripting.registerContentScripts).not.toHaveBeenCalled();
+  });
+
+  it('should leave registered domains alone', async () => {
+    mockChrome({
+      customDomains: ['git.corp.example'],
+      granted: ['git.corp.example'],
+      registered: ['custom-domain:git.corp.example'],
+      tabs: [{ id: 8, domain: 'git.corp.example' }]
+    });
+
+    expect(await syncContentScripts()).toEqual({ registered: [], unregistered: [] });
+    expect(chrome.scripting.registerContentScripts).not.toHaveBeenCalled();
+    expect(chrome.scripting.executeScript).not.toHaveBeenCalled();
+  });
+
+  it('should handle a missing domain list', async () => {
+    mockChrome();
+    chrome.storage.sync.get.mockResolvedValue({ customDomains: null });
+
+    expect(await syncContentScripts()).toEqual({ registered: [], unregistered: [] });
+  });
+});
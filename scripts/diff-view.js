@@ -0,0 +1,129 @@
+// GitHub Hyper - Diff View
+// Finds files and line numbers in the "Files changed" tab
+//
+// GitHub renders diffs in two ways:
+//   Classic view   <div class="file" id="diff-<hash>" data-tagsearch-path="src/a.js">
+//                    <div class="file-header" data-path="src/a.js"><div class="file-info"><a title="src/a.js">
+//                    <td class="blob-num" id="diff-<hash>R12" data-line-number="12">
+//   React view     <div id="diff-<hash>"> ... <h3 class="DiffFileHeader-module__file-name--..."><a><code>src/a.js
+//                    <td class="diff-line-number" data-line-anchor="diff-<hash>R12" data-line-number="12">
+// In both, line anchors end with L<n> for the old file (left side) or R<n> for the new file (right side),
+// and the file container carries the anchor prefix as its id.
+
+import { queryWithin } from './dom.js';
+
+export const CLASSIC_FILE_HEADER_SELECTOR = '.file-header[data-path]';
+export const REACT_FILE_NAME_SELECTOR = '[class*="DiffFileHeader-module__file-name"]';
+export const LINE_NUMBER_CELL_SELECTOR = 'td.blob-num, td.diff-line-number';
+
+/**
+ * Removes the invisible direction marks GitHub wraps around file names
+ * @param {string} text - Displayed file name
+ * @returns {string} File path
+ */
+function cleanFilePath(text) {
+  return text.replace(/[\u200e\u200f]/g, '').trim();
+}
+
+/**
+ * Parses a diff line anchor such as 'diff-3f2aR12'
+ * @param {string} anchor - Line anchor from a cell id or data-line-anchor attribute
+ * @returns {{fileAnchor: string, side: string, line: number}|null} 'left' or 'right' side, 1-based line
+ */
+export function parseDiffLineAnchor(anchor) {
+  const match = (anchor || '').match(/^(diff-[0-9a-f]+)([LR])(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  return {
+    fileAnchor: match[1],
+    side: match[2] === 'L' ? 'left' : 'right',
+    line: parseInt(match[3], 10)
+  };
+}
+
+/**
+ * Gets the line anchor of a line number cell
+ * @param {HTMLElement} cell - Line number cell
+ * @returns {string} Anchor or empty string
+ */
+function getCellAnchor(cell) {
+  return cell.getAttribute('data-line-anchor') || cell.id || '';
+}
+
+/**
+ * Gets the repository-relative path of a diff file container
+ * @param {HTMLElement} fileElement - Element with id 'diff-<hash>'
+ * @returns {string} File path or empty string
+ */
+export function getDiffFilePath(fileElement) {
+  if (!fileElement) {
+    return '';
+  }
+
+  if (fileElement.hasAttribute('data-tagsearch-path')) {
+    return fileElement.getAttribute('data-tagsearch-path');
+  }
+
+  const classicHeader = fileElement.querySelector(CLASSIC_FILE_HEADER_SELECTOR);
+  if (classicHeader) {
+    return classicHeader.getAttribute('data-path');
+  }
+
+  const reactName = fileElement.querySelector(REACT_FILE_NAME_SELECTOR);
+  return reactName ? cleanFilePath(reactName.textContent) : '';
+}
+
+/**
+ * Finds the file headers of the diff view
+ * @param {string} [processedAttr] - Attribute marking headers to skip because they already have a button
+ * @param {Document|HTMLElement} [root] - Document, or an added subtree to search alone
+ * @returns {Array<{nameElement: HTMLElement, filePath: string}>} Element to place the button after, and its file
+ */
+export function findDiffFileHeaders(processedAttr, root = document) {
+  const headers = [];
+
+  queryWithin(root, CLASSIC_FILE_HEADER_SELECTOR).forEach(header => {
+    const nameElement = header.querySelector('.file-info a[title]');
+    if (nameElement) {
+      headers.push({ nameElement, filePath: header.getAttribute('data-path') });
+    }
+  });
+
+  queryWithin(root, REACT_FILE_NAME_SELECTOR).forEach(nameElement => {
+    headers.push({ nameElement, filePath: cleanFilePath(nameElement.textContent) });
+  });
+
+  return headers.filter(({ nameElement, filePath }) =>
+    filePath && !(processedAttr && nameElement.hasAttribute(processedAttr)));
+}
+
+/**
+ * Resolves the file and new-file line of a line number cell.
+ * Left-side cells resolve to the right-side number of their row; rows without one
+ * are deleted lines, which do not exist in the new file and resolve to null.
+ * @param {HTMLElement} cell - Line number cell
+ * @returns {{filePath: string, line: number}|null} File path and 1-based line
+ */
+export function getDiffLineTarget(cell) {
+  let anchor = parseDiffLineAnchor(getCellAnchor(cell));
+  if (!anchor) {
+    return null;
+  }
+
+  if (anchor.side === 'left') {
+    const row = cell.closest('tr');
+    const rightCell = row && Array.from(row.querySelectorAll(LINE_NUMBER_CELL_SELECTOR))
+      .find(candidate => {
+        const candidateAnchor = parseDiffLineAnchor(getCellAnchor(candidate));
+        return candidateAnchor && candidateAnchor.side === 'right';
+      });
+    if (!rightCell) {
+      return null;
+    }
+    anchor = parseDiffLineAnchor(getCellAnchor(rightCell));
+  }
+
+  const filePath = getDiffFilePath(document.getElementById(anchor.fileAnchor));
+  return filePath ? { filePath, line: anchor.line } : null;
+}
@@ -0,0 +1,154 @@
+import {
+  parseDiffLineAnchor,
+  getDiffFilePath,
+  findDiffFileHeaders,
+  getDiffLineTarget
+} from './diff-view.js';
+
+const classicFile = `
+  <div class="file" id="diff-abc1" data-tagsearch-path="src/app.js">
+    <div class="file-header" data-path="src/app.js">
+      <div class="file-info"><a title="src/app.js" href="#diff-abc1">src/app.js</a></div>
+    </div>
+    <table>
+      <tr>
+        <td class="blob-num blob-num-context" id="diff-abc1L4" data-line-number="4"></td>
+        <td class="blob-num blob-num-context" id="diff-abc1R6" data-line-number="6"></td>
+        <td class="blob-code">context</td>
+      </tr>
+      <tr>
+        <td class="blob-num blob-num-deletion" id="diff-abc1L5" data-line-number="5"></td>
+        <td class="blob-num blob-num-deletion empty-cell"></td>
+        <td class="blob-code">deleted</td>
+      </tr>
+      <tr>
+        <td class="blob-num blob-num-addition empty-cell"></td>
+        <td class="blob-num blob-num-addition" id="diff-abc1R7" data-line-number="7"></td>
+        <td class="blob-code">added</td>
+      </tr>
+    </table>
+  </div>
+`;
+
+const reactFile = `
+  <div id="diff-def2">
+    <h3 class="DiffFileHeader-module__file-name--x1"><a href="#diff-def2"><code>\u200elib/util.ts\u200e</code></a></h3>
+    <table>
+      <tr>
+        <td class="diff-line-number" data-line-anchor="diff-def2R3" data-line-number="3"></td>
+      </tr>
+    </table>
+  </div>
+`;
+
+describe('parseDiffLineAnchor', () => {
+  it('should parse right-side anchors', () => {
+    expect(parseDiffLineAnchor('diff-3f2aR12')).toEqual({ fileAnchor: 'diff-3f2a', side: 'right', line: 12 });
+  });
+
+  it('should parse left-side anchors', () => {
+    expect(parseDiffLineAnchor('diff-3f2aL1')).toEqual({ fileAnchor: 'diff-3f2a', side: 'left', line: 1 });
+  });
+
+  it('should return null for other values', () => {
+    expect(parseDiffLineAnchor('diff-3f2a')).toBeNull();
+    expect(parseDiffLineAnchor('')).toBeNull();
+    expect(parseDiffLineAnchor(null)).toBeNull();
+  });
+});
+
+describe('getDiffFilePath', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should read the classic file path attribute', () => {
+    document.body.innerHTML = classicFile;
+    expect(getDiffFilePath(document.getElementById('diff-abc1'))).toBe('src/app.js');
+  });
+
+  it('should fall back to the classic file header', () => {
+    document.body.innerHTML = classicFile;
+    const file = document.getElementById('diff-abc1');
+    file.removeAttribute('data-tagsearch-path');
+    expect(getDiffFilePath(file)).toBe('src/app.js');
+  });
+
+  it('should read the React file name without direction marks', () => {
+    document.body.innerHTML = reactFile;
+    expect(getDiffFilePath(document.getElementById('diff-def2'))).toBe('lib/util.ts');
+  });
+
+  it('should return empty string without a file', () => {
+    document.body.innerHTML = '<div id="diff-0"></div>';
+    expect(getDiffFilePath(document.getElementById('diff-0'))).toBe('');
+    expect(getDiffFilePath(null)).toBe('');
+  });
+});
+
+describe('findDiffFileHeaders', () => {
+  beforeEach(() => {
+    document.body.innerHTML = classicFile + reactFile;
+  });
+
+  it('should find classic and React headers', () => {
+    const headers = findDiffFileHeaders('data-processed');
+    expect(headers.map(header => header.filePath)).toEqual(['src/app.js', 'lib/util.ts']);
+    expect(headers[0].nameElement.tagName).toBe('A');
+    expect(headers[1].nameElement.tagName).toBe('H3');
+  });
+
+  it('should skip processed headers', () => {
+    document.querySelector('.file-info a').setAttribute('data-processed', 'true');
+    expect(findDiffFileHeaders('data-processed').map(header => header.filePath)).toEqual(['lib/util.ts']);
+  });
+
+  it('should include processed headers without an attribute', () => {
+    document.querySelector('.file-info a').setAttribute('data-processed', 'true');
+    expect(findDiffFileHeaders().map(header => header.filePath)).toEqual(['src/app.js', 'lib/util.ts']);
+  });
+
+  it('should skip classic headers without a file link', () => {
+    document.querySelector('.file-info a').remove();
+    expect(findDiffFileHeaders('data-processed').map(header => header.filePath)).toEqual(['lib/util.ts']);
+  });
+
+  it('should search only the given subtree', () => {
+    expect(findDiffFileHeaders('data-processed', document.getElementById('diff-abc1')).map(header => header.filePath))
+      .toEqual(['src/app.js']);
+    expect(findDiffFileHeaders('data-processed', document.querySelector('.file-header')).map(header => header.filePath))
+      .toEqual(['src/app.js']);
+  });
+});
+
+describe('getDiffLineTarget', () => {
+  beforeEach(() => {
+    document.body.innerHTML = classicFile + reactFile;
+  });
+
+  it('should resolve right-side cells', () => {
+    expect(getDiffLineTarget(document.getElementById('diff-abc1R7'))).toEqual({ filePath: 'src/app.js', line: 7 });
+  });
+
+  it('should resolve left-side cells to the new line of their row', () => {
+    expect(getDiffLineTarget(document.getElementById('diff-abc1L4'))).toEqual({ filePath: 'src/app.js', line: 6 });
+  });
+
+  it('should return null for deleted lines', () => {
+    expect(getDiffLineTarget(document.getElementById('diff-abc1L5'))).toBeNull();
+  });
+
+  it('should resolve React cells', () => {
+    const cell = document.querySelector('[data-line-anchor="diff-def2R3"]');
+    expect(getDiffLineTarget(cell)).toEqual({ filePath: 'lib/util.ts', line: 3 });
+  });
+
+  it('should return null for cells without an anchor', () => {
+    expect(getDiffLineTarget(document.querySelector('.empty-cell'))).toBeNull();
+  });
+
+  it('should return null when the file container is missing', () => {
+    document.getElementById('diff-abc1').id = 'renamed';
+    expect(getDiffLineTarget(document.getElementById('diff-abc1R7'))).toBeNull();
+  });
+});
@@ -0,0 +1,38 @@
+// GitHub Hyper - DOM Helpers
+// Lookups shared by features that handle the whole page at setup and only added subtrees afterwards
+
+/**
+ * Finds the elements matching a selector in a subtree, including its root
+ * @param {Document|HTMLElement} root - Document or root of an added subtree
+ * @param {string} selector - CSS selector
+ * @returns {Array<HTMLElement>} Matching elements in document order
+ */
+export function queryWithin(root, selector) {
+  const matches = Array.from(root.querySelectorAll(selector));
+  return root.matches && root.matches(selector) ? [root, ...matches] : matches;
+}
+
+/**
+ * Collects the roots of the subtrees added in a batch of DOM changes
+ * @param {Array<MutationRecord>} mutations - Batch of DOM changes
+ * @returns {Array<HTMLElement>} Added elements, without those inside another added element
+ */
+export function collectAddedRoots(mutations) {
+  const added = new Set();
+  mutations.forEach((mutation) => {
+    (mutation.addedNodes || []).forEach((node) => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        added.add(node);
+      }
+    });
+  });
+
+  return Array.from(added).filter((node) => {
+    for (let parent = node.parentElement; parent; parent = parent.parentElement) {
+      if (added.has(parent)) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
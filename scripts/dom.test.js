@@ -0,0 +1,38 @@
+import { queryWithin, collectAddedRoots } from './dom.js';
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('queryWithin', () => {
+  it('should include the root when it matches', () => {
+    document.body.innerHTML = '<div class="comment" id="outer"><p class="comment" id="inner"></p></div>';
+    const outer = document.getElementById('outer');
+
+    expect(queryWithin(outer, '.comment').map(element => element.id)).toEqual(['outer', 'inner']);
+  });
+
+  it('should search the whole document', () => {
+    document.body.innerHTML = '<p class="comment"></p><p class="comment"></p>';
+
+    expect(queryWithin(document, '.comment')).toHaveLength(2);
+  });
+});
+
+describe('collectAddedRoots', () => {
+  it('should keep the outermost added elements, once each', () => {
+    document.body.innerHTML = '<section><div id="first"><span id="nested"></span></div></section><div id="second"></div>';
+    const first = document.getElementById('first');
+    const nested = document.getElementById('nested');
+    const second = document.getElementById('second');
+    const text = document.createTextNode('text');
+
+    const roots = collectAddedRoots([
+      { addedNodes: [nested, first] },
+      { addedNodes: [text, second, first] },
+      { type: 'attributes', target: second }
+    ]);
+
+    expect(roots).toEqual([first, second]);
+  });
+});
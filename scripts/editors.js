@@ -0,0 +1,249 @@
+// GitHub Hyper - Editors
+// URL builders for the editors that can open a file at a line
+//
+// JetBrains IDEs resolve paths relative to an open project and count lines from 0:
+//   jetbrains://idea/navigate/reference?project=<name>&path=<relative path>:<line>:<column>
+// and can open a class by its fully qualified name wherever it lives in the project (without a line):
+//   jetbrains://idea/navigate/reference?project=<name>&fqn=<package>.<class>
+// VS Code, Cursor and Zed need an absolute local path and count lines from 1:
+//   vscode://file/<absolute path>:<line>:<column>
+//
+// JetBrains IDEs, VS Code and Cursor can also clone a repository (Zed cannot):
+//   jetbrains://idea/checkout/git?checkout.repo=<clone URL>&idea.required.plugins.id=Git4Idea
+//   vscode://vscode.git/clone?url=<clone URL>&ref=<branch>
+
+/**
+ * Creates a builder for JetBrains deep links
+ * @param {string} ide - IDE identifier used in the URL host (e.g. 'idea', 'web-storm')
+ * @returns {Function} URL builder
+ */
+function jetbrainsBuilder(ide) {
+  return ({ filePath, line, column, projectName }) => {
+    if (!projectName) {
+      return '';
+    }
+    return `jetbrains://${ide}/navigate/reference?project=${encodeURIComponent(projectName)}&path=${encodeURIComponent(filePath)}:${line}:${column}`;
+  };
+}
+
+/**
+ * Creates a builder for JetBrains links opening a class
+ * @param {string} ide - IDE identifier used in the URL host
+ * @returns {Function} URL builder
+ */
+function jetbrainsClassBuilder(ide) {
+  return ({ className, projectName }) => {
+    if (!projectName) {
+      return '';
+    }
+    return `jetbrains://${ide}/navigate/reference?project=${encodeURIComponent(projectName)}&fqn=${encodeURIComponent(className)}`;
+  };
+}
+
+/**
+ * Encodes each segment of a path for a URL, so '#' and '?' in names stay part of the path
+ * @param {string} path - Path with forward slashes
+ * @returns {string} Encoded path
+ */
+function encodeFilePath(path) {
+  return path
+    .split('/')
+    .map((segment, index) => (index === 0 && /^[A-Za-z]:$/.test(segment) ? segment : encodeURIComponent(segment)))
+    .join('/');
+}
+
+/**
+ * Creates a builder for editors that open absolute paths through a file URL
+ * @param {string} scheme - URL scheme (e.g. 'vscode', 'cursor', 'zed')
+ * @returns {Function} URL builder
+ */
+function fileUrlBuilder(scheme) {
+  return ({ filePath, line, column, checkoutRoot }) => {
+    const absolutePath = joinPath(checkoutRoot, filePath);
+    if (!absolutePath) {
+      return '';
+    }
+    // Drop the leading slash of POSIX paths so both vscode://file/Users/... and vscode://file/C:/... have one
+    return `${scheme}://file/${encodeFilePath(absolutePath.replace(/^\/+/, ''))}:${line}:${column}`;
+  };
+}
+
+/**
+ * Creates a builder for JetBrains checkout links, handled by Toolbox
+ * @param {string} ide - IDE identifier used in the URL host
+ * @returns {Function} URL builder
+ */
+function jetbrainsCheckoutBuilder(ide) {
+  return ({ cloneUrl, branch }) => {
+    const branchParam = branch ? `&checkout.branch=${encodeURIComponent(branch)}` : '';
+    return `jetbrains://${ide}/checkout/git?checkout.repo=${encodeURIComponent(cloneUrl)}&idea.required.plugins.id=Git4Idea${branchParam}`;
+  };
+}
+
+/**
+ * Creates a builder for the clone links of VS Code's built-in Git extension
+ * @param {string} scheme - URL scheme (e.g. 'vscode', 'cursor')
+ * @returns {Function} URL builder
+ */
+function vscodeCheckoutBuilder(scheme) {
+  return ({ cloneUrl, branch }) => {
+    const refParam = branch ? `&ref=${encodeURIComponent(branch)}` : '';
+    return `${scheme}://vscode.git/clone?url=${encodeURIComponent(cloneUrl)}${refParam}`;
+  };
+}
+
+const jetbrains = (ide, name) => ({
+  name,
+  family: 'jetbrains',
+  lineBase: 0,
+  buildUrl: jetbrainsBuilder(ide),
+  buildClassUrl: jetbrainsClassBuilder(ide),
+  buildCheckoutUrl: jetbrainsCheckoutBuilder(ide)
+});
+
+export const EDITORS = {
+  'idea': jetbrains('idea', 'IntelliJ IDEA'),
+  'web-storm': jetbrains('web-storm', 'WebStorm'),
+  'pycharm': jetbrains('pycharm', 'PyCharm'),
+  'php-storm': jetbrains('php-storm', 'PhpStorm'),
+  'rider': jetbrains('rider', 'Rider'),
+  'clion': jetbrains('clion', 'CLion'),
+  'goland': jetbrains('goland', 'GoLand'),
+  'rubymine': jetbrains('rubymine', 'RubyMine'),
+  'vscode': {
+    name: 'VS Code',
+    family: 'file',
+    lineBase: 1,
+    buildUrl: fileUrlBuilder('vscode'),
+    buildClassUrl: null,
+    buildCheckoutUrl: vscodeCheckoutBuilder('vscode')
+  },
+  'cursor': {
+    name: 'Cursor',
+    family: 'file',
+    lineBase: 1,
+    buildUrl: fileUrlBuilder('cursor'),
+    buildClassUrl: null,
+    buildCheckoutUrl: vscodeCheckoutBuilder('cursor')
+  },
+  'zed': {
+    name: 'Zed',
+    family: 'file',
+    lineBase: 1,
+    buildUrl: fileUrlBuilder('zed'),
+    buildClassUrl: null,
+    buildCheckoutUrl: null
+  }
+};
+
+export const DEFAULT_EDITOR = 'idea';
+
+/**
+ * Gets an editor definition, falling back to the default editor
+ * @param {string} ideType - Editor identifier
+ * @returns {Object} Editor definition
+ */
+export function getEditor(ideType) {
+  return EDITORS[ideType] || EDITORS[DEFAULT_EDITOR];
+}
+
+/**
+ * Checks whether an editor needs a local checkout root to open files
+ * @param {string} ideType - Editor identifier
+ * @returns {boolean} True for editors that open absolute paths
+ */
+export function needsCheckoutRoot(ideType) {
+  return getEditor(ideType).family === 'file';
+}
+
+/**
+ * Joins a local directory and a repository-relative path with forward slashes
+ * @param {string} root - Local directory, e.g. '/Users/me/src/repo' or 'C:\\src\\repo'
+ * @param {string} relativePath - Repository-relative path
+ * @returns {string} Absolute path, or empty string without a root
+ */
+export function joinPath(root, relativePath) {
+  if (!root) {
+    return '';
+  }
+  const normalizedRoot = root.trim().replace(/\\/g, '/').replace(/\/+$/, '');
+  const normalizedPath = relativePath.replace(/^\/+/, '');
+  return `${normalizedRoot}/${normalizedPath}`;
+}
+
+/**
+ * Resolves the local checkout directory of a repository
+ * @param {Object} checkoutRoots - Map of 'owner/repo' to a local directory
+ * @param {string} defaultCheckoutRoot - Parent directory holding checkouts named after the repo
+ * @param {string} repoSlug - 'owner/repo'
+ * @param {string} [directoryName] - Checkout directory name under the default root, defaults to the repo name
+ * @returns {string} Local directory or empty string when unknown
+ */
+export function resolveCheckoutRoot(checkoutRoots, defaultCheckoutRoot, repoSlug, directoryName = repoSlug.split('/')[1]) {
+  // GitHub treats owner and repo names case-insensitively
+  const match = Object.entries(checkoutRoots || {})
+    .find(([slug]) => slug.toLowerCase() === repoSlug.toLowerCase());
+  if (match) {
+    return match[1];
+  }
+
+  return defaultCheckoutRoot && directoryName ? joinPath(defaultCheckoutRoot, directoryName) : '';
+}
+
+/**
+ * Builds the URL that opens a file in an editor
+ * @param {Object} target - What to open
+ * @param {string} target.filePath - Repository-relative path
+ * @param {number} target.line - Line number (0-based)
+ * @param {number} target.column - Column number (0-based)
+ * @param {string} target.ideType - Editor identifier
+ * @param {string} target.projectName - JetBrains project name
+ * @param {string} target.checkoutRoot - Local checkout directory for file URL editors
+ * @returns {string} Editor URL or empty string when it cannot be built
+ */
+export function buildEditorUrl({ filePath, line, column, ideType, projectName, checkoutRoot }) {
+  if (!filePath) {
+    return '';
+  }
+
+  const editor = getEditor(ideType);
+  return editor.buildUrl({
+    filePath,
+    line: line + editor.lineBase,
+    column: column + editor.lineBase,
+    projectName,
+    checkoutRoot
+  });
+}
+
+/**
+ * Builds the URL that opens a class in an editor
+ * @param {Object} target - What to open
+ * @param {string} target.className - Fully qualified class name, e.g. 'com.acme.shop.Cart'
+ * @param {string} target.ideType - Editor identifier
+ * @param {string} target.projectName - JetBrains project name
+ * @returns {string} Editor URL or empty string when the editor cannot look up classes
+ */
+export function buildClassUrl({ className, ideType, projectName }) {
+  const editor = getEditor(ideType);
+  if (!className || !editor.buildClassUrl) {
+    return '';
+  }
+  return editor.buildClassUrl({ className, projectName });
+}
+
+/**
+ * Builds the URL that clones a repository in an editor
+ * @param {Object} target - What to clone
+ * @param {string} target.ideType - Editor identifier
+ * @param {string} target.cloneUrl - HTTPS clone URL
+ * @param {string} [target.branch] - Branch to check out, the default branch when empty
+ * @returns {string} Editor URL or empty string when the editor cannot clone
+ */
+export function buildCheckoutUrl({ ideType, cloneUrl, branch = '' }) {
+  const editor = getEditor(ideType);
+  if (!cloneUrl || !editor.buildCheckoutUrl) {
+    return '';
+  }
+  return editor.buildCheckoutUrl({ cloneUrl, branch });
+}
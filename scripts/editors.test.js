@@ -0,0 +1,176 @@
+import {
+  EDITORS,
+  getEditor,
+  needsCheckoutRoot,
+  joinPath,
+  resolveCheckoutRoot,
+  buildEditorUrl,
+  buildClassUrl,
+  buildCheckoutUrl
+} from './editors.js';
+
+describe('getEditor', () => {
+  it('should return the editor definition', () => {
+    expect(getEditor('vscode')).toBe(EDITORS.vscode);
+    expect(getEditor('vscode').name).toBe('VS Code');
+  });
+
+  it('should fall back to IntelliJ IDEA for unknown editors', () => {
+    expect(getEditor('unknown')).toBe(EDITORS.idea);
+    expect(getEditor(null)).toBe(EDITORS.idea);
+  });
+});
+
+describe('needsCheckoutRoot', () => {
+  it('should be true for editors opening absolute paths', () => {
+    expect(needsCheckoutRoot('vscode')).toBe(true);
+    expect(needsCheckoutRoot('cursor')).toBe(true);
+    expect(needsCheckoutRoot('zed')).toBe(true);
+  });
+
+  it('should be false for JetBrains IDEs', () => {
+    expect(needsCheckoutRoot('idea')).toBe(false);
+    expect(needsCheckoutRoot('goland')).toBe(false);
+  });
+});
+
+describe('joinPath', () => {
+  it('should join root and relative path', () => {
+    expect(joinPath('/Users/me/src/repo', 'src/index.js')).toBe('/Users/me/src/repo/src/index.js');
+  });
+
+  it('should drop duplicate slashes and surrounding whitespace', () => {
+    expect(joinPath(' /Users/me/src/repo/ ', '/src/index.js')).toBe('/Users/me/src/repo/src/index.js');
+  });
+
+  it('should convert Windows separators', () => {
+    expect(joinPath('C:\\src\\repo\\', 'src/index.js')).toBe('C:/src/repo/src/index.js');
+  });
+
+  it('should return empty string without a root', () => {
+    expect(joinPath('', 'src/index.js')).toBe('');
+    expect(joinPath(undefined, 'src/index.js')).toBe('');
+  });
+});
+
+describe('resolveCheckoutRoot', () => {
+  it('should prefer the per-repo root', () => {
+    const roots = { 'owner/repo': '/work/custom' };
+    expect(resolveCheckoutRoot(roots, '/src', 'owner/repo')).toBe('/work/custom');
+  });
+
+  it('should match repositories case-insensitively', () => {
+    const roots = { 'owner/repo': '/work/custom' };
+    expect(resolveCheckoutRoot(roots, '', 'Owner/Repo')).toBe('/work/custom');
+  });
+
+  it('should fall back to the default root joined with the repo name', () => {
+    expect(resolveCheckoutRoot({}, '/src', 'owner/repo')).toBe('/src/repo');
+  });
+
+  it('should use the given directory name under the default root', () => {
+    expect(resolveCheckoutRoot({}, '/src', 'owner/repo', 'repo-fork')).toBe('/src/repo-fork');
+  });
+
+  it('should return empty string when nothing is configured', () => {
+    expect(resolveCheckoutRoot(undefined, '', 'owner/repo')).toBe('');
+  });
+
+  it('should return empty string without a repo', () => {
+    expect(resolveCheckoutRoot({}, '/src', '')).toBe('');
+  });
+});
+
+describe('buildEditorUrl', () => {
+  const target = {
+    filePath: 'src/my file.ts',
+    line: 9,
+    column: 0,
+    projectName: 'repo',
+    checkoutRoot: '/Users/me/src/repo'
+  };
+
+  it('should keep 0-based lines for JetBrains IDEs', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'goland' }))
+      .toBe('jetbrains://goland/navigate/reference?project=repo&path=src%2Fmy%20file.ts:9:0');
+  });
+
+  it('should build 1-based VS Code URLs with the absolute path', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'vscode' }))
+      .toBe('vscode://file/Users/me/src/repo/src/my%20file.ts:10:1');
+  });
+
+  it('should build Cursor and Zed URLs', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'cursor' }))
+      .toBe('cursor://file/Users/me/src/repo/src/my%20file.ts:10:1');
+    expect(buildEditorUrl({ ...target, ideType: 'zed' }))
+      .toBe('zed://file/Users/me/src/repo/src/my%20file.ts:10:1');
+  });
+
+  it('should build Windows paths', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'vscode', checkoutRoot: 'C:\\src\\repo' }))
+      .toBe('vscode://file/C:/src/repo/src/my%20file.ts:10:1');
+  });
+
+  it('should escape URL delimiters in path segments', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'vscode', filePath: 'docs/C# notes?/100%.md' }))
+      .toBe('vscode://file/Users/me/src/repo/docs/C%23%20notes%3F/100%25.md:10:1');
+  });
+
+  it('should return empty string without a checkout root for file URL editors', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'vscode', checkoutRoot: '' })).toBe('');
+  });
+
+  it('should return empty string without a project for JetBrains IDEs', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'idea', projectName: '' })).toBe('');
+  });
+
+  it('should return empty string without a file path', () => {
+    expect(buildEditorUrl({ ...target, ideType: 'vscode', filePath: '' })).toBe('');
+  });
+});
+
+describe('buildClassUrl', () => {
+  it('should build JetBrains class URLs', () => {
+    expect(buildClassUrl({ ideType: 'idea', className: 'com.acme.shop.Cart', projectName: 'my shop' }))
+      .toBe('jetbrains://idea/navigate/reference?project=my%20shop&fqn=com.acme.shop.Cart');
+  });
+
+  it('should return empty string for editors that cannot look up classes', () => {
+    expect(buildClassUrl({ ideType: 'vscode', className: 'com.acme.shop.Cart', projectName: 'shop' })).toBe('');
+  });
+
+  it('should return empty string without a class or project', () => {
+    expect(buildClassUrl({ ideType: 'idea', className: '', projectName: 'shop' })).toBe('');
+    expect(buildClassUrl({ ideType: 'idea', className: 'com.acme.shop.Cart', projectName: '' })).toBe('');
+  });
+});
+
+describe('buildCheckoutUrl', () => {
+  const cloneUrl = 'https://git.corp.example/acme/shop.git';
+
+  it('should build JetBrains checkout URLs', () => {
+    expect(buildCheckoutUrl({ ideType: 'pycharm', cloneUrl }))
+      .toBe('jetbrains://pycharm/checkout/git?checkout.repo=https%3A%2F%2Fgit.corp.example%2Facme%2Fshop.git&idea.required.plugins.id=Git4Idea');
+  });
+
+  it('should pass the branch to JetBrains IDEs', () => {
+    expect(buildCheckoutUrl({ ideType: 'idea', cloneUrl, branch: 'feature/a&b' }))
+      .toContain('&checkout.branch=feature%2Fa%26b');
+  });
+
+  it('should build VS Code and Cursor clone URLs', () => {
+    expect(buildCheckoutUrl({ ideType: 'vscode', cloneUrl }))
+      .toBe('vscode://vscode.git/clone?url=https%3A%2F%2Fgit.corp.example%2Facme%2Fshop.git');
+    expect(buildCheckoutUrl({ ideType: 'cursor', cloneUrl, branch: 'fix/login' }))
+      .toBe('cursor://vscode.git/clone?url=https%3A%2F%2Fgit.corp.example%2Facme%2Fshop.git&ref=fix%2Flogin');
+  });
+
+  it('should return empty string for editors that cannot clone', () => {
+    expect(buildCheckoutUrl({ ideType: 'zed', cloneUrl })).toBe('');
+  });
+
+  it('should return empty string without a clone URL', () => {
+    expect(buildCheckoutUrl({ ideType: 'idea', cloneUrl: '' })).toBe('');
+  });
+});
@@ -1,9 +1,76 @@
 // GitHub Hyper - IDE Deep Link Feature
-// Adds buttons to open files in JetBrains IDEs directly from GitHub PR review comments
+// Adds buttons to open files in JetBrains IDEs, VS Code, Cursor or Zed directly from GitHub PR review comments,
+// diff file headers, diff line numbers, file pages and file:line references in comments,
+// an action to open all changed files of a pull request, keyboard shortcuts on pull request pages,
+// and buttons cloning the repository or the pull request branch
 //
 // Reference: https://github.com/alanhe421/jetbrains-url-schemes
 
+import { buildClassUrl, buildEditorUrl, EDITORS, getEditor, needsCheckoutRoot, resolveCheckoutRoot } from './editors.js';
+import { findProjectMapping, mapFilePath, resolveProject } from './project-mappings.js';
+import { AUTO_IDE_TYPE, DEFAULT_LANGUAGE_IDES, detectIDEType } from './ide-detection.js';
+import {
+  DEFAULT_REFERENCE_PATTERNS,
+  compileReferencePatterns,
+  findCodeReferences,
+  toRepoRelativePath,
+  toSourceRootPath
+} from './code-references.js';
+import {
+  CLASSIC_FILE_HEADER_SELECTOR,
+  REACT_FILE_NAME_SELECTOR,
+  LINE_NUMBER_CELL_SELECTOR,
+  findDiffFileHeaders,
+  getDiffLineTarget
+} from './diff-view.js';
+import {
+  BLOB_FILE_NAME_SELECTOR,
+  BLOB_LINE_NUMBER_SELECTOR,
+  resolveBlobPath,
+  parseLineFragment
+} from './blob-view.js';
+import {
+  DEFAULT_LAUNCH_INTERVAL,
+  DEFAULT_SKIPPED_FILE_PATTERNS,
+  injectOpenAllButton,
+  removeOpenAllButton
+} from './open-all-files.js';
+import {
+  closeLaunchToast,
+  getLaunchCheckTimeout,
+  getTroubleshootingTips,
+  showLaunchToast,
+  watchForLaunch
+} from './launch-feedback.js';
+import { injectCheckoutButtons, removeCheckoutButtons } from './checkout.js';
+import { buildShareItems, findHeadCommitSha, formatFileReference } from './share-links.js';
+import { closeCopyMenu, showCopyMenu } from './copy-menu.js';
+import { collectAddedRoots, queryWithin } from './dom.js';
+import {
+  COMMAND_MESSAGE_TYPE,
+  DEFAULT_SHORTCUTS,
+  eventToShortcut,
+  findAdjacentElement,
+  findCommandAction,
+  findNearestElement,
+  findShortcutAction,
+  isEditableTarget
+} from './keyboard-shortcuts.js';
+
 const PROCESSED_ATTR = 'data-ide-link-processed';
+const LINE_BUTTON_ID = 'gh-hyper-line-ide-btn';
+const BLOB_BUTTON_ID = 'gh-hyper-blob-ide-btn';
+const REFERENCE_LINK_CLASS = 'gh-hyper-code-ref';
+const MARKDOWN_BODY_SELECTOR = '.markdown-body';
+// Text already linked, or diff snippets that have their own buttons
+const REFERENCE_SKIP_SELECTOR = 'a, .blob-code';
+const DIFF_FILE_HEADER_SELECTOR = `${CLASSIC_FILE_HEADER_SELECTOR}, ${REACT_FILE_NAME_SELECTOR}`;
+const THREAD_BUTTON_SELECTOR = 'details-collapsible .ide-link-btn';
+
+// Whether to show a toast when the page keeps focus after a click, set from the options in setup
+let warnOnFailedLaunch = true;
+// Directory holding the packages of Java/Kotlin stack frames, e.g. 'src/main/java', set from the options in setup
+let jvmSourceRoot = '';
 
 /**
  * Extracts project name from GitHub URL
@@ -16,6 +83,15 @@ export function extractProjectName() {
   return match ? match[1] : '';
 }
 
+/**
+ * Extracts the repository slug from GitHub URL
+ * @returns {string} 'owner/repo' or empty string
+ */
+export function extractRepoSlug() {
+  const match = window.location.pathname.match(/^\/([^/]+)\/([^/]+)/);
+  return match ? `${match[1]}/${match[2]}` : '';
+}
+
 /**
  * Extracts file path from anchor element
  * @param {HTMLElement} anchorElement - The <a> element containing file path
@@ -29,7 +105,69 @@ export function extractFileInfo(anchorElement) {
 }
 
 /**
- * Extracts line number from details-collapsible element
+ * Reads the old-file and new-file line numbers of a diff snippet row.
+ * Rows have an old-file (left) and a new-file (right) number cell; added lines
+ * leave the left one empty and deleted lines the right one.
+ * @param {HTMLElement} row - Snippet table row
+ * @returns {{oldLine: ?number, newLine: ?number}} 1-based line numbers, null when empty
+ */
+function getRowLineNumbers(row) {
+  const readLine = (cell) => {
+    const value = cell ? parseInt(cell.getAttribute('data-line-number'), 10) : NaN;
+    return value > 0 ? value : null;
+  };
+
+  const cells = row.querySelectorAll('td.blob-num');
+  if (cells.length >= 2) {
+    return { oldLine: readLine(cells[0]), newLine: readLine(cells[1]) };
+  }
+
+  // A single number cell belongs to the side its diff class names
+  const cell = row.querySelector('td[data-line-number]');
+  if (cell && cell.classList.contains('blob-num-deletion')) {
+    return { oldLine: readLine(cell), newLine: null };
+  }
+  return { oldLine: null, newLine: readLine(cell) };
+}
+
+/**
+ * Finds the commented lines in the diff snippet of a review comment.
+ * The snippet ends with the commented line; multi-line comments highlight their rows.
+ * @param {HTMLElement} detailsElement - The <details-collapsible> element
+ * @returns {{startLine: number, endLine: number, deleted: boolean}|null} 1-based new-file lines,
+ *   and whether the comment is on deleted code, or null without a snippet table
+ */
+export function getCommentedLines(detailsElement) {
+  if (!detailsElement) {
+    return null;
+  }
+
+  const rows = Array.from(detailsElement.querySelectorAll('tr'))
+    .filter(row => row.querySelector('td[data-line-number]'));
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const highlighted = rows.filter(row => row.querySelector('.selected-line'));
+  const commented = highlighted.length > 0 ? highlighted : [rows[rows.length - 1]];
+
+  const newLines = commented.map(row => getRowLineNumbers(row).newLine).filter(line => line !== null);
+  if (newLines.length > 0) {
+    return { startLine: Math.min(...newLines), endLine: Math.max(...newLines), deleted: false };
+  }
+
+  // Deleted code has no new-file line: open where it was, right after the closest new-file line above it
+  const linesAbove = rows.slice(0, rows.indexOf(commented[0]))
+    .map(row => getRowLineNumbers(row).newLine)
+    .filter(line => line !== null);
+  const line = linesAbove.length > 0
+    ? linesAbove[linesAbove.length - 1] + 1
+    : getRowLineNumbers(commented[0]).oldLine || 1;
+  return { startLine: line, endLine: line, deleted: true };
+}
+
+/**
+ * Extracts the commented new-file line from details-collapsible element
  * Converts from GitHub's 1-based to JetBrains' 0-based indexing
  * @param {HTMLElement} detailsElement - The <details-collapsible> element
  * @returns {number} Line number (0-based) or 0 if not found
@@ -39,6 +177,12 @@ export function extractLineNumber(detailsElement) {
     return 0;
   }
 
+  const commented = getCommentedLines(detailsElement);
+  if (commented) {
+    return commented.startLine - 1;
+  }
+
+  // Without snippet rows, fall back to the first line number found
   const lineNumberTd = detailsElement.querySelector('td[data-line-number]');
   if (!lineNumberTd) {
     return 0;
@@ -50,30 +194,49 @@ export function extractLineNumber(detailsElement) {
 }
 
 /**
- * Constructs JetBrains IDE URL
+ * Constructs the editor URL for a file
  * @param {string} filePath - Relative file path
- * @param {number} line - Line number (0-based)
+ * @param {number} line - Line number (0-based, converted for editors counting from 1)
  * @param {number} column - Column number (0-based)
- * @param {string} ideType - IDE type identifier (e.g., 'idea', 'web-storm')
- * @param {string} projectName - Project name
- * @returns {string} JetBrains URL
+ * @param {string} ideType - IDE type identifier (e.g., 'idea', 'web-storm', 'vscode')
+ * @param {string} projectName - Project name, used by JetBrains IDEs
+ * @param {string} checkoutRoot - Local checkout directory, used by VS Code, Cursor and Zed
+ * @param {Object|null} mapping - Project mapping rule, takes precedence over projectName and ideType
+ * @returns {string} Editor URL or empty string
  */
-export function constructIDEUrl(filePath, line, column, ideType, projectName) {
-  if (!filePath || !projectName) {
-    return '';
-  }
+export function constructIDEUrl(filePath, line, column, ideType, projectName, checkoutRoot = '', mapping = null) {
+  const project = resolveProject(mapping, projectName, ideType);
+  return buildEditorUrl({
+    filePath: mapFilePath(filePath, mapping),
+    line,
+    column,
+    ideType: project.ideType,
+    projectName: project.projectName,
+    checkoutRoot
+  });
+}
 
-  const ide = ideType || 'idea';
-  return `jetbrains://${ide}/navigate/reference?project=${encodeURIComponent(projectName)}&path=${encodeURIComponent(filePath)}:${line}:${column}`;
+/**
+ * Constructs the URL opening a class by its fully qualified name
+ * @param {string} className - Fully qualified class name
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @returns {string} Editor URL, or empty string for editors that cannot look up classes
+ */
+export function constructClassUrl(className, ideType, projectName, mapping = null) {
+  const project = resolveProject(mapping, projectName, ideType);
+  return buildClassUrl({ className, ideType: project.ideType, projectName: project.projectName });
 }
 
 /**
  * Creates a deep link button element
- * @param {string} url - JetBrains URL
+ * @param {string} url - Editor URL
  * @param {string} ideType - IDE type for tooltip
+ * @param {string} reference - Repository-relative 'path:line' offered for copying when the IDE does not open
  * @returns {HTMLElement} Button element
  */
-export function createDeepLinkButton(url, ideType) {
+export function createDeepLinkButton(url, ideType, reference = '') {
   const button = document.createElement('button');
   button.className = 'ide-link-btn';
   button.textContent = '🚀';
@@ -101,7 +264,68 @@ export function createDeepLinkButton(url, ideType) {
   button.addEventListener('click', (e) => {
     e.preventDefault();
     e.stopPropagation();
-    window.location.href = url;
+    openInIDE(url, ideType, reference);
+  });
+
+  return button;
+}
+
+/**
+ * Opens an editor URL through the registered protocol handler
+ * @param {string} url - Editor URL
+ */
+function launchUrl(url) {
+  window.location.href = url;
+}
+
+/**
+ * Opens an editor URL and shows a toast with the URL and troubleshooting tips
+ * when the page keeps focus, which hints that nothing handled the link
+ * @param {string} url - Editor URL
+ * @param {string} ideType - IDE type the URL was built for
+ * @param {string} reference - Repository-relative 'path:line', empty when unknown
+ */
+function openInIDE(url, ideType, reference) {
+  launchUrl(url);
+  if (!warnOnFailedLaunch) {
+    return;
+  }
+
+  const { family } = getEditor(ideType);
+  watchForLaunch(getLaunchCheckTimeout(family), () => showLaunchToast({
+    url,
+    ideName: getIDEName(ideType),
+    reference,
+    tips: getTroubleshootingTips(family)
+  }));
+}
+
+/**
+ * Creates the button opening the copy menu of a file reference
+ * @param {Function} getItems - Returns the copy menu entries, called on click so they see the current page
+ * @returns {HTMLElement} Button element
+ */
+export function createShareMenuButton(getItems) {
+  const button = document.createElement('button');
+  button.className = 'ide-link-menu-btn';
+  button.textContent = '⋯';
+  button.title = 'Copy path or link';
+  button.setAttribute('aria-haspopup', 'menu');
+  button.style.cssText = `
+    margin-left: 4px;
+    padding: 4px 6px;
+    font-size: 12px;
+    border: 1px solid #d0d7de;
+    border-radius: 6px;
+    background: #f6f8fa;
+    cursor: pointer;
+    vertical-align: middle;
+  `;
+
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    showCopyMenu(button, getItems());
   });
 
   return button;
@@ -113,26 +337,39 @@ export function createDeepLinkButton(url, ideType) {
  * @returns {string} IDE name
  */
 function getIDEName(ideType) {
-  const names = {
-    'idea': 'IntelliJ IDEA',
-    'web-storm': 'WebStorm',
-    'pycharm': 'PyCharm',
-    'php-storm': 'PhpStorm',
-    'rider': 'Rider',
-    'clion': 'CLion',
-    'goland': 'GoLand',
-    'rubymine': 'RubyMine'
-  };
-  return names[ideType] || 'IDE';
+  return EDITORS[ideType] ? EDITORS[ideType].name : 'IDE';
+}
+
+/**
+ * Describes the lines a review comment button opens, warning about comments on deleted code
+ * @param {HTMLElement} button - Deep link button
+ * @param {Object|null} commented - Result of getCommentedLines
+ * @param {string} ideType - IDE type for tooltip
+ */
+function describeCommentedLines(button, commented, ideType) {
+  if (!commented) {
+    return;
+  }
+
+  const ideName = getIDEName(ideType);
+  if (commented.deleted) {
+    button.textContent = '🚀⚠️';
+    button.title = `Comment is on deleted code - opens near line ${commented.startLine} in ${ideName}`;
+  } else if (commented.endLine > commented.startLine) {
+    button.title = `Open lines ${commented.startLine}-${commented.endLine} in ${ideName}`;
+  } else {
+    button.title = `Open line ${commented.startLine} in ${ideName}`;
+  }
 }
 
 /**
  * Finds all review comment blocks with file links
+ * @param {Document|HTMLElement} [root] - Document, or an added subtree to search alone
  * @returns {Array<{anchor: HTMLElement, details: HTMLElement}>} Array of file link info
  */
-export function findReviewCommentBlocks() {
+export function findReviewCommentBlocks(root = document) {
   const blocks = [];
-  const detailsElements = document.querySelectorAll('details-collapsible');
+  const detailsElements = queryWithin(root, 'details-collapsible');
 
   detailsElements.forEach(details => {
     const summary = details.querySelector('summary');
@@ -159,14 +396,17 @@ export function findReviewCommentBlocks() {
  * Injects IDE deep link buttons next to file links
  * @param {string} ideType - IDE type from settings
  * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @param {Document|HTMLElement} [root] - Document, or an added subtree to search alone
  */
-export function injectButtons(ideType, projectName) {
+export function injectButtons(ideType, projectName, checkoutRoot = '', mapping = null, root = document) {
   if (!projectName) {
     console.warn('GitHub Hyper: Cannot inject IDE buttons - project name not found');
     return;
   }
 
-  const blocks = findReviewCommentBlocks();
+  const blocks = findReviewCommentBlocks(root);
 
   blocks.forEach(({ anchor, details }) => {
     const filePath = extractFileInfo(anchor);
@@ -177,19 +417,36 @@ export function injectButtons(ideType, projectName) {
     const line = extractLineNumber(details);
     const column = 0; // Always use column 0
 
-    const url = constructIDEUrl(filePath, line, column, ideType, projectName);
+    const url = constructIDEUrl(filePath, line, column, ideType, projectName, checkoutRoot, mapping);
     if (!url) {
       return;
     }
 
-    const button = createDeepLinkButton(url, ideType);
+    // extractLineNumber is 0-based
+    const commented = getCommentedLines(details);
+    const startLine = commented ? commented.startLine : line + 1;
+    const endLine = commented ? commented.endLine : startLine;
+
+    const button = createDeepLinkButton(url, ideType, formatFileReference(filePath, startLine));
+    describeCommentedLines(button, commented, ideType);
 
-    // Insert button right after the anchor element
+    // Permalinks are pinned to the head commit the page shows when the menu opens
+    const menuButton = createShareMenuButton(() => buildShareItems({
+      origin: window.location.origin,
+      repoSlug: extractRepoSlug(),
+      headSha: findHeadCommitSha(document),
+      filePath,
+      startLine,
+      endLine
+    }));
+
+    // Insert buttons right after the anchor element
     if (anchor.nextSibling) {
       anchor.parentNode.insertBefore(button, anchor.nextSibling);
     } else {
       anchor.parentNode.appendChild(button);
     }
+    button.parentNode.insertBefore(menuButton, button.nextSibling);
 
     // Mark as processed
     anchor.setAttribute(PROCESSED_ATTR, 'true');
@@ -197,67 +454,576 @@ export function injectButtons(ideType, projectName) {
 }
 
 /**
- * Initializes MutationObserver to watch for dynamically added elements
+ * Injects IDE deep link buttons next to the file names of the "Files changed" tab
  * @param {string} ideType - IDE type from settings
  * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @param {Document|HTMLElement} [root] - Document, or an added subtree to search alone
  */
-export function initObserver(ideType, projectName) {
-  const observer = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      mutation.addedNodes.forEach((node) => {
-        if (node.nodeType === Node.ELEMENT_NODE) {
-          // Check if the added node is or contains details-collapsible
-          if (node.tagName === 'DETAILS-COLLAPSIBLE' ||
-              node.querySelector('details-collapsible')) {
-            injectButtons(ideType, projectName);
-          }
-        }
-      });
-    });
+export function injectFileHeaderButtons(ideType, projectName, checkoutRoot = '', mapping = null, root = document) {
+  findDiffFileHeaders(PROCESSED_ATTR, root).forEach(({ nameElement, filePath }) => {
+    const url = constructIDEUrl(filePath, 0, 0, ideType, projectName, checkoutRoot, mapping);
+    if (!url) {
+      return;
+    }
+
+    nameElement.parentNode.insertBefore(createDeepLinkButton(url, ideType, filePath), nameElement.nextSibling);
+    nameElement.setAttribute(PROCESSED_ATTR, 'true');
   });
+}
+
+/**
+ * Removes the line number hover button, if shown
+ */
+function hideLineButton() {
+  const button = document.getElementById(LINE_BUTTON_ID);
+  if (button) {
+    button.remove();
+  }
+}
+
+/**
+ * Shows an open-in-IDE button over diff line number cells while they are hovered
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @returns {Function} Cleanup function removing the listeners
+ */
+export function initLineNumberHover(ideType, projectName, checkoutRoot = '', mapping = null) {
+  let hoveredCell = null;
+
+  const onMouseOver = (e) => {
+    if (!(e.target instanceof Element) || e.target.closest(`#${LINE_BUTTON_ID}`)) {
+      return;
+    }
+
+    const cell = e.target.closest(LINE_NUMBER_CELL_SELECTOR);
+    if (cell === hoveredCell) {
+      return;
+    }
+    hideLineButton();
+    hoveredCell = cell;
+
+    const target = cell && getDiffLineTarget(cell);
+    if (!target) {
+      return;
+    }
+
+    // Diff lines are 1-based, constructIDEUrl takes 0-based lines
+    const url = constructIDEUrl(target.filePath, target.line - 1, 0, ideType, projectName, checkoutRoot, mapping);
+    if (!url) {
+      return;
+    }
+
+    const button = createDeepLinkButton(url, ideType, formatFileReference(target.filePath, target.line));
+    button.id = LINE_BUTTON_ID;
+    button.title = `Open line ${target.line} in ${getIDEName(ideType)}`;
+
+    const rect = cell.getBoundingClientRect();
+    button.style.position = 'fixed';
+    button.style.zIndex = '10';
+    button.style.top = `${rect.top}px`;
+    button.style.left = `${rect.left}px`;
+    button.style.margin = '0';
+    button.style.padding = '0 4px';
+    button.style.fontSize = '10px';
+    document.body.appendChild(button);
+  };
+
+  // The button is fixed to where the cell was, so drop it once the page moves
+  const onScroll = () => {
+    hideLineButton();
+    hoveredCell = null;
+  };
+
+  document.addEventListener('mouseover', onMouseOver);
+  document.addEventListener('scroll', onScroll, true);
+
+  return () => {
+    document.removeEventListener('mouseover', onMouseOver);
+    document.removeEventListener('scroll', onScroll, true);
+    hideLineButton();
+  };
+}
+
+/**
+ * Renders the open-in-IDE button of a file page at the highlighted line, replacing a previous one
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ */
+export function renderBlobButton(ideType, projectName, checkoutRoot = '', mapping = null) {
+  const existing = document.getElementById(BLOB_BUTTON_ID);
+  if (existing) {
+    existing.remove();
+  }
+
+  // Paths that could belong to several refs get no button rather than one opening the wrong file
+  const blob = resolveBlobPath(window.location.pathname);
+  const fileName = document.querySelector(BLOB_FILE_NAME_SELECTOR);
+  if (!blob || !fileName) {
+    return;
+  }
+
+  // A highlighted range opens at its first line; fragments are 1-based, constructIDEUrl takes 0-based
+  const range = parseLineFragment(window.location.hash);
+  const line = range ? range.line - 1 : 0;
+  const column = range ? range.column - 1 : 0;
+
+  const url = constructIDEUrl(blob.filePath, line, column, ideType, projectName, checkoutRoot, mapping);
+  if (!url) {
+    return;
+  }
+
+  const button = createDeepLinkButton(url, ideType, formatFileReference(blob.filePath, range ? range.line : 0));
+  button.id = BLOB_BUTTON_ID;
+  if (range) {
+    button.title = `Open line ${range.line} in ${getIDEName(ideType)}`;
+  }
+  fileName.parentNode.insertBefore(button, fileName.nextSibling);
+}
+
+/**
+ * Shows the open-in-IDE button of a file page and keeps it on the highlighted line
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @returns {Function} Cleanup function removing the listeners
+ */
+export function initBlobButton(ideType, projectName, checkoutRoot = '', mapping = null) {
+  const render = () => renderBlobButton(ideType, projectName, checkoutRoot, mapping);
+
+  // The React file view highlights clicked lines with replaceState, which fires no hashchange
+  const onClick = (e) => {
+    if (e.target instanceof Element && e.target.closest(BLOB_LINE_NUMBER_SELECTOR)) {
+      setTimeout(render, 0);
+    }
+  };
+
+  render();
+  window.addEventListener('hashchange', render);
+  document.addEventListener('click', onClick);
+
+  return () => {
+    window.removeEventListener('hashchange', render);
+    document.removeEventListener('click', onClick);
+  };
+}
+
+/**
+ * Creates a link opening a code reference in the IDE
+ * @param {string} text - Link text
+ * @param {string} url - Editor URL
+ * @param {string} ideType - IDE type for tooltip
+ * @param {string} reference - Repository-relative 'path:line'
+ * @returns {HTMLElement} Link element
+ */
+function createReferenceLink(text, url, ideType, reference) {
+  const link = document.createElement('a');
+  link.className = REFERENCE_LINK_CLASS;
+  link.href = url;
+  link.textContent = text;
+  link.title = `Open in ${getIDEName(ideType)}`;
 
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
+  link.addEventListener('click', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    openInIDE(url, ideType, reference);
   });
+
+  return link;
 }
 
 /**
- * Initializes the IDE deep link feature if enabled in settings
+ * Turns the file:line references in the text of an element into IDE links
+ * @param {HTMLElement} root - Element to scan, e.g. a rendered markdown body
+ * @param {Array<RegExp>} recognizers - Compiled reference recognizers
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
  */
-export async function init() {
-  try {
-    // Check if feature is enabled
-    const settings = await chrome.storage.sync.get({
-      enableIDEDeepLink: true,
-      ideType: 'idea'
+export function linkCodeReferences(root, recognizers, ideType, projectName, checkoutRoot = '', mapping = null) {
+  const repoName = extractProjectName();
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  textNodes.forEach(textNode => {
+    if (textNode.parentElement.closest(REFERENCE_SKIP_SELECTOR)) {
+      return;
+    }
+
+    const text = textNode.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+
+    findCodeReferences(text, recognizers).forEach(reference => {
+      // JVM stack frames name a package rather than a path: open the file below the configured source root,
+      // or let JetBrains IDEs look up the class
+      const filePath = reference.className
+        ? toSourceRootPath(reference.path, jvmSourceRoot)
+        : toRepoRelativePath(reference.path, repoName);
+      // References are 1-based, constructIDEUrl takes 0-based lines and columns
+      const url = filePath
+        ? constructIDEUrl(filePath, reference.line - 1, reference.column - 1, ideType, projectName, checkoutRoot, mapping)
+        : constructClassUrl(reference.className, ideType, projectName, mapping);
+      if (!url) {
+        return;
+      }
+
+      fragment.appendChild(document.createTextNode(text.slice(position, reference.start)));
+      fragment.appendChild(createReferenceLink(
+        text.slice(reference.start, reference.end),
+        url,
+        ideType,
+        formatFileReference(filePath || reference.className, reference.line)
+      ));
+      position = reference.end;
     });
 
-    if (!settings.enableIDEDeepLink) {
-      console.log('GitHub Hyper: IDE deep link feature is disabled');
+    if (position > 0) {
+      fragment.appendChild(document.createTextNode(text.slice(position)));
+      textNode.replaceWith(fragment);
+    }
+  });
+}
+
+/**
+ * Links file:line references in every rendered markdown body of the page
+ * @param {Array<RegExp>} recognizers - Compiled reference recognizers
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @param {Document|HTMLElement} [root] - Document, or an added subtree to search alone
+ */
+export function injectCodeReferenceLinks(recognizers, ideType, projectName, checkoutRoot = '', mapping = null, root = document) {
+  if (recognizers.length === 0) {
+    return;
+  }
+
+  queryWithin(root, MARKDOWN_BODY_SELECTOR).forEach(body => {
+    linkCodeReferences(body, recognizers, ideType, projectName, checkoutRoot, mapping);
+  });
+}
+
+/**
+ * Removes every button and link the feature added, so the page can be rendered again with other settings
+ */
+export function removeIDELinks() {
+  document.querySelectorAll('.ide-link-btn, .ide-link-menu-btn').forEach(button => button.remove());
+  document.querySelectorAll(`[${PROCESSED_ATTR}]`).forEach(element => element.removeAttribute(PROCESSED_ATTR));
+
+  // Put the text of reference links back, merged with its neighbours so it can be linked again
+  document.querySelectorAll(`.${REFERENCE_LINK_CLASS}`).forEach(link => {
+    const parent = link.parentNode;
+    link.replaceWith(link.textContent);
+    parent.normalize();
+  });
+
+  removeCheckoutButtons();
+  removeOpenAllButton();
+  closeLaunchToast();
+  closeCopyMenu();
+}
+
+/**
+ * Opens a diff line in the IDE
+ * @param {HTMLElement} cell - Line number cell
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @returns {boolean} True if the line could be opened
+ */
+function openDiffLine(cell, ideType, projectName, checkoutRoot, mapping) {
+  const target = getDiffLineTarget(cell);
+  // Diff lines are 1-based, constructIDEUrl takes 0-based lines
+  const url = target && constructIDEUrl(target.filePath, target.line - 1, 0, ideType, projectName, checkoutRoot, mapping);
+  if (!url) {
+    return false;
+  }
+
+  openInIDE(url, ideType, formatFileReference(target.filePath, target.line));
+  return true;
+}
+
+/**
+ * Opens the review comment or diff line holding the focus, or else the one nearest the viewport center
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ */
+export function openNearestInIDE(ideType, projectName, checkoutRoot = '', mapping = null) {
+  const focused = document.activeElement;
+  if (focused && focused !== document.body) {
+    const thread = focused.closest('details-collapsible');
+    const threadButton = thread && thread.querySelector('.ide-link-btn');
+    if (threadButton) {
+      threadButton.click();
+      return;
+    }
+
+    const row = focused.closest('tr');
+    const cells = row ? Array.from(row.querySelectorAll(LINE_NUMBER_CELL_SELECTOR)) : [];
+    if (cells.some(cell => openDiffLine(cell, ideType, projectName, checkoutRoot, mapping))) {
       return;
     }
+  }
+
+  const viewportHeight = window.innerHeight;
+  const visible = element => {
+    const rect = element.getBoundingClientRect();
+    return rect.bottom > 0 && rect.top < viewportHeight;
+  };
+  const candidates = [
+    ...document.querySelectorAll(THREAD_BUTTON_SELECTOR),
+    ...Array.from(document.querySelectorAll(LINE_NUMBER_CELL_SELECTOR)).filter(cell => getDiffLineTarget(cell))
+  ].filter(visible);
+
+  const nearest = findNearestElement(candidates, viewportHeight / 2);
+  if (!nearest) {
+    return;
+  }
+  if (nearest.matches('.ide-link-btn')) {
+    nearest.click();
+  } else {
+    openDiffLine(nearest, ideType, projectName, checkoutRoot, mapping);
+  }
+}
+
+/**
+ * Scrolls to the next or previous review thread with an IDE button and focuses the button
+ * @param {number} direction - 1 for the next thread, -1 for the previous one
+ */
+export function focusAdjacentThread(direction) {
+  const buttons = Array.from(document.querySelectorAll(THREAD_BUTTON_SELECTOR));
+  const index = buttons.indexOf(document.activeElement);
+  // From the focused thread step through the list, otherwise start at the viewport center
+  const target = index !== -1
+    ? buttons[index + direction]
+    : findAdjacentElement(buttons, window.innerHeight / 2, direction);
+  if (!target) {
+    return;
+  }
+
+  target.scrollIntoView({ block: 'center' });
+  target.focus();
+}
+
+/**
+ * Handles the shortcut keys set in the options and the browser commands forwarded by the background worker
+ * @param {Object} shortcuts - Map of action name to shortcut
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @returns {Function} Cleanup function removing the listeners
+ */
+export function initKeyboardShortcuts(shortcuts, ideType, projectName, checkoutRoot = '', mapping = null) {
+  const actions = {
+    openInIDE: () => openNearestInIDE(ideType, projectName, checkoutRoot, mapping),
+    nextThread: () => focusAdjacentThread(1),
+    previousThread: () => focusAdjacentThread(-1)
+  };
 
-    // Extract project name from URL
-    const projectName = extractProjectName();
-    if (!projectName) {
-      console.warn('GitHub Hyper: Could not extract project name from URL');
+  const onKeyDown = (e) => {
+    if (isEditableTarget(e.target)) {
+      return;
+    }
+    const action = findShortcutAction(eventToShortcut(e), shortcuts);
+    if (!action) {
       return;
     }
 
-    // Feature is enabled, proceed with initialization
-    injectButtons(settings.ideType, projectName);
-    initObserver(settings.ideType, projectName);
-  } catch (error) {
-    console.error('GitHub Hyper: Error initializing IDE deep link:', error);
+    e.preventDefault();
+    e.stopPropagation();
+    actions[action]();
+  };
+
+  const onMessage = (message) => {
+    const action = message && message.type === COMMAND_MESSAGE_TYPE ? findCommandAction(message.command) : '';
+    if (action) {
+      actions[action]();
+    }
+  };
+
+  // Capture phase, so GitHub's own key handlers do not see the shortcut
+  document.addEventListener('keydown', onKeyDown, true);
+  chrome.runtime.onMessage.addListener(onMessage);
+
+  return () => {
+    document.removeEventListener('keydown', onKeyDown, true);
+    chrome.runtime.onMessage.removeListener(onMessage);
+  };
+}
+
+/**
+ * Adds buttons and links to dynamically added elements
+ * @param {Array<MutationRecord>} mutations - Batch of DOM changes
+ * @param {string} ideType - IDE type from settings
+ * @param {string} projectName - Project name
+ * @param {string} checkoutRoot - Local checkout directory for editors opening absolute paths
+ * @param {Object|null} mapping - Project mapping rule of the repository
+ * @param {Array<RegExp>} recognizers - Compiled reference recognizers, empty to leave comments alone
+ */
+export function handleMutations(mutations, ideType, projectName, checkoutRoot = '', mapping = null, recognizers = []) {
+  // Only the added subtrees are searched, so pages adding thousands of nodes are not scanned again for each
+  collectAddedRoots(mutations).forEach((root) => {
+    // Check if the added node is or contains details-collapsible
+    if (root.tagName === 'DETAILS-COLLAPSIBLE' ||
+        root.querySelector('details-collapsible')) {
+      injectButtons(ideType, projectName, checkoutRoot, mapping, root);
+    }
+
+    // Diff files load in batches as the "Files changed" tab scrolls
+    if (root.matches(DIFF_FILE_HEADER_SELECTOR) ||
+        root.querySelector(DIFF_FILE_HEADER_SELECTOR)) {
+      injectFileHeaderButtons(ideType, projectName, checkoutRoot, mapping, root);
+    }
+
+    // The React file view renders its header after the page loads
+    if ((root.matches(BLOB_FILE_NAME_SELECTOR) || root.querySelector(BLOB_FILE_NAME_SELECTOR)) &&
+        !document.getElementById(BLOB_BUTTON_ID)) {
+      renderBlobButton(ideType, projectName, checkoutRoot, mapping);
+    }
+
+    // New and edited comments
+    if (root.matches(MARKDOWN_BODY_SELECTOR) || root.querySelector(MARKDOWN_BODY_SELECTOR)) {
+      injectCodeReferenceLinks(recognizers, ideType, projectName, checkoutRoot, mapping, root);
+    }
+  });
+}
+
+/**
+ * Adds the IDE buttons and links to the page
+ * @param {Object} settings - Settings read by the runtime
+ * @param {Object} page - Context of the page, see getPageContext
+ * @returns {Promise<Object>} Options of the checkout and open all buttons, the resolved project
+ *   (null without a checkout root the IDE needs) and listener cleanups
+ */
+async function setup(settings, page) {
+  // "auto" picks the IDE from the repository languages
+  const { repoSlug } = page;
+  const defaultIdeType = settings.ideType === AUTO_IDE_TYPE
+    ? await detectIDEType(repoSlug, settings.languageIDEs)
+    : settings.ideType;
+
+  // A mapping rule names the IDE project when it differs from the repository, and overrides the IDE
+  const mapping = findProjectMapping(settings.projectMappings, repoSlug);
+  const { projectName, ideType } = resolveProject(mapping, page.repo, defaultIdeType);
+
+  // Cloning needs no local checkout, so these buttons show up before a checkout root is set
+  const state = {
+    checkoutOptions: {
+      ideType,
+      ideName: getIDEName(ideType),
+      origin: window.location.origin,
+      repoSlug,
+      pageType: page.type,
+      openUrl: url => openInIDE(url, ideType, '')
+    },
+    openAllOptions: null,
+    project: null,
+    cleanups: []
+  };
+  injectCheckoutButtons(state.checkoutOptions);
+
+  // VS Code, Cursor and Zed open absolute paths, so they need to know where the repo is checked out
+  const checkoutRoot = resolveCheckoutRoot(settings.checkoutRoots, settings.defaultCheckoutRoot, repoSlug, projectName);
+  if (needsCheckoutRoot(ideType) && !checkoutRoot) {
+    console.warn(`GitHub Hyper: No local checkout root set for ${repoSlug} - set one in the options to open files in ${getIDEName(ideType)}`);
+    return state;
+  }
+
+  warnOnFailedLaunch = settings.warnOnFailedLaunch;
+  jvmSourceRoot = settings.jvmSourceRoot;
+  injectButtons(ideType, projectName, checkoutRoot, mapping);
+  injectFileHeaderButtons(ideType, projectName, checkoutRoot, mapping);
+  state.cleanups.push(initLineNumberHover(ideType, projectName, checkoutRoot, mapping));
+  if (page.type === 'blob') {
+    state.cleanups.push(initBlobButton(ideType, projectName, checkoutRoot, mapping));
+  }
+  if (page.type === 'pull-files') {
+    state.openAllOptions = {
+      ideName: getIDEName(ideType),
+      skipPatterns: settings.openAllSkipPatterns,
+      launchInterval: settings.openAllLaunchInterval,
+      buildUrl: filePath => constructIDEUrl(filePath, 0, 0, ideType, projectName, checkoutRoot, mapping),
+      // Files open in the background one after another, so focus says nothing about a single launch
+      openUrl: launchUrl
+    };
+    injectOpenAllButton(state.openAllOptions);
   }
+  if (page.pullNumber > 0) {
+    const shortcuts = { ...DEFAULT_SHORTCUTS, ...settings.keyboardShortcuts };
+    state.cleanups.push(initKeyboardShortcuts(shortcuts, ideType, projectName, checkoutRoot, mapping));
+  }
+
+  const recognizers = settings.enableCodeReferences
+    ? compileReferencePatterns(settings.codeReferencePatterns)
+    : [];
+  injectCodeReferenceLinks(recognizers, ideType, projectName, checkoutRoot, mapping);
+
+  state.project = { ideType, projectName, checkoutRoot, mapping, recognizers };
+  return state;
 }
 
-// Initialize when DOM is ready (skip in test environment)
-if (typeof process === 'undefined' || process.env.NODE_ENV !== 'test') {
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
-  } else {
-    init();
+/**
+ * Adds buttons to the elements of a batch of DOM changes and to headers rendered late
+ * @param {Array<MutationRecord>} mutations - Batch of DOM changes
+ * @param {Object} state - State returned by setup
+ */
+function onMutations(mutations, state) {
+  injectCheckoutButtons(state.checkoutOptions);
+  if (state.openAllOptions) {
+    injectOpenAllButton(state.openAllOptions);
   }
+  if (state.project) {
+    const { ideType, projectName, checkoutRoot, mapping, recognizers } = state.project;
+    handleMutations(mutations, ideType, projectName, checkoutRoot, mapping, recognizers);
+  }
+}
+
+/**
+ * Removes the listeners, buttons and links, e.g. when the feature is turned off or set up again
+ * with another IDE
+ * @param {Object} state - State returned by setup
+ */
+function teardown(state) {
+  state.cleanups.forEach(cleanup => cleanup());
+  removeIDELinks();
 }
+
+export const ideDeepLinkFeature = {
+  name: 'IDE deep link',
+  enabledSetting: 'enableIDEDeepLink',
+  settings: {
+    enableIDEDeepLink: true,
+    ideType: 'idea',
+    checkoutRoots: {},
+    defaultCheckoutRoot: '',
+    projectMappings: [],
+    languageIDEs: DEFAULT_LANGUAGE_IDES,
+    enableCodeReferences: true,
+    codeReferencePatterns: DEFAULT_REFERENCE_PATTERNS,
+    jvmSourceRoot: '',
+    openAllSkipPatterns: DEFAULT_SKIPPED_FILE_PATTERNS,
+    openAllLaunchInterval: DEFAULT_LAUNCH_INTERVAL,
+    warnOnFailedLaunch: true,
+    keyboardShortcuts: DEFAULT_SHORTCUTS
+  },
+  // Repository pages: /owner/repo/...
+  matches: page => Boolean(page.repo),
+  setup,
+  onMutations,
+  teardown
+};
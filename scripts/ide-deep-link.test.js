@@ -1,15 +1,48 @@
 import { jest } from '@jest/globals';
 import {
   extractProjectName,
+  extractRepoSlug,
   extractFileInfo,
   extractLineNumber,
+  getCommentedLines,
   constructIDEUrl,
   createDeepLinkButton,
   findReviewCommentBlocks,
   injectButtons,
-  initObserver,
-  init
+  injectFileHeaderButtons,
+  initLineNumberHover,
+  renderBlobButton,
+  initBlobButton,
+  createShareMenuButton,
+  openNearestInIDE,
+  focusAdjacentThread,
+  initKeyboardShortcuts,
+  linkCodeReferences,
+  injectCodeReferenceLinks,
+  handleMutations,
+  ideDeepLinkFeature
 } from './ide-deep-link.js';
+import { RUNTIME_SETTINGS, createRuntime } from './runtime.js';
+import { DEFAULT_LANGUAGE_IDES } from './ide-detection.js';
+import { DEFAULT_REFERENCE_PATTERNS, compileReferencePatterns } from './code-references.js';
+import { DEFAULT_LAUNCH_INTERVAL, DEFAULT_SKIPPED_FILE_PATTERNS } from './open-all-files.js';
+import { JETBRAINS_LAUNCH_CHECK_TIMEOUT, LAUNCH_CHECK_TIMEOUT, closeLaunchToast } from './launch-feedback.js';
+import { closeCopyMenu } from './copy-menu.js';
+import { DEFAULT_SHORTCUTS } from './keyboard-shortcuts.js';
+
+// Window stand-in for tests that click IDE links, which watch the window for losing focus
+function mockWindow(location) {
+  return { location, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+}
+
+// Ends the launch watches of clicked links as if the IDE had taken focus
+afterEach(() => {
+  if (global.window && global.window.addEventListener && jest.isMockFunction(global.window.addEventListener)) {
+    global.window.addEventListener.mock.calls
+      .filter(([type]) => type === 'blur')
+      .forEach(([, listener]) => listener());
+  }
+});
 
 describe('extractProjectName', () => {
   beforeEach(() => {
@@ -48,6 +81,23 @@ describe('extractProjectName', () => {
   });
 });
 
+describe('extractRepoSlug', () => {
+  beforeEach(() => {
+    delete global.window;
+    global.window = { location: { pathname: '' } };
+  });
+
+  it('should extract owner and repo from PR URL', () => {
+    window.location.pathname = '/owner/my-project/pull/123';
+    expect(extractRepoSlug()).toBe('owner/my-project');
+  });
+
+  it('should return empty string for URL without repo', () => {
+    window.location.pathname = '/owner';
+    expect(extractRepoSlug()).toBe('');
+  });
+});
+
 describe('extractFileInfo', () => {
   it('should extract file path from anchor element', () => {
     const anchor = document.createElement('a');
@@ -139,6 +189,15 @@ describe('extractLineNumber', () => {
     expect(extractLineNumber(details)).toBe(0);
   });
 
+  it('should use the commented new-file line of snippet rows', () => {
+    const details = buildSnippet([
+      [10, 12, 'context'],
+      [null, 13, 'addition']
+    ]);
+
+    expect(extractLineNumber(details)).toBe(12);
+  });
+
   it('should handle zero line number', () => {
     const details = document.createElement('div');
     const td = document.createElement('td');
@@ -149,6 +208,80 @@ describe('extractLineNumber', () => {
   });
 });
 
+// Builds a review comment snippet; each row is [oldLine, newLine, type, selected]
+function buildSnippet(rows) {
+  const details = document.createElement('details-collapsible');
+  details.innerHTML = `<table>${rows.map(([oldLine, newLine, type, selected]) => {
+    const cellClass = `blob-num blob-num-${type}${selected ? ' selected-line' : ''}`;
+    const cell = line => line
+      ? `<td class="${cellClass}" data-line-number="${line}"></td>`
+      : `<td class="${cellClass} empty-cell"></td>`;
+    return `<tr>${cell(oldLine)}${cell(newLine)}<td class="blob-code"></td></tr>`;
+  }).join('')}</table>`;
+  return details;
+}
+
+describe('getCommentedLines', () => {
+  it('should use the new-file line of the last row', () => {
+    const details = buildSnippet([
+      [10, 12, 'context'],
+      [11, 13, 'context'],
+      [null, 14, 'addition']
+    ]);
+
+    expect(getCommentedLines(details)).toEqual({ startLine: 14, endLine: 14, deleted: false });
+  });
+
+  it('should use the right-side number of context lines', () => {
+    const details = buildSnippet([[10, 12, 'context']]);
+
+    expect(getCommentedLines(details)).toEqual({ startLine: 12, endLine: 12, deleted: false });
+  });
+
+  it('should use the highlighted rows of multi-line comments', () => {
+    const details = buildSnippet([
+      [10, 12, 'context'],
+      [null, 13, 'addition', true],
+      [null, 14, 'addition', true],
+      [null, 15, 'addition', true],
+      [11, 16, 'context']
+    ]);
+
+    expect(getCommentedLines(details)).toEqual({ startLine: 13, endLine: 15, deleted: false });
+  });
+
+  it('should flag comments on deleted code and open after the line above', () => {
+    const details = buildSnippet([
+      [10, 12, 'context'],
+      [11, null, 'deletion'],
+      [12, null, 'deletion']
+    ]);
+
+    expect(getCommentedLines(details)).toEqual({ startLine: 13, endLine: 13, deleted: true });
+  });
+
+  it('should fall back to the old line when no new line is above deleted code', () => {
+    const details = buildSnippet([[7, null, 'deletion']]);
+
+    expect(getCommentedLines(details)).toEqual({ startLine: 7, endLine: 7, deleted: true });
+  });
+
+  it('should read rows with a single number cell by their diff class', () => {
+    const details = document.createElement('div');
+    details.innerHTML = `<table>
+      <tr><td class="blob-num-addition" data-line-number="4"></td></tr>
+      <tr><td class="blob-num-deletion" data-line-number="9"></td></tr>
+    </table>`;
+
+    expect(getCommentedLines(details)).toEqual({ startLine: 5, endLine: 5, deleted: true });
+  });
+
+  it('should return null without snippet rows', () => {
+    expect(getCommentedLines(document.createElement('div'))).toBeNull();
+    expect(getCommentedLines(null)).toBeNull();
+  });
+});
+
 describe('constructIDEUrl', () => {
   it('should construct correct URL for IntelliJ IDEA', () => {
     const url = constructIDEUrl('src/Main.java', 10, 0, 'idea', 'my-project');
@@ -199,6 +332,32 @@ describe('constructIDEUrl', () => {
     const url = constructIDEUrl('file.ts', 10, 5, 'idea', 'project');
     expect(url).toBe('jetbrains://idea/navigate/reference?project=project&path=file.ts:10:5');
   });
+
+  it('should construct 1-based VS Code URL from the checkout root', () => {
+    const url = constructIDEUrl('src/file.ts', 10, 0, 'vscode', 'project', '/home/me/project');
+    expect(url).toBe('vscode://file/home/me/project/src/file.ts:11:1');
+  });
+
+  it('should use the project and path prefix of a mapping rule', () => {
+    const mapping = { repo: 'acme/monorepo', project: 'api', stripPrefix: 'services/api/' };
+    const url = constructIDEUrl('services/api/main.go', 3, 0, 'idea', 'monorepo', '', mapping);
+    expect(url).toBe('jetbrains://idea/navigate/reference?project=api&path=main.go:3:0');
+  });
+
+  it('should use the IDE type of a mapping rule', () => {
+    const url = constructIDEUrl('main.go', 3, 0, 'idea', 'monorepo', '', { repo: 'acme/*', ideType: 'goland' });
+    expect(url).toBe('jetbrains://goland/navigate/reference?project=monorepo&path=main.go:3:0');
+  });
+
+  it('should return empty string for files outside the mapped subdirectory', () => {
+    const mapping = { repo: 'acme/monorepo', stripPrefix: 'services/api' };
+    expect(constructIDEUrl('services/web/index.js', 0, 0, 'idea', 'monorepo', '', mapping)).toBe('');
+  });
+
+  it('should return empty string for VS Code without checkout root', () => {
+    const url = constructIDEUrl('src/file.ts', 10, 0, 'vscode', 'project');
+    expect(url).toBe('');
+  });
 });
 
 describe('createDeepLinkButton', () => {
@@ -224,15 +383,88 @@ describe('createDeepLinkButton', () => {
   });
 
   it('should navigate to URL on click', () => {
+    const testUrl = 'vscode://file/Users/me/test/file.ts:1:1';
+    const button = createDeepLinkButton(testUrl, 'vscode');
+
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+
+    button.click();
+
+    expect(window.location.href).toBe(testUrl);
+    expect(window.addEventListener).toHaveBeenCalledWith('blur', expect.any(Function));
+  });
+
+  it('should watch JetBrains launches too', () => {
     const testUrl = 'jetbrains://idea/navigate/reference?project=test&path=file.ts:0:0';
     const button = createDeepLinkButton(testUrl, 'idea');
 
     delete global.window;
-    global.window = { location: { href: '' } };
+    global.window = mockWindow({ href: '' });
 
     button.click();
 
     expect(window.location.href).toBe(testUrl);
+    expect(window.addEventListener).toHaveBeenCalledWith('blur', expect.any(Function));
+  });
+
+  describe('when the page keeps focus', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      delete global.window;
+      global.window = mockWindow({ href: '' });
+    });
+
+    afterEach(() => {
+      closeLaunchToast();
+      jest.useRealTimers();
+    });
+
+    it('should show a toast with the URL and the file reference', () => {
+      const url = 'cursor://file/Users/me/test/file.ts:5:1';
+      createDeepLinkButton(url, 'cursor', 'file.ts:5').click();
+
+      expect(document.getElementById('gh-hyper-launch-toast')).toBeNull();
+      jest.advanceTimersByTime(LAUNCH_CHECK_TIMEOUT);
+
+      const toast = document.getElementById('gh-hyper-launch-toast');
+      expect(toast.textContent).toContain('Cursor did not seem to open');
+      expect(toast.querySelector('code').textContent).toBe(url);
+      expect(Array.from(toast.querySelectorAll('button')).map(button => button.title))
+        .toEqual(['file.ts:5', url, '', '']);
+    });
+
+    it('should give Toolbox a longer grace period for JetBrains IDEs', () => {
+      createDeepLinkButton('jetbrains://idea/navigate/reference?project=test&path=file.ts:4:0', 'idea', 'file.ts:5').click();
+
+      jest.advanceTimersByTime(LAUNCH_CHECK_TIMEOUT);
+      expect(document.getElementById('gh-hyper-launch-toast')).toBeNull();
+
+      jest.advanceTimersByTime(JETBRAINS_LAUNCH_CHECK_TIMEOUT - LAUNCH_CHECK_TIMEOUT);
+      const toast = document.getElementById('gh-hyper-launch-toast');
+      expect(toast.textContent).toContain('IntelliJ IDEA did not seem to open');
+      expect(toast.textContent).toContain('JetBrains Toolbox must be installed and running');
+    });
+
+    it('should give editor tips for VS Code', () => {
+      createDeepLinkButton('vscode://file/src/a.js:1:1', 'vscode').click();
+      jest.advanceTimersByTime(LAUNCH_CHECK_TIMEOUT);
+
+      const toast = document.getElementById('gh-hyper-launch-toast');
+      expect(toast.textContent).toContain('VS Code did not seem to open');
+      expect(toast.textContent).toContain('local checkout root');
+      expect(toast.querySelectorAll('button')).toHaveLength(3);
+    });
+
+    it('should not show a toast when the page loses focus', () => {
+      createDeepLinkButton('some-url', 'zed').click();
+
+      const [, onBlur] = window.addEventListener.mock.calls.find(([type]) => type === 'blur');
+      onBlur();
+      jest.advanceTimersByTime(LAUNCH_CHECK_TIMEOUT);
+
+      expect(document.getElementById('gh-hyper-launch-toast')).toBeNull();
+    });
   });
 
   it('should handle different IDE types in title', () => {
@@ -240,6 +472,11 @@ describe('createDeepLinkButton', () => {
     expect(button.title).toBe('Open in PyCharm');
   });
 
+  it('should name non-JetBrains editors in title', () => {
+    const button = createDeepLinkButton('url', 'cursor');
+    expect(button.title).toBe('Open in Cursor');
+  });
+
   it('should default to "IDE" for unknown IDE type', () => {
     const button = createDeepLinkButton('url', 'unknown-ide');
     expect(button.title).toBe('Open in IDE');
@@ -272,6 +509,32 @@ describe('createDeepLinkButton', () => {
   });
 });
 
+describe('createShareMenuButton', () => {
+  afterEach(() => {
+    closeCopyMenu();
+    document.body.innerHTML = '';
+  });
+
+  it('should describe the menu it opens', () => {
+    const button = createShareMenuButton(() => []);
+    expect(button.className).toBe('ide-link-menu-btn');
+    expect(button.title).toBe('Copy path or link');
+    expect(button.getAttribute('aria-haspopup')).toBe('menu');
+  });
+
+  it('should build the entries on click', () => {
+    const getItems = jest.fn(() => [{ label: 'Copy path', text: 'src/app.js' }]);
+    const button = createShareMenuButton(getItems);
+    document.body.appendChild(button);
+
+    expect(getItems).not.toHaveBeenCalled();
+    button.click();
+
+    expect(getItems).toHaveBeenCalledTimes(1);
+    expect(document.querySelector('#gh-hyper-copy-menu button').textContent).toBe('Copy path');
+  });
+});
+
 describe('findReviewCommentBlocks', () => {
   beforeEach(() => {
     document.body.innerHTML = '';
@@ -389,6 +652,54 @@ describe('injectButtons', () => {
     expect(anchor.hasAttribute('data-ide-link-processed')).toBe(true);
   });
 
+  it('should describe the commented line range', () => {
+    const details = buildSnippet([
+      [null, 3, 'addition', true],
+      [null, 4, 'addition', true]
+    ]);
+    details.insertAdjacentHTML('afterbegin',
+      '<summary><a class="text-mono" href="/owner/repo/pull/1/files/abc">src/a.js</a></summary>');
+    document.body.appendChild(details);
+
+    injectButtons('idea', 'project');
+
+    const button = details.querySelector('.ide-link-btn');
+    expect(button.title).toBe('Open lines 3-4 in IntelliJ IDEA');
+    expect(button.textContent).toBe('🚀');
+  });
+
+  it('should describe a single commented line', () => {
+    const details = buildSnippet([[1, 1, 'context']]);
+    details.insertAdjacentHTML('afterbegin',
+      '<summary><a class="text-mono" href="/owner/repo/pull/1/files/abc">src/a.js</a></summary>');
+    document.body.appendChild(details);
+
+    injectButtons('pycharm', 'project');
+
+    expect(details.querySelector('.ide-link-btn').title).toBe('Open line 1 in PyCharm');
+  });
+
+  it('should warn about comments on deleted code', () => {
+    const details = buildSnippet([
+      [5, 5, 'context'],
+      [6, null, 'deletion']
+    ]);
+    details.insertAdjacentHTML('afterbegin',
+      '<summary><a class="text-mono" href="/owner/repo/pull/1/files/abc">src/a.js</a></summary>');
+    document.body.appendChild(details);
+
+    injectButtons('idea', 'project');
+
+    const button = details.querySelector('.ide-link-btn');
+    expect(button.textContent).toBe('🚀⚠️');
+    expect(button.title).toBe('Comment is on deleted code - opens near line 6 in IntelliJ IDEA');
+
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+    button.click();
+    expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=project&path=src%2Fa.js:5:0');
+  });
+
   it('should not inject buttons when projectName is empty', () => {
     const details = document.createElement('details-collapsible');
     const summary = document.createElement('summary');
@@ -446,144 +757,1357 @@ describe('injectButtons', () => {
 
     injectButtons('idea', 'test-project');
 
-    // Button should be inserted between anchor and nextElement
+    // Buttons should be inserted between anchor and nextElement
     expect(anchor.nextSibling).toBeTruthy();
     expect(anchor.nextSibling.className).toBe('ide-link-btn');
-    expect(anchor.nextSibling.nextSibling).toBe(nextElement);
+    expect(anchor.nextSibling.nextSibling.className).toBe('ide-link-menu-btn');
+    expect(anchor.nextSibling.nextSibling.nextSibling).toBe(nextElement);
   });
-});
 
-describe('initObserver', () => {
-  let observerCallback;
+  describe('copy menu', () => {
+    const headSha = '0123456789abcdef0123456789abcdef01234567';
 
-  beforeEach(() => {
-    global.MutationObserver = jest.fn().mockImplementation((callback) => {
-      observerCallback = callback;
-      return {
-        observe: jest.fn(),
-        disconnect: jest.fn()
-      };
+    beforeEach(() => {
+      delete global.window;
+      global.window = mockWindow({ origin: 'https://github.example.com', pathname: '/acme/shop/pull/7' });
     });
 
-    global.Node = {
-      ELEMENT_NODE: 1
+    afterEach(() => {
+      closeCopyMenu();
+    });
+
+    const openMenu = () => {
+      document.querySelector('.ide-link-menu-btn').click();
+      return Array.from(document.querySelectorAll('#gh-hyper-copy-menu button'))
+        .map(item => [item.textContent, item.title]);
     };
 
-    document.body.innerHTML = '';
+    it('should offer the path, path:line, permalink and Markdown link', () => {
+      const details = buildSnippet([
+        [null, 3, 'addition', true],
+        [null, 4, 'addition', true]
+      ]);
+      details.insertAdjacentHTML('afterbegin',
+        '<summary><a class="text-mono" href="/acme/shop/pull/7/files/abc">src/app.js</a></summary>');
+      document.body.appendChild(details);
+      document.body.insertAdjacentHTML('beforeend', `<input type="hidden" name="head_sha" value="${headSha}">`);
+
+      injectButtons('idea', 'shop');
+
+      const permalink = `https://github.example.com/acme/shop/blob/${headSha}/src/app.js#L3-L4`;
+      expect(openMenu()).toEqual([
+        ['Copy path', 'src/app.js'],
+        ['Copy path:line', 'src/app.js:3'],
+        ['Copy permalink', permalink],
+        ['Copy Markdown link', `[\`src/app.js:3\`](${permalink})`]
+      ]);
+    });
+
+    it('should leave out permalinks when the head commit is unknown', () => {
+      const details = buildSnippet([[1, 1, 'context']]);
+      details.insertAdjacentHTML('afterbegin',
+        '<summary><a class="text-mono" href="/acme/shop/pull/7/files/abc">src/app.js</a></summary>');
+      document.body.appendChild(details);
+
+      injectButtons('idea', 'shop');
+
+      expect(openMenu().map(([label]) => label)).toEqual(['Copy path', 'Copy path:line']);
+    });
+
+    it('should read the head commit when the menu opens', () => {
+      const details = buildSnippet([[1, 1, 'context']]);
+      details.insertAdjacentHTML('afterbegin',
+        '<summary><a class="text-mono" href="/acme/shop/pull/7/files/abc">src/app.js</a></summary>');
+      document.body.appendChild(details);
+
+      injectButtons('idea', 'shop');
+      document.body.insertAdjacentHTML('beforeend', `<input type="hidden" name="expected_head_oid" value="${headSha}">`);
+
+      expect(openMenu()[2][1]).toBe(`https://github.example.com/acme/shop/blob/${headSha}/src/app.js#L1`);
+    });
+
+    it('should use the legacy line without a diff snippet', () => {
+      const details = document.createElement('details-collapsible');
+      details.innerHTML = '<summary><a class="text-mono" href="/acme/shop/pull/7/files/abc">src/app.js</a></summary>';
+      const td = document.createElement('td');
+      td.setAttribute('data-line-number', '9');
+      details.appendChild(td);
+      document.body.appendChild(details);
+
+      injectButtons('idea', 'shop');
+
+      expect(openMenu()[1]).toEqual(['Copy path:line', 'src/app.js:9']);
+    });
   });
+});
 
-  it('should initialize MutationObserver', () => {
-    initObserver('idea', 'project');
+const diffFiles = `
+  <div class="file" id="diff-abc1" data-tagsearch-path="src/app.js">
+    <div class="file-header" data-path="src/app.js">
+      <div class="file-info"><a title="src/app.js" href="#diff-abc1">src/app.js</a><span class="after"></span></div>
+    </div>
+    <table>
+      <tr>
+        <td class="blob-num" id="diff-abc1L4" data-line-number="4"></td>
+        <td class="blob-num" id="diff-abc1R6" data-line-number="6"></td>
+        <td class="blob-code"><span class="code">context</span></td>
+      </tr>
+      <tr>
+        <td class="blob-num" id="diff-abc1L5" data-line-number="5"></td>
+        <td class="blob-num empty-cell"></td>
+      </tr>
+    </table>
+  </div>
+  <div id="diff-def2">
+    <h3 class="DiffFileHeader-module__file-name--x1"><a href="#diff-def2"><code>lib/util.ts</code></a></h3>
+  </div>
+`;
+
+describe('injectFileHeaderButtons', () => {
+  beforeEach(() => {
+    document.body.innerHTML = diffFiles;
+  });
 
-    expect(MutationObserver).toHaveBeenCalled();
+  it('should inject a button after each file name', () => {
+    injectFileHeaderButtons('idea', 'project');
+
+    const classicName = document.querySelector('.file-info a');
+    expect(classicName.nextSibling.className).toBe('ide-link-btn');
+    expect(classicName.hasAttribute('data-ide-link-processed')).toBe(true);
+
+    const reactName = document.querySelector('h3');
+    expect(reactName.nextSibling.className).toBe('ide-link-btn');
   });
 
-  it('should process added details-collapsible elements', () => {
-    initObserver('idea', 'test-project');
+  it('should open the file at its first line', () => {
+    injectFileHeaderButtons('idea', 'project');
 
-    // Create and add details-collapsible to document
-    const detailsElement = document.createElement('details-collapsible');
-    const summary = document.createElement('summary');
-    const anchor = document.createElement('a');
-    anchor.className = 'text-mono';
-    anchor.href = '/owner/repo/pull/123/files/abc';
-    anchor.textContent = 'file.tsx';
-    summary.appendChild(anchor);
-    detailsElement.appendChild(summary);
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+    document.querySelector('h3 + .ide-link-btn').click();
 
-    // Add to document first so querySelectorAll can find it
-    document.body.appendChild(detailsElement);
+    expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=project&path=lib%2Futil.ts:0:0');
+  });
 
-    const mutations = [{
-      addedNodes: [detailsElement]
-    }];
+  it('should not inject twice', () => {
+    injectFileHeaderButtons('idea', 'project');
+    injectFileHeaderButtons('idea', 'project');
+
+    expect(document.querySelectorAll('.ide-link-btn').length).toBe(2);
+  });
 
-    observerCallback(mutations);
+  it('should skip files without a URL', () => {
+    injectFileHeaderButtons('idea', 'project', '', { repo: 'o/r', stripPrefix: 'lib' });
 
-    // Button should be injected
-    expect(anchor.hasAttribute('data-ide-link-processed')).toBe(true);
+    expect(document.querySelectorAll('.ide-link-btn').length).toBe(1);
+    expect(document.querySelector('h3 + .ide-link-btn')).toBeTruthy();
   });
 });
 
-describe('init', () => {
+describe('initLineNumberHover', () => {
+  let cleanup;
+
+  const hover = (element) => {
+    element.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+  };
+
   beforeEach(() => {
-    global.chrome = {
-      storage: {
-        sync: {
-          get: jest.fn()
-        }
-      }
-    };
+    document.body.innerHTML = diffFiles;
+    cleanup = initLineNumberHover('vscode', 'project', '/src/project');
+  });
+
+  afterEach(() => {
+    cleanup();
+  });
+
+  it('should show a button opening the hovered line', () => {
+    hover(document.getElementById('diff-abc1R6'));
+
+    const button = document.getElementById('gh-hyper-line-ide-btn');
+    expect(button).toBeTruthy();
+    expect(button.title).toBe('Open line 6 in VS Code');
+    expect(button.style.position).toBe('fixed');
 
     delete global.window;
-    global.window = { location: { pathname: '/owner/my-project/pull/123' } };
+    global.window = mockWindow({ href: '' });
+    button.click();
 
-    global.console.log = jest.fn();
-    global.console.warn = jest.fn();
-    global.console.error = jest.fn();
+    expect(window.location.href).toBe('vscode://file/src/project/src/app.js:6:1');
+  });
 
-    global.MutationObserver = jest.fn().mockImplementation(() => ({
-      observe: jest.fn(),
-      disconnect: jest.fn()
-    }));
+  it('should open the new line when hovering the old line number', () => {
+    hover(document.getElementById('diff-abc1L4'));
 
-    global.Node = {
-      ELEMENT_NODE: 1
-    };
+    expect(document.getElementById('gh-hyper-line-ide-btn').title).toBe('Open line 6 in VS Code');
+  });
 
-    document.body.innerHTML = '';
+  it('should not show a button for deleted lines', () => {
+    hover(document.getElementById('diff-abc1L5'));
+
+    expect(document.getElementById('gh-hyper-line-ide-btn')).toBeNull();
   });
 
-  afterEach(() => {
-    delete global.chrome;
+  it('should keep the button while it is hovered', () => {
+    hover(document.getElementById('diff-abc1R6'));
+    const button = document.getElementById('gh-hyper-line-ide-btn');
+
+    hover(button);
+    hover(document.getElementById('diff-abc1R6'));
+
+    expect(document.getElementById('gh-hyper-line-ide-btn')).toBe(button);
   });
 
-  it('should initialize when feature is enabled', async () => {
-    chrome.storage.sync.get.mockResolvedValue({
-      enableIDEDeepLink: true,
-      ideType: 'idea'
-    });
+  it('should hide the button when leaving the line numbers', () => {
+    hover(document.getElementById('diff-abc1R6'));
+    hover(document.querySelector('.code'));
+
+    expect(document.getElementById('gh-hyper-line-ide-btn')).toBeNull();
+  });
 
-    await init();
+  it('should hide the button on scroll', () => {
+    hover(document.getElementById('diff-abc1R6'));
+    document.dispatchEvent(new Event('scroll'));
 
-    expect(chrome.storage.sync.get).toHaveBeenCalledWith({
-      enableIDEDeepLink: true,
-      ideType: 'idea'
-    });
-    expect(MutationObserver).toHaveBeenCalled();
+    expect(document.getElementById('gh-hyper-line-ide-btn')).toBeNull();
   });
 
-  it('should not initialize when feature is disabled', async () => {
-    chrome.storage.sync.get.mockResolvedValue({
-      enableIDEDeepLink: false
-    });
+  it('should ignore events on non-elements', () => {
+    document.dispatchEvent(new MouseEvent('mouseover'));
 
-    await init();
+    expect(document.getElementById('gh-hyper-line-ide-btn')).toBeNull();
+  });
 
-    expect(console.log).toHaveBeenCalledWith('GitHub Hyper: IDE deep link feature is disabled');
-    expect(MutationObserver).not.toHaveBeenCalled();
+  it('should not show a button when no URL can be built', () => {
+    cleanup();
+    cleanup = initLineNumberHover('vscode', 'project', '');
+    hover(document.getElementById('diff-abc1R6'));
+
+    expect(document.getElementById('gh-hyper-line-ide-btn')).toBeNull();
   });
 
-  it('should not initialize when project name cannot be extracted', async () => {
-    window.location.pathname = '/';
-    chrome.storage.sync.get.mockResolvedValue({
-      enableIDEDeepLink: true,
-      ideType: 'idea'
-    });
+  it('should remove the listeners and button on cleanup', () => {
+    hover(document.getElementById('diff-abc1R6'));
+    cleanup();
+    hover(document.getElementById('diff-abc1L4'));
+
+    expect(document.getElementById('gh-hyper-line-ide-btn')).toBeNull();
+  });
+});
 
-    await init();
+// Ref the React file view embeds in its page data
+const embeddedRef = (name) =>
+  `<script type="application/json" data-target="react-app.embeddedData">{"payload":{"refInfo":{"name":"${name}"}}}</script>`;
 
-    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Could not extract project name'));
-    expect(MutationObserver).not.toHaveBeenCalled();
+describe('renderBlobButton', () => {
+  beforeEach(() => {
+    delete global.window;
+    global.window = mockWindow({ pathname: '/owner/repo/blob/main/src/app.js', hash: '' });
+    document.body.innerHTML = `${embeddedRef('main')}<nav><span data-testid="breadcrumbs-filename">app.js</span><span class="after"></span></nav>`;
   });
 
-  it('should handle errors during initialization', async () => {
-    const error = new Error('Storage error');
-    chrome.storage.sync.get.mockRejectedValue(error);
+  const clickButton = () => {
+    const button = document.getElementById('gh-hyper-blob-ide-btn');
+    global.window.location.href = '';
+    button.click();
+    return global.window.location.href;
+  };
+
+  it('should add a button after the file name opening the file', () => {
+    renderBlobButton('idea', 'repo');
+
+    const button = document.querySelector('[data-testid="breadcrumbs-filename"]').nextSibling;
+    expect(button.id).toBe('gh-hyper-blob-ide-btn');
+    expect(button.title).toBe('Open in IntelliJ IDEA');
+    expect(clickButton()).toBe('jetbrains://idea/navigate/reference?project=repo&path=src%2Fapp.js:0:0');
+  });
+
+  it('should open at the start of the highlighted range', () => {
+    window.location.hash = '#L10-L25';
+    renderBlobButton('vscode', 'repo', '/src/repo');
+
+    expect(document.getElementById('gh-hyper-blob-ide-btn').title).toBe('Open line 10 in VS Code');
+    expect(clickButton()).toBe('vscode://file/src/repo/src/app.js:10:1');
+  });
+
+  it('should open at the highlighted column', () => {
+    window.location.hash = '#L3C7';
+    renderBlobButton('idea', 'repo');
+
+    expect(clickButton()).toBe('jetbrains://idea/navigate/reference?project=repo&path=src%2Fapp.js:2:6');
+  });
+
+  it('should replace the previous button', () => {
+    renderBlobButton('idea', 'repo');
+    window.location.hash = '#L4';
+    renderBlobButton('idea', 'repo');
+
+    expect(document.querySelectorAll('#gh-hyper-blob-ide-btn').length).toBe(1);
+    expect(document.getElementById('gh-hyper-blob-ide-btn').title).toBe('Open line 4 in IntelliJ IDEA');
+  });
+
+  it('should work with the classic breadcrumbs', () => {
+    document.body.innerHTML = `
+      <details id="branch-select-menu"><summary><span data-menu-button>main</span></summary></details>
+      <div id="blob-path"><strong class="final-path">app.js</strong></div>
+    `;
+    renderBlobButton('idea', 'repo');
+
+    expect(document.querySelector('.final-path').nextSibling.id).toBe('gh-hyper-blob-ide-btn');
+  });
+
+  it('should open files on branches with slashes', () => {
+    window.location.pathname = '/owner/repo/blob/feature/cart/src/app.js';
+    document.body.innerHTML = `${embeddedRef('feature/cart')}<span data-testid="breadcrumbs-filename">app.js</span>`;
+    renderBlobButton('idea', 'repo');
+
+    expect(clickButton()).toBe('jetbrains://idea/navigate/reference?project=repo&path=src%2Fapp.js:0:0');
+  });
+
+  it('should not add a button when the ref cannot be told apart from the path', () => {
+    window.location.pathname = '/owner/repo/blob/feature/cart/src/app.js';
+    document.body.innerHTML = '<span data-testid="breadcrumbs-filename">app.js</span>';
+    renderBlobButton('idea', 'repo');
+
+    expect(document.getElementById('gh-hyper-blob-ide-btn')).toBeNull();
+  });
+
+  it('should not add a button outside file pages', () => {
+    window.location.pathname = '/owner/repo/pull/1';
+    renderBlobButton('idea', 'repo');
+
+    expect(document.getElementById('gh-hyper-blob-ide-btn')).toBeNull();
+  });
+
+  it('should not add a button before the header renders', () => {
+    document.body.innerHTML = '';
+    renderBlobButton('idea', 'repo');
+
+    expect(document.getElementById('gh-hyper-blob-ide-btn')).toBeNull();
+  });
+
+  it('should not add a button when no URL can be built', () => {
+    renderBlobButton('vscode', 'repo', '');
+
+    expect(document.getElementById('gh-hyper-blob-ide-btn')).toBeNull();
+  });
+});
+
+describe('initBlobButton', () => {
+  let listeners;
+  let cleanup;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    listeners = {};
+    delete global.window;
+    global.window = {
+      location: { pathname: '/owner/repo/blob/main/src/app.js', hash: '' },
+      addEventListener: jest.fn((type, listener) => {
+        listeners[type] = listener;
+      }),
+      removeEventListener: jest.fn()
+    };
+    document.body.innerHTML = `
+      ${embeddedRef('main')}
+      <span data-testid="breadcrumbs-filename">app.js</span>
+      <div class="react-line-number" data-line-number="7">7</div>
+      <div class="code">code</div>
+    `;
+    cleanup = initBlobButton('idea', 'repo');
+  });
+
+  afterEach(() => {
+    cleanup();
+    jest.useRealTimers();
+  });
+
+  const buttonTitle = () => document.getElementById('gh-hyper-blob-ide-btn').title;
+
+  it('should render the button', () => {
+    expect(buttonTitle()).toBe('Open in IntelliJ IDEA');
+  });
+
+  it('should follow hash changes', () => {
+    window.location.hash = '#L5';
+    listeners.hashchange();
+
+    expect(buttonTitle()).toBe('Open line 5 in IntelliJ IDEA');
+  });
+
+  it('should follow clicks on line numbers', () => {
+    window.location.hash = '#L7';
+    document.querySelector('.react-line-number').click();
+    jest.runAllTimers();
+
+    expect(buttonTitle()).toBe('Open line 7 in IntelliJ IDEA');
+  });
+
+  it('should ignore clicks elsewhere', () => {
+    window.location.hash = '#L7';
+    document.querySelector('.code').click();
+    jest.runAllTimers();
+
+    expect(buttonTitle()).toBe('Open in IntelliJ IDEA');
+  });
+
+  it('should remove the listeners on cleanup', () => {
+    cleanup();
+    window.location.hash = '#L7';
+    document.querySelector('.react-line-number').click();
+    jest.runAllTimers();
+
+    expect(window.removeEventListener).toHaveBeenCalledWith('hashchange', listeners.hashchange);
+    expect(buttonTitle()).toBe('Open in IntelliJ IDEA');
+  });
+});
+
+describe('linkCodeReferences', () => {
+  const recognizers = compileReferencePatterns(DEFAULT_REFERENCE_PATTERNS);
+
+  beforeEach(() => {
+    delete global.window;
+    global.window = mockWindow({ pathname: '/acme/shop/issues/7', href: '' });
+  });
+
+  const links = (root) => Array.from(root.querySelectorAll('.gh-hyper-code-ref'));
+
+  it('should link path:line references', () => {
+    const body = document.createElement('div');
+    body.innerHTML = '<p>Fails at src/app/user.ts:142 and <code>lib/a.js:3:9</code>.</p>';
+
+    linkCodeReferences(body, recognizers, 'idea', 'shop');
+
+    expect(links(body).map(link => link.textContent)).toEqual(['src/app/user.ts:142', 'lib/a.js:3:9']);
+    expect(links(body)[0].href).toBe('jetbrains://idea/navigate/reference?project=shop&path=src%2Fapp%2Fuser.ts:141:0');
+    expect(links(body)[1].title).toBe('Open in IntelliJ IDEA');
+    expect(body.querySelector('p').textContent).toBe('Fails at src/app/user.ts:142 and lib/a.js:3:9.');
+  });
+
+  it('should open the link in the IDE on click', () => {
+    const body = document.createElement('div');
+    body.textContent = 'See lib/a.js:3:9';
+    linkCodeReferences(body, recognizers, 'idea', 'shop');
+
+    links(body)[0].click();
+
+    expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=lib%2Fa.js:2:8');
+  });
+
+  it('should resolve absolute stack frame paths inside the repository', () => {
+    const body = document.createElement('pre');
+    body.textContent = 'File "/home/ci/work/shop/app/views.py", line 12, in index\n' +
+      '    at handler (/srv/shop/src/server.js:40:2)\n' +
+      '    at /usr/lib/node/internal.js:1:1';
+
+    linkCodeReferences(body, recognizers, 'vscode', 'shop', '/Users/me/shop');
+
+    expect(links(body).map(link => link.href)).toEqual([
+      'vscode://file/Users/me/shop/app/views.py:12:1',
+      'vscode://file/Users/me/shop/src/server.js:40:2'
+    ]);
+  });
+
+  it('should open the class of Java and Kotlin frames in JetBrains IDEs', () => {
+    const body = document.createElement('pre');
+    body.textContent = 'at com.acme.shop.cart.CartService$Checkout.submit(CartService.kt:57)';
+
+    linkCodeReferences(body, recognizers, 'idea', 'shop');
+
+    expect(links(body)[0].textContent).toBe('CartService.kt:57');
+    expect(links(body)[0].href).toBe('jetbrains://idea/navigate/reference?project=shop&fqn=com.acme.shop.cart.CartService');
+  });
+
+  it('should not link Java frames in editors that need a path without a source root', () => {
+    const body = document.createElement('pre');
+    body.textContent = 'at com.acme.shop.Cart.add(Cart.java:88)';
+
+    linkCodeReferences(body, recognizers, 'vscode', 'shop', '/Users/me/shop');
+
+    expect(links(body)).toEqual([]);
+  });
+
+  it('should leave existing links and diff snippets alone', () => {
+    const body = document.createElement('div');
+    body.innerHTML = '<a href="/x">src/a.ts:1</a><table><tr><td class="blob-code">src/b.ts:2</td></tr></table>';
+
+    linkCodeReferences(body, recognizers, 'idea', 'shop');
+
+    expect(links(body)).toEqual([]);
+  });
+
+  it('should not link references that cannot be opened', () => {
+    const body = document.createElement('div');
+    body.textContent = 'services/web/a.ts:1';
+
+    linkCodeReferences(body, recognizers, 'idea', 'shop', '', { repo: 'acme/shop', stripPrefix: 'services/api' });
+
+    expect(links(body)).toEqual([]);
+    expect(body.textContent).toBe('services/web/a.ts:1');
+  });
+});
+
+describe('injectCodeReferenceLinks', () => {
+  beforeEach(() => {
+    delete global.window;
+    global.window = { location: { pathname: '/acme/shop/pull/7' } };
+    document.body.innerHTML = '<div class="markdown-body">src/a.ts:1</div><div class="markdown-body">b.py:2</div>';
+  });
+
+  it('should link references in every markdown body once', () => {
+    const recognizers = compileReferencePatterns(DEFAULT_REFERENCE_PATTERNS);
+    injectCodeReferenceLinks(recognizers, 'idea', 'shop');
+    injectCodeReferenceLinks(recognizers, 'idea', 'shop');
+
+    expect(document.querySelectorAll('.gh-hyper-code-ref').length).toBe(2);
+  });
+
+  it('should do nothing without recognizers', () => {
+    injectCodeReferenceLinks([], 'idea', 'shop');
+
+    expect(document.querySelectorAll('.gh-hyper-code-ref').length).toBe(0);
+  });
+});
+
+describe('keyboard shortcuts', () => {
+  const threads = ['src/a.js', 'src/b.js', 'src/c.js'].map(file => `
+    <details-collapsible>
+      <summary><a class="text-mono" href="/acme/shop/pull/7/files/abc">${file}</a></summary>
+    </details-collapsible>
+  `).join('');
+
+  const setTops = (elements, tops) => {
+    elements.forEach((element, index) => {
+      element.getBoundingClientRect = () => ({ top: tops[index], bottom: tops[index] + 20 });
+    });
+  };
+
+  const threadButtons = () => Array.from(document.querySelectorAll('details-collapsible .ide-link-btn'));
+
+  beforeEach(() => {
+    delete global.window;
+    global.window = mockWindow({ pathname: '/acme/shop/pull/7', href: '' });
+    window.innerHeight = 800;
+    Element.prototype.scrollIntoView = jest.fn();
+  });
+
+  afterEach(() => {
+    delete Element.prototype.scrollIntoView;
+    document.body.innerHTML = '';
+  });
+
+  describe('openNearestInIDE', () => {
+    it('should open the thread holding the focus', () => {
+      document.body.innerHTML = threads;
+      injectButtons('idea', 'shop');
+      document.querySelectorAll('.ide-link-menu-btn')[1].focus();
+
+      openNearestInIDE('idea', 'shop');
+
+      expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=src%2Fb.js:0:0');
+    });
+
+    it('should open the diff line holding the focus', () => {
+      document.body.innerHTML = diffFiles;
+      const code = document.querySelector('.blob-code');
+      code.tabIndex = 0;
+      code.focus();
+
+      openNearestInIDE('idea', 'shop');
+
+      expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=src%2Fapp.js:5:0');
+    });
+
+    it('should open the line nearest the viewport center', () => {
+      document.body.innerHTML = threads + diffFiles;
+      injectButtons('idea', 'shop');
+      setTops(threadButtons(), [100, -200, 900]);
+      setTops(Array.from(document.querySelectorAll('td.blob-num')), [380, 380, 700, 700]);
+
+      openNearestInIDE('idea', 'shop');
+
+      expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=src%2Fapp.js:5:0');
+    });
+
+    it('should open the thread nearest the viewport center', () => {
+      document.body.innerHTML = threads + diffFiles;
+      injectButtons('idea', 'shop');
+      setTops(threadButtons(), [100, 390, 900]);
+      setTops(Array.from(document.querySelectorAll('td.blob-num')), [700, 700, 750, 750]);
+
+      openNearestInIDE('idea', 'shop');
+
+      expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=src%2Fb.js:0:0');
+    });
+
+    it('should fall back to the viewport when the focused row is a deleted line', () => {
+      document.body.innerHTML = diffFiles;
+      const deletedCell = document.getElementById('diff-abc1L5');
+      deletedCell.tabIndex = 0;
+      deletedCell.focus();
+      setTops(Array.from(document.querySelectorAll('td.blob-num')), [300, 300, 400, 400]);
+
+      openNearestInIDE('idea', 'shop');
+
+      expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=src%2Fapp.js:5:0');
+    });
+
+    it('should do nothing when nothing is on screen', () => {
+      document.body.innerHTML = threads;
+      injectButtons('idea', 'shop');
+      setTops(threadButtons(), [-500, 1200, 2000]);
+
+      openNearestInIDE('idea', 'shop');
+
+      expect(window.location.href).toBe('');
+    });
+  });
+
+  describe('focusAdjacentThread', () => {
+    beforeEach(() => {
+      document.body.innerHTML = threads;
+      injectButtons('idea', 'shop');
+      setTops(threadButtons(), [100, 500, 900]);
+    });
+
+    it('should go to the first thread below the viewport center', () => {
+      focusAdjacentThread(1);
+
+      expect(document.activeElement).toBe(threadButtons()[1]);
+      expect(threadButtons()[1].scrollIntoView).toHaveBeenCalledWith({ block: 'center' });
+    });
+
+    it('should go to the last thread above the viewport center', () => {
+      focusAdjacentThread(-1);
+      expect(document.activeElement).toBe(threadButtons()[0]);
+    });
+
+    it('should step from the focused thread', () => {
+      threadButtons()[1].focus();
+      focusAdjacentThread(1);
+      expect(document.activeElement).toBe(threadButtons()[2]);
+
+      focusAdjacentThread(-1);
+      expect(document.activeElement).toBe(threadButtons()[1]);
+    });
+
+    it('should stay on the last thread', () => {
+      threadButtons()[2].focus();
+      focusAdjacentThread(1);
+
+      expect(document.activeElement).toBe(threadButtons()[2]);
+      expect(Element.prototype.scrollIntoView).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initKeyboardShortcuts', () => {
+    let cleanup;
+
+    const press = (target, init) => {
+      const event = new KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+      target.dispatchEvent(event);
+      return event;
+    };
+
+    beforeEach(() => {
+      global.chrome = {
+        runtime: {
+          onMessage: { addListener: jest.fn(), removeListener: jest.fn() }
+        }
+      };
+      document.body.innerHTML = threads + '<textarea></textarea>';
+      injectButtons('idea', 'shop');
+      setTops(threadButtons(), [100, 500, 900]);
+      cleanup = initKeyboardShortcuts(DEFAULT_SHORTCUTS, 'idea', 'shop');
+    });
+
+    afterEach(() => {
+      cleanup();
+      delete global.chrome;
+    });
+
+    it('should run the action of a bound key', () => {
+      const event = press(document.body, { code: 'KeyJ', altKey: true, shiftKey: true });
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(threadButtons()[1]);
+    });
+
+    it('should ignore keys typed into text fields', () => {
+      const event = press(document.querySelector('textarea'), { code: 'KeyJ', altKey: true, shiftKey: true });
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(document.activeElement).not.toBe(threadButtons()[1]);
+    });
+
+    it('should ignore unbound keys', () => {
+      const event = press(document.body, { code: 'KeyJ' });
+      expect(event.defaultPrevented).toBe(false);
+    });
+
+    it('should run browser commands forwarded by the background worker', () => {
+      const [onMessage] = chrome.runtime.onMessage.addListener.mock.calls[0];
+
+      onMessage({ type: 'other', command: 'open-in-ide' });
+      onMessage(null);
+      expect(window.location.href).toBe('');
+
+      threadButtons()[2].focus();
+      onMessage({ type: 'gh-hyper-command', command: 'open-in-ide' });
+      expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=src%2Fc.js:0:0');
+
+      onMessage({ type: 'gh-hyper-command', command: 'previous-review-thread' });
+      expect(document.activeElement).toBe(threadButtons()[1]);
+    });
+
+    it('should remove its listeners on cleanup', () => {
+      const [onMessage] = chrome.runtime.onMessage.addListener.mock.calls[0];
+      cleanup();
+
+      const event = press(document.body, { code: 'KeyJ', altKey: true, shiftKey: true });
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(chrome.runtime.onMessage.removeListener).toHaveBeenCalledWith(onMessage);
+      cleanup = () => {};
+    });
+  });
+});
+
+describe('handleMutations', () => {
+  beforeEach(() => {
+    global.Node = {
+      ELEMENT_NODE: 1
+    };
+
+    document.body.innerHTML = '';
+  });
+
+  it('should process added details-collapsible elements', () => {
+    // Create and add details-collapsible to document
+    const detailsElement = document.createElement('details-collapsible');
+    const summary = document.createElement('summary');
+    const anchor = document.createElement('a');
+    anchor.className = 'text-mono';
+    anchor.href = '/owner/repo/pull/123/files/abc';
+    anchor.textContent = 'file.tsx';
+    summary.appendChild(anchor);
+    detailsElement.appendChild(summary);
+
+    // Add to document first so querySelectorAll can find it
+    document.body.appendChild(detailsElement);
+
+    const mutations = [{
+      addedNodes: [detailsElement]
+    }];
+
+    handleMutations(mutations, 'idea', 'test-project');
+
+    // Button should be injected
+    expect(anchor.hasAttribute('data-ide-link-processed')).toBe(true);
+  });
+
+  it('should only search the added subtrees', () => {
+    document.body.innerHTML = `
+      <details-collapsible id="earlier">
+        <summary><a class="text-mono" href="/owner/repo/pull/123/files/abc">earlier.ts</a></summary>
+      </details-collapsible>
+      <div id="added">
+        <details-collapsible>
+          <summary><a class="text-mono" href="/owner/repo/pull/123/files/def">added.ts</a></summary>
+        </details-collapsible>
+      </div>
+    `;
+    const added = document.getElementById('added');
+
+    handleMutations([{ addedNodes: [added] }, { addedNodes: [added.firstElementChild] }], 'idea', 'test-project');
+
+    expect(document.querySelectorAll('#added .ide-link-btn')).toHaveLength(1);
+    expect(document.querySelector('#earlier .ide-link-btn')).toBeNull();
+  });
+
+  it('should process added diff files', () => {
+    const container = document.createElement('div');
+    container.innerHTML = diffFiles;
+    document.body.appendChild(container);
+
+    handleMutations([{ addedNodes: [container] }], 'idea', 'test-project');
+
+    expect(document.querySelectorAll('.ide-link-btn').length).toBe(2);
+  });
+
+  it('should link references in added comments', () => {
+    delete global.window;
+    global.window = { location: { pathname: '/acme/shop/pull/7' } };
+    const comment = document.createElement('div');
+    comment.className = 'markdown-body';
+    comment.textContent = 'src/a.ts:1';
+    document.body.appendChild(comment);
+
+    handleMutations([{ addedNodes: [comment] }], 'idea', 'shop', '', null, compileReferencePatterns(DEFAULT_REFERENCE_PATTERNS));
+
+    expect(comment.querySelector('.gh-hyper-code-ref')).toBeTruthy();
+  });
+
+  it('should add the file page button once its header renders', () => {
+    delete global.window;
+    global.window = { location: { pathname: '/owner/repo/blob/main/src/app.js', hash: '' } };
+    const header = document.createElement('div');
+    header.innerHTML = `${embeddedRef('main')}<span data-testid="breadcrumbs-filename">app.js</span>`;
+    document.body.appendChild(header);
+
+    handleMutations([{ addedNodes: [header] }], 'idea', 'test-project');
+    handleMutations([{ addedNodes: [header] }], 'idea', 'test-project');
+
+    expect(document.querySelectorAll('#gh-hyper-blob-ide-btn').length).toBe(1);
+  });
+});
+
+describe('ideDeepLinkFeature', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = createRuntime();
+    runtime.register(ideDeepLinkFeature);
+
+    global.chrome = {
+      storage: {
+        sync: {
+          get: jest.fn()
+        },
+        onChanged: {
+          addListener: jest.fn(),
+          removeListener: jest.fn()
+        }
+      },
+      runtime: {
+        onMessage: {
+          addListener: jest.fn(),
+          removeListener: jest.fn()
+        }
+      }
+    };
+
+    delete global.window;
+    global.window = mockWindow({ pathname: '/owner/my-project/pull/123' });
+
+    global.console.log = jest.fn();
+    global.console.warn = jest.fn();
+    global.console.error = jest.fn();
+
+    global.MutationObserver = jest.fn().mockImplementation(() => ({
+      observe: jest.fn(),
+      disconnect: jest.fn()
+    }));
+
+    global.Node = {
+      ELEMENT_NODE: 1
+    };
+
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  it('should initialize when feature is enabled', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea'
+    });
+
+    await runtime.start();
+
+    expect(chrome.storage.sync.get).toHaveBeenCalledWith({
+      ...RUNTIME_SETTINGS,
+      enableIDEDeepLink: true,
+      ideType: 'idea',
+      checkoutRoots: {},
+      defaultCheckoutRoot: '',
+      projectMappings: [],
+      languageIDEs: DEFAULT_LANGUAGE_IDES,
+      enableCodeReferences: true,
+      codeReferencePatterns: DEFAULT_REFERENCE_PATTERNS,
+      jvmSourceRoot: '',
+      openAllSkipPatterns: DEFAULT_SKIPPED_FILE_PATTERNS,
+      openAllLaunchInterval: DEFAULT_LAUNCH_INTERVAL,
+      warnOnFailedLaunch: true,
+      keyboardShortcuts: DEFAULT_SHORTCUTS
+    });
+    expect(MutationObserver).toHaveBeenCalled();
+  });
+
+  it('should open Java frames below the configured source root', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'vscode',
+      checkoutRoots: { 'owner/my-project': '/Users/me/shop' },
+      enableCodeReferences: true,
+      codeReferencePatterns: DEFAULT_REFERENCE_PATTERNS,
+      jvmSourceRoot: 'services/cart/src/main/java/'
+    });
+    document.body.innerHTML =
+      '<div class="markdown-body"><pre>\tat com.acme.shop.cart.Cart.add(Cart.java:88)</pre></div>';
+
+    await runtime.start();
+
+    expect(document.querySelector('.gh-hyper-code-ref').href)
+      .toBe('vscode://file/Users/me/shop/services/cart/src/main/java/com/acme/shop/cart/Cart.java:88:1');
+  });
+
+  it('should not watch launches when the warning is turned off', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'vscode',
+      checkoutRoots: { 'owner/my-project': '/src/my-project' },
+      warnOnFailedLaunch: false
+    });
+    document.body.innerHTML = `
+      <details-collapsible>
+        <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+      </details-collapsible>
+    `;
+
+    await runtime.start();
+
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+    document.querySelector('.ide-link-btn').click();
+
+    expect(window.location.href).toBe('vscode://file/src/my-project/main.go:1:1');
+    expect(window.addEventListener).not.toHaveBeenCalled();
+  });
+
+  it('should warn about JetBrains launches', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea',
+      warnOnFailedLaunch: true
+    });
+    document.body.innerHTML = `
+      <details-collapsible>
+        <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+      </details-collapsible>
+    `;
+
+    await runtime.start();
+
+    jest.useFakeTimers();
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+    document.querySelector('.ide-link-btn').click();
+    jest.advanceTimersByTime(JETBRAINS_LAUNCH_CHECK_TIMEOUT);
+    jest.useRealTimers();
+
+    const toast = document.getElementById('gh-hyper-launch-toast');
+    expect(toast.textContent).toContain('IntelliJ IDEA did not seem to open');
+    expect(toast.textContent).toContain('JetBrains Toolbox must be installed and running');
+    closeLaunchToast();
+  });
+
+  it('should not initialize VS Code without a checkout root', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'vscode',
+      checkoutRoots: {},
+      defaultCheckoutRoot: ''
+    });
+    document.body.innerHTML = `
+      <details-collapsible>
+        <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+      </details-collapsible>
+    `;
+
+    await runtime.start();
+
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('No local checkout root set for owner/my-project'));
+    expect(document.querySelector('.ide-link-btn')).toBeNull();
+  });
+
+  it('should add checkout buttons without a checkout root', async () => {
+    window.location.origin = 'https://git.corp.example';
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'vscode',
+      checkoutRoots: {},
+      defaultCheckoutRoot: ''
+    });
+    document.body.innerHTML = `
+      <ul class="pagehead-actions"><li>Star</li></ul>
+      <div class="gh-header-actions"></div>
+      <span class="commit-ref head-ref" title="owner/my-project:fix/login"><a>fix/login</a></span>
+    `;
+
+    await runtime.start();
+
+    expect(document.getElementById('gh-hyper-repo-checkout-btn')).toBeNull();
+    expect(document.getElementById('gh-hyper-pr-checkout-btn').title)
+      .toBe('Clone owner/my-project and check out fix/login in VS Code');
+
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+    document.getElementById('gh-hyper-pr-checkout-btn').click();
+
+    expect(window.location.href)
+      .toBe('vscode://vscode.git/clone?url=https%3A%2F%2Fgit.corp.example%2Fowner%2Fmy-project.git&ref=fix%2Flogin');
+  });
+
+  it('should open files from the per-repo checkout root', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'vscode',
+      checkoutRoots: { 'owner/my-project': '/work/my-project' },
+      defaultCheckoutRoot: '/src'
+    });
+
+    const details = document.createElement('details-collapsible');
+    details.innerHTML = `
+      <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">src/file.ts</a></summary>
+      <table><tr><td data-line-number="7"></td></tr></table>
+    `;
+    document.body.appendChild(details);
+
+    await runtime.start();
+
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+    details.querySelector('.ide-link-btn').click();
+
+    expect(window.location.href).toBe('vscode://file/work/my-project/src/file.ts:7:1');
+  });
+
+  it('should open files in the mapped project and IDE', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea',
+      checkoutRoots: {},
+      defaultCheckoutRoot: '/src',
+      projectMappings: [{ repo: 'owner/*', project: 'fork', stripPrefix: 'app', ideType: 'zed' }]
+    });
+
+    const details = document.createElement('details-collapsible');
+    details.innerHTML = `
+      <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">app/main.rs</a></summary>
+      <table><tr><td data-line-number="2"></td></tr></table>
+    `;
+    document.body.appendChild(details);
+
+    await runtime.start();
+
+    const button = details.querySelector('.ide-link-btn');
+    expect(button.title).toBe('Open line 2 in Zed');
+
+    delete global.window;
+    global.window = mockWindow({ href: '' });
+    button.click();
+
+    expect(window.location.href).toBe('zed://file/src/fork/main.rs:2:1');
+  });
+
+  it('should detect the IDE from the repository languages', async () => {
+    chrome.storage.local = {
+      get: jest.fn().mockResolvedValue({ 'repoLanguages/owner/my-project': ['Go'] }),
+      set: jest.fn()
+    };
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'auto',
+      checkoutRoots: {},
+      defaultCheckoutRoot: '',
+      projectMappings: [],
+      languageIDEs: DEFAULT_LANGUAGE_IDES
+    });
+    document.body.innerHTML = `
+      <details-collapsible>
+        <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+      </details-collapsible>
+    `;
+
+    await runtime.start();
+
+    expect(document.querySelector('.ide-link-btn').title).toBe('Open in GoLand');
+  });
+
+  it('should let a mapping rule override the detected IDE', async () => {
+    chrome.storage.local = {
+      get: jest.fn().mockResolvedValue({ 'repoLanguages/owner/my-project': ['Go'] }),
+      set: jest.fn()
+    };
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'auto',
+      checkoutRoots: {},
+      defaultCheckoutRoot: '',
+      projectMappings: [{ repo: 'owner/my-project', ideType: 'idea' }],
+      languageIDEs: DEFAULT_LANGUAGE_IDES
+    });
+    document.body.innerHTML = `
+      <details-collapsible>
+        <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+      </details-collapsible>
+    `;
+
+    await runtime.start();
+
+    expect(document.querySelector('.ide-link-btn').title).toBe('Open in IntelliJ IDEA');
+  });
+
+  it('should add the file page button on file pages', async () => {
+    delete global.window;
+    global.window = {
+      location: { pathname: '/owner/my-project/blob/main/src/app.js', hash: '#L3-L5' },
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn()
+    };
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea',
+      checkoutRoots: {},
+      defaultCheckoutRoot: '',
+      projectMappings: []
+    });
+    document.body.innerHTML = `${embeddedRef('main')}<span data-testid="breadcrumbs-filename">app.js</span>`;
+
+    await runtime.start();
+
+    expect(document.getElementById('gh-hyper-blob-ide-btn').title).toBe('Open line 3 in IntelliJ IDEA');
+    expect(window.addEventListener).toHaveBeenCalledWith('hashchange', expect.any(Function));
+  });
+
+  it('should add the open all button on the files tab of pull requests', async () => {
+    window.location.pathname = '/owner/my-project/pull/123/files';
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea',
+      checkoutRoots: {},
+      defaultCheckoutRoot: '',
+      projectMappings: [],
+      openAllSkipPatterns: ['*.lock']
+    });
+    document.body.innerHTML = `
+      <div class="pr-review-tools"></div>
+      <div class="file" id="diff-aaa">
+        <div class="file-header" data-path="src/app.js"><div class="file-info"><a title="src/app.js">src/app.js</a></div></div>
+      </div>
+      <div class="file" id="diff-bbb">
+        <div class="file-header" data-path="Cargo.lock"><div class="file-info"><a title="Cargo.lock">Cargo.lock</a></div></div>
+      </div>
+    `;
+
+    await runtime.start();
+
+    const button = document.getElementById('gh-hyper-open-all-btn');
+    expect(button.title).toBe('Open changed files in IntelliJ IDEA');
+
+    button.click();
+    const checkboxes = document.querySelectorAll('#gh-hyper-open-all-panel input[type="checkbox"]');
+    expect(Array.from(checkboxes).map(checkbox => checkbox.checked)).toEqual([true, false]);
+
+    const openButton = Array.from(document.querySelectorAll('#gh-hyper-open-all-panel button'))
+      .find(candidate => candidate.textContent === 'Open');
+    openButton.click();
+    expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=my-project&path=src%2Fapp.js:0:0');
+    document.getElementById('gh-hyper-open-all-panel').remove();
+  });
+
+  it('should not initialize when feature is disabled', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: false
+    });
+
+    await runtime.start();
+
+    expect(console.log).toHaveBeenCalledWith('GitHub Hyper: IDE deep link feature is disabled');
+    expect(MutationObserver).not.toHaveBeenCalled();
+  });
+
+  it('should not run outside repositories', async () => {
+    window.location.pathname = '/';
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea'
+    });
+
+    await runtime.start();
+
+    expect(MutationObserver).not.toHaveBeenCalled();
+  });
+
+  it('should handle errors during initialization', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea',
+      projectMappings: [null]
+    });
+
+    await runtime.start();
+
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error initializing IDE deep link:', expect.any(TypeError));
+  });
+
+  it('should add buttons to review comments rendered later', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea'
+    });
+
+    await runtime.start();
+
+    const details = document.createElement('details-collapsible');
+    details.innerHTML = '<summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>';
+    document.body.appendChild(details);
+    const [onMutations] = MutationObserver.mock.calls[0];
+    onMutations([{ addedNodes: [details] }]);
+
+    expect(details.querySelector('.ide-link-btn')).not.toBeNull();
+  });
+
+  it('should add checkout buttons to headers rendered later', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'vscode',
+      checkoutRoots: {},
+      defaultCheckoutRoot: ''
+    });
+    window.location.pathname = '/owner/my-project';
+
+    await runtime.start();
+
+    document.body.innerHTML = '<ul class="pagehead-actions"></ul>';
+    const [onMutations] = MutationObserver.mock.calls[0];
+    onMutations([]);
+
+    expect(document.getElementById('gh-hyper-repo-checkout-btn')).not.toBeNull();
+  });
+
+  describe('setting changes', () => {
+    beforeEach(() => {
+      window.location.origin = 'https://github.com';
+      chrome.storage.sync.get.mockResolvedValue({
+        enableIDEDeepLink: true,
+        ideType: 'idea',
+        checkoutRoots: {},
+        defaultCheckoutRoot: '/src',
+        enableCodeReferences: true,
+        codeReferencePatterns: DEFAULT_REFERENCE_PATTERNS
+      });
+      document.body.innerHTML = `
+        <div class="gh-header-actions"></div>
+        <span class="commit-ref head-ref" title="owner/my-project:fix/login"><a>fix/login</a></span>
+        <details-collapsible>
+          <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+        </details-collapsible>
+        <div class="markdown-body"><p>See main.go:4 for details</p></div>
+      `;
+    });
+
+    it('should re-render buttons and links for a changed IDE', async () => {
+      await runtime.start();
+
+      await runtime.update({ ideType: { oldValue: 'idea', newValue: 'goland' } });
+
+      expect(document.querySelectorAll('details-collapsible .ide-link-btn')).toHaveLength(1);
+      expect(document.querySelector('details-collapsible .ide-link-btn').title).toBe('Open in GoLand');
+      expect(document.querySelectorAll('.gh-hyper-code-ref')).toHaveLength(1);
+      expect(document.querySelector('.gh-hyper-code-ref').href).toContain('jetbrains://goland/');
+      expect(document.getElementById('gh-hyper-pr-checkout-btn').title)
+        .toBe('Clone owner/my-project and check out fix/login in GoLand');
+    });
+
+    it('should remove every button and link when turned off', async () => {
+      await runtime.start();
+
+      await runtime.update({ enableIDEDeepLink: { oldValue: true, newValue: false } });
+
+      expect(document.querySelector('.ide-link-btn, .ide-link-menu-btn, .gh-hyper-code-ref')).toBeNull();
+      expect(document.querySelector('[data-ide-link-processed]')).toBeNull();
+      expect(document.getElementById('gh-hyper-pr-checkout-btn')).toBeNull();
+      expect(document.querySelector('.markdown-body p').childNodes).toHaveLength(1);
+      expect(MutationObserver.mock.results[0].value.disconnect).toHaveBeenCalled();
+    });
+
+    it('should ignore settings of other features', async () => {
+      await runtime.start();
+      const button = document.querySelector('.ide-link-btn');
+
+      await runtime.update({ timeFormat: { newValue: 'date' } });
+
+      expect(document.querySelector('.ide-link-btn')).toBe(button);
+    });
+  });
+
+  it('should point the buttons at the repository navigated to', async () => {
+    chrome.storage.sync.get.mockResolvedValue({ enableIDEDeepLink: true, ideType: 'idea' });
+    document.body.innerHTML = `
+      <details-collapsible>
+        <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+      </details-collapsible>
+    `;
+    await runtime.start();
+
+    // Turbo swaps the page content and fires turbo:load once the new page renders
+    window.location.pathname = '/acme/shop/pull/9/files';
+    document.body.innerHTML = `
+      <div class="pr-review-tools"></div>
+      <details-collapsible>
+        <summary><a class="text-mono" href="/acme/shop/pull/9/files/abc">cart.js</a></summary>
+      </details-collapsible>
+    `;
+    document.dispatchEvent(new Event('turbo:load'));
+    await runtime.navigate();
+
+    expect(document.querySelectorAll('.ide-link-btn')).toHaveLength(1);
+    expect(document.getElementById('gh-hyper-open-all-btn')).not.toBeNull();
+    document.querySelector('.ide-link-btn').click();
+    expect(window.location.href).toBe('jetbrains://idea/navigate/reference?project=shop&path=cart.js:0:0');
+  });
+
+  it('should remove its listeners when stopped', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea'
+    });
+
+    await runtime.start();
+    runtime.stop();
+
+    expect(chrome.runtime.onMessage.removeListener)
+      .toHaveBeenCalledWith(chrome.runtime.onMessage.addListener.mock.calls[0][0]);
+  });
+
+  it('should handle browser commands on pull request pages', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea',
+      keyboardShortcuts: { nextThread: 'Alt+N' }
+    });
+    document.body.innerHTML = `
+      <details-collapsible>
+        <summary><a class="text-mono" href="/owner/my-project/pull/123/files/abc">main.go</a></summary>
+      </details-collapsible>
+    `;
+
+    await runtime.start();
+
+    window.innerHeight = 800;
+    const button = document.querySelector('.ide-link-btn');
+    button.getBoundingClientRect = () => ({ top: 900, bottom: 920 });
+    button.scrollIntoView = jest.fn();
+    const [onMessage] = chrome.runtime.onMessage.addListener.mock.calls[0];
+    onMessage({ type: 'gh-hyper-command', command: 'next-review-thread' });
+
+    expect(document.activeElement).toBe(button);
+  });
+
+  it('should not handle shortcuts outside pull requests', async () => {
+    window.location.pathname = '/owner/my-project/issues/5';
+    chrome.storage.sync.get.mockResolvedValue({
+      enableIDEDeepLink: true,
+      ideType: 'idea'
+    });
 
-    await init();
+    await runtime.start();
 
-    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error initializing IDE deep link:', error);
+    expect(chrome.runtime.onMessage.addListener).not.toHaveBeenCalled();
   });
 
   it('should use default settings when not specified', async () => {
@@ -592,7 +2116,7 @@ describe('init', () => {
       ideType: 'web-storm'
     });
 
-    await init();
+    await runtime.start();
 
     expect(MutationObserver).toHaveBeenCalled();
   });
@@ -0,0 +1,113 @@
+// GitHub Hyper - IDE Detection
+// Picks the IDE for the "auto" IDE type from the languages of a repository
+//
+// Languages are read from the language bar on the repository's main page and cached
+// per repository in chrome.storage.local, so PR and file pages can use them too.
+
+import { DEFAULT_EDITOR, EDITORS } from './editors.js';
+
+export const AUTO_IDE_TYPE = 'auto';
+
+const CACHE_KEY_PREFIX = 'repoLanguages/';
+
+// Language names as GitHub's linguist spells them
+export const DEFAULT_LANGUAGE_IDES = {
+  'Python': 'pycharm',
+  'Jupyter Notebook': 'pycharm',
+  'Go': 'goland',
+  'Java': 'idea',
+  'Kotlin': 'idea',
+  'Scala': 'idea',
+  'Groovy': 'idea',
+  'JavaScript': 'web-storm',
+  'TypeScript': 'web-storm',
+  'Vue': 'web-storm',
+  'Svelte': 'web-storm',
+  'PHP': 'php-storm',
+  'Ruby': 'rubymine',
+  'C#': 'rider',
+  'F#': 'rider',
+  'C': 'clion',
+  'C++': 'clion'
+};
+
+/**
+ * Reads the languages of the repository language bar, largest share first
+ * @param {ParentNode} root - Element containing the language bar
+ * @returns {Array<string>} Language names, empty when the page has no language bar
+ */
+export function readRepoLanguages(root) {
+  // Bar segments are labeled like "Python 85.2"
+  const segments = root.querySelectorAll('.Progress-item[aria-label]');
+  return Array.from(segments)
+    .map(segment => segment.getAttribute('aria-label').replace(/\s+[\d.]+$/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Picks the IDE of the first language with an entry in the table
+ * @param {Array<string>} languages - Languages, largest share first
+ * @param {Object} languageIDEs - Map of language name to IDE type
+ * @returns {string} IDE type or empty string when no language is mapped
+ */
+export function pickIDEForLanguages(languages, languageIDEs) {
+  const table = languageIDEs || {};
+  const language = languages.find(name => EDITORS[table[name]]);
+  return language ? table[language] : '';
+}
+
+/**
+ * Parses a language table written one "Language: ide" entry per line
+ * @param {string} text - Table text
+ * @returns {{table: Object, invalid: Array<string>}} Parsed table and the lines that could not be read
+ */
+export function parseLanguageTable(text) {
+  const table = {};
+  const invalid = [];
+
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const separator = line.lastIndexOf(':');
+    const language = line.slice(0, separator).trim();
+    const ideType = line.slice(separator + 1).trim();
+
+    if (separator <= 0 || !EDITORS[ideType]) {
+      invalid.push(line);
+      return;
+    }
+    table[language] = ideType;
+  });
+
+  return { table, invalid };
+}
+
+/**
+ * Formats a language table for editing, one "Language: ide" entry per line
+ * @param {Object} languageIDEs - Map of language name to IDE type
+ * @returns {string} Table text
+ */
+export function formatLanguageTable(languageIDEs) {
+  return Object.entries(languageIDEs || {})
+    .map(([language, ideType]) => `${language}: ${ideType}`)
+    .join('\n');
+}
+
+/**
+ * Detects the IDE of a repository from the language bar of the current page,
+ * or from the languages cached on an earlier visit of the repository's main page
+ * @param {string} repoSlug - 'owner/repo'
+ * @param {Object} languageIDEs - Map of language name to IDE type
+ * @returns {Promise<string>} IDE type, the default IDE when no language is known or mapped
+ */
+export async function detectIDEType(repoSlug, languageIDEs) {
+  const cacheKey = `${CACHE_KEY_PREFIX}${repoSlug.toLowerCase()}`;
+
+  let languages = readRepoLanguages(document);
+  if (languages.length > 0) {
+    await chrome.storage.local.set({ [cacheKey]: languages });
+  } else {
+    const cached = await chrome.storage.local.get({ [cacheKey]: [] });
+    languages = cached[cacheKey];
+  }
+
+  return pickIDEForLanguages(languages, languageIDEs) || DEFAULT_EDITOR;
+}
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_LANGUAGE_IDES,
+  readRepoLanguages,
+  pickIDEForLanguages,
+  parseLanguageTable,
+  formatLanguageTable,
+  detectIDEType
+} from './ide-detection.js';
+
+const languageBar = `
+  <span class="Progress">
+    <span class="Progress-item" aria-label="Python 85.2" style="width: 85.2%"></span>
+    <span class="Progress-item" aria-label="Go 10.1" style="width: 10.1%"></span>
+    <span class="Progress-item" aria-label="Jupyter Notebook 4.7" style="width: 4.7%"></span>
+  </span>
+`;
+
+describe('readRepoLanguages', () => {
+  it('should read languages from the language bar', () => {
+    document.body.innerHTML = languageBar;
+    expect(readRepoLanguages(document)).toEqual(['Python', 'Go', 'Jupyter Notebook']);
+  });
+
+  it('should return an empty list without a language bar', () => {
+    document.body.innerHTML = '<span class="Progress-item"></span>';
+    expect(readRepoLanguages(document)).toEqual([]);
+  });
+});
+
+describe('pickIDEForLanguages', () => {
+  it('should pick the IDE of the largest mapped language', () => {
+    expect(pickIDEForLanguages(['Shell', 'Go', 'Python'], DEFAULT_LANGUAGE_IDES)).toBe('goland');
+  });
+
+  it('should ignore unknown IDE types', () => {
+    expect(pickIDEForLanguages(['Go', 'Python'], { Go: 'notepad', Python: 'pycharm' })).toBe('pycharm');
+  });
+
+  it('should return empty string when no language is mapped', () => {
+    expect(pickIDEForLanguages(['Shell'], DEFAULT_LANGUAGE_IDES)).toBe('');
+    expect(pickIDEForLanguages(['Go'], undefined)).toBe('');
+  });
+});
+
+describe('parseLanguageTable', () => {
+  it('should parse one entry per line', () => {
+    expect(parseLanguageTable('Python: pycharm\n\n  C#: rider  \nJupyter Notebook: vscode'))
+      .toEqual({ table: { 'Python': 'pycharm', 'C#': 'rider', 'Jupyter Notebook': 'vscode' }, invalid: [] });
+  });
+
+  it('should report lines without a language or with an unknown IDE', () => {
+    expect(parseLanguageTable('Python\n: idea\nGo: notepad'))
+      .toEqual({ table: {}, invalid: ['Python', ': idea', 'Go: notepad'] });
+  });
+});
+
+describe('formatLanguageTable', () => {
+  it('should format one entry per line', () => {
+    expect(formatLanguageTable({ Python: 'pycharm', Go: 'goland' })).toBe('Python: pycharm\nGo: goland');
+  });
+
+  it('should round-trip the default table', () => {
+    expect(parseLanguageTable(formatLanguageTable(DEFAULT_LANGUAGE_IDES)).table).toEqual(DEFAULT_LANGUAGE_IDES);
+  });
+
+  it('should format an empty table', () => {
+    expect(formatLanguageTable(undefined)).toBe('');
+  });
+});
+
+describe('detectIDEType', () => {
+  beforeEach(() => {
+    global.chrome = {
+      storage: {
+        local: {
+          get: jest.fn().mockResolvedValue({}),
+          set: jest.fn().mockResolvedValue()
+        }
+      }
+    };
+    document.body.innerHTML = '';
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  it('should detect from the language bar and cache the languages', async () => {
+    document.body.innerHTML = languageBar;
+
+    await expect(detectIDEType('Owner/Repo', DEFAULT_LANGUAGE_IDES)).resolves.toBe('pycharm');
+    expect(chrome.storage.local.set).toHaveBeenCalledWith({
+      'repoLanguages/owner/repo': ['Python', 'Go', 'Jupyter Notebook']
+    });
+  });
+
+  it('should detect from cached languages on pages without a language bar', async () => {
+    chrome.storage.local.get.mockResolvedValue({ 'repoLanguages/owner/repo': ['Go'] });
+
+    await expect(detectIDEType('owner/repo', DEFAULT_LANGUAGE_IDES)).resolves.toBe('goland');
+    expect(chrome.storage.local.get).toHaveBeenCalledWith({ 'repoLanguages/owner/repo': [] });
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the default IDE', async () => {
+    chrome.storage.local.get.mockResolvedValue({ 'repoLanguages/owner/repo': [] });
+
+    await expect(detectIDEType('owner/repo', DEFAULT_LANGUAGE_IDES)).resolves.toBe('idea');
+  });
+});
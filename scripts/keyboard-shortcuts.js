@@ -0,0 +1,161 @@
+// GitHub Hyper - Keyboard Shortcuts
+// Shortcut strings, the browser commands behind them, and finding elements around the viewport
+//
+// Shortcuts are written like "Alt+Shift+O": modifiers in the order Ctrl, Alt, Shift, Meta, then the key
+// as named by KeyboardEvent.code, so Option combinations on macOS still name the letter pressed.
+//
+// The same actions are registered as chrome.commands (manifest "commands"), which Chrome rebinds at
+// chrome://extensions/shortcuts. The background worker forwards them to the tab as messages; the
+// content script handles the keys set in the options itself.
+
+export const COMMAND_MESSAGE_TYPE = 'gh-hyper-command';
+
+export const SHORTCUT_ACTIONS = {
+  openInIDE: {
+    label: 'Open the nearest review comment or diff line in the IDE',
+    command: 'open-in-ide',
+    defaultShortcut: 'Alt+Shift+O'
+  },
+  nextThread: {
+    label: 'Go to the next review thread',
+    command: 'next-review-thread',
+    defaultShortcut: 'Alt+Shift+J'
+  },
+  previousThread: {
+    label: 'Go to the previous review thread',
+    command: 'previous-review-thread',
+    defaultShortcut: 'Alt+Shift+K'
+  }
+};
+
+export const DEFAULT_SHORTCUTS = Object.fromEntries(
+  Object.entries(SHORTCUT_ACTIONS).map(([action, { defaultShortcut }]) => [action, defaultShortcut])
+);
+
+// GitHub's modifier shortcuts (command palette, comment formatting and submitting) and common browser ones,
+// each taken with Ctrl and with Cmd
+const RESERVED_KEYS = [
+  'K', 'Shift+K', 'Alt+K', 'B', 'I', 'E', 'Shift+7', 'Shift+8', 'Shift+Period', 'Shift+P', 'Enter', 'Period',
+  'F', 'L', 'N', 'R', 'T', 'W', 'Shift+T'
+];
+const RESERVED_SHORTCUTS = new Set(RESERVED_KEYS.flatMap(keys => {
+  const [modifiers, key] = keys.includes('+') ? keys.split('+') : ['', keys];
+  return [
+    formatShortcut({ ctrl: true, alt: modifiers === 'Alt', shift: modifiers === 'Shift', key }),
+    formatShortcut({ meta: true, alt: modifiers === 'Alt', shift: modifiers === 'Shift', key })
+  ];
+}));
+
+const MODIFIER_CODES = /^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/;
+
+/**
+ * Formats a key combination
+ * @param {Object} combination - Pressed modifiers and key
+ * @returns {string} Shortcut such as 'Ctrl+Shift+K'
+ */
+function formatShortcut({ ctrl = false, alt = false, shift = false, meta = false, key }) {
+  return [ctrl && 'Ctrl', alt && 'Alt', shift && 'Shift', meta && 'Meta', key].filter(Boolean).join('+');
+}
+
+/**
+ * Reads the shortcut of a key press
+ * @param {KeyboardEvent} event - Key press
+ * @returns {string} Shortcut such as 'Alt+Shift+O', or empty string while only modifiers are held
+ */
+export function eventToShortcut(event) {
+  const code = event.code || '';
+  if (!code || MODIFIER_CODES.test(code)) {
+    return '';
+  }
+
+  const key = code.replace(/^(Key|Digit)/, '');
+  return formatShortcut({ ctrl: event.ctrlKey, alt: event.altKey, shift: event.shiftKey, meta: event.metaKey, key });
+}
+
+/**
+ * Checks whether a shortcut can be bound without clashing with GitHub or the browser
+ * @param {string} shortcut - Shortcut, empty for none
+ * @returns {string} Reason it cannot be bound, or empty string when it can
+ */
+export function validateShortcut(shortcut) {
+  if (!shortcut) {
+    return '';
+  }
+  if (!/(^|\+)(Ctrl|Alt|Meta)\+/.test(shortcut)) {
+    return 'Add Alt, Ctrl or Cmd - GitHub uses single keys for its own shortcuts';
+  }
+  if (RESERVED_SHORTCUTS.has(shortcut)) {
+    return `${shortcut} is used by GitHub or the browser`;
+  }
+  return '';
+}
+
+/**
+ * Finds the action bound to a shortcut
+ * @param {string} shortcut - Pressed shortcut
+ * @param {Object} shortcuts - Map of action name to shortcut
+ * @returns {string} Action name or empty string
+ */
+export function findShortcutAction(shortcut, shortcuts) {
+  if (!shortcut) {
+    return '';
+  }
+  const entry = Object.entries(shortcuts || {}).find(([, bound]) => bound === shortcut);
+  return entry && SHORTCUT_ACTIONS[entry[0]] ? entry[0] : '';
+}
+
+/**
+ * Finds the action of a browser command
+ * @param {string} command - Command name from the manifest
+ * @returns {string} Action name or empty string
+ */
+export function findCommandAction(command) {
+  const entry = Object.entries(SHORTCUT_ACTIONS).find(([, action]) => action.command === command);
+  return entry ? entry[0] : '';
+}
+
+/**
+ * Checks whether a key press goes to a text field, where shortcuts must not fire
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} True for inputs, text areas, selects and editable content
+ */
+export function isEditableTarget(target) {
+  return target instanceof Element &&
+    Boolean(target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+}
+
+/**
+ * Finds the element closest to a vertical position
+ * @param {Array<HTMLElement>} elements - Candidates
+ * @param {number} y - Viewport position
+ * @returns {HTMLElement|null} Element whose middle is nearest, null without candidates
+ */
+export function findNearestElement(elements, y) {
+  let nearest = null;
+  let nearestDistance = Infinity;
+
+  elements.forEach(element => {
+    const rect = element.getBoundingClientRect();
+    const distance = Math.abs((rect.top + rect.bottom) / 2 - y);
+    if (distance < nearestDistance) {
+      nearest = element;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Finds the first element below or the last element above a vertical position
+ * @param {Array<HTMLElement>} elements - Candidates in document order
+ * @param {number} y - Viewport position
+ * @param {number} direction - 1 for the next element below, -1 for the previous one above
+ * @returns {HTMLElement|null} Element or null when there is none in that direction
+ */
+export function findAdjacentElement(elements, y, direction) {
+  if (direction > 0) {
+    return elements.find(element => element.getBoundingClientRect().top > y) || null;
+  }
+  return elements.filter(element => element.getBoundingClientRect().bottom < y).pop() || null;
+}
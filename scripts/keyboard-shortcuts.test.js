@@ -0,0 +1,153 @@
+import {
+  SHORTCUT_ACTIONS,
+  DEFAULT_SHORTCUTS,
+  eventToShortcut,
+  validateShortcut,
+  findShortcutAction,
+  findCommandAction,
+  isEditableTarget,
+  findNearestElement,
+  findAdjacentElement
+} from './keyboard-shortcuts.js';
+
+function createElementAt(top) {
+  const element = document.createElement('div');
+  element.getBoundingClientRect = () => ({ top, bottom: top + 20 });
+  return element;
+}
+
+describe('DEFAULT_SHORTCUTS', () => {
+  it('should bind every action', () => {
+    expect(Object.keys(DEFAULT_SHORTCUTS)).toEqual(Object.keys(SHORTCUT_ACTIONS));
+    expect(DEFAULT_SHORTCUTS.openInIDE).toBe('Alt+Shift+O');
+  });
+
+  it('should only bind shortcuts that do not clash', () => {
+    Object.values(DEFAULT_SHORTCUTS).forEach(shortcut => {
+      expect(validateShortcut(shortcut)).toBe('');
+    });
+  });
+});
+
+describe('eventToShortcut', () => {
+  it('should name letters and digits by the key pressed', () => {
+    expect(eventToShortcut({ code: 'KeyO', altKey: true, shiftKey: true })).toBe('Alt+Shift+O');
+    expect(eventToShortcut({ code: 'Digit1', ctrlKey: true })).toBe('Ctrl+1');
+  });
+
+  it('should order modifiers as Ctrl, Alt, Shift, Meta', () => {
+    expect(eventToShortcut({ code: 'KeyK', metaKey: true, shiftKey: true, altKey: true, ctrlKey: true }))
+      .toBe('Ctrl+Alt+Shift+Meta+K');
+  });
+
+  it('should keep other key codes', () => {
+    expect(eventToShortcut({ code: 'ArrowDown', altKey: true })).toBe('Alt+ArrowDown');
+    expect(eventToShortcut({ code: 'Period', ctrlKey: true })).toBe('Ctrl+Period');
+  });
+
+  it('should return empty string while only modifiers are held', () => {
+    expect(eventToShortcut({ code: 'ShiftLeft', shiftKey: true })).toBe('');
+    expect(eventToShortcut({ code: 'AltRight', altKey: true })).toBe('');
+    expect(eventToShortcut({ code: 'MetaLeft', metaKey: true })).toBe('');
+    expect(eventToShortcut({ code: '' })).toBe('');
+  });
+});
+
+describe('validateShortcut', () => {
+  it('should accept no shortcut', () => {
+    expect(validateShortcut('')).toBe('');
+  });
+
+  it('should require Alt, Ctrl or Cmd', () => {
+    expect(validateShortcut('J')).toContain('GitHub uses single keys');
+    expect(validateShortcut('Shift+J')).toContain('GitHub uses single keys');
+    expect(validateShortcut('Meta+J')).toBe('');
+    expect(validateShortcut('Ctrl+Shift+J')).toBe('');
+  });
+
+  it('should reject GitHub and browser shortcuts', () => {
+    expect(validateShortcut('Ctrl+K')).toBe('Ctrl+K is used by GitHub or the browser');
+    expect(validateShortcut('Meta+K')).toContain('used by GitHub');
+    expect(validateShortcut('Alt+Meta+K')).toContain('used by GitHub');
+    expect(validateShortcut('Ctrl+Shift+Period')).toContain('used by GitHub');
+    expect(validateShortcut('Meta+Enter')).toContain('used by GitHub');
+    expect(validateShortcut('Ctrl+T')).toContain('used by GitHub');
+  });
+});
+
+describe('findShortcutAction', () => {
+  it('should find the action bound to a shortcut', () => {
+    expect(findShortcutAction('Alt+Shift+J', DEFAULT_SHORTCUTS)).toBe('nextThread');
+  });
+
+  it('should return empty string for unbound shortcuts', () => {
+    expect(findShortcutAction('Alt+Shift+X', DEFAULT_SHORTCUTS)).toBe('');
+    expect(findShortcutAction('', { openInIDE: '' })).toBe('');
+    expect(findShortcutAction('Alt+X', null)).toBe('');
+  });
+
+  it('should ignore unknown actions', () => {
+    expect(findShortcutAction('Alt+X', { removed: 'Alt+X' })).toBe('');
+  });
+});
+
+describe('findCommandAction', () => {
+  it('should find the action of a browser command', () => {
+    expect(findCommandAction('open-in-ide')).toBe('openInIDE');
+    expect(findCommandAction('previous-review-thread')).toBe('previousThread');
+  });
+
+  it('should return empty string for unknown commands', () => {
+    expect(findCommandAction('_execute_action')).toBe('');
+  });
+});
+
+describe('isEditableTarget', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <input id="input">
+      <textarea id="textarea"></textarea>
+      <div contenteditable="true"><span id="editable"></span></div>
+      <div id="plain"></div>
+    `;
+  });
+
+  it('should detect text fields and editable content', () => {
+    expect(isEditableTarget(document.getElementById('input'))).toBe(true);
+    expect(isEditableTarget(document.getElementById('textarea'))).toBe(true);
+    expect(isEditableTarget(document.getElementById('editable'))).toBe(true);
+  });
+
+  it('should not flag other targets', () => {
+    expect(isEditableTarget(document.getElementById('plain'))).toBe(false);
+    expect(isEditableTarget(document)).toBe(false);
+  });
+});
+
+describe('findNearestElement', () => {
+  it('should find the element whose middle is nearest', () => {
+    const elements = [createElementAt(0), createElementAt(380), createElementAt(500)];
+    expect(findNearestElement(elements, 400)).toBe(elements[1]);
+  });
+
+  it('should return null without candidates', () => {
+    expect(findNearestElement([], 400)).toBeNull();
+  });
+});
+
+describe('findAdjacentElement', () => {
+  const elements = [createElementAt(100), createElementAt(500), createElementAt(900)];
+
+  it('should find the first element below', () => {
+    expect(findAdjacentElement(elements, 400, 1)).toBe(elements[1]);
+  });
+
+  it('should find the last element above', () => {
+    expect(findAdjacentElement(elements, 400, -1)).toBe(elements[0]);
+  });
+
+  it('should return null when there is none in that direction', () => {
+    expect(findAdjacentElement(elements, 950, 1)).toBeNull();
+    expect(findAdjacentElement(elements, 50, -1)).toBeNull();
+  });
+});
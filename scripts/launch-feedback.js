@@ -0,0 +1,198 @@
+// GitHub Hyper - Launch Feedback
+// Tells the user when an IDE link seemingly went nowhere
+//
+// Browsers report nothing about protocol links: when no handler picks the URL up,
+// the click silently does nothing. A handler that launches usually takes focus from
+// the page (the IDE, or the browser's "Open <app>?" prompt), so a page that keeps
+// focus for a while after the click hints that the link was not handled.
+
+import { copyText } from './copy-menu.js';
+
+export const LAUNCH_CHECK_TIMEOUT = 2500; // milliseconds
+// JetBrains Toolbox may first start the IDE or open the project before the IDE comes to the front
+export const JETBRAINS_LAUNCH_CHECK_TIMEOUT = 8000; // milliseconds
+
+const TOAST_ID = 'gh-hyper-launch-toast';
+const COPIED_FEEDBACK_DURATION = 1000; // milliseconds
+
+const JETBRAINS_TIPS = [
+  'JetBrains Toolbox must be installed and running, it handles jetbrains:// links',
+  'The target JetBrains IDE should be open in the background',
+  'The target GitHub project should be open in the IDE already',
+  'Deep links open files in the background (the IDE won\'t become the foreground window), so the IDE may have opened the file anyway'
+];
+
+const FILE_URL_TIPS = [
+  'The editor must be installed and registered for its links; start it once after installing',
+  'Check the local checkout root in the options, the file is opened from that folder',
+  'The file must exist in your checkout, e.g. on the branch of the pull request'
+];
+
+const COMMON_TIPS = [
+  'If the browser asked whether to open the app, allow it',
+  'If the IDE opened after all, turn off "Warn When Nothing Opens" in the options'
+];
+
+/**
+ * Gets the troubleshooting tips for an editor family
+ * @param {string} family - 'jetbrains' or 'file'
+ * @returns {Array<string>} Tips, most likely cause first
+ */
+export function getTroubleshootingTips(family) {
+  return [...(family === 'jetbrains' ? JETBRAINS_TIPS : FILE_URL_TIPS), ...COMMON_TIPS];
+}
+
+/**
+ * Gets how long to wait for the page to lose focus after opening a link
+ * @param {string} family - 'jetbrains' or 'file'
+ * @returns {number} Milliseconds
+ */
+export function getLaunchCheckTimeout(family) {
+  return family === 'jetbrains' ? JETBRAINS_LAUNCH_CHECK_TIMEOUT : LAUNCH_CHECK_TIMEOUT;
+}
+
+/**
+ * Watches whether the page loses focus after a protocol link was opened
+ * @param {number} timeout - Milliseconds to wait for the page to lose focus
+ * @param {Function} onNoLaunch - Called when the page kept focus for the whole timeout
+ * @returns {Function} Stops watching
+ */
+export function watchForLaunch(timeout, onNoLaunch) {
+  let timer = null;
+
+  const stop = () => {
+    clearTimeout(timer);
+    window.removeEventListener('blur', stop);
+    document.removeEventListener('visibilitychange', stop);
+  };
+
+  timer = setTimeout(() => {
+    stop();
+    // A page hidden by now was left for another window, even if no event said so
+    if (!document.hidden) {
+      onNoLaunch();
+    }
+  }, timeout);
+  window.addEventListener('blur', stop);
+  document.addEventListener('visibilitychange', stop);
+
+  return stop;
+}
+
+/**
+ * Closes the launch toast, if shown
+ */
+export function closeLaunchToast() {
+  const toast = document.getElementById(TOAST_ID);
+  if (toast) {
+    toast.remove();
+  }
+}
+
+/**
+ * Creates a small toast button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} Button element
+ */
+function createToastButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-sm';
+  button.textContent = label;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    onClick(button);
+  });
+  return button;
+}
+
+/**
+ * Creates a toast button copying a text, confirming the copy in its label
+ * @param {string} label - Button text
+ * @param {string} text - Text to copy
+ * @returns {HTMLElement} Button element
+ */
+function createCopyButton(label, text) {
+  const button = createToastButton(label, async () => {
+    const copied = await copyText(text);
+    button.textContent = copied ? 'Copied!' : 'Copy failed';
+    setTimeout(() => {
+      button.textContent = label;
+    }, COPIED_FEEDBACK_DURATION);
+  });
+  button.title = text;
+  return button;
+}
+
+/**
+ * Shows a toast saying that an IDE link seemingly did not open, replacing a previous one.
+ * The toast does not take focus and stays until closed.
+ * @param {Object} details - What was opened
+ * @param {string} details.url - Editor URL
+ * @param {string} details.ideName - IDE name
+ * @param {string} details.reference - Repository-relative 'path:line', empty when unknown
+ * @param {Array<string>} details.tips - Troubleshooting tips
+ * @returns {HTMLElement} Toast element
+ */
+export function showLaunchToast({ url, ideName, reference, tips }) {
+  closeLaunchToast();
+
+  const toast = document.createElement('div');
+  toast.id = TOAST_ID;
+  toast.setAttribute('role', 'status');
+  toast.setAttribute('aria-live', 'polite');
+  toast.style.cssText = `
+    position: fixed;
+    z-index: 100;
+    right: 24px;
+    bottom: 24px;
+    width: 420px;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 12px;
+    font-size: 12px;
+    color: var(--fgColor-default, #1f2328);
+    background: var(--overlay-bgColor, #ffffff);
+    border: 1px solid var(--borderColor-default, #d0d7de);
+    border-radius: 6px;
+    box-shadow: var(--shadow-floating-small, 0 1px 3px rgba(31, 35, 40, 0.12));
+  `;
+
+  const message = document.createElement('div');
+  message.className = 'text-bold';
+  message.textContent = `${ideName} did not seem to open`;
+  toast.appendChild(message);
+
+  const link = document.createElement('code');
+  link.style.cssText = 'word-break: break-all;';
+  link.textContent = url;
+  toast.appendChild(link);
+
+  const tipList = document.createElement('ul');
+  tipList.hidden = true;
+  tipList.style.cssText = 'margin: 0; padding-left: 20px; line-height: 1.6;';
+  tips.forEach(tip => {
+    const item = document.createElement('li');
+    item.textContent = tip;
+    tipList.appendChild(item);
+  });
+
+  const actions = document.createElement('div');
+  actions.style.cssText = 'display: flex; gap: 6px; flex-wrap: wrap;';
+  if (reference) {
+    actions.appendChild(createCopyButton('Copy path', reference));
+  }
+  actions.appendChild(createCopyButton('Copy URL', url));
+  actions.appendChild(createToastButton('Troubleshooting', (button) => {
+    tipList.hidden = !tipList.hidden;
+    button.setAttribute('aria-expanded', String(!tipList.hidden));
+  }));
+  actions.appendChild(createToastButton('Dismiss', closeLaunchToast));
+  toast.appendChild(actions);
+  toast.appendChild(tipList);
+
+  document.body.appendChild(toast);
+  return toast;
+}
@@ -0,0 +1,232 @@
+import { jest } from '@jest/globals';
+import {
+  LAUNCH_CHECK_TIMEOUT,
+  JETBRAINS_LAUNCH_CHECK_TIMEOUT,
+  getTroubleshootingTips,
+  getLaunchCheckTimeout,
+  watchForLaunch,
+  closeLaunchToast,
+  showLaunchToast
+} from './launch-feedback.js';
+
+const details = {
+  url: 'jetbrains://idea/navigate/reference?project=shop&path=src%2Fapp.js:9:0',
+  ideName: 'IntelliJ IDEA',
+  reference: 'src/app.js:10',
+  tips: ['Start Toolbox', 'Open the project']
+};
+
+function getToastButton(label) {
+  return Array.from(document.querySelectorAll('#gh-hyper-launch-toast button'))
+    .find(button => button.textContent === label);
+}
+
+describe('getTroubleshootingTips', () => {
+  it('should start with Toolbox for JetBrains IDEs', () => {
+    const tips = getTroubleshootingTips('jetbrains');
+    expect(tips[0]).toContain('JetBrains Toolbox');
+    expect(tips.some(tip => tip.includes('open in the IDE already'))).toBe(true);
+  });
+
+  it('should mention the checkout root for editors opening files', () => {
+    const tips = getTroubleshootingTips('file');
+    expect(tips.some(tip => tip.includes('local checkout root'))).toBe(true);
+    expect(tips.some(tip => tip.includes('Toolbox'))).toBe(false);
+  });
+
+  it('should end with the tips shared by all editors', () => {
+    expect(getTroubleshootingTips('file').at(-1)).toContain('Warn When Nothing Opens');
+    expect(getTroubleshootingTips('jetbrains').at(-1)).toContain('Warn When Nothing Opens');
+  });
+});
+
+describe('getLaunchCheckTimeout', () => {
+  it('should wait longer for JetBrains Toolbox', () => {
+    expect(getLaunchCheckTimeout('jetbrains')).toBe(JETBRAINS_LAUNCH_CHECK_TIMEOUT);
+    expect(getLaunchCheckTimeout('file')).toBe(LAUNCH_CHECK_TIMEOUT);
+    expect(JETBRAINS_LAUNCH_CHECK_TIMEOUT).toBeGreaterThan(LAUNCH_CHECK_TIMEOUT);
+  });
+});
+
+describe('watchForLaunch', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should report when the page keeps focus', () => {
+    const onNoLaunch = jest.fn();
+    watchForLaunch(LAUNCH_CHECK_TIMEOUT, onNoLaunch);
+
+    jest.advanceTimersByTime(LAUNCH_CHECK_TIMEOUT - 1);
+    expect(onNoLaunch).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    expect(onNoLaunch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should stop when the window loses focus', () => {
+    const onNoLaunch = jest.fn();
+    watchForLaunch(1000, onNoLaunch);
+
+    window.dispatchEvent(new Event('blur'));
+    jest.advanceTimersByTime(1000);
+
+    expect(onNoLaunch).not.toHaveBeenCalled();
+  });
+
+  it('should stop when the page is hidden', () => {
+    const onNoLaunch = jest.fn();
+    watchForLaunch(1000, onNoLaunch);
+
+    document.dispatchEvent(new Event('visibilitychange'));
+    jest.advanceTimersByTime(1000);
+
+    expect(onNoLaunch).not.toHaveBeenCalled();
+  });
+
+  it('should not report a page hidden by the timeout without an event', () => {
+    const onNoLaunch = jest.fn();
+    watchForLaunch(1000, onNoLaunch);
+
+    Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+    jest.advanceTimersByTime(1000);
+    delete document.hidden;
+
+    expect(onNoLaunch).not.toHaveBeenCalled();
+  });
+
+  it('should stop when asked to', () => {
+    const onNoLaunch = jest.fn();
+    const stop = watchForLaunch(1000, onNoLaunch);
+
+    stop();
+    jest.advanceTimersByTime(1000);
+
+    expect(onNoLaunch).not.toHaveBeenCalled();
+  });
+
+  it('should remove its listeners once the timeout passed', () => {
+    const onNoLaunch = jest.fn();
+    const removeSpy = jest.spyOn(window, 'removeEventListener');
+
+    watchForLaunch(1000, onNoLaunch);
+    jest.advanceTimersByTime(1000);
+
+    expect(removeSpy).toHaveBeenCalledWith('blur', expect.any(Function));
+    removeSpy.mockRestore();
+  });
+});
+
+describe('showLaunchToast', () => {
+  let writeText;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = '';
+    writeText = jest.fn().mockResolvedValue(undefined);
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+  });
+
+  afterEach(() => {
+    closeLaunchToast();
+    jest.useRealTimers();
+    delete navigator.clipboard;
+  });
+
+  it('should show the URL without taking focus', () => {
+    const toast = showLaunchToast(details);
+
+    expect(toast.getAttribute('role')).toBe('status');
+    expect(toast.getAttribute('aria-live')).toBe('polite');
+    expect(toast.textContent).toContain('IntelliJ IDEA did not seem to open');
+    expect(toast.querySelector('code').textContent).toBe(details.url);
+    expect(toast.contains(document.activeElement)).toBe(false);
+  });
+
+  it('should copy the file reference', async () => {
+    showLaunchToast(details);
+
+    const button = getToastButton('Copy path');
+    button.click();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(writeText).toHaveBeenCalledWith('src/app.js:10');
+    expect(button.textContent).toBe('Copied!');
+
+    jest.advanceTimersByTime(1000);
+    expect(button.textContent).toBe('Copy path');
+  });
+
+  it('should copy the URL', async () => {
+    showLaunchToast(details);
+
+    getToastButton('Copy URL').click();
+    await Promise.resolve();
+
+    expect(writeText).toHaveBeenCalledWith(details.url);
+  });
+
+  it('should say when copying failed', async () => {
+    writeText.mockRejectedValue(new Error('denied'));
+    global.console.error = jest.fn();
+    showLaunchToast(details);
+
+    const button = getToastButton('Copy URL');
+    button.click();
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(button.textContent).toBe('Copy failed');
+  });
+
+  it('should leave out the path button without a reference', () => {
+    showLaunchToast({ ...details, reference: '' });
+
+    expect(getToastButton('Copy path')).toBeUndefined();
+    expect(getToastButton('Copy URL')).toBeDefined();
+  });
+
+  it('should toggle the troubleshooting tips', () => {
+    const toast = showLaunchToast(details);
+    const tipList = toast.querySelector('ul');
+    const button = getToastButton('Troubleshooting');
+
+    expect(tipList.hidden).toBe(true);
+    expect(Array.from(tipList.querySelectorAll('li')).map(item => item.textContent)).toEqual(details.tips);
+
+    button.click();
+    expect(tipList.hidden).toBe(false);
+    expect(button.getAttribute('aria-expanded')).toBe('true');
+
+    button.click();
+    expect(tipList.hidden).toBe(true);
+    expect(button.getAttribute('aria-expanded')).toBe('false');
+  });
+
+  it('should close on dismiss', () => {
+    showLaunchToast(details);
+
+    getToastButton('Dismiss').click();
+
+    expect(document.getElementById('gh-hyper-launch-toast')).toBeNull();
+  });
+
+  it('should replace a shown toast', () => {
+    showLaunchToast(details);
+    showLaunchToast(details);
+
+    expect(document.querySelectorAll('#gh-hyper-launch-toast')).toHaveLength(1);
+  });
+});
+
+describe('closeLaunchToast', () => {
+  it('should do nothing without a toast', () => {
+    document.body.innerHTML = '';
+    expect(() => closeLaunchToast()).not.toThrow();
+  });
+});
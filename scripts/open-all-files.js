@@ -0,0 +1,359 @@
+// GitHub Hyper - Open All Changed Files
+// Opens the changed files of a pull request in the IDE, one after another
+//
+// A panel lets the user deselect files such as lockfiles or generated code first. One click of
+// Open launches every selected file, paced by a delay set in the options so the protocol handler
+// (e.g. JetBrains Toolbox) is not flooded; Stop or closing the panel cancels the rest.
+//
+// Files are read from the file tree, which lists every changed file; the diffs below it load
+// lazily on long pull requests and are only read when no tree is shown.
+
+import { findDiffFileHeaders } from './diff-view.js';
+
+export const OPEN_ALL_BUTTON_ID = 'gh-hyper-open-all-btn';
+export const DEFAULT_LAUNCH_INTERVAL = 1500; // milliseconds between launches
+
+const PANEL_ID = 'gh-hyper-open-all-panel';
+
+// Toolbar of the "Files changed" tab in the classic and the React view
+const FILES_TOOLBAR_SELECTOR = '.pr-review-tools, [class*="PullRequestFilesToolbar-module__toolbar"]';
+
+// File tree of the "Files changed" tab in the classic and the React view
+const FILE_TREE_SELECTOR = 'file-tree [role="tree"], [role="tree"][aria-label="File Tree"]';
+const TREE_ITEM_SELECTOR = '[role="treeitem"]';
+// Entry label of the classic tree; React tree items name theirs with aria-labelledby
+const CLASSIC_TREE_LABEL_SELECTOR = '.ActionList-item-label';
+
+// Files deselected by default: lockfiles, minified and generated code
+export const DEFAULT_SKIPPED_FILE_PATTERNS = [
+  'package-lock.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  '*.lock',
+  'go.sum',
+  '*.min.js',
+  '*.min.css',
+  '*.map',
+  '*.snap',
+  '*.pb.go',
+  '*_pb2.py',
+  '*.generated.*',
+  'dist/**',
+  'vendor/**'
+];
+
+/**
+ * Checks whether a path matches a glob. Patterns without a slash match the file name
+ * anywhere; * matches within a directory and ** across directories.
+ * @param {string} pattern - Glob such as '*.lock' or 'dist/**'
+ * @param {string} filePath - Repository-relative path
+ * @returns {boolean} True if the path matches
+ */
+export function matchesPathPattern(pattern, filePath) {
+  const glob = pattern.trim();
+  if (!glob) {
+    return false;
+  }
+
+  const source = glob
+    .split('**')
+    .map(part => part.split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+
+  const target = glob.includes('/') ? filePath : filePath.split('/').pop();
+  return new RegExp(`^${source}$`).test(target);
+}
+
+/**
+ * Reads the label of a file tree entry
+ * @param {HTMLElement} item - Tree item
+ * @returns {string} File name, or directory path such as 'src/app' where the tree folds single-child directories
+ */
+function getTreeItemLabel(item) {
+  const labelId = item.getAttribute('aria-labelledby');
+  const label = (labelId && document.getElementById(labelId)) || item.querySelector(CLASSIC_TREE_LABEL_SELECTOR);
+  return label ? label.textContent.trim() : '';
+}
+
+/**
+ * Collects the files listed in a file tree, in tree order
+ * @param {HTMLElement} tree - Tree element
+ * @returns {Array<{filePath: string, deleted: boolean}>} Changed files
+ */
+export function collectFileTreeFiles(tree) {
+  return Array.from(tree.querySelectorAll(TREE_ITEM_SELECTOR))
+    .filter(item => !item.hasAttribute('aria-expanded') && !item.querySelector('[role="group"]'))
+    .map(item => {
+      const names = [];
+      for (let entry = item; entry && tree.contains(entry); entry = entry.parentElement.closest(TREE_ITEM_SELECTOR)) {
+        names.unshift(getTreeItemLabel(entry));
+      }
+      return { filePath: names.join('/'), deleted: item.getAttribute('data-file-deleted') === 'true' };
+    })
+    .filter(({ filePath }) => filePath && !filePath.split('/').includes(''));
+}
+
+/**
+ * Collects the changed files of the "Files changed" tab from its file tree, or from the
+ * diffs rendered so far when the tree is not shown
+ * @returns {Array<{filePath: string, deleted: boolean}>} Changed files, in page order
+ */
+export function collectChangedFiles() {
+  const tree = document.querySelector(FILE_TREE_SELECTOR);
+  const listed = tree
+    ? collectFileTreeFiles(tree)
+    : findDiffFileHeaders().map(({ nameElement, filePath }) => ({
+      filePath,
+      deleted: Boolean(nameElement.closest('[data-file-deleted="true"]'))
+    }));
+
+  const files = new Map();
+  listed.forEach(file => {
+    if (!files.has(file.filePath)) {
+      files.set(file.filePath, file);
+    }
+  });
+  return Array.from(files.values());
+}
+
+/**
+ * Opens URLs one after another
+ * @param {Array<string>} urls - URLs to open
+ * @param {Function} openUrl - Opens one URL
+ * @param {number} interval - Milliseconds between launches
+ * @param {Function} onProgress - Called with the number of opened URLs after each launch
+ * @returns {Function} Stops the remaining launches
+ */
+export function launchInSequence(urls, openUrl, interval, onProgress) {
+  let index = 0;
+  let timer = null;
+
+  const launchNext = () => {
+    openUrl(urls[index]);
+    index += 1;
+    onProgress(index);
+    if (index < urls.length) {
+      timer = setTimeout(launchNext, interval);
+    }
+  };
+
+  if (urls.length > 0) {
+    launchNext();
+  }
+
+  return () => clearTimeout(timer);
+}
+
+/**
+ * Closes the open-all panel, stopping launches in progress
+ */
+export function closeOpenAllPanel() {
+  const panel = document.getElementById(PANEL_ID);
+  if (panel) {
+    panel.dispatchEvent(new Event('gh-hyper-close'));
+    panel.remove();
+  }
+}
+
+/**
+ * Creates a small panel button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLElement} Button element
+ */
+function createPanelButton(label, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-sm';
+  button.textContent = label;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Shows the panel listing the changed files to open
+ * @param {Array<{filePath: string, deleted: boolean}>} files - Changed files
+ * @param {Object} options - Panel options
+ * @param {string} options.ideName - IDE name for labels
+ * @param {Array<string>} options.skipPatterns - Globs of files deselected by default
+ * @param {Function} options.buildUrl - Builds the IDE URL of a file, empty string when it cannot be opened
+ * @param {Function} options.openUrl - Opens an IDE URL
+ * @param {number} options.launchInterval - Milliseconds between launches
+ * @returns {HTMLElement} Panel element
+ */
+export function showOpenAllPanel(files, options) {
+  closeOpenAllPanel();
+
+  const panel = document.createElement('div');
+  panel.id = PANEL_ID;
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-label', `Open changed files in ${options.ideName}`);
+  panel.style.cssText = `
+    position: fixed;
+    z-index: 100;
+    top: 80px;
+    right: 24px;
+    width: 420px;
+    max-height: 70vh;
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 12px;
+    font-size: 12px;
+    color: var(--fgColor-default, #1f2328);
+    background: var(--overlay-bgColor, #ffffff);
+    border: 1px solid var(--borderColor-default, #d0d7de);
+    border-radius: 6px;
+    box-shadow: var(--shadow-floating-small, 0 1px 3px rgba(31, 35, 40, 0.12));
+  `;
+
+  const heading = document.createElement('div');
+  heading.className = 'text-bold';
+  heading.textContent = `Open changed files in ${options.ideName}`;
+  panel.appendChild(heading);
+
+  const list = document.createElement('div');
+  list.style.cssText = 'overflow-y: auto; flex: 1;';
+
+  const entries = files.map(({ filePath, deleted }) => {
+    const url = deleted ? '' : options.buildUrl(filePath);
+
+    const label = document.createElement('label');
+    label.style.cssText = 'display: flex; gap: 6px; align-items: center; padding: 2px 0; font-weight: normal;';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.disabled = !url;
+    checkbox.checked = Boolean(url) && !options.skipPatterns.some(pattern => matchesPathPattern(pattern, filePath));
+
+    const name = document.createElement('span');
+    name.className = 'text-mono';
+    name.textContent = filePath + (deleted ? ' (deleted)' : '');
+
+    label.appendChild(checkbox);
+    label.appendChild(name);
+    list.appendChild(label);
+    return { checkbox, url, filePath };
+  });
+  panel.appendChild(list);
+
+  const status = document.createElement('div');
+  status.className = 'color-fg-muted';
+  panel.appendChild(status);
+
+  const actions = document.createElement('div');
+  actions.style.cssText = 'display: flex; gap: 6px; justify-content: flex-end;';
+  panel.appendChild(actions);
+
+  const selected = () => entries.filter(entry => entry.checkbox.checked);
+  const updateStatus = () => {
+    status.textContent = `${selected().length} of ${files.length} files selected`;
+  };
+  list.addEventListener('change', updateStatus);
+  updateStatus();
+
+  const setAll = (checked) => {
+    entries.forEach(entry => {
+      entry.checkbox.checked = checked && !entry.checkbox.disabled;
+    });
+    updateStatus();
+  };
+
+  // Selected files, fixed by the click of Open, and how many of them were launched so far
+  let queue = [];
+  let opened = 0;
+  let stopLaunches = () => {};
+  panel.addEventListener('gh-hyper-close', () => stopLaunches());
+
+  const selectionButtons = [
+    createPanelButton('Select all', () => setAll(true)),
+    createPanelButton('Select none', () => setAll(false))
+  ];
+
+  const stopButton = createPanelButton('Stop', () => {
+    stopLaunches();
+    stopButton.disabled = true;
+    status.textContent = `Stopped after ${opened} of ${queue.length} files`;
+  });
+  stopButton.hidden = true;
+
+  const openButton = createPanelButton('Open', () => {
+    queue = selected();
+    if (queue.length === 0) {
+      return;
+    }
+
+    [openButton, ...list.querySelectorAll('input'), ...selectionButtons].forEach(control => {
+      control.disabled = true;
+    });
+    stopButton.hidden = false;
+
+    const urls = queue.map(entry => entry.url);
+    stopLaunches = launchInSequence(urls, options.openUrl, options.launchInterval, (count) => {
+      opened = count;
+      if (opened < queue.length) {
+        status.textContent = `Opened ${opened} of ${queue.length} files, next: ${queue[opened].filePath}`;
+      } else {
+        status.textContent = `Opened ${queue.length} files`;
+        stopButton.disabled = true;
+      }
+    });
+  });
+  openButton.classList.add('btn-primary');
+
+  selectionButtons.forEach(button => actions.appendChild(button));
+  actions.appendChild(createPanelButton('Close', closeOpenAllPanel));
+  actions.appendChild(stopButton);
+  actions.appendChild(openButton);
+
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      closeOpenAllPanel();
+    }
+  });
+
+  document.body.appendChild(panel);
+  openButton.focus();
+  return panel;
+}
+
+/**
+ * Adds the "Open all in IDE" button to the "Files changed" toolbar, once
+ * @param {Object} options - Panel options passed to showOpenAllPanel
+ */
+export function injectOpenAllButton(options) {
+  const toolbar = document.querySelector(FILES_TOOLBAR_SELECTOR);
+  if (!toolbar || document.getElementById(OPEN_ALL_BUTTON_ID)) {
+    return;
+  }
+
+  const button = document.createElement('button');
+  button.id = OPEN_ALL_BUTTON_ID;
+  button.type = 'button';
+  button.className = 'btn btn-sm';
+  button.textContent = '🚀 Open all';
+  button.title = `Open changed files in ${options.ideName}`;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    showOpenAllPanel(collectChangedFiles(), options);
+  });
+
+  toolbar.insertBefore(button, toolbar.firstChild);
+}
+
+/**
+ * Removes the "Open all in IDE" button and closes its panel
+ */
+export function removeOpenAllButton() {
+  closeOpenAllPanel();
+
+  const button = document.getElementById(OPEN_ALL_BUTTON_ID);
+  if (button) {
+    button.remove();
+  }
+}
@@ -0,0 +1,425 @@
+import { jest } from '@jest/globals';
+import {
+  OPEN_ALL_BUTTON_ID,
+  DEFAULT_SKIPPED_FILE_PATTERNS,
+  matchesPathPattern,
+  launchInSequence,
+  collectFileTreeFiles,
+  collectChangedFiles,
+  closeOpenAllPanel,
+  showOpenAllPanel,
+  injectOpenAllButton,
+  removeOpenAllButton
+} from './open-all-files.js';
+
+const changedFiles = `
+  <div class="pr-review-tools"><span class="diffbar-item">Review</span></div>
+  <div class="file" id="diff-aaa" data-tagsearch-path="src/app.js">
+    <div class="file-header" data-path="src/app.js"><div class="file-info"><a title="src/app.js">src/app.js</a></div></div>
+  </div>
+  <div class="file" id="diff-bbb" data-file-deleted="true">
+    <div class="file-header" data-path="src/old.js"><div class="file-info"><a title="src/old.js">src/old.js</a></div></div>
+  </div>
+  <div id="diff-ccc">
+    <h3 class="DiffFileHeader-module__file-name--x1"><a><code>\u200epackage-lock.json\u200e</code></a></h3>
+  </div>
+`;
+
+// Classic file tree, folding the single-child directories src/app
+const classicFileTree = `
+  <file-tree>
+    <ul class="ActionList" role="tree">
+      <li role="treeitem" aria-expanded="true">
+        <span class="ActionList-item-label">src/app</span>
+        <ul role="group">
+          <li role="treeitem" data-file-deleted="false"><span class="ActionList-item-label">cart.js</span></li>
+          <li role="treeitem" data-file-deleted="true"><span class="ActionList-item-label">old.js</span></li>
+        </ul>
+      </li>
+      <li role="treeitem"><span class="ActionList-item-label">package-lock.json</span></li>
+    </ul>
+  </file-tree>
+`;
+
+// React file tree, naming its entries with aria-labelledby
+const reactFileTree = `
+  <ul role="tree" aria-label="File Tree">
+    <li id="docs" role="treeitem" aria-expanded="true" aria-labelledby="docs--label">
+      <div><span id="docs--label">docs</span></div>
+      <ul role="group">
+        <li id="docs/guide.md" role="treeitem" aria-labelledby="docs/guide.md--label">
+          <div><span id="docs/guide.md--label">guide.md</span></div>
+        </li>
+      </ul>
+    </li>
+    <li id="README.md" role="treeitem" aria-labelledby="README.md--label">
+      <div><span id="README.md--label">README.md</span></div>
+    </li>
+  </ul>
+`;
+
+function getPanelButton(label) {
+  return Array.from(document.querySelectorAll('#gh-hyper-open-all-panel button'))
+    .find(button => button.textContent === label);
+}
+
+function getCheckboxes() {
+  return Array.from(document.querySelectorAll('#gh-hyper-open-all-panel input[type="checkbox"]'));
+}
+
+function createOptions() {
+  return {
+    ideName: 'IntelliJ IDEA',
+    skipPatterns: DEFAULT_SKIPPED_FILE_PATTERNS,
+    launchInterval: 1000,
+    buildUrl: jest.fn(filePath => `jetbrains://idea/${filePath}`),
+    openUrl: jest.fn()
+  };
+}
+
+describe('matchesPathPattern', () => {
+  it('should match file names anywhere for patterns without a slash', () => {
+    expect(matchesPathPattern('yarn.lock', 'web/yarn.lock')).toBe(true);
+    expect(matchesPathPattern('*.lock', 'Cargo.lock')).toBe(true);
+    expect(matchesPathPattern('*.min.js', 'static/app.min.js')).toBe(true);
+    expect(matchesPathPattern('*.generated.*', 'src/api.generated.ts')).toBe(true);
+  });
+
+  it('should match directories for patterns with a slash', () => {
+    expect(matchesPathPattern('dist/**', 'dist/app/index.js')).toBe(true);
+    expect(matchesPathPattern('dist/**', 'src/dist/index.js')).toBe(false);
+    expect(matchesPathPattern('src/*.js', 'src/lib/app.js')).toBe(false);
+  });
+
+  it('should treat regular expression characters literally', () => {
+    expect(matchesPathPattern('a+b.js', 'a+b.js')).toBe(true);
+    expect(matchesPathPattern('a+b.js', 'aab.js')).toBe(false);
+    expect(matchesPathPattern('*.lock', 'lockfile')).toBe(false);
+  });
+
+  it('should not match blank patterns', () => {
+    expect(matchesPathPattern('  ', 'src/app.js')).toBe(false);
+  });
+});
+
+describe('collectFileTreeFiles', () => {
+  it('should join the directories of classic tree entries', () => {
+    document.body.innerHTML = classicFileTree;
+
+    expect(collectFileTreeFiles(document.querySelector('[role="tree"]'))).toEqual([
+      { filePath: 'src/app/cart.js', deleted: false },
+      { filePath: 'src/app/old.js', deleted: true },
+      { filePath: 'package-lock.json', deleted: false }
+    ]);
+  });
+
+  it('should read the labels of React tree entries', () => {
+    document.body.innerHTML = reactFileTree;
+
+    expect(collectFileTreeFiles(document.querySelector('[role="tree"]'))).toEqual([
+      { filePath: 'docs/guide.md', deleted: false },
+      { filePath: 'README.md', deleted: false }
+    ]);
+  });
+
+  it('should skip entries without a label', () => {
+    document.body.innerHTML = '<ul role="tree"><li role="treeitem"></li></ul>';
+
+    expect(collectFileTreeFiles(document.querySelector('[role="tree"]'))).toEqual([]);
+  });
+});
+
+describe('collectChangedFiles', () => {
+  beforeEach(() => {
+    document.body.innerHTML = changedFiles;
+  });
+
+  it('should list every file of the tree, including ones whose diff has not loaded', () => {
+    document.body.innerHTML = classicFileTree + changedFiles;
+
+    expect(collectChangedFiles().map(file => file.filePath)).toEqual(['src/app/cart.js', 'src/app/old.js', 'package-lock.json']);
+  });
+
+  it('should fall back to the classic and React diffs in page order without a tree', () => {
+    expect(collectChangedFiles()).toEqual([
+      { filePath: 'src/app.js', deleted: false },
+      { filePath: 'src/old.js', deleted: true },
+      { filePath: 'package-lock.json', deleted: false }
+    ]);
+  });
+
+  it('should list each file once', () => {
+    document.body.innerHTML += changedFiles;
+    expect(collectChangedFiles()).toHaveLength(3);
+  });
+});
+
+describe('launchInSequence', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should open the first URL at once and pace the rest', () => {
+    const openUrl = jest.fn();
+    const onProgress = jest.fn();
+
+    launchInSequence(['a', 'b', 'c'], openUrl, 1000, onProgress);
+    expect(openUrl.mock.calls).toEqual([['a']]);
+
+    jest.advanceTimersByTime(999);
+    expect(openUrl.mock.calls).toEqual([['a']]);
+
+    jest.advanceTimersByTime(1);
+    expect(openUrl.mock.calls).toEqual([['a'], ['b']]);
+
+    jest.advanceTimersByTime(1000);
+    expect(openUrl.mock.calls).toEqual([['a'], ['b'], ['c']]);
+    expect(onProgress.mock.calls).toEqual([[1], [2], [3]]);
+  });
+
+  it('should stop remaining launches', () => {
+    const openUrl = jest.fn();
+
+    const stop = launchInSequence(['a', 'b'], openUrl, 1000, jest.fn());
+    stop();
+    jest.advanceTimersByTime(5000);
+
+    expect(openUrl).toHaveBeenCalledTimes(1);
+  });
+
+  it('should do nothing without URLs', () => {
+    const openUrl = jest.fn();
+    launchInSequence([], openUrl, 1000, jest.fn());
+    expect(openUrl).not.toHaveBeenCalled();
+  });
+});
+
+describe('showOpenAllPanel', () => {
+  let options;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    options = createOptions();
+  });
+
+  afterEach(() => {
+    closeOpenAllPanel();
+  });
+
+  const files = [
+    { filePath: 'src/app.js', deleted: false },
+    { filePath: 'src/old.js', deleted: true },
+    { filePath: 'package-lock.json', deleted: false },
+    { filePath: 'src/util.js', deleted: false }
+  ];
+
+  it('should list files and deselect skipped and deleted ones', () => {
+    const panel = showOpenAllPanel(files, options);
+
+    expect(panel.getAttribute('aria-label')).toBe('Open changed files in IntelliJ IDEA');
+    expect(getCheckboxes().map(checkbox => checkbox.checked)).toEqual([true, false, false, true]);
+    expect(getCheckboxes().map(checkbox => checkbox.disabled)).toEqual([false, true, false, false]);
+    expect(panel.textContent).toContain('src/old.js (deleted)');
+    expect(panel.textContent).toContain('2 of 4 files selected');
+    expect(options.buildUrl).not.toHaveBeenCalledWith('src/old.js');
+  });
+
+  it('should disable files without an IDE URL', () => {
+    options.buildUrl = jest.fn(() => '');
+    showOpenAllPanel([{ filePath: 'src/app.js', deleted: false }], options);
+
+    expect(getCheckboxes()[0].disabled).toBe(true);
+    expect(getCheckboxes()[0].checked).toBe(false);
+  });
+
+  it('should update the count when files are toggled', () => {
+    const panel = showOpenAllPanel(files, options);
+
+    const checkbox = getCheckboxes()[2];
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(panel.textContent).toContain('3 of 4 files selected');
+  });
+
+  it('should select all and none, leaving disabled files alone', () => {
+    const panel = showOpenAllPanel(files, options);
+
+    getPanelButton('Select all').click();
+    expect(getCheckboxes().map(checkbox => checkbox.checked)).toEqual([true, false, true, true]);
+    expect(panel.textContent).toContain('3 of 4 files selected');
+
+    getPanelButton('Select none').click();
+    expect(getCheckboxes().every(checkbox => !checkbox.checked)).toBe(true);
+    expect(panel.textContent).toContain('0 of 4 files selected');
+  });
+
+  describe('when opening', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should open the selected files paced by the launch interval after one click', () => {
+      options.launchInterval = 2000;
+      const panel = showOpenAllPanel(files, options);
+
+      getPanelButton('Open').click();
+      expect(options.openUrl.mock.calls).toEqual([['jetbrains://idea/src/app.js']]);
+      expect(panel.textContent).toContain('Opened 1 of 2 files, next: src/util.js');
+      expect(getCheckboxes().every(checkbox => checkbox.disabled)).toBe(true);
+      expect(getPanelButton('Select all').disabled).toBe(true);
+      expect(getPanelButton('Open').disabled).toBe(true);
+
+      jest.advanceTimersByTime(1999);
+      expect(options.openUrl).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(1);
+      expect(options.openUrl.mock.calls).toEqual([['jetbrains://idea/src/app.js'], ['jetbrains://idea/src/util.js']]);
+      expect(panel.textContent).toContain('Opened 2 files');
+      expect(getPanelButton('Stop').disabled).toBe(true);
+    });
+
+    it('should show Stop only while opening', () => {
+      showOpenAllPanel(files, options);
+      expect(getPanelButton('Stop').hidden).toBe(true);
+
+      getPanelButton('Open').click();
+      expect(getPanelButton('Stop').hidden).toBe(false);
+      expect(getPanelButton('Stop').disabled).toBe(false);
+    });
+
+    it('should stop the remaining launches with Stop', () => {
+      const panel = showOpenAllPanel(files, options);
+
+      getPanelButton('Open').click();
+      getPanelButton('Stop').click();
+      jest.advanceTimersByTime(10000);
+
+      expect(options.openUrl).toHaveBeenCalledTimes(1);
+      expect(panel.textContent).toContain('Stopped after 1 of 2 files');
+      expect(getPanelButton('Stop').disabled).toBe(true);
+    });
+
+    it('should stop the remaining launches when closed', () => {
+      showOpenAllPanel(files, options);
+
+      getPanelButton('Open').click();
+      closeOpenAllPanel();
+      jest.advanceTimersByTime(10000);
+
+      expect(options.openUrl).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should not open anything without a selection', () => {
+    showOpenAllPanel(files, options);
+
+    getPanelButton('Select none').click();
+    getPanelButton('Open').click();
+
+    expect(options.openUrl).not.toHaveBeenCalled();
+    expect(getPanelButton('Open').disabled).toBe(false);
+  });
+
+  it('should close with the Close button', () => {
+    showOpenAllPanel(files, options);
+
+    getPanelButton('Close').click();
+
+    expect(document.getElementById('gh-hyper-open-all-panel')).toBeNull();
+  });
+
+  it('should close on Escape', () => {
+    const panel = showOpenAllPanel(files, options);
+
+    panel.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+    expect(document.getElementById('gh-hyper-open-all-panel')).not.toBeNull();
+
+    panel.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    expect(document.getElementById('gh-hyper-open-all-panel')).toBeNull();
+  });
+
+  it('should replace an open panel', () => {
+    showOpenAllPanel(files, options);
+    showOpenAllPanel(files, options);
+
+    expect(document.querySelectorAll('#gh-hyper-open-all-panel')).toHaveLength(1);
+  });
+});
+
+describe('closeOpenAllPanel', () => {
+  it('should do nothing without a panel', () => {
+    document.body.innerHTML = '';
+    expect(() => closeOpenAllPanel()).not.toThrow();
+  });
+});
+
+describe('injectOpenAllButton', () => {
+  let options;
+
+  beforeEach(() => {
+    document.body.innerHTML = changedFiles;
+    options = createOptions();
+  });
+
+  afterEach(() => {
+    closeOpenAllPanel();
+  });
+
+  it('should add the button to the start of the toolbar', () => {
+    injectOpenAllButton(options);
+
+    const button = document.getElementById(OPEN_ALL_BUTTON_ID);
+    expect(button.parentElement.firstChild).toBe(button);
+    expect(button.textContent).toBe('🚀 Open all');
+    expect(button.title).toBe('Open changed files in IntelliJ IDEA');
+  });
+
+  it('should add the button once', () => {
+    injectOpenAllButton(options);
+    injectOpenAllButton(options);
+
+    expect(document.querySelectorAll(`#${OPEN_ALL_BUTTON_ID}`)).toHaveLength(1);
+  });
+
+  it('should not add the button without a toolbar', () => {
+    document.querySelector('.pr-review-tools').remove();
+    injectOpenAllButton(options);
+
+    expect(document.getElementById(OPEN_ALL_BUTTON_ID)).toBeNull();
+  });
+
+  it('should show the panel with the changed files on click', () => {
+    injectOpenAllButton(options);
+    document.getElementById(OPEN_ALL_BUTTON_ID).click();
+
+    expect(getCheckboxes()).toHaveLength(3);
+    expect(document.getElementById('gh-hyper-open-all-panel').textContent).toContain('package-lock.json');
+  });
+});
+
+describe('removeOpenAllButton', () => {
+  it('should remove the button and close its panel', () => {
+    document.body.innerHTML = changedFiles;
+    injectOpenAllButton(createOptions());
+    document.getElementById(OPEN_ALL_BUTTON_ID).click();
+
+    removeOpenAllButton();
+
+    expect(document.getElementById(OPEN_ALL_BUTTON_ID)).toBeNull();
+    expect(document.getElementById('gh-hyper-open-all-panel')).toBeNull();
+  });
+
+  it('should do nothing without a button', () => {
+    document.body.innerHTML = '';
+    expect(() => removeOpenAllButton()).not.toThrow();
+  });
+});
@@ -0,0 +1,102 @@
+// GitHub Hyper - Page Context
+// Describes the page a tab shows: repository, pull request and page type, and reads the head ref of pull requests
+//
+// GitHub navigates with Turbo, pjax and the History API, so the runtime derives the context again on
+// every navigation instead of once per tab. Features branch on the page type rather than matching the
+// pathname themselves. The head ref is read from the PR header, which can render after the navigation,
+// so it is looked up when needed rather than kept in the context:
+// <span class="commit-ref head-ref" title="owner/repo:branch">
+
+const HEAD_REF_SELECTOR = '.head-ref';
+
+// Pull request tabs by the path segment after the number; /changes is the new name of /files
+const PULL_TABS = {
+  '': 'pull-conversation',
+  files: 'pull-files',
+  changes: 'pull-files',
+  commits: 'pull-commits',
+  checks: 'pull-checks'
+};
+
+/**
+ * Parses the head ref of a pull request
+ * @param {string} headRef - 'owner/repo:branch' (title), 'owner:branch' (fork label) or 'branch'
+ * @param {string} repoSlug - 'owner/repo' of the page, for labels without a repository
+ * @returns {{repoSlug: string, branch: string}|null} Repository holding the branch and branch name
+ */
+export function parseHeadRef(headRef, repoSlug) {
+  const text = (headRef || '').trim();
+  if (!text || /\s/.test(text)) {
+    return null;
+  }
+
+  const separator = text.indexOf(':');
+  if (separator === -1) {
+    return { repoSlug, branch: text };
+  }
+
+  const owner = text.slice(0, separator);
+  const branch = text.slice(separator + 1);
+  if (!owner || !branch) {
+    return null;
+  }
+
+  // Fork labels name only the owner; forks keep the repository name unless renamed
+  const headRepo = owner.includes('/') ? owner : `${owner}/${repoSlug.split('/')[1]}`;
+  return { repoSlug: headRepo, branch };
+}
+
+/**
+ * Reads the head ref of the pull request shown on the page
+ * @param {string} repoSlug - 'owner/repo' of the page
+ * @returns {{repoSlug: string, branch: string}|null} Repository holding the branch and branch name
+ */
+export function findPullRequestHeadRef(repoSlug) {
+  const headRef = document.querySelector(HEAD_REF_SELECTOR);
+  if (!headRef) {
+    return null;
+  }
+
+  const titled = headRef.matches('[title]') ? headRef : headRef.querySelector('[title]');
+  return parseHeadRef(titled ? titled.getAttribute('title') : headRef.textContent, repoSlug);
+}
+
+/**
+ * Parses the repository, pull request and page type of a pathname
+ * @param {string} pathname - URL pathname
+ * @returns {{owner: string, repo: string, repoSlug: string, pullNumber: number, type: string}}
+ *   Names are empty and the type is 'other' outside repositories; pullNumber is 0 outside pull requests.
+ *   Types: 'pull-conversation', 'pull-files', 'pull-commits', 'pull-checks', 'pull-other', 'blob',
+ *   'repository', 'other'
+ */
+export function parsePagePath(pathname) {
+  const repoMatch = pathname.match(/^\/([^/]+)\/([^/]+)/);
+  if (!repoMatch) {
+    return { owner: '', repo: '', repoSlug: '', pullNumber: 0, type: 'other' };
+  }
+
+  const [, owner, repo] = repoMatch;
+  const page = { owner, repo, repoSlug: `${owner}/${repo}`, pullNumber: 0, type: 'repository' };
+
+  const pullMatch = pathname.match(/^\/[^/]+\/[^/]+\/pull\/(\d+)(?:\/([^/]*))?/);
+  if (pullMatch) {
+    page.pullNumber = Number(pullMatch[1]);
+    page.type = PULL_TABS[pullMatch[2] || ''] || 'pull-other';
+  } else if (/^\/[^/]+\/[^/]+\/blob\/[^/]+\/.+/.test(pathname)) {
+    page.type = 'blob';
+  }
+
+  return page;
+}
+
+/**
+ * Derives the context of the page a tab shows
+ * @param {Location} location - Location of the tab
+ * @returns {Object} Result of parsePagePath with the pathname
+ */
+export function getPageContext(location) {
+  return {
+    ...parsePagePath(location.pathname),
+    pathname: location.pathname
+  };
+}
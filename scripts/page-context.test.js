@@ -0,0 +1,104 @@
+import {
+  parseHeadRef,
+  findPullRequestHeadRef,
+  parsePagePath,
+  getPageContext
+} from './page-context.js';
+
+const prHeader = '<span class="commit-ref head-ref" title="acme/shop:feature/cart"><a><span>feature/cart</span></a></span>';
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('parseHeadRef', () => {
+  it('should parse titles naming the repository', () => {
+    expect(parseHeadRef('acme/shop:feature/cart', 'acme/shop'))
+      .toEqual({ repoSlug: 'acme/shop', branch: 'feature/cart' });
+  });
+
+  it('should parse fork labels naming the owner', () => {
+    expect(parseHeadRef('jane:fix', 'acme/shop')).toEqual({ repoSlug: 'jane/shop', branch: 'fix' });
+  });
+
+  it('should take bare branch names from the page repository', () => {
+    expect(parseHeadRef(' main ', 'acme/shop')).toEqual({ repoSlug: 'acme/shop', branch: 'main' });
+  });
+
+  it('should return null for unreadable refs', () => {
+    expect(parseHeadRef('', 'acme/shop')).toBeNull();
+    expect(parseHeadRef(null, 'acme/shop')).toBeNull();
+    expect(parseHeadRef('unknown repository', 'acme/shop')).toBeNull();
+    expect(parseHeadRef(':branch', 'acme/shop')).toBeNull();
+    expect(parseHeadRef('jane:', 'acme/shop')).toBeNull();
+  });
+});
+
+describe('findPullRequestHeadRef', () => {
+  it('should read the title of the head ref', () => {
+    document.body.innerHTML = prHeader;
+    expect(findPullRequestHeadRef('acme/shop')).toEqual({ repoSlug: 'acme/shop', branch: 'feature/cart' });
+  });
+
+  it('should read a title inside the head ref', () => {
+    document.body.innerHTML = '<span class="head-ref"><a title="jane/shop:fix">jane:fix</a></span>';
+    expect(findPullRequestHeadRef('acme/shop')).toEqual({ repoSlug: 'jane/shop', branch: 'fix' });
+  });
+
+  it('should fall back to the head ref text', () => {
+    document.body.innerHTML = '<span class="head-ref"><a>jane:fix</a></span>';
+    expect(findPullRequestHeadRef('acme/shop')).toEqual({ repoSlug: 'jane/shop', branch: 'fix' });
+  });
+
+  it('should return null outside pull requests', () => {
+    document.body.innerHTML = '<ul class="pagehead-actions"><li>Star</li></ul>';
+    expect(findPullRequestHeadRef('acme/shop')).toBeNull();
+  });
+});
+
+describe('parsePagePath', () => {
+  it('should parse repository pages', () => {
+    expect(parsePagePath('/acme/shop')).toEqual({
+      owner: 'acme', repo: 'shop', repoSlug: 'acme/shop', pullNumber: 0, type: 'repository'
+    });
+    expect(parsePagePath('/acme/shop/issues/7').type).toBe('repository');
+    expect(parsePagePath('/acme/shop/pulls').type).toBe('repository');
+  });
+
+  it('should parse the tabs of pull requests', () => {
+    expect(parsePagePath('/acme/shop/pull/42')).toEqual({
+      owner: 'acme', repo: 'shop', repoSlug: 'acme/shop', pullNumber: 42, type: 'pull-conversation'
+    });
+    expect(parsePagePath('/acme/shop/pull/42/').type).toBe('pull-conversation');
+    expect(parsePagePath('/acme/shop/pull/42/files').type).toBe('pull-files');
+    expect(parsePagePath('/acme/shop/pull/42/changes').type).toBe('pull-files');
+    expect(parsePagePath('/acme/shop/pull/42/files/abc123').type).toBe('pull-files');
+    expect(parsePagePath('/acme/shop/pull/42/commits').type).toBe('pull-commits');
+    expect(parsePagePath('/acme/shop/pull/42/checks').type).toBe('pull-checks');
+    expect(parsePagePath('/acme/shop/pull/42/unknown').type).toBe('pull-other');
+  });
+
+  it('should parse file pages', () => {
+    expect(parsePagePath('/acme/shop/blob/main/src/cart.js').type).toBe('blob');
+    expect(parsePagePath('/acme/shop/blob/main').type).toBe('repository');
+    expect(parsePagePath('/acme/shop/tree/main/src').type).toBe('repository');
+  });
+
+  it('should not name a repository outside repositories', () => {
+    expect(parsePagePath('/')).toEqual({ owner: '', repo: '', repoSlug: '', pullNumber: 0, type: 'other' });
+    expect(parsePagePath('/notifications').type).toBe('other');
+  });
+});
+
+describe('getPageContext', () => {
+  it('should describe the page with its pathname', () => {
+    expect(getPageContext({ pathname: '/acme/shop/pull/42/files' })).toEqual({
+      owner: 'acme',
+      repo: 'shop',
+      repoSlug: 'acme/shop',
+      pullNumber: 42,
+      type: 'pull-files',
+      pathname: '/acme/shop/pull/42/files'
+    });
+  });
+});
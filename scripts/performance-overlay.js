@@ -0,0 +1,93 @@
+// GitHub Hyper - Performance Overlay
+// Debug overlay listing the time each running feature spends setting up and handling DOM changes
+//
+// The overlay is attached to <html>, outside the <body> subtree the runtime observes, so updating it
+// does not feed back into the observer.
+
+export const OVERLAY_ID = 'gh-hyper-performance-overlay';
+
+const COLUMNS = ['Feature', 'Setup', 'DOM changes', 'Batches', 'Slowest'];
+
+/**
+ * Formats a duration for the overlay
+ * @param {number} milliseconds - Duration
+ * @returns {string} e.g. '12.3 ms'
+ */
+export function formatMilliseconds(milliseconds) {
+  return `${milliseconds.toFixed(1)} ms`;
+}
+
+/**
+ * Builds the table cells of a feature's timings
+ * @param {Object} timing - Timings kept by the runtime
+ * @param {string} timing.name - Feature name
+ * @param {number} timing.setup - Time of the last setup, including awaited requests
+ * @param {number} timing.mutations - Total time handling DOM changes since that setup
+ * @param {number} timing.batches - Batches of DOM changes handled since that setup
+ * @param {number} timing.slowest - Longest time spent on a single batch
+ * @returns {Array<string>} Cells in the order of the columns
+ */
+export function formatTimingRow({ name, setup, mutations, batches, slowest }) {
+  return [name, formatMilliseconds(setup), formatMilliseconds(mutations), String(batches), formatMilliseconds(slowest)];
+}
+
+/**
+ * Creates a table row
+ * @param {string} tag - 'th' or 'td'
+ * @param {Array<string>} cells - Cell texts
+ * @returns {HTMLElement} Row element
+ */
+function createRow(tag, cells) {
+  const row = document.createElement('tr');
+  cells.forEach((text, index) => {
+    const cell = document.createElement(tag);
+    cell.textContent = text;
+    cell.style.cssText = `padding: 2px 6px; text-align: ${index === 0 ? 'left' : 'right'};`;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+/**
+ * Shows the timings of the running features, replacing the ones shown before
+ * @param {Array<Object>} timings - Timings of each feature, see formatTimingRow
+ * @returns {HTMLElement} Overlay element
+ */
+export function renderPerformanceOverlay(timings) {
+  let overlay = document.getElementById(OVERLAY_ID);
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.id = OVERLAY_ID;
+    overlay.setAttribute('aria-hidden', 'true');
+    overlay.style.cssText = `
+      position: fixed;
+      z-index: 100;
+      left: 8px;
+      bottom: 8px;
+      padding: 6px;
+      font: 11px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+      color: #ffffff;
+      background: rgba(31, 35, 40, 0.85);
+      border-radius: 6px;
+      pointer-events: none;
+    `;
+    document.documentElement.appendChild(overlay);
+  }
+
+  const table = document.createElement('table');
+  table.style.cssText = 'border-collapse: collapse;';
+  table.appendChild(createRow('th', COLUMNS));
+  timings.forEach(timing => table.appendChild(createRow('td', formatTimingRow(timing))));
+  overlay.replaceChildren(table);
+  return overlay;
+}
+
+/**
+ * Removes the overlay, if shown
+ */
+export function removePerformanceOverlay() {
+  const overlay = document.getElementById(OVERLAY_ID);
+  if (overlay) {
+    overlay.remove();
+  }
+}
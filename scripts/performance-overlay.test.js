@@ -0,0 +1,60 @@
+import {
+  OVERLAY_ID,
+  formatMilliseconds,
+  formatTimingRow,
+  renderPerformanceOverlay,
+  removePerformanceOverlay
+} from './performance-overlay.js';
+
+const TIMING = { name: 'IDE deep link', setup: 12.34, mutations: 85.25, batches: 41, slowest: 6.06 };
+
+afterEach(() => {
+  removePerformanceOverlay();
+});
+
+describe('formatMilliseconds', () => {
+  it('should show milliseconds with one decimal', () => {
+    expect(formatMilliseconds(12.345)).toBe('12.3 ms');
+    expect(formatMilliseconds(0)).toBe('0.0 ms');
+  });
+});
+
+describe('formatTimingRow', () => {
+  it('should list the timings in column order', () => {
+    expect(formatTimingRow(TIMING)).toEqual(['IDE deep link', '12.3 ms', '85.3 ms', '41', '6.1 ms']);
+  });
+});
+
+describe('renderPerformanceOverlay', () => {
+  const cells = () => Array.from(document.querySelectorAll(`#${OVERLAY_ID} tr`))
+    .map(row => Array.from(row.children).map(cell => cell.textContent));
+
+  it('should show a row per feature outside the observed body', () => {
+    const overlay = renderPerformanceOverlay([TIMING, { ...TIMING, name: 'Absolute time' }]);
+
+    expect(overlay.parentNode).toBe(document.documentElement);
+    expect(cells()).toEqual([
+      ['Feature', 'Setup', 'DOM changes', 'Batches', 'Slowest'],
+      ['IDE deep link', '12.3 ms', '85.3 ms', '41', '6.1 ms'],
+      ['Absolute time', '12.3 ms', '85.3 ms', '41', '6.1 ms']
+    ]);
+  });
+
+  it('should replace the rows shown before', () => {
+    const overlay = renderPerformanceOverlay([TIMING]);
+
+    expect(renderPerformanceOverlay([])).toBe(overlay);
+    expect(cells()).toHaveLength(1);
+  });
+});
+
+describe('removePerformanceOverlay', () => {
+  it('should remove the overlay, if shown', () => {
+    renderPerformanceOverlay([TIMING]);
+
+    removePerformanceOverlay();
+
+    expect(document.getElementById(OVERLAY_ID)).toBeNull();
+    expect(() => removePerformanceOverlay()).not.toThrow();
+  });
+});
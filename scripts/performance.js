@@ -0,0 +1,98 @@
+// GitHub Hyper - Performance Mode
+// Batches DOM changes per animation frame and holds back added subtrees until they scroll into view
+//
+// PRs with thousands of comments or hundreds of changed files keep adding nodes while they load.
+// In performance mode the runtime hands the features one batch per frame instead of one per observer
+// callback, and an IntersectionObserver releases off-screen subtrees once they near the viewport.
+
+import { collectAddedRoots } from './dom.js';
+
+// Subtrees this close to the viewport count as visible, so they are ready by the time they scroll in
+const VIEWPORT_MARGIN = '400px';
+
+/**
+ * Creates a dispatcher passing DOM changes to the features once per frame, with added subtrees
+ * released when they near the viewport
+ * @param {Function} dispatch - (mutations) => void, passes a batch to the features
+ * @returns {{push: Function, drain: Function}} push queues observer records; drain dispatches
+ *   everything still queued or held back, e.g. before the observer is replaced
+ */
+export function createBatchDispatcher(dispatch) {
+  let queue = [];
+  let frame = null;
+  // Added subtrees waiting for the IntersectionObserver to see them near the viewport
+  const offscreen = new Set();
+
+  const release = (nodes) => {
+    if (nodes.length > 0) {
+      dispatch([{ type: 'childList', target: document.body, addedNodes: nodes, removedNodes: [] }]);
+    }
+  };
+
+  const visibility = new IntersectionObserver((entries) => {
+    const visible = entries
+      .filter(entry => entry.isIntersecting && offscreen.has(entry.target))
+      .map(entry => entry.target);
+    visible.forEach((node) => {
+      visibility.unobserve(node);
+      offscreen.delete(node);
+    });
+    release(visible);
+  }, { rootMargin: VIEWPORT_MARGIN });
+
+  const flush = () => {
+    frame = null;
+    const records = queue;
+    queue = [];
+
+    // Subtrees removed before they showed up need no work anymore
+    offscreen.forEach((node) => {
+      if (!node.isConnected) {
+        visibility.unobserve(node);
+        offscreen.delete(node);
+      }
+    });
+    collectAddedRoots(records)
+      .filter(node => node.isConnected && !offscreen.has(node))
+      .forEach((node) => {
+        offscreen.add(node);
+        visibility.observe(node);
+      });
+
+    // Removals and attribute changes are cheap and keep the features' bookkeeping right, so they go through now
+    const immediate = records
+      .filter(record => record.type === 'attributes' || record.removedNodes.length > 0)
+      .map(record => (record.type === 'attributes'
+        ? record
+        : { type: 'childList', target: record.target, addedNodes: [], removedNodes: record.removedNodes }));
+    if (immediate.length > 0) {
+      dispatch(immediate);
+    }
+  };
+
+  return {
+    push(records) {
+      queue.push(...records);
+      if (frame === null) {
+        frame = requestAnimationFrame(flush);
+      }
+    },
+
+    drain() {
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+        frame = null;
+      }
+      const records = queue;
+      queue = [];
+      visibility.disconnect();
+      const held = Array.from(offscreen).filter(node => node.isConnected);
+      offscreen.clear();
+
+      if (records.length > 0) {
+        dispatch(records);
+      }
+      release(held);
+    }
+  };
+}
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import { createBatchDispatcher } from './performance.js';
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('createBatchDispatcher', () => {
+  let frames;
+  let intersections;
+  let dispatch;
+
+  const runFrame = () => {
+    const callbacks = frames;
+    frames = [];
+    callbacks.forEach(callback => callback());
+  };
+
+  const intersect = (...elements) => {
+    intersections.callback(elements.map(target => ({ target, isIntersecting: true })));
+  };
+
+  const added = (element) => ({ type: 'childList', target: document.body, addedNodes: [element], removedNodes: [] });
+
+  beforeEach(() => {
+    frames = [];
+    global.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+    global.cancelAnimationFrame = jest.fn(() => { frames = []; });
+    global.IntersectionObserver = jest.fn().mockImplementation((callback, options) => {
+      intersections = { callback, options, observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+      return intersections;
+    });
+    dispatch = jest.fn();
+    document.body.innerHTML = '<div id="first"></div><div id="second"></div>';
+  });
+
+  it('should hand over the changes of one frame together', () => {
+    const batcher = createBatchDispatcher(dispatch);
+    const first = document.getElementById('first');
+    const second = document.getElementById('second');
+
+    batcher.push([added(first)]);
+    batcher.push([added(second)]);
+    expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+    expect(dispatch).not.toHaveBeenCalled();
+
+    runFrame();
+    intersect(first, second);
+
+    expect(intersections.options).toEqual({ rootMargin: '400px' });
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(dispatch.mock.calls[0][0]).toEqual([expect.objectContaining({ addedNodes: [first, second] })]);
+  });
+
+  it('should hold back added subtrees until they near the viewport', () => {
+    const batcher = createBatchDispatcher(dispatch);
+    const first = document.getElementById('first');
+    const second = document.getElementById('second');
+
+    batcher.push([added(first), added(second)]);
+    runFrame();
+    intersections.callback([
+      { target: first, isIntersecting: true },
+      { target: second, isIntersecting: false }
+    ]);
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+    expect(dispatch.mock.calls[0][0][0].addedNodes).toEqual([first]);
+    expect(intersections.unobserve).toHaveBeenCalledWith(first);
+
+    intersect(second);
+    expect(dispatch.mock.calls[1][0][0].addedNodes).toEqual([second]);
+  });
+
+  it('should pass removals and attribute changes on right away', () => {
+    const batcher = createBatchDispatcher(dispatch);
+    const first = document.getElementById('first');
+    const removed = document.createElement('span');
+    const attribute = { type: 'attributes', target: first, attributeName: 'datetime' };
+
+    batcher.push([
+      { type: 'childList', target: first, addedNodes: [], removedNodes: [] },
+      { type: 'childList', target: first, addedNodes: [document.getElementById('second')], removedNodes: [removed] },
+      attribute
+    ]);
+    runFrame();
+
+    expect(dispatch).toHaveBeenCalledWith([
+      { type: 'childList', target: first, addedNodes: [], removedNodes: [removed] },
+      attribute
+    ]);
+  });
+
+  it('should forget subtrees removed before they showed up', () => {
+    const batcher = createBatchDispatcher(dispatch);
+    const first = document.getElementById('first');
+    const detached = document.createElement('div');
+
+    batcher.push([added(first), added(detached)]);
+    runFrame();
+    expect(intersections.observe).toHaveBeenCalledWith(first);
+    expect(intersections.observe).not.toHaveBeenCalledWith(detached);
+
+    first.remove();
+    batcher.push([{ type: 'childList', target: document.body, addedNodes: [], removedNodes: [first] }]);
+    runFrame();
+    intersect(first);
+
+    expect(intersections.unobserve).toHaveBeenCalledWith(first);
+    expect(dispatch.mock.calls.every(([records]) => records.every(record => record.addedNodes.length === 0))).toBe(true);
+  });
+
+  it('should hand over everything queued or held back on drain', () => {
+    const batcher = createBatchDispatcher(dispatch);
+    const first = document.getElementById('first');
+    const second = document.getElementById('second');
+
+    batcher.push([added(first)]);
+    runFrame();
+    batcher.push([added(second)]);
+    batcher.drain();
+
+    expect(cancelAnimationFrame).toHaveBeenCalled();
+    expect(intersections.disconnect).toHaveBeenCalled();
+    expect(dispatch.mock.calls.map(([records]) => records[0].addedNodes)).toEqual([[second], [first]]);
+
+    batcher.drain();
+    expect(dispatch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,260 @@
+// GitHub Hyper - PR Lifecycle
+// Summarizes when a pull request was opened, first reviewed, approved and merged,
+// with the elapsed time between each milestone, in the PR sidebar
+
+import {
+  formatDateTimeInZones,
+  formatDuration,
+  resolveTimeFormat,
+  LOCAL_TIME_ZONE
+} from './time-format.js';
+import { buildTimeSelector, DEFAULT_TIME_SELECTORS } from './time-elements.js';
+
+const WIDGET_CLASS = 'gh-hyper-pr-lifecycle';
+
+// Comment and review bodies nested in a timeline item, left out so their text cannot pass for the event
+const COMMENT_CONTENT_SELECTOR = '.comment-body, .markdown-body, .timeline-comment, .review-comment, .js-comment-container';
+
+const MILESTONES = [
+  { key: 'opened', label: 'Opened' },
+  { key: 'firstReview', label: 'First review' },
+  { key: 'firstApproval', label: 'Approved' },
+  { key: 'merged', label: 'Merged' }
+];
+
+/**
+ * Gets the datetime of the first time element inside a container
+ * @param {HTMLElement} container - Element to search
+ * @param {string} selector - Time element selector
+ * @returns {string|null} ISO datetime or null
+ */
+export function getItemDateTime(container, selector) {
+  const timeElement = container.querySelector(selector);
+  return timeElement ? timeElement.getAttribute('datetime') : null;
+}
+
+/**
+ * Gets the header line of a timeline item, without any comment or review body
+ * @param {HTMLElement} item - .TimelineItem element
+ * @returns {string} Header text with collapsed whitespace
+ */
+export function getTimelineHeaderText(item) {
+  const header = (item.querySelector('.TimelineItem-body') || item).cloneNode(true);
+  header.querySelectorAll(COMMENT_CONTENT_SELECTOR).forEach(content => content.remove());
+  return header.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Classifies a timeline item by the event its header records
+ * @param {HTMLElement} item - .TimelineItem element
+ * @returns {string|null} 'approval', 'review', 'merge' or null
+ */
+export function classifyTimelineItem(item) {
+  const text = getTimelineHeaderText(item);
+
+  if (/\bapproved these changes\b/.test(text)) {
+    return 'approval';
+  }
+  if (/\b(requested changes|reviewed)\b/.test(text)) {
+    return 'review';
+  }
+  if (/\bmerged commit\b/.test(text)) {
+    return 'merge';
+  }
+  return null;
+}
+
+/**
+ * Keeps the earlier of two ISO datetimes
+ * @param {string|null} current - Current earliest datetime
+ * @param {string} candidate - Datetime to compare
+ * @returns {string} Earliest datetime
+ */
+function earliest(current, candidate) {
+  if (!current || Date.parse(candidate) < Date.parse(current)) {
+    return candidate;
+  }
+  return current;
+}
+
+/**
+ * Collects the lifecycle milestones from the PR timeline
+ * @param {ParentNode} root - Element containing the timeline
+ * @param {string} selector - Time element selector
+ * @returns {{opened: ?string, firstReview: ?string, firstApproval: ?string, merged: ?string}} ISO datetimes
+ */
+export function collectLifecycleEvents(root, selector) {
+  const events = { opened: null, firstReview: null, firstApproval: null, merged: null };
+
+  // The PR description is the first comment of the discussion
+  const discussion = root.querySelector('.js-discussion');
+  if (!discussion) {
+    return events;
+  }
+  events.opened = getItemDateTime(discussion, selector);
+
+  discussion.querySelectorAll('.TimelineItem').forEach(item => {
+    const type = classifyTimelineItem(item);
+    const datetime = type && getItemDateTime(item, selector);
+    if (!datetime) {
+      return;
+    }
+
+    if (type === 'approval') {
+      events.firstApproval = earliest(events.firstApproval, datetime);
+    }
+    if (type === 'approval' || type === 'review') {
+      events.firstReview = earliest(events.firstReview, datetime);
+    }
+    if (type === 'merge') {
+      events.merged = earliest(events.merged, datetime);
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Builds the sidebar widget
+ * @param {Object} events - Milestones from collectLifecycleEvents
+ * @param {Object} options - Display options
+ * @param {string} options.format - Format pattern (see time-format.js)
+ * @param {Array<string>} options.timeZones - IANA zones to show
+ * @param {number} [now] - Reference time for open PRs, defaults to the current time
+ * @returns {HTMLElement} Widget element
+ */
+export function buildLifecycleWidget(events, options, now = Date.now()) {
+  const widget = document.createElement('div');
+  widget.className = `discussion-sidebar-item ${WIDGET_CLASS}`;
+
+  const heading = document.createElement('div');
+  heading.className = 'discussion-sidebar-heading text-bold';
+  heading.textContent = 'Lifecycle';
+  widget.appendChild(heading);
+
+  const list = document.createElement('dl');
+  list.style.cssText = 'margin: 0; font-size: 12px;';
+
+  const addRow = (label, value, elapsed) => {
+    const term = document.createElement('dt');
+    term.className = 'text-bold';
+    term.textContent = label;
+
+    const detail = document.createElement('dd');
+    detail.style.cssText = 'margin: 0 0 6px 0;';
+    detail.textContent = value;
+
+    if (elapsed) {
+      const elapsedSpan = document.createElement('span');
+      elapsedSpan.className = 'color-fg-muted';
+      elapsedSpan.textContent = ` (+${elapsed})`;
+      detail.appendChild(elapsedSpan);
+    }
+
+    list.appendChild(term);
+    list.appendChild(detail);
+  };
+
+  let previous = null;
+  MILESTONES.forEach(({ key, label }) => {
+    const datetime = events[key];
+    if (!datetime) {
+      addRow(label, '—');
+      return;
+    }
+
+    const elapsed = previous ? formatDuration(Date.parse(datetime) - Date.parse(previous)) : '';
+    addRow(label, formatDateTimeInZones(datetime, options.format, options.timeZones), elapsed);
+    previous = datetime;
+  });
+
+  if (events.opened) {
+    const end = events.merged ? Date.parse(events.merged) : now;
+    const label = events.merged ? 'Time to merge' : 'Open for';
+    addRow(label, formatDuration(end - Date.parse(events.opened)));
+  }
+
+  widget.appendChild(list);
+  return widget;
+}
+
+/**
+ * Renders the widget at the top of the PR sidebar, replacing a previous one
+ * @param {Object} options - Display options passed to buildLifecycleWidget
+ */
+export function renderLifecycle(options) {
+  const sidebar = document.querySelector('#partial-discussion-sidebar');
+  if (!sidebar) {
+    return;
+  }
+
+  const events = collectLifecycleEvents(document, options.selector);
+  const widget = buildLifecycleWidget(events, options);
+
+  const existing = sidebar.querySelector(`.${WIDGET_CLASS}`);
+  if (existing) {
+    existing.replaceWith(widget);
+  } else {
+    sidebar.insertBefore(widget, sidebar.firstChild);
+  }
+}
+
+/**
+ * Refreshes the widget when timeline items load or arrive live
+ * @param {Array<MutationRecord>} mutations - Batch of DOM changes
+ * @param {Object} options - Display options passed to renderLifecycle
+ */
+export function handleMutations(mutations, options) {
+  const timelineChanged = mutations.some(mutation =>
+    Array.from(mutation.addedNodes).some(node =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.matches('.TimelineItem') || node.querySelector('.TimelineItem'))
+    )
+  );
+
+  if (timelineChanged) {
+    renderLifecycle(options);
+  }
+}
+
+/**
+ * Renders the widget of the pull request
+ * @param {Object} settings - Settings read by the runtime
+ * @returns {Object} Display options
+ */
+function setup(settings) {
+  const options = {
+    format: resolveTimeFormat(settings.timeFormat, settings.customTimeFormat),
+    timeZones: settings.timeZones,
+    selector: buildTimeSelector(settings.timeSelectors)
+  };
+
+  renderLifecycle(options);
+  return options;
+}
+
+/**
+ * Removes the widget
+ */
+function teardown() {
+  const widget = document.querySelector(`.${WIDGET_CLASS}`);
+  if (widget) {
+    widget.remove();
+  }
+}
+
+export const prLifecycleFeature = {
+  name: 'PR lifecycle',
+  enabledSetting: 'enablePRLifecycle',
+  settings: {
+    enablePRLifecycle: true,
+    timeFormat: 'default',
+    customTimeFormat: '',
+    timeZones: [LOCAL_TIME_ZONE],
+    timeSelectors: DEFAULT_TIME_SELECTORS
+  },
+  matches: page => page.type === 'pull-conversation',
+  setup,
+  onMutations: handleMutations,
+  teardown
+};
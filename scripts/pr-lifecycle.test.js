@@ -0,0 +1,397 @@
+import { jest } from '@jest/globals';
+import {
+  getItemDateTime,
+  getTimelineHeaderText,
+  classifyTimelineItem,
+  collectLifecycleEvents,
+  buildLifecycleWidget,
+  renderLifecycle,
+  handleMutations,
+  prLifecycleFeature
+} from './pr-lifecycle.js';
+import { RUNTIME_SETTINGS, createRuntime } from './runtime.js';
+
+const SELECTOR = 'relative-time, time-ago, local-time, time[datetime]';
+const OPTIONS = { format: 'YYYY-MM-DD HH:mm', timeZones: ['UTC'], selector: SELECTOR };
+
+/**
+ * Builds a timeline item with a body text and timestamp
+ */
+function timelineItem(text, datetime) {
+  return `
+    <div class="TimelineItem">
+      <div class="TimelineItem-body">${text} <relative-time datetime="${datetime}">some time ago</relative-time></div>
+    </div>
+  `;
+}
+
+/**
+ * Builds a PR conversation page with the given timeline items
+ */
+function renderPage(items) {
+  document.body.innerHTML = `
+    <div id="discussion_bucket">
+      <div class="js-discussion">
+        <div class="timeline-comment">
+          <div class="timeline-comment-header">octocat commented <relative-time datetime="2024-03-01T09:00:00Z">on Mar 1</relative-time></div>
+        </div>
+        ${items.join('')}
+      </div>
+      <div id="partial-discussion-sidebar"><div class="discussion-sidebar-item">Reviewers</div></div>
+    </div>
+  `;
+}
+
+const FULL_TIMELINE = [
+  timelineItem('hubot commented', '2024-03-01T10:00:00Z'),
+  timelineItem('alice requested changes', '2024-03-01T12:30:00Z'),
+  timelineItem('bob reviewed', '2024-03-01T11:00:00Z'),
+  timelineItem('alice approved these changes', '2024-03-02T09:00:00Z'),
+  timelineItem('bob approved these changes', '2024-03-03T09:00:00Z'),
+  timelineItem('alice merged commit abc123 into main', '2024-03-02T10:15:00Z')
+];
+
+describe('getItemDateTime', () => {
+  it('should return the datetime of the first time element', () => {
+    const container = document.createElement('div');
+    container.innerHTML = '<time datetime="2024-03-01T00:00:00Z"></time><relative-time datetime="2024-03-02T00:00:00Z"></relative-time>';
+    expect(getItemDateTime(container, SELECTOR)).toBe('2024-03-01T00:00:00Z');
+  });
+
+  it('should return null without a time element', () => {
+    expect(getItemDateTime(document.createElement('div'), SELECTOR)).toBeNull();
+  });
+});
+
+describe('getTimelineHeaderText', () => {
+  it('should leave out nested comment bodies', () => {
+    const item = document.createElement('div');
+    item.className = 'TimelineItem';
+    item.innerHTML = `
+      <div class="TimelineItem-body">
+        alice   commented
+        <div class="comment-body">Looks good</div>
+      </div>
+    `;
+    expect(getTimelineHeaderText(item)).toBe('alice commented');
+  });
+});
+
+describe('classifyTimelineItem', () => {
+  const classify = (html) => {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return classifyTimelineItem(container.firstElementChild);
+  };
+
+  it('should classify approvals, reviews and merges', () => {
+    expect(classify(timelineItem('alice approved these changes', '2024-03-01T00:00:00Z'))).toBe('approval');
+    expect(classify(timelineItem('alice requested changes', '2024-03-01T00:00:00Z'))).toBe('review');
+    expect(classify(timelineItem('alice reviewed', '2024-03-01T00:00:00Z'))).toBe('review');
+    expect(classify(timelineItem('alice merged commit abc into main', '2024-03-01T00:00:00Z'))).toBe('merge');
+  });
+
+  it('should ignore other events', () => {
+    expect(classify(timelineItem('alice commented', '2024-03-01T00:00:00Z'))).toBeNull();
+    expect(classify(timelineItem('alice added the bug label', '2024-03-01T00:00:00Z'))).toBeNull();
+  });
+
+  it('should ignore event wording inside comment bodies', () => {
+    const body = '<div class="comment-body markdown-body">Once the lead approved these changes we merged commit abc and reviewed the rest</div>';
+    expect(classify(timelineItem(`alice commented ${body}`, '2024-03-01T00:00:00Z'))).toBeNull();
+    expect(classify(timelineItem(`bob reviewed <div class="review-comment">${body}</div>`, '2024-03-01T00:00:00Z'))).toBe('review');
+  });
+
+  it('should fall back to the item text without a body', () => {
+    expect(classify('<div class="TimelineItem">alice approved   these changes</div>')).toBe('approval');
+  });
+});
+
+describe('collectLifecycleEvents', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should collect the earliest of each milestone', () => {
+    renderPage(FULL_TIMELINE);
+
+    expect(collectLifecycleEvents(document, SELECTOR)).toEqual({
+      opened: '2024-03-01T09:00:00Z',
+      firstReview: '2024-03-01T11:00:00Z',
+      firstApproval: '2024-03-02T09:00:00Z',
+      merged: '2024-03-02T10:15:00Z'
+    });
+  });
+
+  it('should leave missing milestones empty', () => {
+    renderPage([timelineItem('alice commented', '2024-03-01T10:00:00Z')]);
+
+    expect(collectLifecycleEvents(document, SELECTOR)).toEqual({
+      opened: '2024-03-01T09:00:00Z',
+      firstReview: null,
+      firstApproval: null,
+      merged: null
+    });
+  });
+
+  it('should skip classified items without a timestamp', () => {
+    renderPage(['<div class="TimelineItem"><div class="TimelineItem-body">alice reviewed</div></div>']);
+
+    expect(collectLifecycleEvents(document, SELECTOR).firstReview).toBeNull();
+  });
+
+  it('should return empty milestones without a discussion', () => {
+    expect(collectLifecycleEvents(document, SELECTOR)).toEqual({
+      opened: null,
+      firstReview: null,
+      firstApproval: null,
+      merged: null
+    });
+  });
+});
+
+describe('buildLifecycleWidget', () => {
+  const rows = (widget) => Array.from(widget.querySelectorAll('dt')).map(term => [
+    term.textContent,
+    term.nextElementSibling.textContent
+  ]);
+
+  it('should show each milestone with the elapsed time since the previous one', () => {
+    const widget = buildLifecycleWidget({
+      opened: '2024-03-01T09:00:00Z',
+      firstReview: '2024-03-01T11:00:00Z',
+      firstApproval: '2024-03-02T09:00:00Z',
+      merged: '2024-03-02T10:15:00Z'
+    }, OPTIONS);
+
+    expect(widget.querySelector('.discussion-sidebar-heading').textContent).toBe('Lifecycle');
+    expect(rows(widget)).toEqual([
+      ['Opened', '2024-03-01 09:00 UTC'],
+      ['First review', '2024-03-01 11:00 UTC (+2h)'],
+      ['Approved', '2024-03-02 09:00 UTC (+22h)'],
+      ['Merged', '2024-03-02 10:15 UTC (+1h 15m)'],
+      ['Time to merge', '1d 1h']
+    ]);
+  });
+
+  it('should measure from the last known milestone when one is missing', () => {
+    const widget = buildLifecycleWidget({
+      opened: '2024-03-01T09:00:00Z',
+      firstReview: null,
+      firstApproval: null,
+      merged: '2024-03-01T10:00:00Z'
+    }, OPTIONS);
+
+    expect(rows(widget)).toEqual([
+      ['Opened', '2024-03-01 09:00 UTC'],
+      ['First review', '—'],
+      ['Approved', '—'],
+      ['Merged', '2024-03-01 10:00 UTC (+1h)'],
+      ['Time to merge', '1h']
+    ]);
+  });
+
+  it('should show how long an unmerged PR has been open', () => {
+    const widget = buildLifecycleWidget({
+      opened: '2024-03-01T09:00:00Z',
+      firstReview: null,
+      firstApproval: null,
+      merged: null
+    }, OPTIONS, Date.parse('2024-03-04T09:00:00Z'));
+
+    expect(rows(widget).pop()).toEqual(['Open for', '3d']);
+  });
+
+  it('should omit the total without an opening time', () => {
+    const widget = buildLifecycleWidget({
+      opened: null,
+      firstReview: null,
+      firstApproval: null,
+      merged: null
+    }, OPTIONS);
+
+    expect(rows(widget)).toHaveLength(4);
+  });
+});
+
+describe('renderLifecycle', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should insert the widget at the top of the sidebar', () => {
+    renderPage(FULL_TIMELINE);
+
+    renderLifecycle(OPTIONS);
+
+    const sidebar = document.getElementById('partial-discussion-sidebar');
+    expect(sidebar.firstElementChild.classList.contains('gh-hyper-pr-lifecycle')).toBe(true);
+  });
+
+  it('should replace an existing widget', () => {
+    renderPage(FULL_TIMELINE);
+
+    renderLifecycle(OPTIONS);
+    renderLifecycle(OPTIONS);
+
+    expect(document.querySelectorAll('.gh-hyper-pr-lifecycle')).toHaveLength(1);
+  });
+
+  it('should do nothing without a sidebar', () => {
+    document.body.innerHTML = '<div class="js-discussion"></div>';
+
+    renderLifecycle(OPTIONS);
+
+    expect(document.querySelector('.gh-hyper-pr-lifecycle')).toBeNull();
+  });
+});
+
+describe('handleMutations', () => {
+  beforeEach(() => {
+    global.Node = { ELEMENT_NODE: 1 };
+    renderPage([]);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should re-render when timeline items are added', () => {
+    const discussion = document.querySelector('.js-discussion');
+    discussion.insertAdjacentHTML('beforeend', timelineItem('alice merged commit abc into main', '2024-03-01T10:00:00Z'));
+
+    handleMutations([{ addedNodes: [discussion.lastElementChild] }], OPTIONS);
+
+    expect(document.querySelector('.gh-hyper-pr-lifecycle').textContent).toContain('2024-03-01 10:00 UTC');
+  });
+
+  it('should re-render when added nodes contain timeline items', () => {
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = timelineItem('alice reviewed', '2024-03-01T10:00:00Z');
+    document.querySelector('.js-discussion').appendChild(wrapper);
+
+    handleMutations([{ addedNodes: [wrapper] }], OPTIONS);
+
+    expect(document.querySelector('.gh-hyper-pr-lifecycle')).not.toBeNull();
+  });
+
+  it('should ignore unrelated and non-element nodes', () => {
+    handleMutations([{ addedNodes: [document.createTextNode('x'), document.createElement('span')] }], OPTIONS);
+
+    expect(document.querySelector('.gh-hyper-pr-lifecycle')).toBeNull();
+  });
+});
+
+describe('prLifecycleFeature', () => {
+  let runtime;
+
+  beforeEach(() => {
+    runtime = createRuntime();
+    runtime.register(prLifecycleFeature);
+    global.chrome = {
+      storage: {
+        sync: {
+          get: jest.fn()
+        },
+        onChanged: {
+          addListener: jest.fn(),
+          removeListener: jest.fn()
+        }
+      }
+    };
+    global.MutationObserver = jest.fn().mockImplementation(() => ({
+      observe: jest.fn(),
+      disconnect: jest.fn()
+    }));
+    global.console.log = jest.fn();
+    global.console.error = jest.fn();
+    window.history.pushState({}, '', '/owner/repo/pull/1');
+    renderPage(FULL_TIMELINE);
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+    window.history.pushState({}, '', '/');
+    document.body.innerHTML = '';
+  });
+
+  it('should render the widget on PR conversation pages', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enablePRLifecycle: true,
+      timeFormat: 'date',
+      customTimeFormat: '',
+      timeZones: ['UTC'],
+      timeSelectors: ['relative-time']
+    });
+
+    await runtime.start();
+
+    expect(chrome.storage.sync.get).toHaveBeenCalledWith({
+      ...RUNTIME_SETTINGS,
+      enablePRLifecycle: true,
+      timeFormat: 'default',
+      customTimeFormat: '',
+      timeZones: ['local'],
+      timeSelectors: ['relative-time', 'time-ago', 'local-time', 'time[datetime]']
+    });
+    expect(document.querySelector('.gh-hyper-pr-lifecycle dd').textContent).toBe('2024-03-01 UTC');
+    expect(MutationObserver).toHaveBeenCalled();
+  });
+
+  it('should not render when disabled', async () => {
+    chrome.storage.sync.get.mockResolvedValue({ enablePRLifecycle: false });
+
+    await runtime.start();
+
+    expect(console.log).toHaveBeenCalledWith('GitHub Hyper: PR lifecycle feature is disabled');
+    expect(document.querySelector('.gh-hyper-pr-lifecycle')).toBeNull();
+  });
+
+  it('should not render on other pages', async () => {
+    window.history.pushState({}, '', '/owner/repo/pull/1/files');
+    chrome.storage.sync.get.mockResolvedValue({ enablePRLifecycle: true });
+
+    await runtime.start();
+
+    expect(document.querySelector('.gh-hyper-pr-lifecycle')).toBeNull();
+    expect(MutationObserver).not.toHaveBeenCalled();
+  });
+
+  it('should re-render with a changed time format', async () => {
+    chrome.storage.sync.get.mockResolvedValue({
+      enablePRLifecycle: true,
+      timeFormat: 'date',
+      customTimeFormat: '',
+      timeZones: ['UTC'],
+      timeSelectors: ['relative-time']
+    });
+
+    await runtime.start();
+    await runtime.update({ timeFormat: { oldValue: 'date', newValue: 'custom' }, customTimeFormat: { newValue: 'YYYY' } });
+
+    expect(document.querySelectorAll('.gh-hyper-pr-lifecycle')).toHaveLength(1);
+    expect(document.querySelector('.gh-hyper-pr-lifecycle dd').textContent).toBe('2024 UTC');
+  });
+
+  it('should follow navigations between the tabs of a pull request', async () => {
+    chrome.storage.sync.get.mockResolvedValue({ enablePRLifecycle: true, timeZones: ['UTC'] });
+    await runtime.start();
+
+    window.history.pushState({}, '', '/owner/repo/pull/1/files');
+    await runtime.navigate();
+    expect(document.querySelector('.gh-hyper-pr-lifecycle')).toBeNull();
+
+    window.history.pushState({}, '', '/owner/repo/pull/1');
+    await runtime.navigate();
+    expect(document.querySelectorAll('.gh-hyper-pr-lifecycle')).toHaveLength(1);
+  });
+
+  it('should remove the widget when stopped', async () => {
+    chrome.storage.sync.get.mockResolvedValue({ enablePRLifecycle: true, timeZones: ['UTC'] });
+
+    await runtime.start();
+    runtime.stop();
+
+    expect(document.querySelector('.gh-hyper-pr-lifecycle')).toBeNull();
+  });
+});
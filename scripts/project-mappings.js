@@ -0,0 +1,86 @@
+// GitHub Hyper - Project Mappings
+// Maps repositories to IDE projects when the project is not named after the repository
+//
+// Each rule looks like:
+//   { repo: 'acme/*', project: 'acme-monorepo', stripPrefix: 'services/api/', addPrefix: '', ideType: 'goland' }
+// `repo` is an owner/repo glob where * matches any characters except '/'. Only `repo` is required.
+
+import { EDITORS } from './editors.js';
+
+/**
+ * Checks whether a repository matches an owner/repo glob
+ * @param {string} pattern - Glob such as 'acme/*'
+ * @param {string} repoSlug - 'owner/repo'
+ * @returns {boolean} True if the repository matches
+ */
+export function matchesRepoPattern(pattern, repoSlug) {
+  if (!pattern || !repoSlug) {
+    return false;
+  }
+
+  const source = pattern.trim()
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]*');
+  return new RegExp(`^${source}$`, 'i').test(repoSlug);
+}
+
+/**
+ * Finds the first rule matching a repository
+ * @param {Array<Object>} mappings - Rules in priority order
+ * @param {string} repoSlug - 'owner/repo'
+ * @returns {Object|null} Matching rule or null
+ */
+export function findProjectMapping(mappings, repoSlug) {
+  return (mappings || []).find(mapping => matchesRepoPattern(mapping.repo, repoSlug)) || null;
+}
+
+/**
+ * Normalizes a path prefix to a relative directory ending with a slash
+ * @param {string} prefix - Prefix as entered, e.g. '/services/api'
+ * @returns {string} Normalized prefix, e.g. 'services/api/', or empty string
+ */
+export function normalizePrefix(prefix) {
+  const trimmed = (prefix || '').trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+  return trimmed ? `${trimmed}/` : '';
+}
+
+/**
+ * Rewrites a repository-relative path to a path inside the IDE project
+ * @param {string} filePath - Repository-relative path
+ * @param {Object|null} mapping - Matching rule
+ * @returns {string} Path inside the project, or empty string when the file lies outside it
+ */
+export function mapFilePath(filePath, mapping) {
+  if (!filePath || !mapping) {
+    return filePath;
+  }
+
+  let path = filePath;
+  const stripPrefix = normalizePrefix(mapping.stripPrefix);
+  if (stripPrefix) {
+    // A monorepo opened at a subdirectory cannot open files outside of it
+    if (!path.startsWith(stripPrefix)) {
+      return '';
+    }
+    path = path.slice(stripPrefix.length);
+  }
+
+  return normalizePrefix(mapping.addPrefix) + path;
+}
+
+/**
+ * Resolves the IDE project name and type for a repository
+ * @param {Object|null} mapping - Matching rule
+ * @param {string} fallbackProjectName - Project name derived from the URL
+ * @param {string} fallbackIdeType - IDE type from settings
+ * @returns {{projectName: string, ideType: string}} Resolved project
+ */
+export function resolveProject(mapping, fallbackProjectName, fallbackIdeType) {
+  const project = mapping && mapping.project ? mapping.project.trim() : '';
+  const ideType = mapping && EDITORS[mapping.ideType] ? mapping.ideType : fallbackIdeType;
+  return {
+    projectName: project || fallbackProjectName,
+    ideType
+  };
+}
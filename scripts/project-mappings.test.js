@@ -0,0 +1,99 @@
+import {
+  matchesRepoPattern,
+  findProjectMapping,
+  normalizePrefix,
+  mapFilePath,
+  resolveProject
+} from './project-mappings.js';
+
+describe('matchesRepoPattern', () => {
+  it('should match exact repositories case-insensitively', () => {
+    expect(matchesRepoPattern('acme/web', 'Acme/Web')).toBe(true);
+    expect(matchesRepoPattern('acme/web', 'acme/web-app')).toBe(false);
+  });
+
+  it('should match globs within one path segment', () => {
+    expect(matchesRepoPattern('acme/*', 'acme/web')).toBe(true);
+    expect(matchesRepoPattern('*/web', 'fork-owner/web')).toBe(true);
+    expect(matchesRepoPattern('acme/web-*', 'acme/web-app')).toBe(true);
+    expect(matchesRepoPattern('acme*', 'acme/web')).toBe(false);
+  });
+
+  it('should treat regex characters literally', () => {
+    expect(matchesRepoPattern('acme/web.js', 'acme/web.js')).toBe(true);
+    expect(matchesRepoPattern('acme/web.js', 'acme/webxjs')).toBe(false);
+  });
+
+  it('should not match without a pattern or repository', () => {
+    expect(matchesRepoPattern('', 'acme/web')).toBe(false);
+    expect(matchesRepoPattern('acme/*', '')).toBe(false);
+  });
+});
+
+describe('findProjectMapping', () => {
+  const mappings = [
+    { repo: 'acme/monorepo', project: 'api', stripPrefix: 'services/api' },
+    { repo: 'acme/*', project: 'acme' }
+  ];
+
+  it('should return the first matching rule', () => {
+    expect(findProjectMapping(mappings, 'acme/monorepo')).toBe(mappings[0]);
+    expect(findProjectMapping(mappings, 'acme/web')).toBe(mappings[1]);
+  });
+
+  it('should return null when nothing matches', () => {
+    expect(findProjectMapping(mappings, 'other/web')).toBeNull();
+    expect(findProjectMapping(undefined, 'acme/web')).toBeNull();
+  });
+});
+
+describe('normalizePrefix', () => {
+  it('should produce a relative directory with a trailing slash', () => {
+    expect(normalizePrefix('/services/api')).toBe('services/api/');
+    expect(normalizePrefix('services\\api\\')).toBe('services/api/');
+  });
+
+  it('should return empty string for blank prefixes', () => {
+    expect(normalizePrefix('  ')).toBe('');
+    expect(normalizePrefix(undefined)).toBe('');
+  });
+});
+
+describe('mapFilePath', () => {
+  it('should keep the path without a rule', () => {
+    expect(mapFilePath('src/index.js', null)).toBe('src/index.js');
+  });
+
+  it('should strip the prefix of a monorepo subdirectory', () => {
+    expect(mapFilePath('services/api/src/index.js', { stripPrefix: 'services/api' })).toBe('src/index.js');
+  });
+
+  it('should return empty string for files outside the stripped prefix', () => {
+    expect(mapFilePath('services/web/index.js', { stripPrefix: 'services/api' })).toBe('');
+  });
+
+  it('should add a prefix', () => {
+    expect(mapFilePath('src/index.js', { addPrefix: 'web' })).toBe('web/src/index.js');
+  });
+
+  it('should strip and add prefixes together', () => {
+    expect(mapFilePath('packages/web/src/index.js', { stripPrefix: 'packages/', addPrefix: 'frontend/' }))
+      .toBe('frontend/web/src/index.js');
+  });
+});
+
+describe('resolveProject', () => {
+  it('should fall back to the URL project and settings IDE type', () => {
+    expect(resolveProject(null, 'web', 'idea')).toEqual({ projectName: 'web', ideType: 'idea' });
+  });
+
+  it('should use the project and IDE type of the rule', () => {
+    expect(resolveProject({ project: ' acme-web ', ideType: 'vscode' }, 'web', 'idea'))
+      .toEqual({ projectName: 'acme-web', ideType: 'vscode' });
+  });
+
+  it('should ignore empty and unknown rule values', () => {
+    expect(resolveProject({ project: '', ideType: 'notepad' }, 'web', 'goland'))
+      .toEqual({ projectName: 'web', ideType: 'goland' });
+  });
+});
@@ -0,0 +1,323 @@
+// GitHub Hyper - Feature Runtime
+// Reads the settings of every feature in one storage call and runs one shared MutationObserver
+//
+// Setting changes apply to open tabs: features whose settings changed are torn down and,
+// unless they were turned off, set up again with the new values.
+//
+// GitHub navigates without reloading (Turbo, pjax, the History API). On every navigation to another
+// path the runtime derives the page context again (see page-context.js), tears down every feature and
+// sets up those matching the new page.
+//
+// Performance mode hands features DOM changes once per animation frame and holds back added subtrees
+// until they near the viewport (see performance.js). The debug overlay shows the time each feature takes.
+//
+// A feature registers a definition:
+//   name            - Name for log messages, e.g. 'IDE deep link'
+//   settings        - Setting keys and their defaults; features sharing a key must share its default
+//   enabledSetting  - Key of the setting turning the feature on and off, if any
+//   matches         - (page) => boolean, pages the feature runs on; all pages when omitted
+//   observedAttributes - Attributes whose changes the feature wants to see, e.g. ['datetime']
+//   setup           - (settings, page) => state, renders the page; may be async
+//   onMutations     - (mutations, state) => void, handles each batch of DOM changes
+//   teardown        - (state) => void, removes listeners and rendered elements
+//
+// page is the context returned by getPageContext.
+
+import { getPageContext } from './page-context.js';
+import { createBatchDispatcher } from './performance.js';
+import { renderPerformanceOverlay, removePerformanceOverlay } from './performance-overlay.js';
+
+// Events fired once GitHub has rendered a page it navigated to without reloading
+const NAVIGATION_EVENTS = ['turbo:load', 'pjax:end'];
+
+// Settings of the runtime itself, read along with those of the features
+export const RUNTIME_SETTINGS = {
+  performanceMode: false,
+  showPerformanceOverlay: false
+};
+
+/**
+ * Merges the setting defaults of features into one object for chrome.storage.sync.get
+ * @param {Array<Object>} features - Feature definitions
+ * @returns {Object} Setting keys and defaults
+ */
+export function collectSettingDefaults(features) {
+  return features.reduce((defaults, feature) => ({ ...feature.settings, ...defaults }), {});
+}
+
+/**
+ * Collects the attributes the shared observer watches for all features
+ * @param {Array<Object>} features - Feature definitions
+ * @returns {Array<string>} Attribute names, without duplicates
+ */
+export function collectObservedAttributes(features) {
+  return Array.from(new Set(features.flatMap(feature => feature.observedAttributes || [])));
+}
+
+/**
+ * Checks whether a feature is turned on in the settings
+ * @param {Object} feature - Feature definition
+ * @param {Object} settings - Settings read from storage
+ * @returns {boolean} True when the feature has no switch or its switch is on
+ */
+export function isFeatureEnabled(feature, settings) {
+  return !feature.enabledSetting || Boolean(settings[feature.enabledSetting]);
+}
+
+/**
+ * Creates the runtime running registered features on the page
+ * @returns {{register: Function, start: Function, update: Function, navigate: Function, stop: Function}} Runtime
+ */
+export function createRuntime() {
+  const features = [];
+  // Features that should run with the current settings, including those still setting up
+  const active = new Set();
+  // State returned by the setup of each running feature
+  const running = new Map();
+  // Time spent by each running feature, for the performance overlay
+  const timings = new Map();
+  let settings = null;
+  let page = null;
+  let observer = null;
+  // Batches DOM changes while performance mode is on
+  let batcher = null;
+  let overlayFrame = null;
+  // Setting changes and navigations apply one after another, so a slow setup is never torn down halfway
+  let pendingUpdate = Promise.resolve();
+
+  const readDefaults = () => ({ ...RUNTIME_SETTINGS, ...collectSettingDefaults(features) });
+
+  // Redraws the overlay at most once per frame
+  const showTimings = () => {
+    if (!settings.showPerformanceOverlay || overlayFrame !== null) {
+      return;
+    }
+    overlayFrame = requestAnimationFrame(() => {
+      overlayFrame = null;
+      renderPerformanceOverlay(Array.from(running.keys(), feature => timings.get(feature)));
+    });
+  };
+
+  const hideTimings = () => {
+    if (overlayFrame !== null) {
+      cancelAnimationFrame(overlayFrame);
+      overlayFrame = null;
+    }
+    removePerformanceOverlay();
+  };
+
+  const dispatch = (mutations) => {
+    // Some navigations only push a new URL and render it, without firing an event
+    if (window.location.pathname !== page.pathname) {
+      runtime.navigate();
+      return;
+    }
+    running.forEach((state, feature) => {
+      if (!feature.onMutations) {
+        return;
+      }
+      const timing = timings.get(feature);
+      const started = performance.now();
+      try {
+        feature.onMutations(mutations, state);
+      } catch (error) {
+        console.error(`GitHub Hyper: Error updating ${feature.name}:`, error);
+      }
+      const elapsed = performance.now() - started;
+      timing.mutations += elapsed;
+      timing.batches += 1;
+      timing.slowest = Math.max(timing.slowest, elapsed);
+    });
+    showTimings();
+  };
+
+  // Watches the page while any feature is active, for the attributes the active features need
+  const syncObserver = () => {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    if (batcher) {
+      // Features still running get the changes held back so far
+      const previous = batcher;
+      batcher = null;
+      previous.drain();
+    }
+    if (active.size === 0) {
+      return;
+    }
+
+    const attributeFilter = collectObservedAttributes(Array.from(active));
+    if (settings.performanceMode) {
+      batcher = createBatchDispatcher(dispatch);
+    }
+    observer = new MutationObserver(batcher ? batcher.push : dispatch);
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      ...(attributeFilter.length > 0 && { attributes: true, attributeFilter })
+    });
+  };
+
+  const shouldRun = (feature) => isFeatureEnabled(feature, settings) && (!feature.matches || feature.matches(page));
+
+  const setupFeature = async (feature) => {
+    const started = performance.now();
+    try {
+      const state = await feature.setup(settings, page);
+      const setup = performance.now() - started;
+      timings.set(feature, { name: feature.name, setup, mutations: 0, batches: 0, slowest: 0 });
+      running.set(feature, state);
+      showTimings();
+    } catch (error) {
+      console.error(`GitHub Hyper: Error initializing ${feature.name}:`, error);
+    }
+  };
+
+  const teardownFeature = (feature) => {
+    if (!running.has(feature)) {
+      return;
+    }
+    const state = running.get(feature);
+    running.delete(feature);
+    timings.delete(feature);
+    if (!feature.teardown) {
+      return;
+    }
+    try {
+      feature.teardown(state);
+    } catch (error) {
+      console.error(`GitHub Hyper: Error tearing down ${feature.name}:`, error);
+    }
+  };
+
+  const applyChanges = async (changes) => {
+    const defaults = readDefaults();
+    Object.entries(changes).forEach(([key, { newValue }]) => {
+      if (key in defaults) {
+        // Removed settings fall back to their defaults
+        settings[key] = newValue === undefined ? defaults[key] : newValue;
+      }
+    });
+
+    const changed = features.filter(feature => Object.keys(feature.settings).some(key => key in changes));
+    changed.forEach(feature => {
+      teardownFeature(feature);
+      active.delete(feature);
+    });
+
+    const restarted = changed.filter(shouldRun);
+    restarted.forEach(feature => active.add(feature));
+    syncObserver();
+    if ('showPerformanceOverlay' in changes) {
+      if (settings.showPerformanceOverlay) {
+        showTimings();
+      } else {
+        hideTimings();
+      }
+    }
+    await Promise.all(restarted.map(setupFeature));
+  };
+
+  const applyNavigation = async () => {
+    Array.from(running.keys()).forEach(teardownFeature);
+    active.clear();
+    features.filter(shouldRun).forEach(feature => active.add(feature));
+    syncObserver();
+    await Promise.all(Array.from(active).map(setupFeature));
+  };
+
+  const onStorageChanged = (changes, areaName) => {
+    if (areaName === 'sync' && settings) {
+      runtime.update(changes);
+    }
+  };
+
+  const onNavigation = () => {
+    runtime.navigate();
+  };
+
+  const runtime = {
+    /**
+     * Adds a feature; features registered after start run from the next start
+     * @param {Object} feature - Feature definition
+     */
+    register(feature) {
+      features.push(feature);
+    },
+
+    /**
+     * Reads the settings, sets up the enabled features matching the page, and follows setting changes
+     * and navigations
+     */
+    async start() {
+      try {
+        settings = await chrome.storage.sync.get(readDefaults());
+      } catch (error) {
+        console.error('GitHub Hyper: Error reading settings:', error);
+        return;
+      }
+
+      page = getPageContext(window.location);
+      chrome.storage.onChanged.addListener(onStorageChanged);
+      NAVIGATION_EVENTS.forEach(type => document.addEventListener(type, onNavigation));
+      window.addEventListener('popstate', onNavigation);
+
+      features.forEach(feature => {
+        if (!isFeatureEnabled(feature, settings)) {
+          console.log(`GitHub Hyper: ${feature.name} feature is disabled`);
+        } else if (shouldRun(feature)) {
+          active.add(feature);
+        }
+      });
+      if (active.size === 0) {
+        return;
+      }
+
+      // Watch before setting up, so changes made while a slow setup awaits reach the features already running
+      syncObserver();
+      pendingUpdate = Promise.all(Array.from(active).map(setupFeature));
+      await pendingUpdate;
+    },
+
+    /**
+     * Applies changed settings: features they belong to are torn down and set up again, or stay off
+     * @param {Object} changes - Changes as passed to chrome.storage.onChanged, keyed by setting
+     * @returns {Promise<void>} Resolves once the features are set up again
+     */
+    update(changes) {
+      pendingUpdate = pendingUpdate.then(() => applyChanges(changes));
+      return pendingUpdate;
+    },
+
+    /**
+     * Runs the features for the page shown after a navigation; the same path is left alone
+     * @returns {Promise<void>} Resolves once the features of the new page are set up
+     */
+    navigate() {
+      if (!page || window.location.pathname === page.pathname) {
+        return pendingUpdate;
+      }
+      page = getPageContext(window.location);
+      pendingUpdate = pendingUpdate.then(applyNavigation);
+      return pendingUpdate;
+    },
+
+    /**
+     * Stops following settings, navigations and the page, and tears down every running feature
+     */
+    stop() {
+      if (settings) {
+        chrome.storage.onChanged.removeListener(onStorageChanged);
+        NAVIGATION_EVENTS.forEach(type => document.removeEventListener(type, onNavigation));
+        window.removeEventListener('popstate', onNavigation);
+      }
+      active.clear();
+      syncObserver();
+      Array.from(running.keys()).forEach(teardownFeature);
+      hideTimings();
+    }
+  };
+
+  return runtime;
+}
@@ -0,0 +1,561 @@
+import { jest } from '@jest/globals';
+import {
+  collectSettingDefaults,
+  collectObservedAttributes,
+  isFeatureEnabled,
+  RUNTIME_SETTINGS,
+  createRuntime
+} from './runtime.js';
+
+function createFeature(overrides = {}) {
+  return {
+    name: 'Test feature',
+    settings: { enableTest: true },
+    enabledSetting: 'enableTest',
+    setup: jest.fn(settings => ({ settings })),
+    onMutations: jest.fn(),
+    teardown: jest.fn(),
+    ...overrides
+  };
+}
+
+describe('collectSettingDefaults', () => {
+  it('should merge the settings of every feature', () => {
+    const features = [
+      createFeature({ settings: { enableA: true, timeFormat: 'default' } }),
+      createFeature({ settings: { enableB: false, timeFormat: 'default' } })
+    ];
+
+    expect(collectSettingDefaults(features)).toEqual({ enableA: true, enableB: false, timeFormat: 'default' });
+  });
+
+  it('should return no settings without features', () => {
+    expect(collectSettingDefaults([])).toEqual({});
+  });
+});
+
+describe('collectObservedAttributes', () => {
+  it('should list each observed attribute once', () => {
+    const features = [
+      createFeature({ observedAttributes: ['datetime'] }),
+      createFeature(),
+      createFeature({ observedAttributes: ['datetime', 'open'] })
+    ];
+
+    expect(collectObservedAttributes(features)).toEqual(['datetime', 'open']);
+  });
+});
+
+describe('isFeatureEnabled', () => {
+  it('should read the switch of the feature', () => {
+    expect(isFeatureEnabled(createFeature(), { enableTest: true })).toBe(true);
+    expect(isFeatureEnabled(createFeature(), { enableTest: false })).toBe(false);
+  });
+
+  it('should treat features without a switch as enabled', () => {
+    expect(isFeatureEnabled(createFeature({ enabledSetting: undefined }), {})).toBe(true);
+  });
+});
+
+describe('createRuntime', () => {
+  let runtime;
+  let observer;
+
+  beforeEach(() => {
+    global.chrome = {
+      storage: {
+        sync: {
+          get: jest.fn(async defaults => defaults)
+        },
+        onChanged: {
+          addListener: jest.fn(),
+          removeListener: jest.fn()
+        }
+      }
+    };
+    global.MutationObserver = jest.fn().mockImplementation(() => {
+      observer = { observe: jest.fn(), disconnect: jest.fn() };
+      return observer;
+    });
+    global.console.log = jest.fn();
+    global.console.error = jest.fn();
+    runtime = createRuntime();
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+    window.history.pushState({}, '', '/');
+  });
+
+  it('should read the settings of all features in one call', async () => {
+    const first = createFeature({ settings: { enableTest: true, ideType: 'idea' } });
+    const second = createFeature({ settings: { enableTest: true, timeFormat: 'default' } });
+    runtime.register(first);
+    runtime.register(second);
+
+    await runtime.start();
+
+    expect(chrome.storage.sync.get).toHaveBeenCalledTimes(1);
+    const settings = { ...RUNTIME_SETTINGS, enableTest: true, ideType: 'idea', timeFormat: 'default' };
+    expect(chrome.storage.sync.get).toHaveBeenCalledWith(settings);
+    const page = expect.objectContaining({ pathname: '/', type: 'other' });
+    expect(first.setup).toHaveBeenCalledWith(settings, page);
+    expect(second.setup).toHaveBeenCalledWith(settings, page);
+  });
+
+  it('should run one observer for all features', async () => {
+    const first = createFeature({ observedAttributes: ['datetime'] });
+    const second = createFeature();
+    runtime.register(first);
+    runtime.register(second);
+
+    await runtime.start();
+
+    expect(MutationObserver).toHaveBeenCalledTimes(1);
+    expect(observer.observe).toHaveBeenCalledWith(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['datetime']
+    });
+
+    const mutations = [{ addedNodes: [] }];
+    MutationObserver.mock.calls[0][0](mutations);
+
+    expect(first.onMutations).toHaveBeenCalledWith(mutations, first.setup.mock.results[0].value);
+    expect(second.onMutations).toHaveBeenCalledWith(mutations, second.setup.mock.results[0].value);
+  });
+
+  it('should only watch the tree when no feature observes attributes', async () => {
+    runtime.register(createFeature());
+
+    await runtime.start();
+
+    expect(observer.observe).toHaveBeenCalledWith(document.body, { childList: true, subtree: true });
+  });
+
+  it('should skip disabled features', async () => {
+    const feature = createFeature();
+    chrome.storage.sync.get.mockResolvedValue({ enableTest: false });
+    runtime.register(feature);
+
+    await runtime.start();
+
+    expect(console.log).toHaveBeenCalledWith('GitHub Hyper: Test feature feature is disabled');
+    expect(feature.setup).not.toHaveBeenCalled();
+    expect(MutationObserver).not.toHaveBeenCalled();
+  });
+
+  it('should skip features not matching the page', async () => {
+    const matches = jest.fn().mockReturnValue(false);
+    const feature = createFeature({ matches });
+    runtime.register(feature);
+
+    await runtime.start();
+
+    expect(matches).toHaveBeenCalledWith(expect.objectContaining({ pathname: '/', repoSlug: '' }));
+    expect(feature.setup).not.toHaveBeenCalled();
+    expect(MutationObserver).not.toHaveBeenCalled();
+  });
+
+  it('should wait for async setups before passing them mutations', async () => {
+    let finishSetup;
+    const feature = createFeature({
+      setup: jest.fn(() => new Promise(resolve => { finishSetup = resolve; }))
+    });
+    runtime.register(feature);
+
+    const started = runtime.start();
+    await Promise.resolve();
+    MutationObserver.mock.calls[0][0]([]);
+    expect(feature.onMutations).not.toHaveBeenCalled();
+
+    finishSetup({ ready: true });
+    await started;
+    MutationObserver.mock.calls[0][0]([]);
+    expect(feature.onMutations).toHaveBeenCalledWith([], { ready: true });
+  });
+
+  it('should tolerate features without mutation and teardown hooks', async () => {
+    runtime.register(createFeature({ onMutations: undefined, teardown: undefined }));
+
+    await runtime.start();
+
+    expect(() => MutationObserver.mock.calls[0][0]([])).not.toThrow();
+    expect(() => runtime.stop()).not.toThrow();
+  });
+
+  it('should log reading errors', async () => {
+    const error = new Error('Storage error');
+    chrome.storage.sync.get.mockRejectedValue(error);
+    const feature = createFeature();
+    runtime.register(feature);
+
+    await runtime.start();
+
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error reading settings:', error);
+    expect(feature.setup).not.toHaveBeenCalled();
+  });
+
+  it('should keep other features running when one fails', async () => {
+    const error = new Error('Broken');
+    const broken = createFeature({
+      name: 'Broken feature',
+      setup: jest.fn(() => { throw error; })
+    });
+    const working = createFeature({
+      onMutations: jest.fn(() => { throw error; })
+    });
+    const other = createFeature();
+    runtime.register(broken);
+    runtime.register(working);
+    runtime.register(other);
+
+    await runtime.start();
+    MutationObserver.mock.calls[0][0]([]);
+
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error initializing Broken feature:', error);
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error updating Test feature:', error);
+    expect(broken.onMutations).not.toHaveBeenCalled();
+    expect(other.onMutations).toHaveBeenCalled();
+  });
+
+  describe('setting changes', () => {
+    let first;
+    let second;
+
+    beforeEach(() => {
+      first = createFeature({ name: 'First', settings: { enableFirst: true, timeFormat: 'default' }, enabledSetting: 'enableFirst' });
+      second = createFeature({
+        name: 'Second',
+        settings: { enableSecond: true, ideType: 'idea' },
+        enabledSetting: 'enableSecond',
+        observedAttributes: ['datetime']
+      });
+      runtime.register(first);
+      runtime.register(second);
+    });
+
+    it('should follow changes of synced settings', async () => {
+      await runtime.start();
+      const [listener] = chrome.storage.onChanged.addListener.mock.calls[0];
+
+      listener({ ideType: { oldValue: 'idea', newValue: 'goland' } }, 'sync');
+      await runtime.update({});
+
+      expect(second.setup).toHaveBeenLastCalledWith(expect.objectContaining({ ideType: 'goland' }), expect.anything());
+
+      listener({ ideType: { newValue: 'pycharm' } }, 'local');
+      await runtime.update({});
+      expect(second.setup).toHaveBeenCalledTimes(2);
+    });
+
+    it('should set up again only the features owning a changed setting', async () => {
+      await runtime.start();
+
+      await runtime.update({ ideType: { oldValue: 'idea', newValue: 'goland' }, unrelated: { newValue: 1 } });
+
+      expect(second.teardown).toHaveBeenCalledWith(second.setup.mock.results[0].value);
+      expect(second.setup).toHaveBeenCalledTimes(2);
+      expect(second.setup.mock.calls[1][0].unrelated).toBeUndefined();
+      expect(first.teardown).not.toHaveBeenCalled();
+      expect(first.setup).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to the default of a removed setting', async () => {
+      chrome.storage.sync.get.mockResolvedValue({ enableFirst: true, enableSecond: true, ideType: 'goland' });
+      await runtime.start();
+
+      await runtime.update({ ideType: { oldValue: 'goland' } });
+
+      expect(second.setup).toHaveBeenLastCalledWith(expect.objectContaining({ ideType: 'idea' }), expect.anything());
+    });
+
+    it('should tear down a feature turned off and watch only for the others', async () => {
+      await runtime.start();
+      const firstObserver = observer;
+
+      await runtime.update({ enableSecond: { oldValue: true, newValue: false } });
+
+      expect(second.teardown).toHaveBeenCalledTimes(1);
+      expect(second.setup).toHaveBeenCalledTimes(1);
+      expect(firstObserver.disconnect).toHaveBeenCalled();
+      expect(observer.observe).toHaveBeenCalledWith(document.body, { childList: true, subtree: true });
+
+      MutationObserver.mock.calls[1][0]([]);
+      expect(second.onMutations).not.toHaveBeenCalled();
+      expect(first.onMutations).toHaveBeenCalled();
+    });
+
+    it('should stop watching the page once every feature is off, and watch again when one is on', async () => {
+      await runtime.start();
+
+      await runtime.update({ enableFirst: { newValue: false }, enableSecond: { newValue: false } });
+
+      expect(observer.disconnect).toHaveBeenCalled();
+      expect(MutationObserver).toHaveBeenCalledTimes(1);
+
+      await runtime.update({ enableFirst: { newValue: true } });
+
+      expect(MutationObserver).toHaveBeenCalledTimes(2);
+      expect(first.setup).toHaveBeenCalledTimes(2);
+    });
+
+    it('should follow settings while no feature runs', async () => {
+      chrome.storage.sync.get.mockResolvedValue({ enableFirst: false, enableSecond: false });
+      await runtime.start();
+
+      expect(chrome.storage.onChanged.addListener).toHaveBeenCalled();
+
+      await runtime.update({ enableSecond: { newValue: true } });
+
+      expect(second.setup).toHaveBeenCalledTimes(1);
+    });
+
+    it('should apply changes after the features have set up', async () => {
+      let finishSetup;
+      second.setup.mockImplementationOnce(() => new Promise(resolve => { finishSetup = resolve; }));
+      const started = runtime.start();
+      await Promise.resolve();
+
+      const updated = runtime.update({ ideType: { newValue: 'goland' } });
+      finishSetup({ slow: true });
+      await started;
+      await updated;
+
+      expect(second.teardown).toHaveBeenCalledWith({ slow: true });
+      expect(second.setup).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop following settings on stop', async () => {
+      await runtime.start();
+
+      runtime.stop();
+
+      expect(chrome.storage.onChanged.removeListener)
+        .toHaveBeenCalledWith(chrome.storage.onChanged.addListener.mock.calls[0][0]);
+    });
+  });
+
+  describe('navigations', () => {
+    let everywhere;
+    let pullRequests;
+
+    beforeEach(() => {
+      everywhere = createFeature({ name: 'Everywhere' });
+      pullRequests = createFeature({ name: 'Pull requests', matches: page => page.pullNumber > 0 });
+      runtime.register(everywhere);
+      runtime.register(pullRequests);
+    });
+
+    it('should run the features of the new page after a Turbo navigation', async () => {
+      await runtime.start();
+      expect(pullRequests.setup).not.toHaveBeenCalled();
+
+      window.history.pushState({}, '', '/acme/shop/pull/42');
+      document.dispatchEvent(new Event('turbo:load'));
+      await runtime.navigate();
+
+      expect(everywhere.teardown).toHaveBeenCalledWith(everywhere.setup.mock.results[0].value);
+      expect(everywhere.setup).toHaveBeenCalledTimes(2);
+      expect(pullRequests.setup).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ repoSlug: 'acme/shop', pullNumber: 42, type: 'pull-conversation' })
+      );
+    });
+
+    it('should tear down features not matching the new page', async () => {
+      window.history.pushState({}, '', '/acme/shop/pull/42');
+      await runtime.start();
+
+      window.history.pushState({}, '', '/acme/other');
+      document.dispatchEvent(new Event('pjax:end'));
+      await runtime.navigate();
+
+      expect(pullRequests.teardown).toHaveBeenCalledTimes(1);
+      expect(pullRequests.setup).toHaveBeenCalledTimes(1);
+      expect(everywhere.setup).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({ repoSlug: 'acme/other' }));
+    });
+
+    it('should follow back and forward navigations', async () => {
+      await runtime.start();
+
+      window.history.pushState({}, '', '/acme/shop');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+      await runtime.navigate();
+
+      expect(everywhere.setup).toHaveBeenCalledTimes(2);
+    });
+
+    it('should notice URL changes in DOM changes and leave the old page to the new setup', async () => {
+      await runtime.start();
+
+      window.history.pushState({}, '', '/acme/shop/pull/7/files');
+      MutationObserver.mock.calls[0][0]([]);
+      await runtime.navigate();
+
+      expect(everywhere.onMutations).not.toHaveBeenCalled();
+      expect(pullRequests.setup).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ type: 'pull-files' }));
+    });
+
+    it('should leave the features alone when the path stays the same', async () => {
+      await runtime.start();
+
+      window.history.pushState({}, '', '/#top');
+      document.dispatchEvent(new Event('turbo:load'));
+      await runtime.navigate();
+
+      expect(everywhere.teardown).not.toHaveBeenCalled();
+      expect(everywhere.setup).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not log disabled features again on navigation', async () => {
+      chrome.storage.sync.get.mockResolvedValue({ enableTest: false });
+      await runtime.start();
+
+      window.history.pushState({}, '', '/acme/shop');
+      await runtime.navigate();
+
+      expect(console.log).toHaveBeenCalledTimes(2);
+      expect(everywhere.setup).not.toHaveBeenCalled();
+    });
+
+    it('should ignore navigations before start and after stop', async () => {
+      window.history.pushState({}, '', '/acme/shop');
+      await runtime.navigate();
+      expect(everywhere.setup).not.toHaveBeenCalled();
+
+      await runtime.start();
+      runtime.stop();
+      window.history.pushState({}, '', '/acme/other');
+      document.dispatchEvent(new Event('turbo:load'));
+      window.dispatchEvent(new PopStateEvent('popstate'));
+
+      expect(everywhere.setup).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('performance mode', () => {
+    let frames;
+    let intersections;
+    let feature;
+
+    const runFrames = () => {
+      const callbacks = frames;
+      frames = [];
+      callbacks.forEach(callback => callback());
+    };
+
+    const overlayRows = () => Array.from(document.querySelectorAll('#gh-hyper-performance-overlay tr'))
+      .map(row => Array.from(row.children).map(cell => cell.textContent));
+
+    beforeEach(() => {
+      frames = [];
+      global.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+      global.cancelAnimationFrame = jest.fn();
+      global.IntersectionObserver = jest.fn().mockImplementation((callback) => {
+        intersections = { callback, observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+        return intersections;
+      });
+      feature = createFeature();
+      runtime.register(feature);
+      document.body.innerHTML = '<div id="added"></div>';
+    });
+
+    afterEach(() => {
+      runtime.stop();
+      document.body.innerHTML = '';
+    });
+
+    it('should hand over the DOM changes of a frame once they near the viewport', async () => {
+      chrome.storage.sync.get.mockResolvedValue({ enableTest: true, performanceMode: true });
+      await runtime.start();
+      const element = document.getElementById('added');
+
+      MutationObserver.mock.calls[0][0]([{ type: 'childList', addedNodes: [element], removedNodes: [] }]);
+      MutationObserver.mock.calls[0][0]([{ type: 'childList', addedNodes: [element], removedNodes: [] }]);
+      expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+      expect(feature.onMutations).not.toHaveBeenCalled();
+
+      runFrames();
+      intersections.callback([{ target: element, isIntersecting: true }]);
+
+      expect(feature.onMutations).toHaveBeenCalledTimes(1);
+      expect(feature.onMutations.mock.calls[0][0][0].addedNodes).toEqual([element]);
+    });
+
+    it('should hand over held back changes when performance mode is turned off', async () => {
+      chrome.storage.sync.get.mockResolvedValue({ enableTest: true, performanceMode: true });
+      await runtime.start();
+      const element = document.getElementById('added');
+      MutationObserver.mock.calls[0][0]([{ type: 'childList', addedNodes: [element], removedNodes: [] }]);
+
+      await runtime.update({ performanceMode: { oldValue: true, newValue: false } });
+
+      expect(feature.setup).toHaveBeenCalledTimes(1);
+      expect(feature.onMutations).toHaveBeenCalledTimes(1);
+      MutationObserver.mock.calls[1][0]([]);
+      expect(feature.onMutations).toHaveBeenCalledTimes(2);
+    });
+
+    it('should show the time each feature takes in the overlay', async () => {
+      let now = 0;
+      jest.spyOn(performance, 'now').mockImplementation(() => {
+        now += 2;
+        return now;
+      });
+      chrome.storage.sync.get.mockResolvedValue({ enableTest: true, showPerformanceOverlay: true });
+      await runtime.start();
+      MutationObserver.mock.calls[0][0]([]);
+      MutationObserver.mock.calls[0][0]([]);
+
+      expect(requestAnimationFrame).toHaveBeenCalledTimes(1);
+      runFrames();
+
+      expect(overlayRows()).toEqual([
+        ['Feature', 'Setup', 'DOM changes', 'Batches', 'Slowest'],
+        ['Test feature', '2.0 ms', '4.0 ms', '2', '2.0 ms']
+      ]);
+      performance.now.mockRestore();
+    });
+
+    it('should remove the overlay when turned off or stopped', async () => {
+      chrome.storage.sync.get.mockResolvedValue({ enableTest: true, showPerformanceOverlay: true });
+      await runtime.start();
+      runFrames();
+      expect(overlayRows()).toHaveLength(2);
+
+      MutationObserver.mock.calls[0][0]([]);
+      await runtime.update({ showPerformanceOverlay: { newValue: false } });
+
+      expect(cancelAnimationFrame).toHaveBeenCalled();
+      expect(overlayRows()).toHaveLength(0);
+      expect(feature.setup).toHaveBeenCalledTimes(1);
+
+      await runtime.update({ showPerformanceOverlay: { newValue: true } });
+      runFrames();
+      expect(overlayRows()).toHaveLength(2);
+
+      runtime.stop();
+      expect(overlayRows()).toHaveLength(0);
+    });
+  });
+
+  it('should disconnect and tear down the features on stop', async () => {
+    const error = new Error('Broken');
+    const broken = createFeature({ name: 'Broken feature', teardown: jest.fn(() => { throw error; }) });
+    const feature = createFeature();
+    runtime.register(broken);
+    runtime.register(feature);
+
+    await runtime.start();
+    runtime.stop();
+
+    expect(observer.disconnect).toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('GitHub Hyper: Error tearing down Broken feature:', error);
+    expect(feature.teardown).toHaveBeenCalledWith(feature.setup.mock.results[0].value);
+
+    runtime.stop();
+    expect(feature.teardown).toHaveBeenCalledTimes(1);
+  });
+});
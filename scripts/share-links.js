@@ -0,0 +1,76 @@
+// GitHub Hyper - Share Links
+// Builds references to a file for teammates without an IDE: paths, permalinks and Markdown links
+
+// Hidden form fields holding the head commit of a pull request (merge box, suggested changes)
+const HEAD_SHA_SELECTOR = 'input[name="head_sha"], input[name="expected_head_oid"]';
+
+/**
+ * Finds the head commit of the pull request shown on the page
+ * @param {ParentNode} root - Element to search, usually the document
+ * @returns {string} Full commit SHA or empty string when the page does not show it
+ */
+export function findHeadCommitSha(root) {
+  const sha = Array.from(root.querySelectorAll(HEAD_SHA_SELECTOR))
+    .map(input => input.value.trim())
+    .find(value => /^[0-9a-f]{40}$/.test(value));
+  return sha || '';
+}
+
+/**
+ * Formats a repository-relative file reference
+ * @param {string} filePath - Repository-relative path
+ * @param {number} line - 1-based line, 0 when unknown
+ * @returns {string} 'path:line', or the path alone
+ */
+export function formatFileReference(filePath, line) {
+  return line > 0 ? `${filePath}:${line}` : filePath;
+}
+
+/**
+ * Builds a permalink to lines of a file at a commit
+ * @param {string} origin - Site origin, e.g. 'https://github.com' or an enterprise host
+ * @param {string} repoSlug - 'owner/repo'
+ * @param {string} sha - Commit SHA
+ * @param {string} filePath - Repository-relative path
+ * @param {number} startLine - 1-based first line, 0 to link the whole file
+ * @param {number} endLine - 1-based last line
+ * @returns {string} Permalink URL
+ */
+export function buildPermalink(origin, repoSlug, sha, filePath, startLine, endLine) {
+  const path = filePath.split('/').map(encodeURIComponent).join('/');
+  let anchor = '';
+  if (startLine > 0) {
+    anchor = endLine > startLine ? `#L${startLine}-L${endLine}` : `#L${startLine}`;
+  }
+  return `${origin}/${repoSlug}/blob/${sha}/${path}${anchor}`;
+}
+
+/**
+ * Lists the references of a file offered for copying
+ * @param {Object} target - File and where it lives
+ * @param {string} target.origin - Site origin
+ * @param {string} target.repoSlug - 'owner/repo'
+ * @param {string} target.headSha - Commit to pin permalinks to, empty when unknown
+ * @param {string} target.filePath - Repository-relative path
+ * @param {number} target.startLine - 1-based first line, 0 when unknown
+ * @param {number} target.endLine - 1-based last line
+ * @returns {Array<{label: string, text: string}>} Copy menu entries; entries needing the line
+ *   or the commit are left out when it is unknown
+ */
+export function buildShareItems({ origin, repoSlug, headSha, filePath, startLine, endLine }) {
+  const reference = formatFileReference(filePath, startLine);
+  const items = [{ label: 'Copy path', text: filePath }];
+  if (startLine > 0) {
+    items.push({ label: 'Copy path:line', text: reference });
+  }
+
+  if (headSha && repoSlug) {
+    const permalink = buildPermalink(origin, repoSlug, headSha, filePath, startLine, endLine);
+    items.push(
+      { label: 'Copy permalink', text: permalink },
+      { label: 'Copy Markdown link', text: `[\`${reference}\`](${permalink})` }
+    );
+  }
+
+  return items;
+}
@@ -0,0 +1,108 @@
+import {
+  findHeadCommitSha,
+  formatFileReference,
+  buildPermalink,
+  buildShareItems
+} from './share-links.js';
+
+const headSha = '0123456789abcdef0123456789abcdef01234567';
+
+describe('findHeadCommitSha', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should read the head commit of the merge box', () => {
+    document.body.innerHTML = `<form><input type="hidden" name="head_sha" value="${headSha}"></form>`;
+    expect(findHeadCommitSha(document)).toBe(headSha);
+  });
+
+  it('should read the expected head commit', () => {
+    document.body.innerHTML = `<input type="hidden" name="expected_head_oid" value=" ${headSha} ">`;
+    expect(findHeadCommitSha(document)).toBe(headSha);
+  });
+
+  it('should skip values that are not commit SHAs', () => {
+    document.body.innerHTML = `
+      <input type="hidden" name="head_sha" value="">
+      <input type="hidden" name="expected_head_oid" value="${headSha}">
+    `;
+    expect(findHeadCommitSha(document)).toBe(headSha);
+  });
+
+  it('should return empty string when the page shows no head commit', () => {
+    document.body.innerHTML = '<input type="hidden" name="head_sha" value="main">';
+    expect(findHeadCommitSha(document)).toBe('');
+  });
+});
+
+describe('formatFileReference', () => {
+  it('should append the line', () => {
+    expect(formatFileReference('src/app.js', 12)).toBe('src/app.js:12');
+  });
+
+  it('should return the path alone without a line', () => {
+    expect(formatFileReference('src/app.js', 0)).toBe('src/app.js');
+  });
+});
+
+describe('buildPermalink', () => {
+  it('should link a single line', () => {
+    expect(buildPermalink('https://github.com', 'acme/shop', headSha, 'src/app.js', 7, 7))
+      .toBe(`https://github.com/acme/shop/blob/${headSha}/src/app.js#L7`);
+  });
+
+  it('should link a range of lines', () => {
+    expect(buildPermalink('https://github.com', 'acme/shop', headSha, 'src/app.js', 7, 9))
+      .toBe(`https://github.com/acme/shop/blob/${headSha}/src/app.js#L7-L9`);
+  });
+
+  it('should link the whole file without a line', () => {
+    expect(buildPermalink('https://github.com', 'acme/shop', headSha, 'src/app.js', 0, 0))
+      .toBe(`https://github.com/acme/shop/blob/${headSha}/src/app.js`);
+  });
+
+  it('should encode path segments and keep the slashes', () => {
+    expect(buildPermalink('https://git.corp', 'acme/shop', headSha, 'docs/read me#1.md', 1, 1))
+      .toBe(`https://git.corp/acme/shop/blob/${headSha}/docs/read%20me%231.md#L1`);
+  });
+});
+
+describe('buildShareItems', () => {
+  const target = {
+    origin: 'https://github.com',
+    repoSlug: 'acme/shop',
+    headSha,
+    filePath: 'src/app.js',
+    startLine: 3,
+    endLine: 5
+  };
+
+  it('should offer the path, path:line, permalink and Markdown link', () => {
+    const permalink = `https://github.com/acme/shop/blob/${headSha}/src/app.js#L3-L5`;
+    expect(buildShareItems(target)).toEqual([
+      { label: 'Copy path', text: 'src/app.js' },
+      { label: 'Copy path:line', text: 'src/app.js:3' },
+      { label: 'Copy permalink', text: permalink },
+      { label: 'Copy Markdown link', text: `[\`src/app.js:3\`](${permalink})` }
+    ]);
+  });
+
+  it('should leave out the permalinks without the head commit', () => {
+    expect(buildShareItems({ ...target, headSha: '' }).map(item => item.label))
+      .toEqual(['Copy path', 'Copy path:line']);
+  });
+
+  it('should leave out the permalinks without the repository', () => {
+    expect(buildShareItems({ ...target, repoSlug: '' }).map(item => item.label))
+      .toEqual(['Copy path', 'Copy path:line']);
+  });
+
+  it('should leave out path:line without a line', () => {
+    expect(buildShareItems({ ...target, startLine: 0, endLine: 0 })).toEqual([
+      { label: 'Copy path', text: 'src/app.js' },
+      { label: 'Copy permalink', text: `https://github.com/acme/shop/blob/${headSha}/src/app.js` },
+      { label: 'Copy Markdown link', text: `[\`src/app.js\`](https://github.com/acme/shop/blob/${headSha}/src/app.js)` }
+    ]);
+  });
+});
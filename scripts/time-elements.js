@@ -0,0 +1,88 @@
+// GitHub Hyper - Time Elements
+// Finds the elements GitHub uses to render timestamps and handles their format quirks
+//
+// GitHub renders timestamps with several elements:
+//   <relative-time>   "5 days ago" on most pages
+//   <time-ago>        older relative element, still used on some GHES versions
+//   <local-time>      absolute date in the viewer's zone (releases, security tab)
+//   <time datetime>   plain element used by Actions run lists and server-rendered pages
+
+export const DEFAULT_TIME_SELECTORS = ['relative-time', 'time-ago', 'local-time', 'time[datetime]'];
+
+// Patterns used when the element already shows the date
+const TIME_ONLY_FORMAT = 'HH:mm:ss';
+const TIME_ONLY_FORMAT_12H = 'hh:mm:ss A';
+
+/**
+ * Joins configured selectors into one selector, dropping blank and invalid entries
+ * @param {Array<string>} selectors - CSS selectors for time elements
+ * @returns {string} Combined selector
+ */
+export function buildTimeSelector(selectors) {
+  const valid = (selectors || []).map(selector => selector.trim()).filter(isValidSelector);
+  return (valid.length > 0 ? valid : DEFAULT_TIME_SELECTORS).join(', ');
+}
+
+/**
+ * Checks whether a string is a CSS selector the browser accepts
+ * @param {string} selector - CSS selector
+ * @returns {boolean} True if the selector can be queried
+ */
+export function isValidSelector(selector) {
+  if (!selector) {
+    return false;
+  }
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Checks whether an ISO string carries a time of day, not just a date
+ * @param {string} datetime - Value of a datetime attribute
+ * @returns {boolean} True if the value has a time component
+ */
+function hasTimeOfDay(datetime) {
+  return /T\d{2}:\d{2}/.test(datetime);
+}
+
+/**
+ * Chooses the pattern to render for a time element, or null when it should be skipped
+ * because the element already shows everything the absolute time would add
+ * @param {HTMLElement} element - Time element
+ * @param {string} pattern - Configured format pattern
+ * @param {string} selector - Combined time element selector
+ * @returns {string|null} Pattern to use, or null to skip the element
+ */
+export function getTimeElementFormat(element, pattern, selector) {
+  // A time element nested in another one (e.g. fallback content) is rendered by its host
+  const parent = element.parentElement;
+  if (parent && selector && parent.closest(selector)) {
+    return null;
+  }
+
+  const datetime = element.getAttribute('datetime');
+  const tagName = element.tagName;
+
+  if (tagName === 'LOCAL-TIME') {
+    // local-time with hour/minute attributes already renders an absolute datetime
+    if (element.hasAttribute('hour') || element.hasAttribute('minute')) {
+      return null;
+    }
+    // Otherwise it shows a date, so only the time of day is missing
+    if (!hasTimeOfDay(datetime) || !/[Hh]/.test(pattern)) {
+      return null;
+    }
+    return /h/.test(pattern) ? TIME_ONLY_FORMAT_12H : TIME_ONLY_FORMAT;
+  }
+
+  if (tagName === 'TIME' && !hasTimeOfDay(datetime)) {
+    // Date-only values like "2024-03-15" carry nothing beyond the date shown
+    return null;
+  }
+
+  return pattern;
+}
@@ -0,0 +1,91 @@
+import {
+  DEFAULT_TIME_SELECTORS,
+  buildTimeSelector,
+  isValidSelector,
+  getTimeElementFormat
+} from './time-elements.js';
+
+const SELECTOR = DEFAULT_TIME_SELECTORS.join(', ');
+const PATTERN = 'YYYY-MM-DD HH:mm:ss';
+
+/**
+ * Creates a detached element from markup
+ */
+function createElement(html) {
+  const container = document.createElement('div');
+  container.innerHTML = html;
+  return container.firstElementChild;
+}
+
+describe('buildTimeSelector', () => {
+  it('should join selectors', () => {
+    expect(buildTimeSelector(['relative-time', 'time-ago'])).toBe('relative-time, time-ago');
+  });
+
+  it('should drop blank and invalid selectors', () => {
+    expect(buildTimeSelector([' relative-time ', '', 'time[', 'local-time'])).toBe('relative-time, local-time');
+  });
+
+  it('should fall back to the default selectors', () => {
+    expect(buildTimeSelector([])).toBe(SELECTOR);
+    expect(buildTimeSelector(undefined)).toBe(SELECTOR);
+    expect(buildTimeSelector(['::nope('])).toBe(SELECTOR);
+  });
+});
+
+describe('isValidSelector', () => {
+  it('should accept valid selectors', () => {
+    expect(isValidSelector('time[datetime]')).toBe(true);
+  });
+
+  it('should reject invalid or empty selectors', () => {
+    expect(isValidSelector('time[')).toBe(false);
+    expect(isValidSelector('')).toBe(false);
+  });
+});
+
+describe('getTimeElementFormat', () => {
+  it('should use the pattern for relative-time and time-ago', () => {
+    expect(getTimeElementFormat(createElement('<relative-time datetime="2024-03-15T10:30:45Z"></relative-time>'), PATTERN, SELECTOR)).toBe(PATTERN);
+    expect(getTimeElementFormat(createElement('<time-ago datetime="2024-03-15T10:30:45Z"></time-ago>'), PATTERN, SELECTOR)).toBe(PATTERN);
+  });
+
+  it('should skip local-time that already shows the time', () => {
+    const element = createElement('<local-time datetime="2024-03-15T10:30:45Z" hour="numeric"></local-time>');
+    expect(getTimeElementFormat(element, PATTERN, SELECTOR)).toBeNull();
+
+    const withMinute = createElement('<local-time datetime="2024-03-15T10:30:45Z" minute="2-digit"></local-time>');
+    expect(getTimeElementFormat(withMinute, PATTERN, SELECTOR)).toBeNull();
+  });
+
+  it('should show only the time of day for local-time showing a date', () => {
+    const element = createElement('<local-time datetime="2024-03-15T10:30:45Z" month="short"></local-time>');
+    expect(getTimeElementFormat(element, PATTERN, SELECTOR)).toBe('HH:mm:ss');
+    expect(getTimeElementFormat(element, 'YYYY-MM-DD hh:mm:ss A', SELECTOR)).toBe('hh:mm:ss A');
+  });
+
+  it('should skip local-time when the pattern has no time of day', () => {
+    const element = createElement('<local-time datetime="2024-03-15T10:30:45Z"></local-time>');
+    expect(getTimeElementFormat(element, 'YYYY-MM-DD', SELECTOR)).toBeNull();
+  });
+
+  it('should skip local-time with a date-only datetime', () => {
+    const element = createElement('<local-time datetime="2024-03-15"></local-time>');
+    expect(getTimeElementFormat(element, PATTERN, SELECTOR)).toBeNull();
+  });
+
+  it('should skip time elements with date-only values', () => {
+    expect(getTimeElementFormat(createElement('<time datetime="2024-03-15"></time>'), PATTERN, SELECTOR)).toBeNull();
+    expect(getTimeElementFormat(createElement('<time datetime="2024-03-15T10:30:45Z"></time>'), PATTERN, SELECTOR)).toBe(PATTERN);
+  });
+
+  it('should skip time elements nested in another time element', () => {
+    const host = createElement('<relative-time datetime="2024-03-15T10:30:45Z"><span><time datetime="2024-03-15T10:30:45Z"></time></span></relative-time>');
+    expect(getTimeElementFormat(host.querySelector('time'), PATTERN, SELECTOR)).toBeNull();
+  });
+
+  it('should not check nesting without a selector', () => {
+    const host = createElement('<relative-time><time datetime="2024-03-15T10:30:45Z"></time></relative-time>');
+    expect(getTimeElementFormat(host.querySelector('time'), PATTERN, '')).toBe(PATTERN);
+  });
+});
@@ -0,0 +1,262 @@
+// GitHub Hyper - Time Format Templates
+// Pattern-based datetime formatting shared by the content scripts and the options page
+//
+// Supported tokens:
+//   YYYY YY          year
+//   MMMM MMM MM M    month (name, short name, padded, number)
+//   DD D             day of month
+//   dddd ddd         weekday (name, short name)
+//   HH H hh h        hour (24-hour, 12-hour)
+//   mm m ss s        minute, second
+//   A a              AM/PM, am/pm
+//   Z ZZ             UTC offset (+09:00, +0900)
+//   LLLL             locale long form via Intl.DateTimeFormat
+//   [text]           literal text
+
+export const DEFAULT_TIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// Placeholder stored in settings for the browser's own zone
+export const LOCAL_TIME_ZONE = 'local';
+
+export const TIME_FORMAT_PRESETS = {
+  default: DEFAULT_TIME_FORMAT,
+  iso: 'YYYY-MM-DDTHH:mm:ssZ',
+  rfc2822: 'ddd, DD MMM YYYY HH:mm:ss ZZ',
+  locale: 'LLLL',
+  '12h': 'YYYY-MM-DD hh:mm:ss A',
+  date: 'YYYY-MM-DD'
+};
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const WEEKDAY_NAMES = [
+  'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'
+];
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const TOKEN_REGEX = /\[([^\]]*)]|LLLL|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|ss|s|A|a|ZZ|Z/g;
+
+/**
+ * Resolves the pattern to use from the saved preset and custom pattern
+ * @param {string} preset - Preset key (see TIME_FORMAT_PRESETS) or 'custom'
+ * @param {string} customPattern - Pattern used when preset is 'custom'
+ * @returns {string} Format pattern
+ */
+export function resolveTimeFormat(preset, customPattern) {
+  if (preset === 'custom') {
+    return customPattern && customPattern.trim() ? customPattern : DEFAULT_TIME_FORMAT;
+  }
+  return TIME_FORMAT_PRESETS[preset] || DEFAULT_TIME_FORMAT;
+}
+
+// Intl formatters are expensive to create, so keep one per zone
+const partsFormatters = new Map();
+
+/**
+ * Gets a cached formatter that exposes calendar fields for a zone
+ * @param {string|undefined} timeZone - IANA zone, or undefined for the browser's zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartsFormatter(timeZone) {
+  const key = timeZone || '';
+  if (!partsFormatters.has(key)) {
+    partsFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return partsFormatters.get(key);
+}
+
+/**
+ * Reads the calendar fields of a date in a time zone
+ * @param {Date} date - Date to read
+ * @param {string|undefined} timeZone - IANA zone, or undefined for the browser's zone
+ * @returns {Object} Year, month (1-12), day, weekday (0-6), hour, minute, second and offset in minutes
+ */
+function getDateParts(date, timeZone) {
+  const fields = {};
+  getPartsFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    fields[type] = value;
+  });
+
+  const parts = {
+    year: Number(fields.year),
+    month: Number(fields.month),
+    day: Number(fields.day),
+    weekday: WEEKDAY_INDEX[fields.weekday],
+    hour: Number(fields.hour),
+    minute: Number(fields.minute),
+    second: Number(fields.second)
+  };
+
+  // The zone's offset is the difference between its wall clock read as UTC and the real instant
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  parts.offset = Math.round((wallClock - instant) / 60000);
+
+  return parts;
+}
+
+/**
+ * Checks whether a string is an IANA time zone known to the browser
+ * @param {string} timeZone - Zone name, e.g. 'Asia/Seoul'
+ * @returns {boolean} True if the zone can be used for formatting
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets a short label for a zone at a given instant, e.g. 'UTC', 'PDT' or 'GMT+9'
+ * @param {Date} date - Instant (abbreviations depend on daylight saving time)
+ * @param {string|undefined} timeZone - IANA zone, or undefined for the browser's zone
+ * @returns {string} Zone label
+ */
+export function getTimeZoneLabel(date, timeZone) {
+  const zoneName = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+    .formatToParts(date)
+    .find(part => part.type === 'timeZoneName');
+  return zoneName ? zoneName.value : (timeZone || '');
+}
+
+/**
+ * Formats a UTC offset in minutes as +HH:MM or +HHMM
+ * @param {number} offset - Offset in minutes east of UTC
+ * @param {string} separator - Separator between hours and minutes
+ * @returns {string} Formatted offset
+ */
+function formatOffset(offset, separator) {
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  const minutes = String(absolute % 60).padStart(2, '0');
+  return `${sign}${hours}${separator}${minutes}`;
+}
+
+/**
+ * Formats an ISO datetime string with a token pattern
+ * @param {string} isoString - ISO 8601 datetime string
+ * @param {string} pattern - Format pattern, defaults to yyyy-MM-dd HH:mm:ss
+ * @param {string} [timeZone] - IANA zone, defaults to the browser's zone
+ * @returns {string} Formatted datetime string
+ */
+export function formatDateTime(isoString, pattern = DEFAULT_TIME_FORMAT, timeZone = undefined) {
+  const date = new Date(isoString);
+  const parts = getDateParts(date, timeZone);
+  const hour12 = parts.hour % 12 || 12;
+  const pad = (value) => String(value).padStart(2, '0');
+
+  const tokens = {
+    LLLL: () => new Intl.DateTimeFormat(undefined, { dateStyle: 'long', timeStyle: 'long', timeZone }).format(date),
+    YYYY: () => String(parts.year),
+    YY: () => pad(parts.year % 100),
+    MMMM: () => MONTH_NAMES[parts.month - 1],
+    MMM: () => MONTH_NAMES[parts.month - 1].slice(0, 3),
+    MM: () => pad(parts.month),
+    M: () => String(parts.month),
+    DD: () => pad(parts.day),
+    D: () => String(parts.day),
+    dddd: () => WEEKDAY_NAMES[parts.weekday],
+    ddd: () => WEEKDAY_NAMES[parts.weekday].slice(0, 3),
+    HH: () => pad(parts.hour),
+    H: () => String(parts.hour),
+    hh: () => pad(hour12),
+    h: () => String(hour12),
+    mm: () => pad(parts.minute),
+    m: () => String(parts.minute),
+    ss: () => pad(parts.second),
+    s: () => String(parts.second),
+    A: () => (parts.hour < 12 ? 'AM' : 'PM'),
+    a: () => (parts.hour < 12 ? 'am' : 'pm'),
+    ZZ: () => formatOffset(parts.offset, ''),
+    Z: () => formatOffset(parts.offset, ':')
+  };
+
+  return pattern.replace(TOKEN_REGEX, (match, literal) => {
+    return literal !== undefined ? literal : tokens[match]();
+  });
+}
+
+/**
+ * Checks whether a pattern already shows the zone, through an offset token or the locale long form
+ * @param {string} pattern - Format pattern
+ * @returns {boolean} True when Z, ZZ or LLLL appears outside [literal] text
+ */
+export function patternShowsZone(pattern) {
+  return Array.from(pattern.matchAll(TOKEN_REGEX))
+    .some(([match, literal]) => literal === undefined && ['Z', 'ZZ', 'LLLL'].includes(match));
+}
+
+/**
+ * Formats an ISO datetime string once per zone, each followed by its zone label unless the pattern shows the zone.
+ * The browser's zone alone gets no label, as before zones could be chosen.
+ * @param {string} isoString - ISO 8601 datetime string
+ * @param {string} pattern - Format pattern
+ * @param {Array<string>} timeZones - IANA zones; 'local' means the browser's zone
+ * @returns {string} Formatted datetimes joined with ' · '
+ */
+export function formatDateTimeInZones(isoString, pattern, timeZones) {
+  const date = new Date(isoString);
+  const zones = timeZones && timeZones.length > 0 ? timeZones : [LOCAL_TIME_ZONE];
+  const onlyLocal = zones.length === 1 && zones[0] === LOCAL_TIME_ZONE;
+  // Offsets and the locale long form already name the zone; a label would also break ISO 8601 and RFC 2822
+  const showLabels = !onlyLocal && !patternShowsZone(pattern);
+
+  return zones.map(zone => {
+    const timeZone = zone === LOCAL_TIME_ZONE ? undefined : zone;
+    const formatted = formatDateTime(isoString, pattern, timeZone);
+    return showLabels ? `${formatted} ${getTimeZoneLabel(date, timeZone)}` : formatted;
+  }).join(' · ');
+}
+
+/**
+ * Formats an elapsed time as its two largest units, e.g. '2d 3h', '45m' or '30s'
+ * @param {number} milliseconds - Elapsed time
+ * @returns {string} Formatted duration, prefixed with '-' when negative
+ */
+export function formatDuration(milliseconds) {
+  const sign = milliseconds < 0 ? '-' : '';
+  let remaining = Math.floor(Math.abs(milliseconds) / 1000);
+
+  const units = [
+    ['d', 86400],
+    ['h', 3600],
+    ['m', 60],
+    ['s', 1]
+  ].map(([suffix, seconds]) => {
+    const value = Math.floor(remaining / seconds);
+    remaining -= value * seconds;
+    return { suffix, value };
+  });
+
+  const first = units.findIndex(unit => unit.value > 0);
+  if (first === -1) {
+    return '0s';
+  }
+
+  return sign + units
+    .slice(first, first + 2)
+    .filter(unit => unit.value > 0)
+    .map(unit => `${unit.value}${unit.suffix}`)
+    .join(' ');
+}
@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import {
+  DEFAULT_TIME_FORMAT,
+  TIME_FORMAT_PRESETS,
+  LOCAL_TIME_ZONE,
+  resolveTimeFormat,
+  formatDateTime,
+  formatDateTimeInZones,
+  formatDuration,
+  isValidTimeZone,
+  getTimeZoneLabel,
+  patternShowsZone
+} from './time-format.js';
+
+describe('resolveTimeFormat', () => {
+  it('should return the pattern for a preset', () => {
+    expect(resolveTimeFormat('rfc2822', '')).toBe(TIME_FORMAT_PRESETS.rfc2822);
+    expect(resolveTimeFormat('date', '')).toBe('YYYY-MM-DD');
+  });
+
+  it('should return the custom pattern for custom preset', () => {
+    expect(resolveTimeFormat('custom', 'ddd, MMM D HH:mm')).toBe('ddd, MMM D HH:mm');
+  });
+
+  it('should fall back to default for an empty custom pattern', () => {
+    expect(resolveTimeFormat('custom', '   ')).toBe(DEFAULT_TIME_FORMAT);
+    expect(resolveTimeFormat('custom', undefined)).toBe(DEFAULT_TIME_FORMAT);
+  });
+
+  it('should fall back to default for unknown presets', () => {
+    expect(resolveTimeFormat('unknown', '')).toBe(DEFAULT_TIME_FORMAT);
+    expect(resolveTimeFormat(undefined, '')).toBe(DEFAULT_TIME_FORMAT);
+  });
+});
+
+describe('formatDateTime', () => {
+  const isoString = '2024-03-05T10:08:07Z';
+
+  it('should use yyyy-MM-dd HH:mm:ss by default', () => {
+    expect(formatDateTime(isoString, undefined, 'Asia/Seoul')).toBe('2024-03-05 19:08:07');
+  });
+
+  it('should use the browser zone when no zone is given', () => {
+    expect(formatDateTime(isoString)).toMatch(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+  });
+
+  it('should format ISO 8601 with offset', () => {
+    expect(formatDateTime(isoString, TIME_FORMAT_PRESETS.iso, 'Asia/Seoul')).toBe('2024-03-05T19:08:07+09:00');
+    expect(formatDateTime(isoString, TIME_FORMAT_PRESETS.iso, 'UTC')).toBe('2024-03-05T10:08:07+00:00');
+  });
+
+  it('should format RFC 2822', () => {
+    expect(formatDateTime(isoString, TIME_FORMAT_PRESETS.rfc2822, 'Asia/Seoul')).toBe('Tue, 05 Mar 2024 19:08:07 +0900');
+  });
+
+  it('should format 12-hour clock', () => {
+    expect(formatDateTime(isoString, TIME_FORMAT_PRESETS['12h'], 'Asia/Seoul')).toBe('2024-03-05 07:08:07 PM');
+    expect(formatDateTime(isoString, 'h:mm a', 'UTC')).toBe('10:08 am');
+  });
+
+  it('should show 12 for noon and midnight on the 12-hour clock', () => {
+    expect(formatDateTime('2024-03-05T00:00:00Z', 'h A', 'UTC')).toBe('12 AM');
+    expect(formatDateTime('2024-03-05T12:00:00Z', 'h A', 'UTC')).toBe('12 PM');
+  });
+
+  it('should use 00 for midnight on the 24-hour clock', () => {
+    expect(formatDateTime('2024-03-05T00:00:00Z', 'HH:mm', 'UTC')).toBe('00:00');
+  });
+
+  it('should format date only', () => {
+    expect(formatDateTime(isoString, TIME_FORMAT_PRESETS.date, 'Asia/Seoul')).toBe('2024-03-05');
+  });
+
+  it('should roll the date over in zones past midnight', () => {
+    expect(formatDateTime('2024-03-05T20:00:00Z', TIME_FORMAT_PRESETS.date, 'Asia/Seoul')).toBe('2024-03-06');
+  });
+
+  it('should format custom tokens', () => {
+    expect(formatDateTime(isoString, 'ddd, MMM D HH:mm', 'Asia/Seoul')).toBe('Tue, Mar 5 19:08');
+    expect(formatDateTime(isoString, 'dddd, MMMM D, YY', 'Asia/Seoul')).toBe('Tuesday, March 5, 24');
+    expect(formatDateTime(isoString, 'M/D H:m:s', 'Asia/Seoul')).toBe('3/5 19:8:7');
+  });
+
+  it('should keep bracketed text literal', () => {
+    expect(formatDateTime(isoString, '[at] HH:mm [DD]', 'Asia/Seoul')).toBe('at 19:08 DD');
+  });
+
+  it('should format negative and fractional offsets', () => {
+    expect(formatDateTime(isoString, 'Z ZZ', 'America/St_Johns')).toBe('-03:30 -0330');
+    expect(formatDateTime('2024-03-05T10:08:07.900Z', 'Z', 'Asia/Kolkata')).toBe('+05:30');
+  });
+
+  it('should follow daylight saving time', () => {
+    expect(formatDateTime('2024-01-15T12:00:00Z', 'HH:mm Z', 'America/Los_Angeles')).toBe('04:00 -08:00');
+    expect(formatDateTime('2024-07-15T12:00:00Z', 'HH:mm Z', 'America/Los_Angeles')).toBe('05:00 -07:00');
+  });
+
+  it('should format locale long form with Intl.DateTimeFormat', () => {
+    const expected = new Intl.DateTimeFormat(undefined, { dateStyle: 'long', timeStyle: 'long', timeZone: 'Asia/Seoul' })
+      .format(new Date(isoString));
+    expect(formatDateTime(isoString, TIME_FORMAT_PRESETS.locale, 'Asia/Seoul')).toBe(expected);
+  });
+
+  it('should throw for invalid dates', () => {
+    expect(() => formatDateTime('not a date')).toThrow(RangeError);
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('should accept IANA zones', () => {
+    expect(isValidTimeZone('Asia/Seoul')).toBe(true);
+    expect(isValidTimeZone('UTC')).toBe(true);
+  });
+
+  it('should reject unknown or empty zones', () => {
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+});
+
+describe('getTimeZoneLabel', () => {
+  it('should return the short zone name', () => {
+    expect(getTimeZoneLabel(new Date('2024-07-15T12:00:00Z'), 'America/Los_Angeles')).toBe('PDT');
+    expect(getTimeZoneLabel(new Date('2024-07-15T12:00:00Z'), 'UTC')).toBe('UTC');
+  });
+
+  it('should fall back to the zone name when Intl gives no label', () => {
+    const spy = jest.spyOn(Intl.DateTimeFormat.prototype, 'formatToParts').mockReturnValue([]);
+    expect(getTimeZoneLabel(new Date(), 'Asia/Seoul')).toBe('Asia/Seoul');
+    expect(getTimeZoneLabel(new Date(), undefined)).toBe('');
+    spy.mockRestore();
+  });
+});
+
+describe('formatDateTimeInZones', () => {
+  const isoString = '2024-03-05T10:08:07Z';
+
+  it('should format each zone with its label', () => {
+    expect(formatDateTimeInZones(isoString, 'YYYY-MM-DD HH:mm', ['UTC', 'America/Los_Angeles']))
+      .toBe('2024-03-05 10:08 UTC · 2024-03-05 02:08 PST');
+  });
+
+  it('should show the browser zone alone without a label', () => {
+    expect(formatDateTimeInZones(isoString, 'HH:mm', [LOCAL_TIME_ZONE])).toBe(formatDateTime(isoString, 'HH:mm'));
+  });
+
+  it('should label the browser zone next to other zones', () => {
+    const label = getTimeZoneLabel(new Date(isoString), undefined);
+    expect(formatDateTimeInZones(isoString, 'HH:mm', [LOCAL_TIME_ZONE, 'UTC']))
+      .toBe(`${formatDateTime(isoString, 'HH:mm')} ${label} · 10:08 UTC`);
+  });
+
+  it('should default to the browser zone when no zones are configured', () => {
+    expect(formatDateTimeInZones(isoString, 'HH:mm', [])).toBe(formatDateTimeInZones(isoString, 'HH:mm', [LOCAL_TIME_ZONE]));
+    expect(formatDateTimeInZones(isoString, 'HH:mm', undefined)).toBe(formatDateTimeInZones(isoString, 'HH:mm', [LOCAL_TIME_ZONE]));
+  });
+
+  it('should not add a label to the locale long form', () => {
+    expect(formatDateTimeInZones(isoString, TIME_FORMAT_PRESETS.locale, ['UTC']))
+      .toBe(formatDateTime(isoString, TIME_FORMAT_PRESETS.locale, 'UTC'));
+  });
+
+  it('should keep the ISO 8601 preset valid', () => {
+    expect(formatDateTimeInZones(isoString, TIME_FORMAT_PRESETS.iso, ['Asia/Seoul', 'UTC']))
+      .toBe('2024-03-05T19:08:07+09:00 · 2024-03-05T10:08:07+00:00');
+  });
+
+  it('should keep the RFC 2822 preset valid', () => {
+    expect(formatDateTimeInZones(isoString, TIME_FORMAT_PRESETS.rfc2822, ['Asia/Seoul']))
+      .toBe('Tue, 05 Mar 2024 19:08:07 +0900');
+  });
+});
+
+describe('patternShowsZone', () => {
+  it('should detect offset tokens and the locale long form', () => {
+    expect(patternShowsZone('YYYY-MM-DDTHH:mm:ssZ')).toBe(true);
+    expect(patternShowsZone('HH:mm ZZ')).toBe(true);
+    expect(patternShowsZone('LLLL')).toBe(true);
+  });
+
+  it('should ignore zone letters in literals and patterns without them', () => {
+    expect(patternShowsZone('HH:mm [Zulu]')).toBe(false);
+    expect(patternShowsZone(DEFAULT_TIME_FORMAT)).toBe(false);
+  });
+});
+
+describe('formatDuration', () => {
+  it('should show the two largest units', () => {
+    expect(formatDuration((2 * 86400 + 3 * 3600 + 4 * 60) * 1000)).toBe('2d 3h');
+    expect(formatDuration((3 * 3600 + 4 * 60 + 5) * 1000)).toBe('3h 4m');
+  });
+
+  it('should skip empty units after the largest one', () => {
+    expect(formatDuration((86400 + 30) * 1000)).toBe('1d');
+    expect(formatDuration(45 * 60 * 1000)).toBe('45m');
+  });
+
+  it('should show seconds for short durations', () => {
+    expect(formatDuration(30 * 1000)).toBe('30s');
+    expect(formatDuration(400)).toBe('0s');
+  });
+
+  it('should prefix negative durations', () => {
+    expect(formatDuration(-90 * 1000)).toBe('-1m 30s');
+  });
+});
@@ -0,0 +1,47 @@
+// GitHub Hyper - Build Check
+// Fails the build when a content script the emitted manifest names is missing from the output
+//
+// The background worker injects the content script on custom domains by the path the running
+// manifest gives (see scripts/custom-domains.js). extension.js rewrites that path to the bundle it
+// emits, and a wrong path only shows up as custom domain tabs without the extension, so every
+// browser build is checked here.
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const distPath = fileURLToPath(new URL('../dist', import.meta.url));
+const sourceManifest = JSON.parse(readFileSync(new URL('../manifest.json', import.meta.url), 'utf8'));
+const sourceFiles = sourceManifest.content_scripts.flatMap(script => script.js);
+
+const builds = existsSync(distPath)
+  ? readdirSync(distPath, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name)
+  : [];
+
+const problems = builds.flatMap(browser => {
+  const manifestPath = join(distPath, browser, 'manifest.json');
+  if (!existsSync(manifestPath)) {
+    return [`dist/${browser}/manifest.json is missing`];
+  }
+
+  const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+  const files = (manifest.content_scripts || []).flatMap(script => script.js || []);
+  if (files.length === 0) {
+    return [`dist/${browser}/manifest.json names no content script`];
+  }
+
+  return files.flatMap(file => {
+    if (sourceFiles.includes(file)) {
+      return [`dist/${browser}/manifest.json names the unbundled source ${file}`];
+    }
+    return existsSync(join(distPath, browser, file)) ? [] : [`dist/${browser}/${file} is missing`];
+  });
+});
+
+if (builds.length === 0) {
+  console.error('GitHub Hyper: No build found in dist/');
+  process.exitCode = 1;
+} else if (problems.length > 0) {
+  console.error(`GitHub Hyper: Content script check failed: ${problems.join(', ')}`);
+  process.exitCode = 1;
+}